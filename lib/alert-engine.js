@@ -0,0 +1,498 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/** Severity order of alert levels. */
+const SEVERITY = { ok: 0, warning: 1, critical: 2 };
+
+/** Levels that can be raised, most severe first. */
+const ALERT_LEVELS = ['critical', 'warning'];
+
+/**
+ * Shared alert state machine for threshold based monitors.
+ *
+ * Monitors report every sample as `evaluate(key, value, rule)` and get back a
+ * stable level instead of a raw threshold comparison:
+ * - Hysteresis: a level is raised at its raise threshold but only cleared once
+ *   the value has crossed the (lower) clear threshold, so a value hovering at
+ *   the threshold does not flip the status on every sample.
+ * - Minimum duration: a raise (or clear) only takes effect once the condition
+ *   has persisted for `raiseAfterMinutes` (or `clearAfterMinutes`).
+ * - Lifecycle: each metric has at most one alert which moves from `raised` to
+ *   `acknowledged` (manually) and `cleared` (when the level returns to ok), with
+ *   timestamps for every transition. An escalation re-raises an acknowledged alert;
+ *   a de-escalation only updates the level of the alert.
+ *
+ * Alerts raised during a maintenance window covering all checks are recorded
+ * with `duringMaintenance: true` but neither logged as warning nor emitted.
+ *
+ * Emits `raised`, `acknowledged` and `cleared` with the alert object.
+ */
+class AlertEngine extends EventEmitter {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {number} [options.hysteresisPercent] - Distance of the clear threshold from the raise threshold, relative to the raise threshold (default: 5)
+     * @param {number} [options.raiseAfterMinutes] - How long a condition must persist before it is raised (default: 0)
+     * @param {number} [options.clearAfterMinutes] - How long a condition must be gone before it is cleared (default: 0)
+     * @param {import('./maintenance')|null} [options.maintenance] - Suppresses alerts during maintenance windows
+     */
+    constructor(adapter, options = {}) {
+        super();
+        this.adapter = adapter;
+        this.hysteresisPercent = AlertEngine._nonNegative(options.hysteresisPercent, 5);
+        this.raiseAfterMs = AlertEngine._nonNegative(options.raiseAfterMinutes, 0) * 60 * 1000;
+        this.clearAfterMs = AlertEngine._nonNegative(options.clearAfterMinutes, 0) * 60 * 1000;
+        this.maintenance = options.maintenance || null;
+
+        /**
+         * Per-metric state: confirmed level, pending transition and current alert.
+         * @type {Map<string, {level: string, pending: {direction: string, level: string, since: number}|null, alert: object|null}>}
+         */
+        this.conditions = new Map();
+
+        /** Set when alerts changed since the last updateStates(). */
+        this.changed = false;
+    }
+
+    /**
+     * @param {*} value - Configured value
+     * @param {number} fallback - Default for missing or invalid values
+     * @returns {number}
+     */
+    static _nonNegative(value, fallback) {
+        const number = Number(value);
+        return value === undefined || value === null || value === '' || !Number.isFinite(number) || number < 0
+            ? fallback
+            : number;
+    }
+
+    /**
+     * Plain threshold comparison without hysteresis or duration (used by
+     * monitors that run without an engine).
+     * @param {number} value - Measured value
+     * @param {{warning?: number|object, critical?: number|object, direction?: 'above'|'below'}} rule - Thresholds
+     * @returns {'ok'|'warning'|'critical'}
+     */
+    static classify(value, rule) {
+        for (const level of ALERT_LEVELS) {
+            const threshold = AlertEngine._raiseThreshold(rule[level]);
+            if (threshold !== null && AlertEngine._exceeds(value, threshold, rule.direction)) {
+                return level;
+            }
+        }
+        return 'ok';
+    }
+
+    /**
+     * Most severe of several levels.
+     * @param {string[]} levels - Levels
+     * @returns {'ok'|'warning'|'critical'}
+     */
+    static worst(levels) {
+        return levels.reduce((worst, level) => (SEVERITY[level] > SEVERITY[worst] ? level : worst), 'ok');
+    }
+
+    /**
+     * @param {number|{raise: number}|undefined} threshold - Threshold setting
+     * @returns {number|null}
+     */
+    static _raiseThreshold(threshold) {
+        if (typeof threshold === 'number') {
+            return threshold;
+        }
+        if (threshold && typeof threshold.raise === 'number') {
+            return threshold.raise;
+        }
+        return null;
+    }
+
+    /**
+     * @param {number} value - Measured value
+     * @param {number} threshold - Threshold
+     * @param {'above'|'below'} [direction] - Whether high (default) or low values are bad
+     * @returns {boolean}
+     */
+    static _exceeds(value, threshold, direction) {
+        return direction === 'below' ? value <= threshold : value >= threshold;
+    }
+
+    /**
+     * Raise and clear threshold of a level. A plain number is the raise threshold;
+     * the clear threshold is derived from it using the configured hysteresis.
+     * @param {number|{raise: number, clear?: number}|undefined} threshold - Threshold setting
+     * @param {'above'|'below'} [direction] - Whether high (default) or low values are bad
+     * @returns {{raise: number, clear: number}|null}
+     */
+    _thresholds(threshold, direction) {
+        const raise = AlertEngine._raiseThreshold(threshold);
+        if (raise === null) {
+            return null;
+        }
+        if (threshold && typeof threshold.clear === 'number') {
+            return { raise, clear: threshold.clear };
+        }
+        const distance = Math.abs(raise) * this.hysteresisPercent / 100;
+        return { raise, clear: direction === 'below' ? raise + distance : raise - distance };
+    }
+
+    /**
+     * Level indicated by a sample, taking the currently confirmed level into
+     * account: a level that is already raised is held until the clear threshold.
+     * @param {number} value - Measured value
+     * @param {object} rule - Thresholds
+     * @param {string} current - Confirmed level
+     * @returns {'ok'|'warning'|'critical'}
+     */
+    _candidateLevel(value, rule, current) {
+        for (const level of ALERT_LEVELS) {
+            const thresholds = this._thresholds(rule[level], rule.direction);
+            if (!thresholds) {
+                continue;
+            }
+            const held = SEVERITY[current] >= SEVERITY[level];
+            if (AlertEngine._exceeds(value, held ? thresholds.clear : thresholds.raise, rule.direction)) {
+                return level;
+            }
+        }
+        return 'ok';
+    }
+
+    /**
+     * Feed a sample and get the resulting (stable) level.
+     * @param {string} key - Metric key, e.g. `cpu.usage` or `disk./var.freeMB`
+     * @param {number} value - Measured value
+     * @param {object} rule - Thresholds
+     * @param {number|{raise: number, clear?: number}} [rule.warning] - Warning threshold
+     * @param {number|{raise: number, clear?: number}} [rule.critical] - Critical threshold
+     * @param {'above'|'below'} [rule.direction] - Whether high (default) or low values are bad
+     * @param {string} [rule.label] - Human-readable metric name for messages
+     * @param {string} [rule.unit] - Unit appended to values in messages
+     * @param {string} [rule.target] - Adapter instance the metric belongs to (`zigbee.0` or `system.adapter.zigbee.0`),
+     *   so maintenance windows of that instance suppress the alert; without a target only windows covering all checks do
+     * @param {number} [now] - Sample time (default: now)
+     * @returns {'ok'|'warning'|'critical'}
+     */
+    evaluate(key, value, rule, now = Date.now()) {
+        let condition = this.conditions.get(key);
+        if (!condition) {
+            condition = { level: 'ok', pending: null, alert: null };
+            this.conditions.set(key, condition);
+        }
+
+        if (condition.alert && condition.alert.state !== 'cleared') {
+            condition.alert.value = value;
+            condition.alert.updatedAt = now;
+            this.changed = true;
+        }
+
+        const candidate = this._candidateLevel(value, rule, condition.level);
+        if (candidate === condition.level) {
+            condition.pending = null;
+            this._endMaintenance(condition, rule, now);
+            return condition.level;
+        }
+
+        const direction = SEVERITY[candidate] > SEVERITY[condition.level] ? 'raise' : 'clear';
+        if (!condition.pending || condition.pending.direction !== direction) {
+            condition.pending = { direction, level: candidate, since: now };
+        }
+        condition.pending.level = candidate;
+
+        const delay = direction === 'raise' ? this.raiseAfterMs : this.clearAfterMs;
+        if (now - condition.pending.since >= delay) {
+            condition.pending = null;
+            this._transition(key, condition, candidate, value, rule, now);
+        }
+        this._endMaintenance(condition, rule, now);
+
+        return condition.level;
+    }
+
+    /**
+     * Announce an alert raised during maintenance once the window is over and
+     * the condition is still active, so it is not silently kept. Alerts
+     * acknowledged meanwhile are not raised again; as their raise was never
+     * emitted, their clear is not emitted either.
+     * @param {object} condition - Metric state
+     * @param {object} rule - Thresholds
+     * @param {number} now - Sample time
+     */
+    _endMaintenance(condition, rule, now) {
+        const alert = condition.alert;
+        if (!alert || alert.state === 'cleared' || !alert.duringMaintenance || this._inMaintenance(rule, now)) {
+            return;
+        }
+        alert.duringMaintenance = false;
+        this.changed = true;
+        this._announce(alert);
+    }
+
+    /**
+     * Whether a maintenance window covers the metric of a rule.
+     * @param {object} rule - Thresholds with optional target
+     * @param {number} now - Time
+     * @returns {boolean}
+     */
+    _inMaintenance(rule, now) {
+        return !!this.maintenance && this.maintenance.isActive(rule.target || null, now);
+    }
+
+    /**
+     * Log an alert and emit it if it is raised. Only announced alerts emit
+     * their clear.
+     * @param {object} alert - Alert
+     */
+    _announce(alert) {
+        if (alert.level === 'critical') {
+            this.adapter.log.error(`Alert ${alert.state}: ${alert.message}`);
+        } else {
+            this.adapter.log.warn(`Alert ${alert.state}: ${alert.message}`);
+        }
+        if (alert.state === 'raised') {
+            alert.announced = true;
+            this.emit('raised', { ...alert });
+        }
+    }
+
+    /**
+     * Apply a confirmed level change and update the alert lifecycle.
+     * @param {string} key - Metric key
+     * @param {object} condition - Metric state
+     * @param {string} level - New level
+     * @param {number} value - Measured value
+     * @param {object} rule - Thresholds
+     * @param {number} now - Transition time
+     */
+    _transition(key, condition, level, value, rule, now) {
+        const previous = condition.level;
+        condition.level = level;
+        this.changed = true;
+
+        const label = rule.label || key;
+        const unit = rule.unit || '';
+
+        if (level === 'ok') {
+            const alert = condition.alert;
+            if (alert) {
+                alert.state = 'cleared';
+                alert.clearedAt = now;
+                alert.value = value;
+                this.adapter.log.info(`Alert cleared: ${label} back to normal (${value}${unit})`);
+                if (alert.announced) {
+                    this.emit('cleared', { ...alert });
+                }
+            }
+            return;
+        }
+
+        const message = `${label} ${level} (${value}${unit})`;
+        const raise = previous === 'ok' || !condition.alert || SEVERITY[level] > SEVERITY[previous];
+        if (previous === 'ok' || !condition.alert) {
+            condition.alert = {
+                key,
+                level,
+                state: 'raised',
+                message,
+                value,
+                raisedAt: now,
+                acknowledgedAt: null,
+                clearedAt: null,
+                updatedAt: now,
+                duringMaintenance: false,
+                announced: false,
+            };
+        } else {
+            const alert = condition.alert;
+            alert.level = level;
+            alert.message = message;
+            alert.value = value;
+            if (raise) {
+                // Escalation needs attention again even if the warning was acknowledged
+                alert.state = 'raised';
+                alert.raisedAt = now;
+                alert.acknowledgedAt = null;
+            }
+        }
+
+        if (raise) {
+            condition.alert.duringMaintenance = this._inMaintenance(rule, now);
+        }
+
+        if (condition.alert.duringMaintenance) {
+            this.adapter.log.info(`Alert ${condition.alert.state} during maintenance: ${message}`);
+        } else if (raise) {
+            this._announce(condition.alert);
+        } else {
+            // A de-escalation only updates the alert, it is not raised again
+            this.adapter.log.info(`Alert lowered: ${message}`);
+        }
+    }
+
+    /**
+     * Currently confirmed level of a metric.
+     * @param {string} key - Metric key
+     * @returns {'ok'|'warning'|'critical'}
+     */
+    getLevel(key) {
+        const condition = this.conditions.get(key);
+        return condition ? /** @type {any} */ (condition.level) : 'ok';
+    }
+
+    /**
+     * Active (raised or acknowledged) alerts, oldest first.
+     * @returns {object[]}
+     */
+    getAlerts() {
+        const alerts = [];
+        for (const condition of this.conditions.values()) {
+            if (condition.alert && condition.alert.state !== 'cleared') {
+                alerts.push({ ...condition.alert });
+            }
+        }
+        return alerts.sort((a, b) => a.raisedAt - b.raisedAt);
+    }
+
+    /**
+     * Acknowledge raised alerts.
+     * @param {string} [key] - Metric key; empty, `*` or `all` acknowledges every raised alert
+     * @param {number} [now] - Acknowledge time (default: now)
+     * @returns {string[]} Keys of the acknowledged alerts
+     */
+    acknowledge(key, now = Date.now()) {
+        const all = !key || key === '*' || key === 'all';
+        const acknowledged = [];
+
+        for (const [conditionKey, condition] of this.conditions) {
+            const alert = condition.alert;
+            if ((all || conditionKey === key) && alert && alert.state === 'raised') {
+                alert.state = 'acknowledged';
+                alert.acknowledgedAt = now;
+                acknowledged.push(conditionKey);
+                this.emit('acknowledged', { ...alert });
+            }
+        }
+
+        if (acknowledged.length > 0) {
+            this.changed = true;
+            this.adapter.log.info(`Acknowledged alert(s): ${acknowledged.join(', ')}`);
+        }
+        return acknowledged;
+    }
+
+    /**
+     * Forget metrics that are no longer monitored (e.g. of a stopped or removed
+     * instance) and clear their active alerts.
+     * @param {string} keyOrPrefix - Metric key, or prefix of the keys to forget (e.g. `instances.zigbee_0`)
+     * @param {number} [now] - Clear time (default: now)
+     * @returns {string[]} Keys of the cleared alerts
+     */
+    clear(keyOrPrefix, now = Date.now()) {
+        const cleared = [];
+
+        for (const [key, condition] of this.conditions) {
+            if (key !== keyOrPrefix && !key.startsWith(`${keyOrPrefix}.`)) {
+                continue;
+            }
+            this.conditions.delete(key);
+
+            const alert = condition.alert;
+            if (alert && alert.state !== 'cleared') {
+                alert.state = 'cleared';
+                alert.clearedAt = now;
+                cleared.push(key);
+                if (alert.announced) {
+                    this.emit('cleared', { ...alert });
+                }
+            }
+        }
+
+        if (cleared.length > 0) {
+            this.changed = true;
+            this.adapter.log.info(`Cleared alert(s) no longer monitored: ${cleared.join(', ')}`);
+        }
+        return cleared;
+    }
+
+    /**
+     * Create the alerts.* states.
+     */
+    async createStates() {
+        await this.adapter.setObjectNotExistsAsync('alerts', {
+            type: 'channel',
+            common: { name: 'Alerts' },
+            native: {},
+        });
+
+        await this.adapter.setObjectNotExistsAsync('alerts.active', {
+            type: 'state',
+            common: {
+                name: 'Active alerts (JSON)',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.adapter.setObjectNotExistsAsync('alerts.count', {
+            type: 'state',
+            common: {
+                name: 'Number of active alerts',
+                type: 'number',
+                role: 'value',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.adapter.setObjectNotExistsAsync('alerts.unacknowledged', {
+            type: 'state',
+            common: {
+                name: 'Number of raised, unacknowledged alerts',
+                type: 'number',
+                role: 'value',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.adapter.setObjectNotExistsAsync('alerts.acknowledge', {
+            type: 'state',
+            common: {
+                name: 'Acknowledge alert (metric key or "all")',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: true,
+                def: '',
+            },
+            native: {},
+        });
+
+        this.changed = true;
+        await this.updateStates();
+    }
+
+    /**
+     * Write the alerts.* states if alerts changed since the last call.
+     */
+    async updateStates() {
+        if (!this.changed) {
+            return;
+        }
+        this.changed = false;
+
+        const alerts = this.getAlerts();
+        await this.adapter.setStateAsync('alerts.active', JSON.stringify(alerts), true);
+        await this.adapter.setStateAsync('alerts.count', alerts.length, true);
+        await this.adapter.setStateAsync('alerts.unacknowledged', alerts.filter(a => a.state === 'raised').length, true);
+    }
+}
+
+AlertEngine.SEVERITY = SEVERITY;
+
+module.exports = AlertEngine;
@@ -0,0 +1,101 @@
+'use strict';
+
+const os = require('os');
+
+/**
+ * Host notification categories forwarded as alert events. Memory and disk
+ * thresholds are covered by the alert engine instead.
+ */
+const NOTIFICATION_EVENTS = {
+    crashLoop: { check: 'crashDetection', severity: 'critical' },
+    redisError: { check: 'redis', severity: 'critical' },
+    staleStates: { check: 'staleStates', severity: 'warning' },
+    hostOffline: { check: 'hosts', severity: 'critical' },
+    memoryLeak: { check: 'instances', severity: 'warning' },
+};
+
+/**
+ * Complete alert event fields with host, adapter instance and timestamp.
+ * @param {object} adapter - ioBroker adapter instance
+ * @param {{event: string, check: string, severity: string, message: string, values: object}} fields - Event fields
+ * @returns {{event: string, check: string, severity: string, message: string, values: object, host: string, adapter: string, timestamp: string}}
+ */
+function createEvent(adapter, fields) {
+    return {
+        ...fields,
+        host: adapter.host || os.hostname(),
+        adapter: adapter.namespace,
+        timestamp: new Date().toISOString(),
+    };
+}
+
+/**
+ * Alert event for an alert engine transition.
+ * @param {object} adapter - ioBroker adapter instance
+ * @param {'raised'|'cleared'} event - Event type
+ * @param {object} alert - Alert object
+ * @returns {object}
+ */
+function fromAlert(adapter, event, alert) {
+    return createEvent(adapter, {
+        event,
+        check: alert.key.split('.')[0],
+        severity: alert.level,
+        message: event === 'cleared' ? `Cleared: ${alert.message}` : alert.message,
+        values: { key: alert.key, value: alert.value },
+    });
+}
+
+/**
+ * Alert event for a notifier edge, or null for categories covered by the alert engine.
+ * @param {object} adapter - ioBroker adapter instance
+ * @param {'raised'|'cleared'} event - Event type
+ * @param {{category: string, key: string, message: string}} condition - Notification condition
+ * @returns {object|null}
+ */
+function fromNotification(adapter, event, condition) {
+    const source = NOTIFICATION_EVENTS[condition.category];
+    if (!source) {
+        return null;
+    }
+    return createEvent(adapter, {
+        event,
+        check: source.check,
+        severity: source.severity,
+        message: event === 'cleared' ? `Cleared: ${condition.message}` : condition.message,
+        values: { key: condition.key },
+    });
+}
+
+/**
+ * Call a listener with an alert event for every raise and clear of the alert
+ * engine and the notifier.
+ * @param {object} adapter - ioBroker adapter instance
+ * @param {object} sources - Event sources
+ * @param {import('events').EventEmitter|null} [sources.alertEngine] - Alert engine
+ * @param {import('events').EventEmitter|null} [sources.notifier] - Notifier
+ * @param {(event: object) => void} listener - Receives the alert events
+ */
+function subscribe(adapter, { alertEngine, notifier }, listener) {
+    for (const event of ['raised', 'cleared']) {
+        if (alertEngine) {
+            alertEngine.on(event, alert => listener(fromAlert(adapter, event, alert)));
+        }
+        if (notifier) {
+            notifier.on(event, condition => {
+                const alertEvent = fromNotification(adapter, event, condition);
+                if (alertEvent) {
+                    listener(alertEvent);
+                }
+            });
+        }
+    }
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    createEvent,
+    fromAlert,
+    fromNotification,
+    subscribe,
+};
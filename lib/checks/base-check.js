@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Common lifecycle interface for all health checks.
+ *
+ * Every check registered in the CheckRegistry - built-in monitors, inspectors
+ * and custom checks loaded from a directory - implements:
+ * - `init()`: one-time setup (create states, instantiate helpers)
+ * - `run()`: execute the check and return its result (`{ status, timestamp, ... }`)
+ * - `getResult()`: last result or null if the check has not run yet
+ * - `cleanup()`: release timers/subscriptions on adapter unload
+ * - `getStateDefinitions()`: states owned by this check (IDs relative to the adapter namespace)
+ *
+ * Optionally, `getNotifications(result)` maps a result to host notification conditions
+ * and `getMetrics(result)` to numeric values for the metric history.
+ *
+ * Subclasses usually only implement `execute()` and, if needed, `getStateDefinitions()`.
+ */
+class BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} options - Check options
+     * @param {string} options.name - Unique check name (used for scheduling, results and the health score)
+     * @param {'monitor'|'inspector'} [options.category] - Monitors default to the quick interval, inspectors to the full interval
+     * @param {boolean} [options.enabled] - Whether the check should be scheduled (default: true)
+     * @param {string|number} [options.schedule] - Interval in minutes or cron expression (empty = category default)
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.name = options.name;
+        this.category = options.category || 'monitor';
+        this.enabled = options.enabled !== false;
+        this.schedule = options.schedule;
+        this.lastResult = null;
+    }
+
+    /**
+     * Create the states returned by getStateDefinitions().
+     */
+    async init() {
+        for (const definition of this.getStateDefinitions()) {
+            await this.adapter.setObjectNotExistsAsync(definition.id, {
+                type: 'state',
+                common: definition.common,
+                native: {},
+            });
+        }
+    }
+
+    /**
+     * Execute the check and remember its result.
+     * @returns {Promise<object>} Result with at least `status` and `timestamp`
+     */
+    async run() {
+        const result = await this.execute();
+        this.lastResult = {
+            ...result,
+            timestamp: (result && result.timestamp) || Date.now(),
+        };
+        return this.lastResult;
+    }
+
+    /**
+     * Check implementation. Must return an object with a `status` of
+     * 'ok', 'warning', 'critical', 'error' or 'skipped'.
+     * @returns {Promise<{status: string}>}
+     */
+    async execute() {
+        throw new Error(`Check ${this.name} does not implement execute()`);
+    }
+
+    /**
+     * Get the last result.
+     * @returns {object|null}
+     */
+    getResult() {
+        return this.lastResult;
+    }
+
+    /**
+     * Release resources on adapter unload.
+     */
+    async cleanup() {
+        // Nothing to clean up by default
+    }
+
+    /**
+     * States owned by this check.
+     * @returns {Array<{id: string, common: object}>}
+     */
+    getStateDefinitions() {
+        return [];
+    }
+
+    /**
+     * Host notification conditions for a result (see Notifier).
+     * @param {object} _result - Result of run()
+     * @returns {Array<{category: string, key?: string, active: boolean, message: string}>}
+     */
+    getNotifications(_result) {
+        return [];
+    }
+
+    /**
+     * Numeric values of a result to record in the metric history (see MetricStore).
+     * By default a numeric `count` (issue count of inspectors) is recorded as `<name>.count`.
+     * @param {object} result - Result of run()
+     * @returns {Record<string, number>} Metric name → value
+     */
+    getMetrics(result) {
+        if (result && typeof result.count === 'number') {
+            return { [`${this.name}.count`]: result.count };
+        }
+        return {};
+    }
+
+    /**
+     * Parse ignore patterns from config.
+     * Handles both array and string (comma/newline delimited) formats.
+     * @param {string|string[]|null|undefined} patterns
+     * @returns {string[]}
+     */
+    static parseIgnorePatterns(patterns) {
+        if (Array.isArray(patterns)) {
+            return patterns.filter(p => typeof p === 'string' && p.trim()).map(p => p.trim());
+        }
+        if (typeof patterns === 'string' && patterns.trim()) {
+            // Split by comma or newline
+            return patterns
+                .split(/[,\n]/)
+                .map(p => p.trim())
+                .filter(p => p);
+        }
+        return [];
+    }
+}
+
+module.exports = BaseCheck;
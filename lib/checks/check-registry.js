@@ -0,0 +1,193 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const BaseCheck = require('./base-check');
+
+/** Methods every registered check must provide. */
+const REQUIRED_METHODS = ['init', 'run', 'getResult', 'cleanup', 'getStateDefinitions'];
+
+/**
+ * Registry of all health checks.
+ * Holds built-in and custom checks, initializes them lazily on their first run
+ * and cleans them up on unload.
+ */
+class CheckRegistry {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {import('../self-monitor')|null} [options.selfMonitor] - Measures the cost of every run
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.selfMonitor = options.selfMonitor || null;
+        /** @type {Map<string, object>} */
+        this.checks = new Map();
+        /** @type {Set<string>} */
+        this.initialized = new Set();
+        /** @type {Map<string, Promise<object>>} */
+        this.pending = new Map();
+    }
+
+    /**
+     * Validate that an object implements the check interface.
+     * @param {object} check - Check instance
+     * @throws {Error} If the check is invalid
+     */
+    static validate(check) {
+        if (!check || typeof check !== 'object') {
+            throw new Error('Check must be an object');
+        }
+        if (typeof check.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(check.name)) {
+            throw new Error(`Invalid check name: ${check.name}`);
+        }
+        const missing = REQUIRED_METHODS.filter(method => typeof check[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Check ${check.name} is missing method(s): ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Register a check.
+     * @param {object} check - Check instance implementing the BaseCheck interface
+     * @throws {Error} If the check is invalid or its name is already taken
+     */
+    register(check) {
+        CheckRegistry.validate(check);
+        if (this.checks.has(check.name)) {
+            throw new Error(`Check ${check.name} is already registered`);
+        }
+        this.checks.set(check.name, check);
+    }
+
+    /**
+     * @param {string} name - Check name
+     * @returns {object|undefined}
+     */
+    get(name) {
+        return this.checks.get(name);
+    }
+
+    /**
+     * @returns {object[]} All checks in registration order
+     */
+    getAll() {
+        return [...this.checks.values()];
+    }
+
+    /**
+     * @returns {object[]} Enabled checks in registration order
+     */
+    getEnabled() {
+        return this.getAll().filter(check => check.enabled !== false);
+    }
+
+    /**
+     * Run a check, initializing it first if necessary.
+     * If the check is already running (e.g. scheduled run and on-demand request
+     * at the same time), the pending run is shared instead of starting a second one.
+     * @param {string} name - Check name
+     * @returns {Promise<object>} Check result
+     * @throws {Error} If the check is unknown
+     */
+    async run(name) {
+        const check = this.checks.get(name);
+        if (!check) {
+            throw new Error(`Unknown check: ${name}`);
+        }
+
+        if (this.pending.has(name)) {
+            return this.pending.get(name);
+        }
+
+        const promise = (async () => {
+            if (!this.initialized.has(name)) {
+                await check.init();
+                this.initialized.add(name);
+            }
+            return this.selfMonitor ? this.selfMonitor.measure(name, () => check.run()) : check.run();
+        })();
+
+        this.pending.set(name, promise);
+        try {
+            return await promise;
+        } finally {
+            this.pending.delete(name);
+        }
+    }
+
+    /**
+     * @param {string} name - Check name
+     * @returns {boolean} True while the check is running
+     */
+    isRunning(name) {
+        return this.pending.has(name);
+    }
+
+    /**
+     * Clean up all initialized checks. Errors are logged, not thrown.
+     */
+    async cleanupAll() {
+        for (const name of this.initialized) {
+            try {
+                await this.checks.get(name).cleanup();
+            } catch (err) {
+                this.adapter.log.warn(`Cleanup of check ${name} failed: ${err.message}`);
+            }
+        }
+        this.initialized.clear();
+    }
+
+    /**
+     * Load custom checks from a directory.
+     * Each `.js` file must export either a class (instantiated with the adapter)
+     * or a factory function `(adapter, BaseCheck) => check`.
+     * Invalid files are logged and skipped.
+     * @param {string} directory - Absolute directory path
+     * @returns {string[]} Names of the loaded checks
+     */
+    loadFromDirectory(directory) {
+        const loaded = [];
+
+        let files;
+        try {
+            files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+        } catch (err) {
+            this.adapter.log.warn(`Cannot read custom check directory ${directory}: ${err.message}`);
+            return loaded;
+        }
+
+        for (const file of files) {
+            const filePath = path.join(directory, file);
+            try {
+                const exported = require(filePath);
+                const check = CheckRegistry._instantiate(exported, this.adapter);
+                this.register(check);
+                loaded.push(check.name);
+                this.adapter.log.info(`Loaded custom check ${check.name} from ${file}`);
+            } catch (err) {
+                this.adapter.log.error(`Failed to load custom check ${file}: ${err.message}`);
+            }
+        }
+
+        return loaded;
+    }
+
+    /**
+     * Create a check instance from a module export.
+     * @param {Function|object} exported - Module export
+     * @param {object} adapter - ioBroker adapter instance
+     * @returns {object} Check instance
+     */
+    static _instantiate(exported, adapter) {
+        if (typeof exported !== 'function') {
+            return exported;
+        }
+        if (/^class[\s{]/.test(Function.prototype.toString.call(exported))) {
+            return new exported(adapter);
+        }
+        return exported(adapter, BaseCheck);
+    }
+}
+
+module.exports = CheckRegistry;
@@ -0,0 +1,56 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const CpuMonitor = require('../health-checks/cpu-monitor');
+
+/**
+ * CPU load check. States (cpu.*) are created by CpuMonitor.
+ */
+class CpuCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'cpu',
+            category: 'monitor',
+            enabled: !!adapter.config.enableCpuMonitoring,
+            schedule: adapter.config.scheduleCpu,
+        });
+        /** @type {CpuMonitor|null} */
+        this.monitor = null;
+    }
+
+    async init() {
+        this.monitor = new CpuMonitor(this.adapter, {
+            warningThreshold: this.adapter.config.cpuWarningPercent || 70,
+            criticalThreshold: this.adapter.config.cpuCriticalPercent || 90,
+            sampleCount: this.adapter.config.cpuSampleCount || 5,
+            alertEngine: this.adapter.alertEngine || null,
+        });
+
+        // Continue the sustained load window across restarts
+        if (this.adapter.metricStore) {
+            this.monitor.samples = this.adapter.metricStore
+                .getRecent('cpu.usage', this.monitor.sampleCount)
+                .map(sample => sample.value);
+        }
+
+        await this.monitor.init();
+    }
+
+    async execute() {
+        const result = await this.monitor.measure();
+
+        this.adapter.log.info('CPU check completed.');
+
+        // Measurement errors are already logged by the monitor
+        return result || { status: 'skipped', reason: 'CPU measurement failed' };
+    }
+
+    getMetrics(result) {
+        return typeof result.usage === 'number' ? { 'cpu.usage': result.usage } : {};
+    }
+}
+
+module.exports = CpuCheck;
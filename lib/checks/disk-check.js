@@ -0,0 +1,68 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const DiskMonitor = require('../health-checks/disk-monitor');
+
+/**
+ * Disk space check. States (disk.*) are created by DiskMonitor.
+ */
+class DiskCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'disk',
+            category: 'monitor',
+            enabled: !!adapter.config.enableDiskMonitoring,
+            schedule: adapter.config.scheduleDisk,
+        });
+        /** @type {DiskMonitor|null} */
+        this.monitor = null;
+    }
+
+    async init() {
+        const config = this.adapter.config;
+        this.monitor = new DiskMonitor(this.adapter, {
+            warningThresholdPercent: config.diskWarningPercent || 80,
+            criticalThresholdPercent: config.diskCriticalPercent || 90,
+            warningThresholdMB: config.diskWarningMB || 1000,
+            criticalThresholdMB: config.diskCriticalMB || 500,
+            mountPoints: config.diskMountPoints || ['/'],
+            historySize: 10,
+            alertEngine: this.adapter.alertEngine || null,
+        });
+        await this.monitor.init();
+    }
+
+    async execute() {
+        const result = await this.monitor.measure();
+
+        this.adapter.log.info('Disk check completed.');
+
+        // Measurement errors are already logged by the monitor
+        return result || { status: 'skipped', reason: 'Disk measurement failed' };
+    }
+
+    getNotifications(result) {
+        if (result.status === 'skipped') {
+            return [];
+        }
+        return [{
+            category: 'diskCritical',
+            active: result.status === 'critical',
+            message: `Disk space critical: ${result.warnings || 'check disk usage'}`,
+        }];
+    }
+
+    getMetrics(result) {
+        const metrics = {};
+        for (const partition of result.partitions || []) {
+            metrics[`disk.${partition.mountPoint}.usedPercent`] = partition.usedPercent;
+            metrics[`disk.${partition.mountPoint}.freeMB`] = partition.freeMB;
+        }
+        return metrics;
+    }
+}
+
+module.exports = DiskCheck;
@@ -0,0 +1,89 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const DuplicateStateInspector = require('../state-inspector/duplicate-detection');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Duplicate state detection. States (inspector.duplicates.*) are created by the inspector.
+ *
+ * In daemon mode with the opt-in value correlation (`enableValueCorrelation`)
+ * the state changes are recorded continuously. With an object change tracker
+ * (`adapter.objectChanges`) only the states affected by changed objects are
+ * regrouped; a full scan runs on the first run, after too many changes and
+ * every `inspectorFullScanHours`.
+ */
+class DuplicateCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'duplicates',
+            category: 'inspector',
+            enabled: !!adapter.config.enableDuplicateDetection,
+            schedule: adapter.config.scheduleDuplicates,
+        });
+        /** @type {DuplicateStateInspector|null} */
+        this.inspector = null;
+        /** @type {import('../state-inspector/object-change-tracker')|null} */
+        this.objectChanges = null;
+        this.fullScanIntervalMs = (Number(adapter.config.inspectorFullScanHours) || 24) * HOUR;
+        this.lastFullScan = 0;
+    }
+
+    async init() {
+        const threshold = this.adapter.config.duplicateSimilarityThreshold || 0.9;
+        const ignorePatterns = BaseCheck.parseIgnorePatterns(this.adapter.config.stateInspectorIgnorePatterns);
+        this.inspector = new DuplicateStateInspector(this.adapter, threshold, ignorePatterns);
+        this.inspector.snapshot = this.adapter.stateSnapshot || null;
+        await this.inspector.init();
+
+        if (this.adapter.config.enableValueCorrelation && this.adapter.config.enableAdapterCrashDetection) {
+            await this.inspector.startValueMonitoring({
+                windowMs: (Number(this.adapter.config.duplicateCorrelationWindowMinutes) || 60) * 60 * 1000,
+            });
+        }
+
+        this.objectChanges = this.adapter.objectChanges || null;
+        if (this.objectChanges) {
+            this.objectChanges.register(this.name);
+        }
+    }
+
+    async execute() {
+        const pending = this.objectChanges ? this.objectChanges.take(this.name) : null;
+
+        let duplicates = null;
+        if (pending && !pending.overflow && this.lastFullScan && Date.now() - this.lastFullScan < this.fullScanIntervalMs) {
+            duplicates = await this.inspector.inspectChanges(pending.changes);
+        }
+        const incremental = !!duplicates;
+        if (!duplicates) {
+            duplicates = await this.inspector.scan();
+            this.lastFullScan = Date.now();
+        }
+
+        if (duplicates.length > 0) {
+            this.adapter.log.warn(`Found ${duplicates.length} duplicate state groups`);
+        } else {
+            this.adapter.log.info('No duplicate states detected');
+        }
+
+        return {
+            status: duplicates.length > 0 ? 'warning' : 'ok',
+            count: duplicates.length,
+            incremental,
+            duplicates,
+        };
+    }
+
+    async cleanup() {
+        if (this.inspector) {
+            await this.inspector.stop();
+        }
+    }
+}
+
+module.exports = DuplicateCheck;
@@ -0,0 +1,85 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const EventLoopMonitor = require('../health-checks/event-loop-monitor');
+const InstanceMonitor = require('../health-checks/instance-monitor');
+
+/**
+ * Event loop lag per adapter instance. Per-instance states
+ * (eventLoop.<name>_<n>.*) are created by EventLoopMonitor.
+ */
+class EventLoopCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'eventLoop',
+            category: 'monitor',
+            enabled: !!adapter.config.enableEventLoopMonitoring,
+            schedule: adapter.config.scheduleEventLoop,
+        });
+        /** @type {EventLoopMonitor|null} */
+        this.monitor = null;
+    }
+
+    getStateDefinitions() {
+        return [
+            { id: 'eventLoop.status', common: { name: 'Event loop status of all instances', type: 'string', role: 'text', read: true, write: false,
+                states: { ok: 'OK', warning: 'Warning', critical: 'Critical' } } },
+            { id: 'eventLoop.sustained', common: { name: 'Instances with sustained event loop lag (comma-separated)', type: 'string', role: 'text', read: true, write: false } },
+            { id: 'eventLoop.details', common: { name: 'Event loop details per instance (JSON)', type: 'string', role: 'json', read: true, write: false } },
+            { id: 'eventLoop.timestamp', common: { name: 'Last event loop check timestamp', type: 'number', role: 'date', read: true, write: false } },
+        ];
+    }
+
+    async init() {
+        await super.init();
+        const config = this.adapter.config;
+        this.monitor = new EventLoopMonitor(this.adapter, {
+            warningLagMs: config.eventLoopLagWarningMs || 100,
+            criticalLagMs: config.eventLoopLagCriticalMs || 1000,
+            sampleCount: config.eventLoopSampleCount || 5,
+            historySize: 60,
+            alertEngine: this.adapter.alertEngine || null,
+        });
+
+        // Keep percentiles across restarts
+        if (this.adapter.metricStore) {
+            for (const { instance, key } of await InstanceMonitor.discover(this.adapter)) {
+                this.monitor.seedHistory(instance, this.adapter.metricStore
+                    .getRecent(`eventLoop.${key}.lagMs`, this.monitor.config.historySize)
+                    .map(sample => ({ lagMs: sample.value, timestamp: sample.ts })));
+            }
+        }
+    }
+
+    async execute() {
+        const adapter = this.adapter;
+        const instanceCheck = adapter.checks ? adapter.checks.get('instances') : null;
+        const result = await this.monitor.check(instanceCheck ? instanceCheck.getResult() : null);
+
+        await adapter.setStateAsync('eventLoop.status', result.status, true);
+        await adapter.setStateAsync('eventLoop.sustained', result.sustained.join(', '), true);
+        await adapter.setStateAsync('eventLoop.details', JSON.stringify(result.instances, null, 2), true);
+        await adapter.setStateAsync('eventLoop.timestamp', result.timestamp, true);
+
+        if (result.warnings) {
+            adapter.log.warn(`Event loop check: ${result.warnings}`);
+        } else {
+            adapter.log.info(`Event loop check: OK (${result.instances.length} instance(s))`);
+        }
+
+        return result;
+    }
+
+    getMetrics(result) {
+        const metrics = {};
+        for (const instance of result.instances || []) {
+            metrics[`eventLoop.${instance.key}.lagMs`] = instance.lagMs;
+        }
+        return metrics;
+    }
+}
+
+module.exports = EventLoopCheck;
@@ -0,0 +1,96 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const HostMonitor = require('../health-checks/host-monitor');
+
+/**
+ * Multihost check: evaluates all ioBroker hosts from the states js-controller
+ * publishes. Per-host states (hosts.<host>.*) are created by HostMonitor.
+ */
+class HostCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'hosts',
+            category: 'monitor',
+            enabled: !!adapter.config.enableHostMonitoring,
+            schedule: adapter.config.scheduleHosts,
+        });
+        /** @type {HostMonitor|null} */
+        this.monitor = null;
+    }
+
+    getStateDefinitions() {
+        return [
+            { id: 'hosts.status', common: { name: 'Status of all hosts', type: 'string', role: 'text', read: true, write: false,
+                states: { ok: 'OK', warning: 'Warning', critical: 'Critical' } } },
+            { id: 'hosts.count', common: { name: 'Number of hosts', type: 'number', role: 'value', read: true, write: false } },
+            { id: 'hosts.online', common: { name: 'Number of hosts online', type: 'number', role: 'value', read: true, write: false } },
+            { id: 'hosts.offline', common: { name: 'Hosts offline (comma-separated)', type: 'string', role: 'text', read: true, write: false } },
+            { id: 'hosts.details', common: { name: 'Host details (JSON)', type: 'string', role: 'json', read: true, write: false } },
+            { id: 'hosts.timestamp', common: { name: 'Last host check timestamp', type: 'number', role: 'date', read: true, write: false } },
+        ];
+    }
+
+    async init() {
+        await super.init();
+        const config = this.adapter.config;
+        this.monitor = new HostMonitor(this.adapter, {
+            memoryWarningPercent: config.hostMemoryWarningPercent || 85,
+            memoryCriticalPercent: config.hostMemoryCriticalPercent || 95,
+            loadWarningPerCore: config.hostLoadWarningPerCore || 1.5,
+            loadCriticalPerCore: config.hostLoadCriticalPerCore || 3,
+            diskWarningPercent: config.diskWarningPercent || 80,
+            diskCriticalPercent: config.diskCriticalPercent || 90,
+            alertEngine: this.adapter.alertEngine || null,
+        });
+    }
+
+    async execute() {
+        const adapter = this.adapter;
+        const result = await this.monitor.check();
+
+        await adapter.setStateAsync('hosts.status', result.status, true);
+        await adapter.setStateAsync('hosts.count', result.total, true);
+        await adapter.setStateAsync('hosts.online', result.online, true);
+        await adapter.setStateAsync('hosts.offline', result.offline.join(', '), true);
+        await adapter.setStateAsync('hosts.details', JSON.stringify(result.hosts, null, 2), true);
+        await adapter.setStateAsync('hosts.timestamp', result.timestamp, true);
+
+        if (result.warnings) {
+            adapter.log.warn(`Host check: ${result.warnings}`);
+        } else {
+            adapter.log.info(`Host check completed: ${result.online}/${result.total} host(s) online.`);
+        }
+
+        return result;
+    }
+
+    getNotifications(result) {
+        return (result.hosts || []).map(host => ({
+            category: 'hostOffline',
+            key: host.name,
+            active: !host.alive,
+            message: `Host ${host.name} is offline`,
+        }));
+    }
+
+    getMetrics(result) {
+        const metrics = {};
+        for (const host of result.hosts || []) {
+            if (!host.alive) {
+                continue;
+            }
+            for (const metric of ['memoryUsedPercent', 'loadPerCore', 'diskUsedPercent']) {
+                if (host[metric] !== null) {
+                    metrics[`hosts.${host.key}.${metric}`] = host[metric];
+                }
+            }
+        }
+        return metrics;
+    }
+}
+
+module.exports = HostCheck;
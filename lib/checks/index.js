@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Built-in checks in the order they run.
+ */
+const BUILTIN_CHECKS = [
+    // System monitors
+    require('./memory-check'),
+    require('./instance-check'),
+    require('./event-loop-check'),
+    require('./cpu-check'),
+    require('./disk-check'),
+    require('./log-check'),
+    require('./redis-check'),
+    require('./host-check'),
+    // State inspector checks
+    require('./duplicate-check'),
+    require('./orphaned-check'),
+    require('./stale-check'),
+    require('./performance-check'),
+    require('./version-check'),
+];
+
+module.exports = {
+    BaseCheck: require('./base-check'),
+    CheckRegistry: require('./check-registry'),
+    BUILTIN_CHECKS,
+};
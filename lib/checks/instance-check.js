@@ -0,0 +1,107 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const InstanceMonitor = require('../health-checks/instance-monitor');
+
+/**
+ * Memory, CPU and leak detection per adapter instance. Per-instance states
+ * (instances.<name>_<n>.*) are created by InstanceMonitor.
+ */
+class InstanceCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'instances',
+            category: 'monitor',
+            enabled: !!adapter.config.enableInstanceMonitoring,
+            schedule: adapter.config.scheduleInstances,
+        });
+        /** @type {InstanceMonitor|null} */
+        this.monitor = null;
+    }
+
+    getStateDefinitions() {
+        return [
+            { id: 'instances.status', common: { name: 'Resource status of all instances', type: 'string', role: 'text', read: true, write: false,
+                states: { ok: 'OK', warning: 'Warning', critical: 'Critical' } } },
+            { id: 'instances.running', common: { name: 'Number of running instances', type: 'number', role: 'value', read: true, write: false } },
+            { id: 'instances.totalMemRssMB', common: { name: 'Memory (RSS) of all instances', type: 'number', role: 'value', unit: 'MB', read: true, write: false } },
+            { id: 'instances.ranking', common: { name: 'Heaviest instances by memory and CPU (JSON)', type: 'string', role: 'json', read: true, write: false } },
+            { id: 'instances.leaks', common: { name: 'Instances with a potential memory leak (comma-separated)', type: 'string', role: 'text', read: true, write: false } },
+            { id: 'instances.timestamp', common: { name: 'Last instance check timestamp', type: 'number', role: 'date', read: true, write: false } },
+        ];
+    }
+
+    async init() {
+        await super.init();
+        const config = this.adapter.config;
+        this.monitor = new InstanceMonitor(this.adapter, {
+            memoryWarningMB: config.instanceMemoryWarningMB || 500,
+            cpuWarningPercent: config.instanceCpuWarningPercent || 80,
+            leakDetectionWindow: 10,
+            leakGrowthThresholdMB: config.instanceLeakGrowthMB || 5,
+            rankingSize: 10,
+            alertEngine: this.adapter.alertEngine || null,
+        });
+
+        // Continue leak detection across restarts
+        if (this.adapter.metricStore) {
+            for (const { instance, key } of await this.monitor.discoverInstances()) {
+                this.monitor.seedHistory(instance, this.adapter.metricStore
+                    .getRecent(`instances.${key}.memRssMB`, this.monitor.config.leakDetectionWindow)
+                    .map(sample => ({ usedMB: sample.value, timestamp: sample.ts })));
+            }
+        }
+    }
+
+    async execute() {
+        const adapter = this.adapter;
+        const result = await this.monitor.check();
+
+        await adapter.setStateAsync('instances.status', result.status, true);
+        await adapter.setStateAsync('instances.running', result.running, true);
+        await adapter.setStateAsync('instances.totalMemRssMB', result.totalMemRssMB, true);
+        await adapter.setStateAsync('instances.ranking', JSON.stringify(result.ranking, null, 2), true);
+        await adapter.setStateAsync('instances.leaks', result.leaks.join(', '), true);
+        await adapter.setStateAsync('instances.timestamp', result.timestamp, true);
+
+        if (result.warnings) {
+            adapter.log.warn(`Instance check: ${result.warnings}`);
+        } else {
+            adapter.log.info(`Instance check: OK (${result.running} running instance(s), ${result.totalMemRssMB} MB RSS)`);
+        }
+        if (result.ranking.memory.length > 0) {
+            adapter.log.debug(`Top memory consumers: ${result.ranking.memory.map(i => `${i.instance} (${i.memRssMB} MB)`).join(', ')}`);
+        }
+
+        return result;
+    }
+
+    getNotifications(result) {
+        return (result.instances || []).map(instance => ({
+            category: 'memoryLeak',
+            key: instance.instance,
+            active: !!instance.leak,
+            message: instance.leak
+                ? `Potential memory leak in ${instance.instance}: +${instance.leak.avgGrowthMB} MB per check (RSS ${instance.memRssMB} MB)`
+                : `Potential memory leak in ${instance.instance}`,
+        }));
+    }
+
+    getMetrics(result) {
+        const metrics = { 'instances.totalMemRssMB': result.totalMemRssMB };
+        for (const instance of result.instances || []) {
+            if (instance.memRssMB !== null) {
+                metrics[`instances.${instance.key}.memRssMB`] = instance.memRssMB;
+            }
+            if (instance.cpu !== null) {
+                metrics[`instances.${instance.key}.cpu`] = instance.cpu;
+            }
+        }
+        return metrics;
+    }
+}
+
+module.exports = InstanceCheck;
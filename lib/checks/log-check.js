@@ -0,0 +1,68 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const LogMonitor = require('../health-checks/log-monitor');
+
+/**
+ * Log error/warning check.
+ * The logs.* states are created by the adapter on startup.
+ */
+class LogCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'logs',
+            category: 'monitor',
+            enabled: !!adapter.config.enableLogMonitoring,
+            schedule: adapter.config.scheduleLogs,
+        });
+        /** @type {LogMonitor|null} */
+        this.monitor = null;
+    }
+
+    async init() {
+        this.monitor = new LogMonitor(this.adapter, {
+            maxLogLines: this.adapter.config.logMaxLines || 1000,
+            trackingWindowHours: this.adapter.config.logTrackingWindowHours || 24,
+        });
+    }
+
+    async execute() {
+        const adapter = this.adapter;
+        const result = await this.monitor.check();
+
+        // Update states
+        await adapter.setStateAsync('logs.totalErrors', result.summary.totalErrors, true);
+        await adapter.setStateAsync('logs.totalWarnings', result.summary.totalWarnings, true);
+        await adapter.setStateAsync('logs.instanceCount', result.summary.instanceCount, true);
+        await adapter.setStateAsync('logs.status', result.status, true);
+        await adapter.setStateAsync('logs.timestamp', result.timestamp, true);
+
+        // Store detailed data as JSON
+        await adapter.setStateAsync('logs.details', JSON.stringify(result.instances), true);
+
+        // Log results
+        if (result.summary.totalErrors > 0 || result.summary.totalWarnings > 0) {
+            adapter.log.warn(
+                `Log check: ${result.summary.totalErrors} errors, ${result.summary.totalWarnings} warnings across ${result.summary.instanceCount} instances`
+            );
+        } else {
+            adapter.log.info('Log check: No errors or warnings detected');
+        }
+
+        adapter.log.info('Log check completed.');
+
+        return result;
+    }
+
+    getMetrics(result) {
+        return {
+            'logs.totalErrors': result.summary.totalErrors,
+            'logs.totalWarnings': result.summary.totalWarnings,
+        };
+    }
+}
+
+module.exports = LogCheck;
@@ -0,0 +1,98 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const MemoryMonitor = require('../health-checks/memory-monitor');
+
+/**
+ * Memory usage and leak detection check.
+ * The memory.* states are created by the adapter on startup so they are
+ * populated before the first check has run.
+ */
+class MemoryCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'memory',
+            category: 'monitor',
+            enabled: !!adapter.config.enableMemoryMonitoring,
+            schedule: adapter.config.scheduleMemory,
+        });
+        /** @type {MemoryMonitor|null} */
+        this.monitor = null;
+    }
+
+    async init() {
+        this.monitor = new MemoryMonitor(this.adapter, {
+            warningThresholdMB: this.adapter.config.memoryWarningMB || 500,
+            criticalThresholdPercent: 90,
+            leakDetectionWindow: 10,
+            leakGrowthThresholdMB: 50,
+            alertEngine: this.adapter.alertEngine || null,
+        });
+
+        // Continue leak detection across restarts
+        if (this.adapter.metricStore) {
+            this.monitor.history = this.adapter.metricStore
+                .getRecent('memory.usedMB', this.monitor.config.leakDetectionWindow)
+                .map(sample => ({ usedMB: sample.value, timestamp: sample.ts }));
+        }
+    }
+
+    async execute() {
+        const adapter = this.adapter;
+        const result = await this.monitor.check();
+
+        // Update states
+        await adapter.setStateAsync('memory.totalMB', result.stats.totalMB, true);
+        await adapter.setStateAsync('memory.usedMB', result.stats.usedMB, true);
+        await adapter.setStateAsync('memory.freeMB', result.stats.freeMB, true);
+        await adapter.setStateAsync('memory.usedPercent', result.stats.usedPercent, true);
+        await adapter.setStateAsync('memory.status', result.status, true);
+        await adapter.setStateAsync('memory.leakDetected', !!result.leak, true);
+
+        const allMessages = [...result.warnings, ...result.critical];
+        await adapter.setStateAsync('memory.warnings', allMessages.join('; '), true);
+        await adapter.setStateAsync('memory.timestamp', Date.now(), true);
+
+        // Log results
+        if (result.status === 'critical') {
+            adapter.log.error(`Memory check: ${result.critical.join(', ')}`);
+        } else if (result.status === 'warning') {
+            adapter.log.warn(`Memory check: ${result.warnings.join(', ')}`);
+        } else {
+            adapter.log.info(`Memory check: OK (${result.stats.usedMB} MB / ${result.stats.totalMB} MB used)`);
+        }
+
+        if (result.leak) {
+            adapter.log.warn(
+                `Potential memory leak detected: +${result.leak.avgGrowthMB} MB/sample (${result.leak.trendPercent}% upward trend)`
+            );
+        }
+
+        if (result.topProcesses && result.topProcesses.length > 0) {
+            adapter.log.debug(`Top memory consumers: ${result.topProcesses.map(p => `${p.command} (${p.memPercent}%)`).join(', ')}`);
+        }
+
+        return result;
+    }
+
+    getNotifications(result) {
+        return [{
+            category: 'memoryCritical',
+            active: result.status === 'critical',
+            message: `Memory critical: ${(result.critical || []).join(', ')}`,
+        }];
+    }
+
+    getMetrics(result) {
+        return {
+            'memory.usedPercent': result.stats.usedPercent,
+            'memory.usedMB': result.stats.usedMB,
+            'memory.freeMB': result.stats.freeMB,
+        };
+    }
+}
+
+module.exports = MemoryCheck;
@@ -0,0 +1,80 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const OrphanedStateInspector = require('../state-inspector/orphaned-states');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Orphaned state detection. States (inspector.orphanedStates.*) are created by the inspector.
+ *
+ * With an object change tracker (`adapter.objectChanges`) only the objects
+ * changed since the last run are re-evaluated; a full scan runs on the first
+ * run, after too many changes and every `inspectorFullScanHours`.
+ */
+class OrphanedCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'orphanedStates',
+            category: 'inspector',
+            enabled: !!adapter.config.enableOrphanDetection,
+            schedule: adapter.config.scheduleOrphaned,
+        });
+        /** @type {OrphanedStateInspector|null} */
+        this.inspector = null;
+        /** @type {import('../state-inspector/object-change-tracker')|null} */
+        this.objectChanges = null;
+        this.fullScanIntervalMs = (Number(adapter.config.inspectorFullScanHours) || 24) * HOUR;
+        this.lastFullScan = 0;
+    }
+
+    async init() {
+        const ignorePatterns = BaseCheck.parseIgnorePatterns(this.adapter.config.stateInspectorIgnorePatterns);
+        this.inspector = new OrphanedStateInspector(this.adapter, ignorePatterns, { dataDir: this.adapter.ioBrokerDataDir });
+        this.inspector.snapshot = this.adapter.stateSnapshot || null;
+        await this.inspector.init();
+
+        this.objectChanges = this.adapter.objectChanges || null;
+        if (this.objectChanges) {
+            this.objectChanges.register(this.name);
+        }
+    }
+
+    async execute() {
+        const pending = this.objectChanges ? this.objectChanges.take(this.name) : null;
+
+        let report = null;
+        if (pending && !pending.overflow && this.lastFullScan && Date.now() - this.lastFullScan < this.fullScanIntervalMs) {
+            report = await this.inspector.inspectChanges(pending.changes);
+        }
+        const incremental = !!report;
+        if (!report) {
+            report = await this.inspector.inspect();
+            this.lastFullScan = Date.now();
+        }
+
+        if (report.totalOrphaned > 0) {
+            this.adapter.log.warn(`Found ${report.totalOrphaned} orphaned state(s)`);
+        } else {
+            this.adapter.log.info('No orphaned states detected');
+        }
+
+        return {
+            status: report.totalOrphaned > 0 ? 'warning' : 'ok',
+            count: report.totalOrphaned,
+            incremental,
+            report,
+        };
+    }
+
+    async cleanup() {
+        if (this.inspector) {
+            await this.inspector.cleanup();
+        }
+    }
+}
+
+module.exports = OrphanedCheck;
@@ -0,0 +1,71 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const PerformanceAnalysisInspector = require('../state-inspector/performance-analysis');
+
+/**
+ * Performance and resource usage analysis. States (inspector.performance.*) are created by the inspector.
+ */
+class PerformanceCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'performance',
+            category: 'inspector',
+            enabled: !!adapter.config.enablePerformanceAnalysis,
+            schedule: adapter.config.schedulePerformance,
+        });
+        /** @type {PerformanceAnalysisInspector|null} */
+        this.inspector = null;
+    }
+
+    async init() {
+        const config = this.adapter.config;
+        this.inspector = new PerformanceAnalysisInspector(this.adapter, {
+            updateFrequencyThresholdMs: config.performanceFrequencyThresholdMs || 100,
+            largeTreeThreshold: config.performanceLargeTreeThreshold || 1000,
+            monitoringDurationMs: config.performanceMonitoringDurationMs || 60000,
+            ignorePatterns: BaseCheck.parseIgnorePatterns(config.stateInspectorIgnorePatterns)
+        });
+        this.inspector.snapshot = this.adapter.stateSnapshot || null;
+        await this.inspector.init();
+    }
+
+    async execute() {
+        const report = await this.inspector.inspect();
+
+        const totalIssues =
+            report.highFrequencyStates.length +
+            report.largeObjectTrees.length +
+            report.historyWaste.length +
+            report.ackIssues.length;
+
+        if (totalIssues > 0) {
+            this.adapter.log.warn(
+                `Performance analysis found ${totalIssues} issue(s): ` +
+                `${report.highFrequencyStates.length} high-freq, ` +
+                `${report.largeObjectTrees.length} large trees, ` +
+                `${report.historyWaste.length} history waste, ` +
+                `${report.ackIssues.length} ack issues`
+            );
+        } else {
+            this.adapter.log.info('No performance issues detected');
+        }
+
+        return {
+            status: totalIssues > 0 ? 'warning' : 'ok',
+            count: totalIssues,
+            report,
+        };
+    }
+
+    async cleanup() {
+        if (this.inspector) {
+            await this.inspector.cleanup();
+        }
+    }
+}
+
+module.exports = PerformanceCheck;
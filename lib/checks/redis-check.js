@@ -0,0 +1,136 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const RedisMonitor = require('../health-checks/redis-monitor');
+
+/**
+ * Redis backend check.
+ * The redis.* states are always created (even when Redis is not in use)
+ * so dashboard widgets don't show empty/broken values.
+ */
+class RedisCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'redis',
+            category: 'monitor',
+            enabled: adapter.config.enableRedisMonitoring !== false,
+            schedule: adapter.config.scheduleRedis,
+        });
+        /** @type {RedisMonitor|null} */
+        this.monitor = null;
+    }
+
+    getStateDefinitions() {
+        return [
+            { id: 'redis.status', common: { name: 'Redis status', type: 'string', role: 'text', read: true, write: false,
+                states: { ok: 'OK', warning: 'Warning', error: 'Error', skipped: 'Skipped' } } },
+            { id: 'redis.connected', common: { name: 'Redis connected', type: 'boolean', role: 'indicator.reachable', read: true, write: false } },
+            { id: 'redis.memoryUsedPercent', common: { name: 'Redis memory usage (%)', type: 'number', role: 'value', unit: '%', read: true, write: false } },
+            { id: 'redis.memoryUsedBytes', common: { name: 'Redis memory used (bytes)', type: 'number', role: 'value', read: true, write: false } },
+            { id: 'redis.keys', common: { name: 'Redis total keys', type: 'number', role: 'value', read: true, write: false } },
+            { id: 'redis.evictedKeys', common: { name: 'Redis evicted keys', type: 'number', role: 'value', read: true, write: false } },
+            { id: 'redis.latencyMs', common: { name: 'Redis ping latency (ms)', type: 'number', role: 'value', unit: 'ms', read: true, write: false } },
+            { id: 'redis.details', common: { name: 'Redis detailed report (JSON)', type: 'string', role: 'json', read: true, write: false } },
+            { id: 'redis.timestamp', common: { name: 'Last Redis check timestamp', type: 'number', role: 'date', read: true, write: false } },
+        ];
+    }
+
+    async init() {
+        await super.init();
+        this.monitor = new RedisMonitor(this.adapter, {
+            memoryWarningPercent: this.adapter.config.redisMemoryWarningPercent || 80,
+            memoryErrorPercent: this.adapter.config.redisMemoryErrorPercent || 95,
+            latencyWarningMs: this.adapter.config.redisLatencyWarningMs || 100,
+        });
+    }
+
+    async execute() {
+        const adapter = this.adapter;
+        const result = await this.monitor.check();
+
+        // If Redis is not detected, initialize with safe defaults
+        if (result.status === 'skipped') {
+            adapter.log.debug('Redis monitoring skipped: ' + result.reason);
+
+            await adapter.setStateAsync('redis.status', 'skipped', true);
+            await adapter.setStateAsync('redis.connected', false, true);
+            await adapter.setStateAsync('redis.latencyMs', 0, true);
+            await adapter.setStateAsync('redis.memoryUsedPercent', 0, true);
+            await adapter.setStateAsync('redis.memoryUsedBytes', 0, true);
+            await adapter.setStateAsync('redis.keys', 0, true);
+            await adapter.setStateAsync('redis.evictedKeys', 0, true);
+            await adapter.setStateAsync('redis.timestamp', Date.now(), true);
+            await adapter.setStateAsync('redis.details', JSON.stringify({
+                status: 'skipped',
+                reason: result.reason,
+                timestamp: result.timestamp
+            }, null, 2), true);
+
+            return result;
+        }
+
+        // Update states with real values if Redis IS in use
+        await adapter.setStateAsync('redis.status', result.status, true);
+        await adapter.setStateAsync('redis.connected', result.connection, true);
+        await adapter.setStateAsync('redis.latencyMs', result.latencyMs || 0, true);
+        await adapter.setStateAsync('redis.timestamp', result.timestamp, true);
+
+        if (result.memory) {
+            await adapter.setStateAsync('redis.memoryUsedPercent', result.memory.usedPercent, true);
+            await adapter.setStateAsync('redis.memoryUsedBytes', result.memory.usedBytes, true);
+        }
+
+        if (result.keys !== null) {
+            await adapter.setStateAsync('redis.keys', result.keys, true);
+        }
+
+        if (result.evictedKeys !== null) {
+            await adapter.setStateAsync('redis.evictedKeys', result.evictedKeys, true);
+        }
+
+        await adapter.setStateAsync('redis.details', JSON.stringify(result, null, 2), true);
+
+        // Log results
+        for (const err of result.errors) {
+            adapter.log.error(`Redis: ${err}`);
+        }
+        for (const warn of result.warnings) {
+            adapter.log.warn(`Redis: ${warn}`);
+        }
+        if (result.status === 'ok') {
+            adapter.log.info(`Redis check: OK (latency: ${result.latencyMs}ms, keys: ${result.keys})`);
+        }
+
+        return result;
+    }
+
+    getNotifications(result) {
+        if (result.status === 'skipped') {
+            return [];
+        }
+        return [{
+            category: 'redisError',
+            active: result.status === 'error',
+            message: `Redis error: ${(result.errors || []).join(', ')}`,
+        }];
+    }
+
+    getMetrics(result) {
+        if (result.status === 'skipped') {
+            return {};
+        }
+        const metrics = { 'redis.latencyMs': result.latencyMs };
+        if (result.memory) {
+            metrics['redis.memoryUsedPercent'] = result.memory.usedPercent;
+        }
+        if (result.keys !== null) {
+            metrics['redis.keys'] = result.keys;
+        }
+        return metrics;
+    }
+}
+
+module.exports = RedisCheck;
@@ -0,0 +1,110 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const StaleStateInspector = require('../state-inspector/stale-detection');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Stale state detection. States (inspector.staleStates.*) are created by the inspector.
+ * Stale states of adapter instances in a maintenance window are reported but do not raise the status.
+ *
+ * With an object change tracker (`adapter.objectChanges`) only changed states
+ * and states older than the threshold are re-read; a full scan runs on the
+ * first run, after too many changes and every `inspectorFullScanHours`.
+ */
+class StaleCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'staleStates',
+            category: 'inspector',
+            enabled: !!adapter.config.enableStaleDetection,
+            schedule: adapter.config.scheduleStale,
+        });
+        /** @type {StaleStateInspector|null} */
+        this.inspector = null;
+        /** @type {import('../state-inspector/object-change-tracker')|null} */
+        this.objectChanges = null;
+        this.fullScanIntervalMs = (Number(adapter.config.inspectorFullScanHours) || 24) * HOUR;
+        this.lastFullScan = 0;
+    }
+
+    async init() {
+        const thresholdHours = this.adapter.config.staleThresholdHours || 24;
+        const ignorePatterns = BaseCheck.parseIgnorePatterns(this.adapter.config.stateInspectorIgnorePatterns);
+        this.inspector = new StaleStateInspector(this.adapter, thresholdHours, ignorePatterns);
+        this.inspector.snapshot = this.adapter.stateSnapshot || null;
+        await this.inspector.init();
+
+        this.objectChanges = this.adapter.objectChanges || null;
+        if (this.objectChanges) {
+            this.objectChanges.register(this.name);
+        }
+    }
+
+    async execute() {
+        const pending = this.objectChanges ? this.objectChanges.take(this.name) : null;
+
+        let report = null;
+        if (pending && !pending.overflow && this.lastFullScan && Date.now() - this.lastFullScan < this.fullScanIntervalMs) {
+            report = await this.inspector.inspectChanges(pending.changes);
+        }
+        const incremental = !!report;
+        if (!report) {
+            report = await this.inspector.inspect();
+            this.lastFullScan = Date.now();
+        }
+
+        const maintenance = this.adapter.maintenance;
+        let maintenanceCount = 0;
+        if (maintenance) {
+            for (const state of report.staleStates || []) {
+                if (maintenance.isActive(state.id)) {
+                    state.duringMaintenance = true;
+                    maintenanceCount++;
+                }
+            }
+        }
+        const alertCount = report.totalStale - maintenanceCount;
+
+        if (alertCount > 0) {
+            this.adapter.log.warn(`Found ${report.totalStale} stale state(s)`);
+        } else if (report.totalStale > 0) {
+            this.adapter.log.info(`Found ${report.totalStale} stale state(s), all of them during maintenance`);
+        } else {
+            this.adapter.log.info('No stale states detected');
+        }
+
+        return {
+            status: alertCount > 0 ? 'warning' : 'ok',
+            count: report.totalStale,
+            maintenanceCount,
+            incremental,
+            report,
+        };
+    }
+
+    getNotifications(result) {
+        const count = result.count - (result.maintenanceCount || 0);
+        const examples = (result.report.staleStates || [])
+            .filter(s => !s.duringMaintenance)
+            .slice(0, 3)
+            .map(s => s.id);
+        return [{
+            category: 'staleStates',
+            active: count > 0,
+            message: `${count} stale state(s) found` + (examples.length > 0 ? `, e.g. ${examples.join(', ')}` : ''),
+        }];
+    }
+
+    async cleanup() {
+        if (this.inspector) {
+            await this.inspector.cleanup();
+        }
+    }
+}
+
+module.exports = StaleCheck;
@@ -0,0 +1,71 @@
+'use strict';
+
+const BaseCheck = require('./base-check');
+const VersionReport = require('../health-checks/version-report');
+
+/**
+ * Outdated adapters, deprecated adapters and unsatisfied dependencies.
+ */
+class VersionCheck extends BaseCheck {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'versions',
+            category: 'inspector',
+            enabled: !!adapter.config.enableVersionCheck,
+            schedule: adapter.config.scheduleVersions,
+        });
+        /** @type {VersionReport|null} */
+        this.report = null;
+    }
+
+    getStateDefinitions() {
+        return [
+            { id: 'versions.outdated', common: { name: 'Instances with an update available', type: 'number', role: 'value', read: true, write: false } },
+            { id: 'versions.deprecated', common: { name: 'Instances of deprecated adapters', type: 'number', role: 'value', read: true, write: false } },
+            { id: 'versions.incompatible', common: { name: 'Instances with unsatisfied dependencies', type: 'number', role: 'value', read: true, write: false } },
+            { id: 'versions.details', common: { name: 'Version report per instance (JSON)', type: 'string', role: 'json', read: true, write: false } },
+            { id: 'versions.timestamp', common: { name: 'Last version check timestamp', type: 'number', role: 'date', read: true, write: false } },
+        ];
+    }
+
+    async init() {
+        await super.init();
+        this.report = new VersionReport(this.adapter);
+    }
+
+    async execute() {
+        const adapter = this.adapter;
+        const report = await this.report.inspect();
+
+        await adapter.setStateAsync('versions.outdated', report.outdated, true);
+        await adapter.setStateAsync('versions.deprecated', report.deprecated, true);
+        await adapter.setStateAsync('versions.incompatible', report.incompatible, true);
+        await adapter.setStateAsync('versions.details', JSON.stringify(report.instances), true);
+        await adapter.setStateAsync('versions.timestamp', Date.now(), true);
+
+        if (!report.repositoryAvailable) {
+            adapter.log.info('Version check: no cached repository found, open the adapter list in admin once to load it');
+        }
+
+        const count = report.instances.filter(i => i.outdated || i.deprecated || i.unsatisfied.length > 0).length;
+        if (count > 0) {
+            adapter.log.warn(
+                `Version check: ${report.outdated} outdated, ${report.deprecated} deprecated, ` +
+                `${report.incompatible} with unsatisfied dependencies`
+            );
+        } else {
+            adapter.log.info('Version check: all instances up to date and compatible');
+        }
+
+        return {
+            status: count > 0 ? 'warning' : 'ok',
+            count,
+            report,
+        };
+    }
+}
+
+module.exports = VersionCheck;
@@ -0,0 +1,438 @@
+'use strict';
+
+const os = require('os');
+
+const HOUR = 60 * 60 * 1000;
+
+/** Length of the digest period. */
+const PERIODS = { daily: 24 * HOUR, weekly: 7 * 24 * HOUR };
+
+/** Number of instances listed in the log section. */
+const TOP_LOG_INSTANCES = 5;
+
+/** Number of new findings listed by ID per inspector. */
+const MAX_LISTED_FINDINGS = 10;
+
+/**
+ * Inspector checks whose findings are compared with the previous digest.
+ * `ids` lists the identity of every finding of a check result.
+ */
+const FINDINGS = {
+    orphanedStates: {
+        label: 'Orphaned states',
+        ids: result => ((result.report && result.report.orphanedStates) || []).map(state => state.id),
+    },
+    staleStates: {
+        label: 'Stale states',
+        ids: result => ((result.report && result.report.staleStates) || []).filter(state => !state.duringMaintenance).map(state => state.id),
+    },
+    duplicates: {
+        label: 'Duplicate groups',
+        ids: result => (result.duplicates || []).map(group => (group.states || []).map(state => state.id).sort().join(', ')),
+    },
+};
+
+/**
+ * Periodic (daily or weekly) summary of the health data.
+ *
+ * The digest covers min/avg/max and trend of memory, CPU, disk and Redis
+ * memory (from the metric history), crashes of the period with their
+ * classification, the instances with most log errors and the orphaned, stale
+ * and duplicate findings that are new since the previous digest. It is written
+ * as Markdown and HTML to `digest.markdown` / `digest.html` and sent to the
+ * messenger channels that have the digest enabled.
+ */
+class DigestReport {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {string} [options.period] - 'daily' or 'weekly' (default: 'daily')
+     * @param {number} [options.hour] - Hour of the day the digest is created (default: 7)
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.period = options.period === 'weekly' ? 'weekly' : 'daily';
+        const hour = Number(options.hour);
+        this.hour = options.hour !== undefined && options.hour !== '' && Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 7;
+    }
+
+    /**
+     * Cron expression of the digest schedule (weekly digests on Monday).
+     * @returns {string}
+     */
+    getCron() {
+        return this.period === 'weekly' ? `0 ${this.hour} * * 1` : `0 ${this.hour} * * *`;
+    }
+
+    /**
+     * Create the digest states.
+     */
+    async createStates() {
+        const states = [
+            { id: 'digest.markdown', common: { name: 'Last digest (Markdown)', type: 'string', role: 'text', read: true, write: false } },
+            { id: 'digest.html', common: { name: 'Last digest (HTML)', type: 'string', role: 'html', read: true, write: false } },
+            { id: 'digest.lastRun', common: { name: 'Time of the last digest', type: 'number', role: 'date', read: true, write: false } },
+            { id: 'digest.snapshot', common: { name: 'Findings of the last digest (used to detect new findings)', type: 'string', role: 'json', read: true, write: false } },
+            { id: 'digest.generate', common: { name: 'Create a digest now', type: 'boolean', role: 'button', read: false, write: true } },
+        ];
+
+        for (const state of states) {
+            await this.adapter.setObjectNotExistsAsync(state.id, { type: 'state', common: state.common, native: {} });
+        }
+    }
+
+    /**
+     * Collect the digest data.
+     * @param {number} [now] - End of the period
+     * @returns {Promise<object>}
+     */
+    async build(now = Date.now()) {
+        const adapter = this.adapter;
+        const from = now - PERIODS[this.period];
+        const results = {};
+        for (const check of adapter.checks ? adapter.checks.getAll() : []) {
+            results[check.name] = check.getResult();
+        }
+
+        const health = adapter.healthScore && adapter.healthScore.lastResult;
+        const previous = await this._loadSnapshot();
+
+        const { findings, snapshot } = this._compareFindings(results, previous);
+
+        return {
+            title: `System health ${this.period} digest (${adapter.host || os.hostname()})`,
+            period: this.period,
+            from,
+            to: now,
+            healthScore: health ? { score: health.score, status: health.status } : null,
+            resources: this._resources(from, now),
+            crashes: this._crashes(from, now),
+            logs: this._logs(results.logs),
+            findings,
+            snapshot: { timestamp: now, findings: snapshot },
+        };
+    }
+
+    /**
+     * Resource statistics of the period, null if the metric history is disabled.
+     * @param {number} from - Start of the period
+     * @param {number} to - End of the period
+     * @returns {Array<{label: string, min: number, avg: number, max: number, trend: number}>|null}
+     */
+    _resources(from, to) {
+        const store = this.adapter.metricStore;
+        if (!store) {
+            return null;
+        }
+
+        const metrics = [
+            ['memory.usedPercent', 'Memory used'],
+            ['cpu.usage', 'CPU usage'],
+            ...store.getMetrics()
+                .filter(metric => /^disk\..+\.usedPercent$/.test(metric))
+                .sort()
+                .map(metric => [metric, `Disk ${metric.slice('disk.'.length, -'.usedPercent'.length)}`]),
+            ['redis.memoryUsedPercent', 'Redis memory'],
+        ];
+
+        const resources = [];
+        for (const [metric, label] of metrics) {
+            const summary = store.summarize(metric, from, to);
+            if (summary) {
+                resources.push({
+                    label,
+                    min: summary.min,
+                    avg: summary.avg,
+                    max: summary.max,
+                    trend: Math.round((summary.last - summary.first) * 10) / 10,
+                });
+            }
+        }
+        return resources;
+    }
+
+    /**
+     * Crashes of the period per adapter instance, excluding maintenance windows.
+     * @param {number} from - Start of the period
+     * @param {number} to - End of the period
+     * @returns {Array<{instance: string, count: number, categories: Record<string, number>, last: number}>|null} Null without crash detection
+     */
+    _crashes(from, to) {
+        const crashDetection = this.adapter.crashDetection;
+        if (!crashDetection) {
+            return null;
+        }
+
+        const crashes = [];
+        for (const [adapterId, events] of Object.entries(crashDetection.crashHistory)) {
+            const inPeriod = events.filter(event => {
+                const time = new Date(event.timestamp).getTime();
+                return !event.duringMaintenance && time > from && time <= to;
+            });
+            if (inPeriod.length === 0) {
+                continue;
+            }
+
+            const categories = {};
+            for (const event of inPeriod) {
+                categories[event.category] = (categories[event.category] || 0) + 1;
+            }
+            crashes.push({
+                instance: adapterId.replace(/^system\.adapter\./, ''),
+                count: inPeriod.length,
+                categories,
+                last: Math.max(...inPeriod.map(event => new Date(event.timestamp).getTime())),
+            });
+        }
+
+        return crashes.sort((a, b) => b.count - a.count || a.instance.localeCompare(b.instance));
+    }
+
+    /**
+     * Instances with the most log errors, null if the log check has not run.
+     * @param {object|null|undefined} result - Log check result
+     * @returns {Array<{instance: string, totalErrors: number, totalWarnings: number, topError: string|null}>|null}
+     */
+    _logs(result) {
+        if (!result || !Array.isArray(result.instances)) {
+            return null;
+        }
+        return result.instances
+            .filter(instance => instance.totalErrors > 0)
+            .sort((a, b) => b.totalErrors - a.totalErrors)
+            .slice(0, TOP_LOG_INSTANCES)
+            .map(instance => ({
+                instance: instance.instance,
+                totalErrors: instance.totalErrors,
+                totalWarnings: instance.totalWarnings,
+                topError: instance.topErrors && instance.topErrors.length > 0 ? instance.topErrors[0].type : null,
+            }));
+    }
+
+    /**
+     * Compare the current inspector findings with the previous digest.
+     * Inspectors without result keep their previous snapshot.
+     * @param {Record<string, object|null>} results - Latest check results
+     * @param {{findings?: Record<string, string[]>}|null} previous - Snapshot of the previous digest
+     * @returns {{findings: Array<{check: string, label: string, checked: boolean, total: number, added: string[]|null}>, snapshot: Record<string, string[]>}}
+     */
+    _compareFindings(results, previous) {
+        const findings = [];
+        const snapshot = {};
+
+        for (const [check, definition] of Object.entries(FINDINGS)) {
+            const before = previous && previous.findings ? previous.findings[check] : undefined;
+            const result = results[check];
+            if (!result || result.status === 'error' || result.status === 'skipped') {
+                findings.push({ check, label: definition.label, checked: false, total: 0, added: null });
+                if (before) {
+                    snapshot[check] = before;
+                }
+                continue;
+            }
+
+            const ids = definition.ids(result);
+            const known = new Set(before || []);
+            findings.push({
+                check,
+                label: definition.label,
+                checked: true,
+                total: result.count !== undefined ? result.count : ids.length,
+                added: before ? ids.filter(id => !known.has(id)) : null,
+            });
+            snapshot[check] = ids;
+        }
+
+        return { findings, snapshot };
+    }
+
+    /**
+     * @returns {Promise<{findings?: Record<string, string[]>}|null>}
+     */
+    async _loadSnapshot() {
+        const state = await this.adapter.getStateAsync('digest.snapshot');
+        if (!state || !state.val) {
+            return null;
+        }
+        try {
+            return JSON.parse(String(state.val));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Format a timestamp as local `YYYY-MM-DD HH:mm`.
+     * @param {number} time - Timestamp
+     * @returns {string}
+     */
+    static formatTime(time) {
+        const date = new Date(time);
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * @param {number} trend - Change in percentage points
+     * @returns {string}
+     */
+    static formatTrend(trend) {
+        return `${trend > 0 ? '+' : ''}${trend.toFixed(1)} pp`;
+    }
+
+    /**
+     * Text lines of the digest sections, shared by the Markdown and HTML output.
+     * @param {object} data - Result of build()
+     * @returns {{summary: string[], crashes: string[]|string, findings: string[]}}
+     */
+    static _texts(data) {
+        const summary = [`Period: ${DigestReport.formatTime(data.from)} – ${DigestReport.formatTime(data.to)}`];
+        if (data.healthScore) {
+            summary.push(`Health score: ${data.healthScore.score} (${data.healthScore.status})`);
+        }
+
+        let crashes;
+        if (!data.crashes) {
+            crashes = 'Crash detection is disabled.';
+        } else if (data.crashes.length === 0) {
+            crashes = 'No crashes.';
+        } else {
+            crashes = data.crashes.map(crash => {
+                const categories = Object.entries(crash.categories).map(([category, count]) => `${category} ${count}×`).join(', ');
+                return `${crash.instance}: ${crash.count} crash(es) (${categories}), last ${DigestReport.formatTime(crash.last)}`;
+            });
+        }
+
+        const findings = data.findings.map(finding => {
+            if (!finding.checked) {
+                return `${finding.label}: not checked`;
+            }
+            if (finding.added === null) {
+                return `${finding.label}: ${finding.total} (first digest, nothing to compare with)`;
+            }
+            if (finding.added.length === 0) {
+                return `${finding.label}: no new findings (${finding.total} total)`;
+            }
+            const listed = finding.added.slice(0, MAX_LISTED_FINDINGS).join('; ');
+            const more = finding.added.length > MAX_LISTED_FINDINGS ? ` and ${finding.added.length - MAX_LISTED_FINDINGS} more` : '';
+            return `${finding.label}: ${finding.added.length} new (${finding.total} total): ${listed}${more}`;
+        });
+
+        return { summary, crashes, findings };
+    }
+
+    /**
+     * Render the digest as Markdown.
+     * @param {object} data - Result of build()
+     * @returns {string}
+     */
+    static toMarkdown(data) {
+        const texts = DigestReport._texts(data);
+        const lines = [`# ${data.title}`, '', ...texts.summary.map(line => `${line}  `), '', '## Resources', ''];
+
+        if (!data.resources) {
+            lines.push('Metric history is disabled.');
+        } else if (data.resources.length === 0) {
+            lines.push('No samples in this period.');
+        } else {
+            lines.push('| Metric | Min | Avg | Max | Trend |', '|---|---|---|---|---|');
+            for (const r of data.resources) {
+                lines.push(`| ${r.label} | ${r.min}% | ${r.avg}% | ${r.max}% | ${DigestReport.formatTrend(r.trend)} |`);
+            }
+        }
+
+        lines.push('', '## Crashes', '');
+        lines.push(...(Array.isArray(texts.crashes) ? texts.crashes.map(line => `- ${line}`) : [texts.crashes]));
+
+        lines.push('', '## Log errors', '');
+        if (!data.logs) {
+            lines.push('Log check has not run.');
+        } else if (data.logs.length === 0) {
+            lines.push('No errors.');
+        } else {
+            lines.push('| Instance | Errors | Warnings | Most frequent error |', '|---|---|---|---|');
+            for (const log of data.logs) {
+                lines.push(`| ${log.instance} | ${log.totalErrors} | ${log.totalWarnings} | ${(log.topError || '').replace(/\|/g, '\\|')} |`);
+            }
+        }
+
+        lines.push('', '## New findings', '', ...texts.findings.map(line => `- ${line}`));
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * @param {*} text - Text
+     * @returns {string}
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Render the digest as HTML (a fragment suitable for e-mails and widgets).
+     * @param {object} data - Result of build()
+     * @returns {string}
+     */
+    static toHtml(data) {
+        const esc = DigestReport.escapeHtml;
+        const texts = DigestReport._texts(data);
+        const table = (headers, rows) => `<table><tr>${headers.map(h => `<th>${esc(h)}</th>`).join('')}</tr>`
+            + rows.map(row => `<tr>${row.map(cell => `<td>${esc(cell)}</td>`).join('')}</tr>`).join('')
+            + '</table>';
+        const list = items => `<ul>${items.map(item => `<li>${esc(item)}</li>`).join('')}</ul>`;
+
+        const parts = [`<h1>${esc(data.title)}</h1>`, `<p>${texts.summary.map(esc).join('<br>')}</p>`, '<h2>Resources</h2>'];
+
+        if (!data.resources) {
+            parts.push('<p>Metric history is disabled.</p>');
+        } else if (data.resources.length === 0) {
+            parts.push('<p>No samples in this period.</p>');
+        } else {
+            parts.push(table(['Metric', 'Min', 'Avg', 'Max', 'Trend'],
+                data.resources.map(r => [r.label, `${r.min}%`, `${r.avg}%`, `${r.max}%`, DigestReport.formatTrend(r.trend)])));
+        }
+
+        parts.push('<h2>Crashes</h2>', Array.isArray(texts.crashes) ? list(texts.crashes) : `<p>${esc(texts.crashes)}</p>`);
+
+        parts.push('<h2>Log errors</h2>');
+        if (!data.logs) {
+            parts.push('<p>Log check has not run.</p>');
+        } else if (data.logs.length === 0) {
+            parts.push('<p>No errors.</p>');
+        } else {
+            parts.push(table(['Instance', 'Errors', 'Warnings', 'Most frequent error'],
+                data.logs.map(log => [log.instance, log.totalErrors, log.totalWarnings, log.topError || ''])));
+        }
+
+        parts.push('<h2>New findings</h2>', list(texts.findings));
+        return parts.join('\n');
+    }
+
+    /**
+     * Create the digest, write it to the states and send it to the messenger channels.
+     * @param {number} [now] - End of the period
+     * @returns {Promise<{title: string, markdown: string, html: string, sentTo: string[]}>}
+     */
+    async run(now = Date.now()) {
+        const data = await this.build(now);
+        const markdown = DigestReport.toMarkdown(data);
+        const html = DigestReport.toHtml(data);
+
+        await this.adapter.setStateAsync('digest.markdown', markdown, true);
+        await this.adapter.setStateAsync('digest.html', html, true);
+        await this.adapter.setStateAsync('digest.lastRun', now, true);
+        await this.adapter.setStateAsync('digest.snapshot', JSON.stringify(data.snapshot), true);
+
+        const sentTo = this.adapter.messengers
+            ? await this.adapter.messengers.sendDigest(data.title, markdown, html)
+            : [];
+        this.adapter.log.info(`Health digest created${sentTo.length > 0 ? ` and sent to ${sentTo.join(', ')}` : ''}`);
+
+        return { title: data.title, markdown, html, sentTo };
+    }
+}
+
+DigestReport.PERIODS = PERIODS;
+DigestReport.FINDINGS = FINDINGS;
+
+module.exports = DigestReport;
@@ -4,6 +4,7 @@ const os = require('os');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const AlertEngine = require('../alert-engine');
 
 /**
  * CPU usage monitoring with sustained high load detection.
@@ -15,12 +16,14 @@ class CpuMonitor {
      * @param {number} config.warningThreshold - Warning threshold (percentage, default: 70)
      * @param {number} config.criticalThreshold - Critical threshold (percentage, default: 90)
      * @param {number} config.sampleCount - Number of samples for sustained check (default: 5)
+     * @param {AlertEngine} [config.alertEngine] - Shared alert engine (hysteresis, minimum duration); plain thresholds if omitted
      */
     constructor(adapter, config = {}) {
         this.adapter = adapter;
         this.warningThreshold = config.warningThreshold || 70;
         this.criticalThreshold = config.criticalThreshold || 90;
         this.sampleCount = config.sampleCount || 5;
+        this.alertEngine = config.alertEngine || null;
         
         this.samples = [];
         this.lastCpuUsage = null;
@@ -128,6 +131,7 @@ class CpuMonitor {
 
     /**
      * Measure current CPU usage.
+     * @returns {Promise<{usage: number, status: string, sustainedHighLoad: boolean}|null>} Measurement result or null on failure
      */
     async measure() {
         try {
@@ -153,7 +157,7 @@ class CpuMonitor {
             await this.adapter.setStateAsync('cpu.usagePerCore', JSON.stringify(perCore), true);
 
             // Generate warnings
-            const warnings = this.generateWarnings(usage, sustainedHighLoad);
+            const warnings = this.generateWarnings(usage, sustainedHighLoad, status);
             await this.adapter.setStateAsync('cpu.warnings', warnings, true);
 
             // If threshold exceeded, get top processes
@@ -163,8 +167,11 @@ class CpuMonitor {
             }
 
             this.adapter.log.debug(`CPU usage: ${usage.toFixed(1)}% (status: ${status})`);
+
+            return { usage, status, sustainedHighLoad };
         } catch (err) {
             this.adapter.log.error(`Failed to measure CPU usage: ${err.message}`);
+            return null;
         }
     }
 
@@ -250,19 +257,31 @@ class CpuMonitor {
         }
     }
 
+    /**
+     * Alert rule for the CPU usage thresholds.
+     * @returns {object}
+     */
+    getAlertRule() {
+        return {
+            warning: this.warningThreshold,
+            critical: this.criticalThreshold,
+            direction: 'above',
+            label: 'CPU usage',
+            unit: '%',
+        };
+    }
+
     /**
      * Determine status based on current usage.
+     * With an alert engine the status is debounced (hysteresis, minimum duration).
      * @param {number} usage - CPU usage percentage
      * @returns {string} 'ok', 'warning', or 'critical'
      */
     getStatus(usage) {
-        if (usage >= this.criticalThreshold) {
-            return 'critical';
-        }
-        if (usage >= this.warningThreshold) {
-            return 'warning';
+        if (this.alertEngine) {
+            return this.alertEngine.evaluate('cpu.usage', usage, this.getAlertRule());
         }
-        return 'ok';
+        return AlertEngine.classify(usage, this.getAlertRule());
     }
 
     /**
@@ -282,14 +301,15 @@ class CpuMonitor {
      * Generate human-readable warnings.
      * @param {number} usage - Current CPU usage
      * @param {boolean} sustainedHighLoad - Sustained load flag
+     * @param {string} [status] - Status from getStatus() (default: plain threshold comparison)
      * @returns {string}
      */
-    generateWarnings(usage, sustainedHighLoad) {
+    generateWarnings(usage, sustainedHighLoad, status = AlertEngine.classify(usage, this.getAlertRule())) {
         const warnings = [];
 
-        if (usage >= this.criticalThreshold) {
+        if (status === 'critical') {
             warnings.push(`Critical: CPU usage at ${usage.toFixed(1)}% (threshold: ${this.criticalThreshold}%)`);
-        } else if (usage >= this.warningThreshold) {
+        } else if (status === 'warning') {
             warnings.push(`Warning: CPU usage at ${usage.toFixed(1)}% (threshold: ${this.warningThreshold}%)`);
         }
 
@@ -9,10 +9,14 @@ class CrashDetection {
     /**
      * @param {object} adapter - ioBroker adapter instance
      * @param {number} retentionDays - How many days to keep crash history (default: 30)
+     * @param {import('../notifier')|null} [notifier] - Raises a crashLoop notification for unstable adapters
+     * @param {import('../maintenance')|null} [maintenance] - Crashes during maintenance are recorded but not counted
      */
-    constructor(adapter, retentionDays = 30) {
+    constructor(adapter, retentionDays = 30, notifier = null, maintenance = null) {
         this.adapter = adapter;
         this.retentionDays = retentionDays;
+        this.notifier = notifier;
+        this.maintenance = maintenance;
         this.crashHistory = {}; // adapterId -> [crash events]
         this.aliveSubscriptions = new Set();
     }
@@ -96,7 +100,11 @@ class CrashDetection {
                 }
             }
             
-            this.adapter.log.warn(`Detected potential crash: ${adapterId}`);
+            if (this.isInMaintenance(adapterId)) {
+                this.adapter.log.info(`Adapter ${adapterId} stopped during maintenance`);
+            } else {
+                this.adapter.log.warn(`Detected potential crash: ${adapterId}`);
+            }
             
             // Wait a moment and check if it's really a crash (not intentional stop)
             setTimeout(async () => {
@@ -212,6 +220,9 @@ class CrashDetection {
             category,
             recommendation
         };
+        if (this.isInMaintenance(adapterId)) {
+            crashEvent.duringMaintenance = true;
+        }
 
         // Add to history
         if (!this.crashHistory[adapterId]) {
@@ -231,7 +242,20 @@ class CrashDetection {
         // Update report
         await this.updateCrashReport();
 
-        this.adapter.log.warn(`Crash recorded for ${adapterId}: ${category} - ${recommendation}`);
+        if (crashEvent.duringMaintenance) {
+            this.adapter.log.info(`Crash recorded for ${adapterId} during maintenance: ${category}`);
+        } else {
+            this.adapter.log.warn(`Crash recorded for ${adapterId}: ${category} - ${recommendation}`);
+        }
+    }
+
+    /**
+     * Check whether a maintenance window covers an adapter instance.
+     * @param {string} adapterId - Adapter ID (name.instance)
+     * @returns {boolean}
+     */
+    isInMaintenance(adapterId) {
+        return !!this.maintenance && this.maintenance.isActive(adapterId);
     }
 
     /**
@@ -356,12 +380,13 @@ class CrashDetection {
 
     /**
      * Get crash counts for different time periods.
+     * Crashes recorded during maintenance are not counted.
      * @param {string} adapterId - Adapter ID
      * @returns {{count24h: number, count7d: number, count30d: number}}
      */
     getCrashCounts(adapterId) {
         const now = Date.now();
-        const history = this.crashHistory[adapterId] || [];
+        const history = (this.crashHistory[adapterId] || []).filter(e => !e.duringMaintenance);
 
         const count24h = history.filter(e => now - new Date(e.timestamp).getTime() < 24 * 60 * 60 * 1000).length;
         const count7d = history.filter(e => now - new Date(e.timestamp).getTime() < 7 * 24 * 60 * 60 * 1000).length;
@@ -400,6 +425,7 @@ class CrashDetection {
                 lastCrash: lastCrash.timestamp,
                 lastCategory: lastCrash.category,
                 recommendation: lastCrash.recommendation,
+                lastCrashDuringMaintenance: !!lastCrash.duringMaintenance,
                 stable: counts.count24h <= 3
             };
 
@@ -443,6 +469,17 @@ class CrashDetection {
         
         const hasProblems = Object.values(report.adapters).some(a => a.crashCount24h > 3);
         await this.adapter.setStateAsync(`${this.adapter.namespace}.report.hasProblems`, hasProblems, true);
+
+        if (this.notifier) {
+            for (const [adapterId, info] of Object.entries(report.adapters)) {
+                await this.notifier.update(
+                    'crashLoop',
+                    adapterId,
+                    !info.stable,
+                    `${adapterId} crashed ${info.crashCount24h} times in the last 24 hours (${info.lastCategory}): ${info.recommendation}`
+                );
+            }
+        }
     }
 
     /**
@@ -4,6 +4,7 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 const os = require('os');
+const AlertEngine = require('../alert-engine');
 
 /**
  * Disk space monitoring with trend tracking.
@@ -18,6 +19,7 @@ class DiskMonitor {
      * @param {number} config.criticalThresholdMB - Critical threshold (MB free, default: 500)
      * @param {Array<string>} config.mountPoints - Mount points to monitor (default: ['/'])
      * @param {number} config.historySize - Number of samples for trend tracking (default: 10)
+     * @param {AlertEngine} [config.alertEngine] - Shared alert engine (hysteresis, minimum duration); plain thresholds if omitted
      */
     constructor(adapter, config = {}) {
         this.adapter = adapter;
@@ -27,6 +29,7 @@ class DiskMonitor {
         this.criticalThresholdMB = config.criticalThresholdMB || 500;
         this.mountPoints = config.mountPoints || ['/'];
         this.historySize = config.historySize || 10;
+        this.alertEngine = config.alertEngine || null;
         
         this.history = {}; // mountPoint -> [{timestamp, usedPercent, freeMB}]
     }
@@ -187,6 +190,7 @@ class DiskMonitor {
 
     /**
      * Measure disk usage for all configured mount points.
+     * @returns {Promise<{partitions: Array, status: string, trends: object, warnings: string}|null>} Measurement result or null on failure
      */
     async measure() {
         try {
@@ -214,7 +218,10 @@ class DiskMonitor {
             // Calculate trends
             const trends = this.calculateTrends();
 
-            // Determine overall status
+            // Determine status per partition (evaluated once per sample) and overall
+            for (const partition of partitions) {
+                partition.status = this.getPartitionStatus(partition);
+            }
             const status = this.getStatus(partitions);
             const warnings = this.generateWarnings(partitions, trends);
 
@@ -238,8 +245,11 @@ class DiskMonitor {
             await this.saveHistory();
 
             this.adapter.log.debug(`Disk usage measured: ${partitions.length} partitions, status: ${status}`);
+
+            return { partitions, status, trends, warnings };
         } catch (err) {
             this.adapter.log.error(`Failed to measure disk usage: ${err.message}`);
+            return null;
         }
     }
 
@@ -384,26 +394,46 @@ class DiskMonitor {
     }
 
     /**
-     * Determine overall status.
-     * @param {Array} partitions - Partition info
+     * Determine the status of a single partition from its used percentage and free space.
+     * With an alert engine the status is debounced (hysteresis, minimum duration).
+     * @param {{mountPoint: string, usedPercent: number, freeMB: number}} partition - Partition info
      * @returns {string} 'ok', 'warning', or 'critical'
      */
-    getStatus(partitions) {
-        let worstStatus = 'ok';
-
-        for (const partition of partitions) {
-            if (partition.usedPercent >= this.criticalThresholdPercent ||
-                partition.freeMB <= this.criticalThresholdMB) {
-                return 'critical'; // Return immediately on critical
-            }
-
-            if (partition.usedPercent >= this.warningThresholdPercent ||
-                partition.freeMB <= this.warningThresholdMB) {
-                worstStatus = 'warning';
-            }
+    getPartitionStatus(partition) {
+        const usedRule = {
+            warning: this.warningThresholdPercent,
+            critical: this.criticalThresholdPercent,
+            direction: 'above',
+            label: `Disk usage ${partition.mountPoint}`,
+            unit: '%',
+        };
+        const freeRule = {
+            warning: this.warningThresholdMB,
+            critical: this.criticalThresholdMB,
+            direction: 'below',
+            label: `Free disk space ${partition.mountPoint}`,
+            unit: ' MB',
+        };
+
+        if (this.alertEngine) {
+            return AlertEngine.worst([
+                this.alertEngine.evaluate(`disk.${partition.mountPoint}.usedPercent`, partition.usedPercent, usedRule),
+                this.alertEngine.evaluate(`disk.${partition.mountPoint}.freeMB`, partition.freeMB, freeRule),
+            ]);
         }
+        return AlertEngine.worst([
+            AlertEngine.classify(partition.usedPercent, usedRule),
+            AlertEngine.classify(partition.freeMB, freeRule),
+        ]);
+    }
 
-        return worstStatus;
+    /**
+     * Determine overall status.
+     * @param {Array} partitions - Partition info (uses `status` if already determined by measure())
+     * @returns {string} 'ok', 'warning', or 'critical'
+     */
+    getStatus(partitions) {
+        return AlertEngine.worst(partitions.map(partition => partition.status || this.getPartitionStatus(partition)));
     }
 
     /**
@@ -416,17 +446,14 @@ class DiskMonitor {
         const warnings = [];
 
         for (const partition of partitions) {
-            const isCritical = partition.usedPercent >= this.criticalThresholdPercent ||
-                               partition.freeMB <= this.criticalThresholdMB;
-            const isWarning = partition.usedPercent >= this.warningThresholdPercent ||
-                              partition.freeMB <= this.warningThresholdMB;
+            const status = partition.status || this.getPartitionStatus(partition);
 
-            if (isCritical) {
+            if (status === 'critical') {
                 warnings.push(
                     `Critical: ${partition.mountPoint} at ${partition.usedPercent}% ` +
                     `(${partition.freeMB} MB free)`
                 );
-            } else if (isWarning) {
+            } else if (status === 'warning') {
                 warnings.push(
                     `Warning: ${partition.mountPoint} at ${partition.usedPercent}% ` +
                     `(${partition.freeMB} MB free)`
@@ -0,0 +1,293 @@
+'use strict';
+
+const AlertEngine = require('../alert-engine');
+const InstanceMonitor = require('./instance-monitor');
+const ValueCorrelation = require('../state-inspector/value-correlation');
+
+/**
+ * Event loop lag monitoring per adapter instance.
+ *
+ * js-controller publishes the event loop lag (`eventLoopLag`, in ms) of every
+ * running instance. A blocked event loop makes an adapter sluggish long before
+ * it crashes. This monitor keeps a sample window per instance, computes
+ * percentiles, flags instances whose lag stays above the threshold for several
+ * samples in a row and correlates the lag with the CPU usage and memory of the
+ * instance read in the same cycle.
+ */
+class EventLoopMonitor {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} config - Configuration options
+     * @param {number} config.warningLagMs - Sustained lag that raises a warning (default: 100)
+     * @param {number} config.criticalLagMs - Sustained lag that raises a critical alert (default: 1000)
+     * @param {number} config.sampleCount - Number of consecutive samples for sustained lag (default: 5)
+     * @param {number} config.historySize - Samples per instance used for percentiles and correlation (default: 60)
+     * @param {AlertEngine} [config.alertEngine] - Shared alert engine (hysteresis, minimum duration); plain thresholds if omitted
+     */
+    constructor(adapter, config = {}) {
+        this.adapter = adapter;
+        this.config = {
+            warningLagMs: config.warningLagMs || 100,
+            criticalLagMs: config.criticalLagMs || 1000,
+            sampleCount: config.sampleCount || 5,
+            historySize: config.historySize || 60,
+        };
+        this.alertEngine = config.alertEngine || null;
+
+        /** @type {Map<string, Array<{lagMs: number, cpu: number|null, memRssMB: number|null, timestamp: number}>>} Samples per instance */
+        this.history = new Map();
+        /** @type {Set<string>} Instances whose state tree has been created */
+        this.knownInstances = new Set();
+        /** @type {Set<string>} Instances whose lag was measured at the last check */
+        this.measuredInstances = new Set();
+        /** Time of the last check */
+        this.lastCheck = 0;
+    }
+
+    /**
+     * Read lag, CPU and memory of a running instance.
+     * @param {string} id - Instance object ID (`system.adapter.<name>.<n>`)
+     * @param {{cpu: number|null, memRssMB: number|null}|null} [measured] - CPU and memory already read in this cycle
+     * @returns {Promise<{lagMs: number, cpu: number|null, memRssMB: number|null}|null>} Null if the instance is not running or publishes no lag
+     */
+    async readValues(id, measured = null) {
+        const values = await InstanceMonitor.readStates(this.adapter, id, measured ? ['eventLoopLag'] : ['eventLoopLag', 'cpu', 'memRss']);
+        if (!values || values.eventLoopLag === null) {
+            return null;
+        }
+        return measured
+            ? { lagMs: values.eventLoopLag, cpu: measured.cpu, memRssMB: measured.memRssMB }
+            : { lagMs: values.eventLoopLag, cpu: values.cpu, memRssMB: values.memRss };
+    }
+
+    /**
+     * Seed the sample history of an instance (e.g. from the metric history).
+     * @param {string} instance - Adapter instance
+     * @param {Array<{lagMs: number, timestamp: number}>} samples - Samples, oldest first
+     */
+    seedHistory(instance, samples) {
+        if (!this.history.has(instance) && samples.length > 0) {
+            this.history.set(instance, samples
+                .slice(-this.config.historySize)
+                .map(sample => ({ cpu: null, memRssMB: null, ...sample })));
+        }
+    }
+
+    /**
+     * Percentile of a list of values (nearest rank).
+     * @param {number[]} values - Values
+     * @param {number} percent - Percentile (0-100)
+     * @returns {number|null}
+     */
+    static percentile(values, percent) {
+        if (values.length === 0) {
+            return null;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const rank = Math.max(1, Math.ceil((percent / 100) * sorted.length));
+        return sorted[rank - 1];
+    }
+
+    /**
+     * Pearson correlation coefficient of two series, rounded to two decimals.
+     * Pairs with a missing value are skipped.
+     * @param {Array<number|null>} xs - First series
+     * @param {Array<number|null>} ys - Second series
+     * @returns {number|null} -1 to 1, or null with fewer than 3 pairs or a constant series
+     */
+    static correlation(xs, ys) {
+        const pairs = xs
+            .map((x, i) => [x, ys[i]])
+            .filter(([x, y]) => x !== null && x !== undefined && y !== null && y !== undefined);
+        const correlation = ValueCorrelation.pearson(/** @type {Array<[number, number]>} */ (pairs));
+        return correlation === null ? null : Math.round(correlation * 100) / 100;
+    }
+
+    /**
+     * Likely cause of event loop lag from its correlation with CPU and memory.
+     * @param {{cpu: number|null, memory: number|null}} correlation - Correlation coefficients
+     * @returns {'cpu'|'memory'|'unknown'} 'cpu' for busy computation, 'memory' for garbage collection pressure,
+     *     'unknown' for lag that follows neither (e.g. synchronous I/O)
+     */
+    static likelyCause(correlation) {
+        const cpu = correlation.cpu !== null ? correlation.cpu : 0;
+        const memory = correlation.memory !== null ? correlation.memory : 0;
+        if (cpu >= 0.7 && cpu >= memory) {
+            return 'cpu';
+        }
+        if (memory >= 0.7) {
+            return 'memory';
+        }
+        return 'unknown';
+    }
+
+    /**
+     * Record a sample of one instance and evaluate it.
+     * @param {{id: string, instance: string, key: string, host: string|null}} info - Discovered instance
+     * @param {{lagMs: number, cpu: number|null, memRssMB: number|null}} values - Values of readValues()
+     * @param {number} [now] - Sample time
+     * @returns {object} Instance result
+     */
+    evaluate(info, values, now = Date.now()) {
+        const history = this.history.get(info.instance) || [];
+        history.push({ ...values, timestamp: now });
+        if (history.length > this.config.historySize) {
+            history.shift();
+        }
+        this.history.set(info.instance, history);
+
+        const lags = history.map(sample => sample.lagMs);
+        const recent = lags.slice(-this.config.sampleCount);
+        const correlation = {
+            cpu: EventLoopMonitor.correlation(lags, history.map(sample => sample.cpu)),
+            memory: EventLoopMonitor.correlation(lags, history.map(sample => sample.memRssMB)),
+        };
+
+        const result = {
+            instance: info.instance,
+            key: info.key,
+            host: info.host,
+            ...values,
+            p50: EventLoopMonitor.percentile(lags, 50),
+            p95: EventLoopMonitor.percentile(lags, 95),
+            p99: EventLoopMonitor.percentile(lags, 99),
+            max: Math.max(...lags),
+            samples: lags.length,
+            sustainedLagMs: null,
+            correlation,
+            likelyCause: null,
+            status: 'ok',
+            warnings: [],
+        };
+
+        if (recent.length < this.config.sampleCount) {
+            return result;
+        }
+
+        // Lag is sustained above a threshold if even the lowest of the recent samples exceeds it
+        result.sustainedLagMs = Math.min(...recent);
+        const rule = {
+            warning: this.config.warningLagMs,
+            critical: this.config.criticalLagMs,
+            direction: 'above',
+            label: `Event loop lag of ${info.instance}`,
+            unit: ' ms',
+            target: info.id,
+        };
+        result.status = this.alertEngine
+            ? this.alertEngine.evaluate(`eventLoop.${info.key}.lagMs`, result.sustainedLagMs, rule)
+            : AlertEngine.classify(result.sustainedLagMs, rule);
+
+        if (result.status !== 'ok') {
+            result.likelyCause = EventLoopMonitor.likelyCause(correlation);
+            result.warnings.push(
+                `Sustained event loop lag in ${info.instance}: at least ${result.sustainedLagMs} ms over ${recent.length} samples ` +
+                `(p95 ${result.p95} ms, CPU ${values.cpu !== null ? `${values.cpu}%` : 'n/a'}, ` +
+                `RSS ${values.memRssMB !== null ? `${values.memRssMB} MB` : 'n/a'}, likely cause: ${result.likelyCause})`
+            );
+        }
+
+        return result;
+    }
+
+    /**
+     * Evaluate all running instances that publish their event loop lag and
+     * update the eventLoop.* states.
+     * @param {{instances: Array<object>, timestamp: number}|null} [instanceResult] - Last result of the instance check;
+     *   its CPU and memory are used instead of reading them again if it ran since the last event loop check
+     * @returns {Promise<{status: string, instances: Array<object>, sustained: string[], warnings: string, timestamp: number}>}
+     */
+    async check(instanceResult = null) {
+        const instances = [];
+        const measured = new Set();
+        const current = new Map();
+        if (instanceResult && instanceResult.timestamp > this.lastCheck) {
+            for (const instance of instanceResult.instances || []) {
+                current.set(instance.instance, instance);
+            }
+        }
+        this.lastCheck = Date.now();
+
+        for (const info of await InstanceMonitor.discover(this.adapter)) {
+            const values = await this.readValues(info.id, current.get(info.instance));
+            if (!values) {
+                this.history.delete(info.instance);
+                continue;
+            }
+            const result = this.evaluate(info, values);
+            await this.updateInstanceStates(result);
+            instances.push(result);
+            measured.add(info.instance);
+        }
+
+        for (const instance of this.measuredInstances) {
+            if (!measured.has(instance)) {
+                this.forgetInstance(instance);
+            }
+        }
+        this.measuredInstances = measured;
+
+        return {
+            status: AlertEngine.worst(instances.map(instance => instance.status)),
+            instances,
+            sustained: instances.filter(instance => instance.status !== 'ok').map(instance => instance.instance),
+            warnings: instances.flatMap(instance => instance.warnings).join(' | '),
+            timestamp: Date.now(),
+        };
+    }
+
+    /**
+     * Drop the samples and alerts of an instance that stopped, was removed or
+     * no longer publishes its lag.
+     * @param {string} instance - Adapter instance
+     */
+    forgetInstance(instance) {
+        this.history.delete(instance);
+        if (this.alertEngine) {
+            this.alertEngine.clear(`eventLoop.${InstanceMonitor.stateKey(instance)}`);
+        }
+    }
+
+    /**
+     * Create the state tree of an instance once.
+     * @param {string} key - State ID segment of the instance
+     * @param {string} instance - Adapter instance
+     */
+    async createInstanceStates(key, instance) {
+        if (this.knownInstances.has(key)) {
+            return;
+        }
+
+        await InstanceMonitor.createStateTree(this.adapter, `eventLoop.${key}`, `Event loop of ${instance}`, [
+            ['status', { name: 'Event loop status', type: 'string', role: 'text', states: { ok: 'OK', warning: 'Warning', critical: 'Critical' } }],
+            ['lagMs', { name: 'Event loop lag', type: 'number', role: 'value', unit: 'ms' }],
+            ['p50', { name: 'Event loop lag (median)', type: 'number', role: 'value', unit: 'ms' }],
+            ['p95', { name: 'Event loop lag (95th percentile)', type: 'number', role: 'value', unit: 'ms' }],
+            ['p99', { name: 'Event loop lag (99th percentile)', type: 'number', role: 'value', unit: 'ms' }],
+            ['max', { name: 'Event loop lag (maximum)', type: 'number', role: 'value', unit: 'ms' }],
+            ['likelyCause', { name: 'Likely cause of sustained lag', type: 'string', role: 'text',
+                states: { cpu: 'CPU', memory: 'Memory', unknown: 'Unknown' } }],
+        ]);
+
+        this.knownInstances.add(key);
+    }
+
+    /**
+     * Write the states of one instance.
+     * @param {object} result - Instance result of evaluate()
+     */
+    async updateInstanceStates(result) {
+        await this.createInstanceStates(result.key, result.instance);
+
+        const baseId = `eventLoop.${result.key}`;
+        await this.adapter.setStateAsync(`${baseId}.status`, result.status, true);
+        await this.adapter.setStateAsync(`${baseId}.lagMs`, result.lagMs, true);
+        await this.adapter.setStateAsync(`${baseId}.p50`, result.p50, true);
+        await this.adapter.setStateAsync(`${baseId}.p95`, result.p95, true);
+        await this.adapter.setStateAsync(`${baseId}.p99`, result.p99, true);
+        await this.adapter.setStateAsync(`${baseId}.max`, result.max, true);
+        await this.adapter.setStateAsync(`${baseId}.likelyCause`, result.likelyCause || '', true);
+    }
+}
+
+module.exports = EventLoopMonitor;
@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Default weight per check. A weight of 0 excludes the check from the score.
+ */
+const DEFAULT_WEIGHTS = {
+    memory: 3,
+    instances: 1,
+    eventLoop: 1,
+    cpu: 2,
+    disk: 3,
+    logs: 1,
+    redis: 2,
+    hosts: 2,
+    duplicates: 0.5,
+    orphanedStates: 0.5,
+    staleStates: 1,
+    performance: 0.5,
+    versions: 0.5,
+};
+
+/**
+ * Score contributed by a single check for each status.
+ * Statuses not listed here (e.g. 'skipped') exclude the check from the score.
+ */
+const STATUS_SCORES = {
+    ok: 100,
+    warning: 50,
+    critical: 0,
+    error: 0,
+};
+
+/** Overall status thresholds (score below value → status). */
+const WARNING_SCORE = 80;
+const CRITICAL_SCORE = 50;
+
+/**
+ * Aggregated health score across all monitors and inspectors.
+ * Combines the individual check statuses into one weighted score (0-100),
+ * an overall status and a breakdown showing which check pulled the score down.
+ */
+class HealthScore {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {Record<string, number>} [weights] - Weight per check name (overrides defaults)
+     */
+    constructor(adapter, weights = {}) {
+        this.adapter = adapter;
+        this.weights = { ...DEFAULT_WEIGHTS };
+
+        for (const [check, weight] of Object.entries(weights)) {
+            if (typeof weight === 'number' && weight >= 0) {
+                this.weights[check] = weight;
+            }
+        }
+
+        this.lastResult = null;
+    }
+
+    /**
+     * Initialize health score states.
+     */
+    async init() {
+        await this.createStates();
+    }
+
+    /**
+     * Create health score states.
+     */
+    async createStates() {
+        const baseId = `${this.adapter.namespace}.health`;
+
+        await this.adapter.setObjectNotExistsAsync(`${baseId}.score`, {
+            type: 'state',
+            common: {
+                name: 'Overall health score',
+                type: 'number',
+                role: 'value',
+                read: true,
+                write: false,
+                min: 0,
+                max: 100,
+                unit: '%'
+            },
+            native: {}
+        });
+
+        await this.adapter.setObjectNotExistsAsync(`${baseId}.status`, {
+            type: 'state',
+            common: {
+                name: 'Overall health status',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+                states: {
+                    'ok': 'OK',
+                    'warning': 'Warning',
+                    'critical': 'Critical'
+                }
+            },
+            native: {}
+        });
+
+        await this.adapter.setObjectNotExistsAsync(`${baseId}.breakdown`, {
+            type: 'state',
+            common: {
+                name: 'Health score breakdown per check (JSON)',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+
+        await this.adapter.setObjectNotExistsAsync(`${baseId}.timestamp`, {
+            type: 'state',
+            common: {
+                name: 'Last health score calculation',
+                type: 'number',
+                role: 'value.time',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+    }
+
+    /**
+     * Calculate the weighted health score.
+     * @param {Record<string, {status: string}>} checkResults - Latest result per check name
+     * @returns {{score: number, status: string, checks: Array<object>, worstCheck: string|null, timestamp: number}}
+     */
+    calculate(checkResults) {
+        const checks = [];
+        let totalWeight = 0;
+        let weightedSum = 0;
+        let hasCritical = false;
+
+        for (const [check, result] of Object.entries(checkResults || {})) {
+            if (!result || !(result.status in STATUS_SCORES)) {
+                continue; // skipped or unknown status
+            }
+
+            const weight = this.weights[check] !== undefined ? this.weights[check] : 1;
+            if (weight <= 0) {
+                continue;
+            }
+
+            const score = STATUS_SCORES[result.status];
+            totalWeight += weight;
+            weightedSum += score * weight;
+
+            if (score === 0) {
+                hasCritical = true;
+            }
+
+            checks.push({ check, status: result.status, score, weight });
+        }
+
+        // No weighted check ran yet → nothing to complain about
+        const score = totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 100;
+
+        // Points each check cost the overall score
+        for (const entry of checks) {
+            entry.impact = Math.round(((100 - entry.score) * entry.weight / totalWeight) * 10) / 10;
+        }
+        checks.sort((a, b) => b.impact - a.impact);
+
+        let status = 'ok';
+        if (hasCritical || score < CRITICAL_SCORE) {
+            status = 'critical';
+        } else if (score < WARNING_SCORE) {
+            status = 'warning';
+        }
+
+        const worst = checks.find(c => c.impact > 0);
+
+        return {
+            score,
+            status,
+            checks,
+            worstCheck: worst ? worst.check : null,
+            timestamp: Date.now(),
+        };
+    }
+
+    /**
+     * Calculate the score and write the health.* states.
+     * @param {Record<string, {status: string}>} checkResults - Latest result per check name
+     * @returns {Promise<object>} Calculated result
+     */
+    async update(checkResults) {
+        const result = this.calculate(checkResults);
+        this.lastResult = result;
+
+        await this.adapter.setStateAsync('health.score', result.score, true);
+        await this.adapter.setStateAsync('health.status', result.status, true);
+        await this.adapter.setStateAsync('health.breakdown', JSON.stringify(result, null, 2), true);
+        await this.adapter.setStateAsync('health.timestamp', result.timestamp, true);
+
+        return result;
+    }
+}
+
+HealthScore.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+HealthScore.STATUS_SCORES = STATUS_SCORES;
+
+module.exports = HealthScore;
@@ -0,0 +1,261 @@
+'use strict';
+
+const AlertEngine = require('../alert-engine');
+
+/** Host states published by js-controller that are read for every host. */
+const HOST_STATES = ['alive', 'freemem', 'memAvailable', 'memRss', 'load', 'diskFree', 'diskSize', 'uptime'];
+
+/**
+ * Monitors all ioBroker hosts of a multihost installation.
+ *
+ * Unlike the memory, CPU and disk monitors, which measure the local machine,
+ * this monitor evaluates the values js-controller publishes for every
+ * `system.host.*` object (free memory, load, free disk space, uptime, alive),
+ * so one adapter instance covers the whole cluster. Each host gets its own
+ * state tree below `hosts.<host>`.
+ */
+class HostMonitor {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} config - Configuration options
+     * @param {number} config.memoryWarningPercent - Memory usage warning threshold (default: 85)
+     * @param {number} config.memoryCriticalPercent - Memory usage critical threshold (default: 95)
+     * @param {number} config.loadWarningPerCore - 1-minute load per CPU core warning threshold (default: 1.5)
+     * @param {number} config.loadCriticalPerCore - 1-minute load per CPU core critical threshold (default: 3)
+     * @param {number} config.diskWarningPercent - Disk usage warning threshold (default: 80)
+     * @param {number} config.diskCriticalPercent - Disk usage critical threshold (default: 90)
+     * @param {AlertEngine} [config.alertEngine] - Shared alert engine (hysteresis, minimum duration); plain thresholds if omitted
+     */
+    constructor(adapter, config = {}) {
+        this.adapter = adapter;
+        this.memoryWarningPercent = config.memoryWarningPercent || 85;
+        this.memoryCriticalPercent = config.memoryCriticalPercent || 95;
+        this.loadWarningPerCore = config.loadWarningPerCore || 1.5;
+        this.loadCriticalPerCore = config.loadCriticalPerCore || 3;
+        this.diskWarningPercent = config.diskWarningPercent || 80;
+        this.diskCriticalPercent = config.diskCriticalPercent || 90;
+        this.alertEngine = config.alertEngine || null;
+
+        /** @type {Set<string>} Hosts whose state tree has been created */
+        this.knownHosts = new Set();
+    }
+
+    /**
+     * State ID segment for a host name (`pi4.local` → `pi4_local`).
+     * @param {string} name - Host name
+     * @returns {string}
+     */
+    static stateKey(name) {
+        return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+    }
+
+    /**
+     * Find all hosts of the installation.
+     * @returns {Promise<Array<{id: string, name: string, key: string, totalMemMB: number|null, cores: number|null, platform: string|null}>>}
+     */
+    async discoverHosts() {
+        const objects = await this.adapter.getForeignObjectsAsync('system.host.*', 'host');
+        const hosts = [];
+
+        for (const [id, obj] of Object.entries(objects || {})) {
+            const name = id.replace(/^system\.host\./, '');
+            const hardware = (obj && obj.native && obj.native.hardware) || {};
+            const os = (obj && obj.native && obj.native.os) || {};
+
+            hosts.push({
+                id,
+                name,
+                key: HostMonitor.stateKey(name),
+                totalMemMB: hardware.totalmem ? Math.round(hardware.totalmem / (1024 * 1024)) : null,
+                cores: Array.isArray(hardware.cpus) && hardware.cpus.length > 0 ? hardware.cpus.length : null,
+                platform: os.platform || null,
+            });
+        }
+
+        return hosts.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Read the js-controller states of a host.
+     * @param {string} hostId - Host object ID (`system.host.<name>`)
+     * @returns {Promise<Record<string, any>>} Values by state name (null if missing)
+     */
+    async readValues(hostId) {
+        const values = {};
+        for (const name of HOST_STATES) {
+            const state = await this.adapter.getForeignStateAsync(`${hostId}.${name}`);
+            values[name] = state ? state.val : null;
+        }
+        return values;
+    }
+
+    /**
+     * Evaluate one host.
+     * @param {{name: string, key: string, totalMemMB: number|null, cores: number|null}} host - Discovered host
+     * @param {Record<string, any>} values - Values of readValues()
+     * @returns {object} Host result
+     */
+    evaluate(host, values) {
+        const round = (value, factor = 10) => Math.round(value * factor) / factor;
+        const number = value => (value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+        const result = {
+            name: host.name,
+            key: host.key,
+            alive: values.alive === true,
+            status: 'ok',
+            memoryUsedPercent: null,
+            freeMemoryMB: null,
+            load: number(values.load),
+            loadPerCore: null,
+            cores: host.cores,
+            diskUsedPercent: null,
+            diskFreeMB: number(values.diskFree),
+            uptime: number(values.uptime),
+            controllerMemRssMB: number(values.memRss),
+            warnings: [],
+        };
+
+        // memAvailable includes reclaimable caches and is preferred where js-controller publishes it
+        const freeMemory = number(values.memAvailable) !== null ? number(values.memAvailable) : number(values.freemem);
+        if (freeMemory !== null) {
+            result.freeMemoryMB = Math.round(freeMemory);
+            if (host.totalMemMB) {
+                result.memoryUsedPercent = round(Math.max(0, host.totalMemMB - freeMemory) / host.totalMemMB * 100);
+            }
+        }
+        if (result.load !== null && host.cores) {
+            result.loadPerCore = round(result.load / host.cores, 100);
+        }
+        const diskSize = number(values.diskSize);
+        if (diskSize && result.diskFreeMB !== null) {
+            result.diskUsedPercent = round(Math.max(0, diskSize - result.diskFreeMB) / diskSize * 100);
+        }
+
+        if (!result.alive) {
+            // Values of an offline host are the last ones published and not evaluated
+            result.status = 'critical';
+            result.warnings.push(`Host ${host.name} is offline`);
+            if (this.alertEngine) {
+                // The offline status replaces the alerts of the host's values
+                this.alertEngine.clear(`hosts.${host.key}`);
+            }
+            return result;
+        }
+
+        const levels = [];
+        const rules = [
+            ['memoryUsedPercent', { warning: this.memoryWarningPercent, critical: this.memoryCriticalPercent, label: 'Memory usage', unit: '%' }],
+            ['loadPerCore', { warning: this.loadWarningPerCore, critical: this.loadCriticalPerCore, label: 'Load per CPU core', unit: '' }],
+            ['diskUsedPercent', { warning: this.diskWarningPercent, critical: this.diskCriticalPercent, label: 'Disk usage', unit: '%' }],
+        ];
+        for (const [metric, rule] of rules) {
+            if (result[metric] === null) {
+                continue;
+            }
+            const hostRule = { ...rule, direction: 'above', label: `${rule.label} on ${host.name}` };
+            const level = this.alertEngine
+                ? this.alertEngine.evaluate(`hosts.${host.key}.${metric}`, result[metric], hostRule)
+                : AlertEngine.classify(result[metric], hostRule);
+            levels.push(level);
+
+            if (level !== 'ok') {
+                result.warnings.push(`${hostRule.label} ${level} (${result[metric]}${rule.unit})`);
+            }
+        }
+        result.status = AlertEngine.worst(levels);
+
+        return result;
+    }
+
+    /**
+     * Evaluate all hosts and update the hosts.* states.
+     * @returns {Promise<{status: string, hosts: Array<object>, total: number, online: number, offline: string[], warnings: string}>}
+     */
+    async check() {
+        const hosts = [];
+
+        for (const host of await this.discoverHosts()) {
+            const result = this.evaluate(host, await this.readValues(host.id));
+            await this.updateHostStates(result);
+            hosts.push(result);
+        }
+
+        const offline = hosts.filter(host => !host.alive).map(host => host.name);
+        const warnings = hosts.flatMap(host => host.warnings);
+
+        return {
+            status: AlertEngine.worst(hosts.map(host => host.status)),
+            hosts,
+            total: hosts.length,
+            online: hosts.length - offline.length,
+            offline,
+            warnings: warnings.join(' | '),
+            timestamp: Date.now(),
+        };
+    }
+
+    /**
+     * Create the state tree of a host once.
+     * @param {string} key - State ID segment of the host
+     * @param {string} name - Host name
+     */
+    async createHostStates(key, name) {
+        if (this.knownHosts.has(key)) {
+            return;
+        }
+
+        const baseId = `hosts.${key}`;
+        await this.adapter.setObjectNotExistsAsync(baseId, {
+            type: 'channel',
+            common: { name: `Host ${name}` },
+            native: {},
+        });
+
+        const definitions = [
+            ['alive', { name: 'Host alive', type: 'boolean', role: 'indicator.reachable' }],
+            ['status', { name: 'Host status', type: 'string', role: 'text', states: { ok: 'OK', warning: 'Warning', critical: 'Critical' } }],
+            ['memoryUsedPercent', { name: 'Memory used', type: 'number', role: 'value', unit: '%' }],
+            ['freeMemoryMB', { name: 'Available memory', type: 'number', role: 'value', unit: 'MB' }],
+            ['load', { name: 'Load average (1 min)', type: 'number', role: 'value' }],
+            ['loadPerCore', { name: 'Load average per CPU core', type: 'number', role: 'value' }],
+            ['diskUsedPercent', { name: 'Disk used', type: 'number', role: 'value.percent', unit: '%' }],
+            ['diskFreeMB', { name: 'Disk free space', type: 'number', role: 'value', unit: 'MB' }],
+            ['uptime', { name: 'js-controller uptime', type: 'number', role: 'value', unit: 's' }],
+            ['controllerMemRssMB', { name: 'js-controller memory (RSS)', type: 'number', role: 'value', unit: 'MB' }],
+            ['warnings', { name: 'Host warnings', type: 'string', role: 'text' }],
+        ];
+        for (const [id, common] of definitions) {
+            await this.adapter.setObjectNotExistsAsync(`${baseId}.${id}`, {
+                type: 'state',
+                common: { ...common, read: true, write: false },
+                native: {},
+            });
+        }
+
+        this.knownHosts.add(key);
+    }
+
+    /**
+     * Write the states of one host.
+     * @param {object} result - Host result of evaluate()
+     */
+    async updateHostStates(result) {
+        await this.createHostStates(result.key, result.name);
+
+        const baseId = `hosts.${result.key}`;
+        await this.adapter.setStateAsync(`${baseId}.alive`, result.alive, true);
+        await this.adapter.setStateAsync(`${baseId}.status`, result.status, true);
+        await this.adapter.setStateAsync(`${baseId}.warnings`, result.warnings.join(' | '), true);
+
+        for (const id of ['memoryUsedPercent', 'freeMemoryMB', 'load', 'loadPerCore', 'diskUsedPercent', 'diskFreeMB', 'uptime', 'controllerMemRssMB']) {
+            if (result[id] !== null) {
+                await this.adapter.setStateAsync(`${baseId}.${id}`, result[id], true);
+            }
+        }
+    }
+}
+
+HostMonitor.HOST_STATES = HOST_STATES;
+
+module.exports = HostMonitor;
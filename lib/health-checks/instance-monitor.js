@@ -0,0 +1,328 @@
+'use strict';
+
+const AlertEngine = require('../alert-engine');
+const MemoryMonitor = require('./memory-monitor');
+
+/**
+ * Per adapter instance resource monitoring and leak detection.
+ *
+ * js-controller publishes memory (`memRss`, `memHeapUsed`, `memHeapTotal`, in MB)
+ * and CPU usage (`cpu`, in %) of every running instance below
+ * `system.adapter.<name>.<n>`. This monitor tracks these values per instance,
+ * applies the leak detection of MemoryMonitor to the RSS of each instance and
+ * ranks the heaviest instances, so a leaking adapter is found before the host
+ * runs out of memory.
+ */
+class InstanceMonitor {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} config - Configuration options
+     * @param {number} config.memoryWarningMB - RSS per instance that raises a warning (default: 500)
+     * @param {number} config.cpuWarningPercent - CPU usage per instance that raises a warning (default: 80)
+     * @param {number} config.leakDetectionWindow - Number of samples to analyze for leak detection (default: 10)
+     * @param {number} config.leakGrowthThresholdMB - MB growth per sample that indicates a leak (default: 5)
+     * @param {number} config.rankingSize - Number of instances in the rankings (default: 10)
+     * @param {AlertEngine} [config.alertEngine] - Shared alert engine (hysteresis, minimum duration); plain thresholds if omitted
+     */
+    constructor(adapter, config = {}) {
+        this.adapter = adapter;
+        this.config = {
+            memoryWarningMB: config.memoryWarningMB || 500,
+            cpuWarningPercent: config.cpuWarningPercent || 80,
+            leakDetectionWindow: config.leakDetectionWindow || 10,
+            leakGrowthThresholdMB: config.leakGrowthThresholdMB || 5,
+            rankingSize: config.rankingSize || 10,
+        };
+        this.alertEngine = config.alertEngine || null;
+
+        /** @type {Map<string, Array<{usedMB: number, timestamp: number}>>} RSS samples per instance */
+        this.history = new Map();
+        /** @type {Set<string>} Instances whose state tree has been created */
+        this.knownInstances = new Set();
+        /** @type {Set<string>} Instances that were running at the last check */
+        this.runningInstances = new Set();
+    }
+
+    /**
+     * State ID segment for an instance (`zigbee.0` → `zigbee_0`).
+     * @param {string} instance - Adapter instance
+     * @returns {string}
+     */
+    static stateKey(instance) {
+        return instance.replace(/[^a-zA-Z0-9_-]/g, '_');
+    }
+
+    /**
+     * Find all adapter instances.
+     * @returns {Promise<Array<{id: string, instance: string, key: string, host: string|null}>>}
+     */
+    async discoverInstances() {
+        return InstanceMonitor.discover(this.adapter);
+    }
+
+    /**
+     * Find all adapter instances of the installation.
+     * @param {object} adapter - ioBroker adapter instance
+     * @returns {Promise<Array<{id: string, instance: string, key: string, host: string|null}>>}
+     */
+    static async discover(adapter) {
+        const objects = await adapter.getForeignObjectsAsync('system.adapter.*', 'instance');
+
+        return Object.entries(objects || {})
+            .map(([id, obj]) => {
+                const instance = id.replace(/^system\.adapter\./, '');
+                return {
+                    id,
+                    instance,
+                    key: InstanceMonitor.stateKey(instance),
+                    host: (obj && obj.common && obj.common.host) || null,
+                };
+            })
+            .sort((a, b) => a.instance.localeCompare(b.instance));
+    }
+
+    /**
+     * Read the resource states of a running instance.
+     * @param {string} id - Instance object ID (`system.adapter.<name>.<n>`)
+     * @returns {Promise<{memRssMB: number|null, heapUsedMB: number|null, heapTotalMB: number|null, cpu: number|null}|null>} Null if the instance is not running
+     */
+    async readValues(id) {
+        const values = await InstanceMonitor.readStates(this.adapter, id, ['memRss', 'memHeapUsed', 'memHeapTotal', 'cpu']);
+        return values && {
+            memRssMB: values.memRss,
+            heapUsedMB: values.memHeapUsed,
+            heapTotalMB: values.memHeapTotal,
+            cpu: values.cpu,
+        };
+    }
+
+    /**
+     * Read numeric states js-controller publishes for a running instance.
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {string} id - Instance object ID (`system.adapter.<name>.<n>`)
+     * @param {string[]} names - State names below the instance object, e.g. `memRss`
+     * @returns {Promise<Object<string, number|null>|null>} Value per name (null if missing or not a number), null if the instance is not running
+     */
+    static async readStates(adapter, id, names) {
+        const alive = await adapter.getForeignStateAsync(`${id}.alive`);
+        if (!alive || !alive.val) {
+            return null;
+        }
+
+        const values = {};
+        for (const name of names) {
+            const state = await adapter.getForeignStateAsync(`${id}.${name}`);
+            const value = state ? Number(state.val) : NaN;
+            values[name] = state && state.val !== null && Number.isFinite(value) ? value : null;
+        }
+        return values;
+    }
+
+    /**
+     * Seed the sample history of an instance, e.g. from the metric history
+     * so leak detection continues across adapter restarts.
+     * @param {string} instance - Adapter instance
+     * @param {Array<{usedMB: number, timestamp: number}>} samples - Samples, oldest first
+     */
+    seedHistory(instance, samples) {
+        if (!this.history.has(instance) && samples.length > 0) {
+            this.history.set(instance, samples.slice(-this.config.leakDetectionWindow));
+        }
+    }
+
+    /**
+     * Evaluate one running instance and record its sample.
+     * @param {{id: string, instance: string, key: string, host: string|null}} info - Discovered instance
+     * @param {{memRssMB: number|null, heapUsedMB: number|null, heapTotalMB: number|null, cpu: number|null}} values - Values of readValues()
+     * @param {number} [now] - Sample time
+     * @returns {object} Instance result
+     */
+    evaluate(info, values, now = Date.now()) {
+        const result = {
+            instance: info.instance,
+            key: info.key,
+            host: info.host,
+            ...values,
+            status: 'ok',
+            leak: null,
+            warnings: [],
+        };
+        const levels = [];
+
+        if (values.memRssMB !== null) {
+            const history = this.history.get(info.instance) || [];
+            history.push({ usedMB: values.memRssMB, timestamp: now });
+            if (history.length > this.config.leakDetectionWindow) {
+                history.shift();
+            }
+            this.history.set(info.instance, history);
+
+            result.leak = MemoryMonitor.analyzeLeak(history, this.config.leakDetectionWindow, this.config.leakGrowthThresholdMB);
+            if (result.leak) {
+                levels.push('warning');
+                result.warnings.push(
+                    `Potential memory leak in ${info.instance}: +${result.leak.avgGrowthMB} MB/sample (${result.leak.trendPercent}% upward trend)`
+                );
+            }
+        }
+
+        const rules = [
+            ['memRssMB', { warning: this.config.memoryWarningMB, label: `Memory of ${info.instance}`, unit: ' MB' }],
+            ['cpu', { warning: this.config.cpuWarningPercent, label: `CPU usage of ${info.instance}`, unit: '%' }],
+        ];
+        for (const [metric, rule] of rules) {
+            if (values[metric] === null) {
+                continue;
+            }
+            // Maintenance windows of the instance suppress its alerts
+            const instanceRule = { ...rule, direction: 'above', target: info.id };
+            const level = this.alertEngine
+                ? this.alertEngine.evaluate(`instances.${info.key}.${metric}`, values[metric], instanceRule)
+                : AlertEngine.classify(values[metric], instanceRule);
+            levels.push(level);
+            if (level !== 'ok') {
+                result.warnings.push(`${rule.label} ${level} (${values[metric]}${rule.unit})`);
+            }
+        }
+
+        result.status = AlertEngine.worst(levels);
+        return result;
+    }
+
+    /**
+     * Drop the samples and alerts of an instance that stopped or was removed.
+     * @param {string} instance - Adapter instance
+     */
+    forgetInstance(instance) {
+        this.history.delete(instance);
+        if (this.alertEngine) {
+            this.alertEngine.clear(`instances.${InstanceMonitor.stateKey(instance)}`);
+        }
+    }
+
+    /**
+     * Heaviest instances by a value.
+     * @param {Array<object>} instances - Instance results
+     * @param {string} metric - `memRssMB` or `cpu`
+     * @returns {Array<{instance: string, memRssMB: number|null, heapUsedMB: number|null, cpu: number|null}>}
+     */
+    rank(instances, metric) {
+        return instances
+            .filter(instance => instance[metric] !== null)
+            .sort((a, b) => b[metric] - a[metric])
+            .slice(0, this.config.rankingSize)
+            .map(({ instance, memRssMB, heapUsedMB, cpu }) => ({ instance, memRssMB, heapUsedMB, cpu }));
+    }
+
+    /**
+     * Evaluate all running instances and update the instances.* states.
+     * @returns {Promise<{status: string, instances: Array<object>, running: number, totalMemRssMB: number, ranking: {memory: Array<object>, cpu: Array<object>}, leaks: string[], warnings: string}>}
+     */
+    async check() {
+        const instances = [];
+        const running = new Set();
+
+        for (const info of await this.discoverInstances()) {
+            const values = await this.readValues(info.id);
+            if (!values) {
+                // A restarted instance starts with fresh memory
+                this.history.delete(info.instance);
+                continue;
+            }
+            const result = this.evaluate(info, values);
+            await this.updateInstanceStates(result);
+            instances.push(result);
+            running.add(info.instance);
+        }
+
+        for (const instance of this.runningInstances) {
+            if (!running.has(instance)) {
+                this.forgetInstance(instance);
+            }
+        }
+        this.runningInstances = running;
+
+        const totalMemRssMB = instances.reduce((sum, instance) => sum + (instance.memRssMB || 0), 0);
+
+        return {
+            status: AlertEngine.worst(instances.map(instance => instance.status)),
+            instances,
+            running: instances.length,
+            totalMemRssMB: Math.round(totalMemRssMB),
+            ranking: {
+                memory: this.rank(instances, 'memRssMB'),
+                cpu: this.rank(instances, 'cpu'),
+            },
+            leaks: instances.filter(instance => instance.leak).map(instance => instance.instance),
+            warnings: instances.flatMap(instance => instance.warnings).join(' | '),
+            timestamp: Date.now(),
+        };
+    }
+
+    /**
+     * Create the state tree of an instance once.
+     * @param {string} key - State ID segment of the instance
+     * @param {string} instance - Adapter instance
+     */
+    async createInstanceStates(key, instance) {
+        if (this.knownInstances.has(key)) {
+            return;
+        }
+
+        await InstanceMonitor.createStateTree(this.adapter, `instances.${key}`, `Instance ${instance}`, [
+            ['status', { name: 'Instance resource status', type: 'string', role: 'text', states: { ok: 'OK', warning: 'Warning', critical: 'Critical' } }],
+            ['memRssMB', { name: 'Memory (RSS)', type: 'number', role: 'value', unit: 'MB' }],
+            ['heapUsedMB', { name: 'Heap used', type: 'number', role: 'value', unit: 'MB' }],
+            ['heapTotalMB', { name: 'Heap total', type: 'number', role: 'value', unit: 'MB' }],
+            ['cpu', { name: 'CPU usage', type: 'number', role: 'value', unit: '%' }],
+            ['leakDetected', { name: 'Potential memory leak detected', type: 'boolean', role: 'indicator.alarm' }],
+            ['leakGrowthMB', { name: 'Average memory growth per sample', type: 'number', role: 'value', unit: 'MB' }],
+        ]);
+
+        this.knownInstances.add(key);
+    }
+
+    /**
+     * Create the channel of an instance with its read-only states.
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {string} baseId - Channel ID, e.g. `instances.zigbee_0`
+     * @param {string} name - Channel name
+     * @param {Array<[string, object]>} definitions - State ID below the channel and common part of each state
+     */
+    static async createStateTree(adapter, baseId, name, definitions) {
+        await adapter.setObjectNotExistsAsync(baseId, {
+            type: 'channel',
+            common: { name },
+            native: {},
+        });
+
+        for (const [id, common] of definitions) {
+            await adapter.setObjectNotExistsAsync(`${baseId}.${id}`, {
+                type: 'state',
+                common: { ...common, read: true, write: false },
+                native: {},
+            });
+        }
+    }
+
+    /**
+     * Write the states of one instance.
+     * @param {object} result - Instance result of evaluate()
+     */
+    async updateInstanceStates(result) {
+        await this.createInstanceStates(result.key, result.instance);
+
+        const baseId = `instances.${result.key}`;
+        await this.adapter.setStateAsync(`${baseId}.status`, result.status, true);
+        await this.adapter.setStateAsync(`${baseId}.leakDetected`, !!result.leak, true);
+        await this.adapter.setStateAsync(`${baseId}.leakGrowthMB`, result.leak ? result.leak.avgGrowthMB : 0, true);
+
+        for (const id of ['memRssMB', 'heapUsedMB', 'heapTotalMB', 'cpu']) {
+            if (result[id] !== null) {
+                await this.adapter.setStateAsync(`${baseId}.${id}`, result[id], true);
+            }
+        }
+    }
+}
+
+module.exports = InstanceMonitor;
@@ -1,6 +1,7 @@
 'use strict';
 
 const os = require('os');
+const AlertEngine = require('../alert-engine');
 
 /**
  * Memory monitoring and leak detection.
@@ -14,6 +15,7 @@ class MemoryMonitor {
      * @param {number} config.criticalThresholdPercent - Critical threshold as percentage of total memory
      * @param {number} config.leakDetectionWindow - Number of samples to analyze for leak detection
      * @param {number} config.leakGrowthThresholdMB - MB growth per sample that indicates a leak
+     * @param {AlertEngine} [config.alertEngine] - Shared alert engine (hysteresis, minimum duration); plain thresholds if omitted
      */
     constructor(adapter, config = {}) {
         this.adapter = adapter;
@@ -23,9 +25,24 @@ class MemoryMonitor {
             leakDetectionWindow: config.leakDetectionWindow || 10,
             leakGrowthThresholdMB: config.leakGrowthThresholdMB || 50,
         };
+        this.alertEngine = config.alertEngine || null;
         this.history = [];
     }
 
+    /**
+     * Level of a metric, debounced by the alert engine if one is configured.
+     * @param {string} key - Metric key
+     * @param {number} value - Measured value
+     * @param {object} rule - Alert rule (see AlertEngine.evaluate)
+     * @returns {string} 'ok', 'warning', or 'critical'
+     */
+    evaluate(key, value, rule) {
+        if (this.alertEngine) {
+            return this.alertEngine.evaluate(key, value, rule);
+        }
+        return AlertEngine.classify(value, rule);
+    }
+
     /**
      * Get current memory usage statistics.
      * @returns {object} Memory statistics
@@ -50,11 +67,23 @@ class MemoryMonitor {
      * @returns {object|null} Leak detection result or null if no leak detected
      */
     detectLeak() {
-        if (this.history.length < this.config.leakDetectionWindow) {
+        return MemoryMonitor.analyzeLeak(this.history, this.config.leakDetectionWindow, this.config.leakGrowthThresholdMB);
+    }
+
+    /**
+     * Leak detection over a series of memory samples. Also used per adapter
+     * instance by the InstanceMonitor.
+     * @param {Array<{usedMB: number}>} history - Samples, oldest first
+     * @param {number} window - Number of most recent samples to analyze
+     * @param {number} growthThresholdMB - MB growth per sample that indicates a leak
+     * @returns {{detected: boolean, avgGrowthMB: number, trendPercent: number, sampleCount: number}|null} Leak detection result or null if no leak detected
+     */
+    static analyzeLeak(history, window, growthThresholdMB) {
+        if (history.length < window) {
             return null; // Not enough data yet
         }
 
-        const recentSamples = this.history.slice(-this.config.leakDetectionWindow);
+        const recentSamples = history.slice(-window);
         const growthRates = [];
 
         for (let i = 1; i < recentSamples.length; i++) {
@@ -70,7 +99,7 @@ class MemoryMonitor {
         // Leak detected if:
         // 1. Average growth exceeds threshold
         // 2. More than 70% of samples show positive growth
-        if (avgGrowth > this.config.leakGrowthThresholdMB && positiveGrowthPercent > 70) {
+        if (avgGrowth > growthThresholdMB && positiveGrowthPercent > 70) {
             return {
                 detected: true,
                 avgGrowthMB: Math.round(avgGrowth * 100) / 100,
@@ -132,14 +161,26 @@ class MemoryMonitor {
         };
 
         // Check absolute threshold (free memory)
-        if (stats.freeMB < this.config.warningThresholdMB) {
+        const freeLevel = this.evaluate('memory.freeMB', stats.freeMB, {
+            warning: this.config.warningThresholdMB,
+            direction: 'below',
+            label: 'Free memory',
+            unit: ' MB',
+        });
+        if (freeLevel !== 'ok') {
             result.warnings.push(
                 `Free memory (${stats.freeMB} MB) is below warning threshold (${this.config.warningThresholdMB} MB)`
             );
         }
 
         // Check percentage threshold
-        if (stats.usedPercent > this.config.criticalThresholdPercent) {
+        const usedLevel = this.evaluate('memory.usedPercent', stats.usedPercent, {
+            critical: this.config.criticalThresholdPercent,
+            direction: 'above',
+            label: 'Memory usage',
+            unit: '%',
+        });
+        if (usedLevel === 'critical') {
             result.critical.push(
                 `Memory usage (${stats.usedPercent}%) exceeds critical threshold (${this.config.criticalThresholdPercent}%)`
             );
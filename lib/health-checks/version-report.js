@@ -0,0 +1,263 @@
+'use strict';
+
+const semver = require('semver');
+
+/** Dependency names that refer to the host instead of an adapter. */
+const HOST_DEPENDENCIES = {
+    'js-controller': 'controller',
+    node: 'node',
+    nodejs: 'node',
+};
+
+/**
+ * Outdated adapter and version compatibility report.
+ *
+ * Compares the installed version of every adapter instance with the locally
+ * cached `system.repositories` object (active repositories of `system.config`)
+ * and checks the io-package `dependencies` (same host) and `globalDependencies`
+ * (any host) of each instance, including the js-controller and Node.js version
+ * ranges, against the hosts of the installation. The repository cache is the
+ * one admin refreshes; nothing is downloaded.
+ */
+class VersionReport {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Normalize a version as published by adapters and hosts (`v20.11.0`, `1.2`).
+     * @param {string} version - Version
+     * @returns {string|null} Semantic version, null if it cannot be parsed
+     */
+    static parseVersion(version) {
+        return semver.valid(version) || semver.valid(semver.coerce(version, { includePrerelease: true }));
+    }
+
+    /**
+     * Whether a version is newer than another.
+     * @param {string} version - Version
+     * @param {string} than - Version to compare with
+     * @returns {boolean} False if either version cannot be parsed
+     */
+    static isNewer(version, than) {
+        const a = VersionReport.parseVersion(version);
+        const b = VersionReport.parseVersion(than);
+        return !!a && !!b && semver.gt(a, b);
+    }
+
+    /**
+     * Whether a version satisfies a dependency range. Prereleases satisfy ranges
+     * like their release, as js-controller betas are commonly installed.
+     * @param {string} version - Installed version
+     * @param {string} range - Dependency range, e.g. `>=5.0.19` or `^6.0.0`
+     * @returns {boolean|null} Null if the version or range cannot be parsed
+     */
+    static satisfies(version, range) {
+        const parsed = VersionReport.parseVersion(version);
+        if (!parsed || !semver.validRange(range)) {
+            return null;
+        }
+        return semver.satisfies(parsed, range, { includePrerelease: true });
+    }
+
+    /**
+     * Read hosts, adapters, instances and the repository cache.
+     * @returns {Promise<{repositories: object|null, activeRepo: string|string[]|null, hosts: Record<string, object>, adapters: Record<string, object>, instances: Record<string, object>}>}
+     */
+    async collect() {
+        const [repositories, systemConfig, hosts, adapters, instances] = await Promise.all([
+            this.adapter.getForeignObjectAsync('system.repositories'),
+            this.adapter.getForeignObjectAsync('system.config'),
+            this.adapter.getForeignObjectsAsync('system.host.*', 'host'),
+            this.adapter.getForeignObjectsAsync('system.adapter.*', 'adapter'),
+            this.adapter.getForeignObjectsAsync('system.adapter.*', 'instance'),
+        ]);
+
+        return {
+            repositories,
+            activeRepo: (systemConfig && systemConfig.common && systemConfig.common.activeRepo) || null,
+            hosts: hosts || {},
+            adapters: adapters || {},
+            instances: instances || {},
+        };
+    }
+
+    /**
+     * Latest version and deprecation flag per adapter from the active repositories
+     * (all cached repositories if none is active).
+     * @param {object|null} repositories - `system.repositories` object
+     * @param {string|string[]|null} activeRepo - Active repository name(s)
+     * @returns {Map<string, {version: string, deprecated: boolean}>}
+     */
+    static latestVersions(repositories, activeRepo) {
+        const latest = new Map();
+        const cached = (repositories && repositories.native && repositories.native.repositories) || {};
+        const active = [].concat(activeRepo || []).filter(name => cached[name]);
+
+        for (const name of active.length > 0 ? active : Object.keys(cached)) {
+            const json = (cached[name] && cached[name].json) || {};
+            for (const [adapterName, entry] of Object.entries(json)) {
+                if (adapterName.startsWith('_') || !entry || !entry.version) {
+                    continue;
+                }
+                const known = latest.get(adapterName);
+                if (!known || VersionReport.isNewer(entry.version, known.version)) {
+                    latest.set(adapterName, { version: entry.version, deprecated: !!entry.deprecated });
+                }
+            }
+        }
+
+        return latest;
+    }
+
+    /**
+     * Normalize io-package dependencies (`[{"js-controller": ">=5"}, "admin"]` or `{admin: ">=6"}`).
+     * @param {Array<string|object>|object|undefined} dependencies - Dependencies as declared
+     * @returns {Array<{name: string, range: string}>}
+     */
+    static normalizeDependencies(dependencies) {
+        const normalized = [];
+        const add = (name, range) => normalized.push({ name, range: typeof range === 'string' && range.trim() ? range.trim() : '*' });
+
+        for (const entry of Array.isArray(dependencies) ? dependencies : [dependencies]) {
+            if (typeof entry === 'string') {
+                add(entry, '*');
+            } else if (entry && typeof entry === 'object') {
+                for (const [name, range] of Object.entries(entry)) {
+                    add(name, range);
+                }
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Build the report.
+     * @param {object} data - Result of collect()
+     * @returns {{instances: Array<object>, outdated: number, deprecated: number, incompatible: number, repositoryAvailable: boolean}}
+     */
+    analyze(data) {
+        const latest = VersionReport.latestVersions(data.repositories, data.activeRepo);
+
+        const hosts = {};
+        for (const [id, obj] of Object.entries(data.hosts)) {
+            const common = (obj && obj.common) || {};
+            const native = (obj && obj.native) || {};
+            hosts[id.replace(/^system\.host\./, '')] = {
+                controller: common.installedVersion || null,
+                node: (native.process && native.process.versions && native.process.versions.node) || null,
+            };
+        }
+
+        // Installed version of each adapter per host (from its instances)
+        const adapterVersions = name => {
+            const obj = data.adapters[`system.adapter.${name}`];
+            return obj && obj.common ? obj.common.version || null : null;
+        };
+        const installed = {};
+        for (const [id, obj] of Object.entries(data.instances)) {
+            const common = (obj && obj.common) || {};
+            const name = id.replace(/^system\.adapter\./, '').replace(/\.\d+$/, '');
+            installed[common.host] = installed[common.host] || {};
+            installed[common.host][name] = common.version || adapterVersions(name);
+        }
+
+        const instances = [];
+        for (const [id, obj] of Object.entries(data.instances)) {
+            const common = (obj && obj.common) || {};
+            const instance = id.replace(/^system\.adapter\./, '');
+            const name = instance.replace(/\.\d+$/, '');
+            const adapterCommon = (data.adapters[`system.adapter.${name}`] || {}).common || {};
+            const version = common.version || adapterCommon.version || null;
+            const repo = latest.get(name) || null;
+
+            const result = {
+                instance,
+                adapter: name,
+                host: common.host || null,
+                installed: version,
+                available: repo ? repo.version : null,
+                outdated: !!(repo && version && VersionReport.isNewer(repo.version, version)),
+                deprecated: !!((repo && repo.deprecated) || common.deprecated || adapterCommon.deprecated),
+                unsatisfied: [],
+            };
+
+            const declared = [
+                ...VersionReport.normalizeDependencies(common.dependencies || adapterCommon.dependencies).map(d => ({ ...d, global: false })),
+                ...VersionReport.normalizeDependencies(common.globalDependencies || adapterCommon.globalDependencies).map(d => ({ ...d, global: true })),
+            ];
+            const engines = common.engines || adapterCommon.engines;
+            if (engines && engines.node) {
+                declared.push({ name: 'node', range: engines.node, global: false });
+            }
+
+            for (const dependency of declared) {
+                const problem = this.checkDependency(dependency, result.host, hosts, installed);
+                if (problem) {
+                    result.unsatisfied.push(problem);
+                }
+            }
+
+            instances.push(result);
+        }
+
+        instances.sort((a, b) => a.instance.localeCompare(b.instance));
+
+        return {
+            instances,
+            outdated: instances.filter(i => i.outdated).length,
+            deprecated: instances.filter(i => i.deprecated).length,
+            incompatible: instances.filter(i => i.unsatisfied.length > 0).length,
+            repositoryAvailable: latest.size > 0,
+        };
+    }
+
+    /**
+     * Check one dependency of an instance.
+     * @param {{name: string, range: string, global: boolean}} dependency - Dependency
+     * @param {string|null} host - Host of the instance
+     * @param {Record<string, {controller: string|null, node: string|null}>} hosts - Host versions
+     * @param {Record<string, Record<string, string|null>>} installed - Adapter versions per host
+     * @returns {{dependency: string, range: string, found: string|null, global: boolean}|null} The problem, or null if satisfied or undeterminable
+     */
+    checkDependency(dependency, host, hosts, installed) {
+        let candidates;
+        const hostKey = HOST_DEPENDENCIES[dependency.name];
+
+        if (hostKey) {
+            candidates = (host && hosts[host] ? [hosts[host]] : Object.values(hosts)).map(h => h[hostKey]);
+        } else if (dependency.global) {
+            candidates = Object.values(installed).map(adapters => adapters[dependency.name]);
+        } else {
+            candidates = [(installed[host] || {})[dependency.name]];
+        }
+        candidates = candidates.filter(Boolean);
+
+        if (candidates.length === 0) {
+            // Host versions may be unknown (old js-controller), adapters must be installed
+            return hostKey ? null : { dependency: dependency.name, range: dependency.range, found: null, global: dependency.global };
+        }
+
+        const results = candidates.map(version => VersionReport.satisfies(version, dependency.range));
+        if (results.some(result => result === true || result === null)) {
+            return null;
+        }
+        return { dependency: dependency.name, range: dependency.range, found: candidates.join(', '), global: dependency.global };
+    }
+
+    /**
+     * Collect the data and build the report.
+     * @returns {Promise<object>} Report of analyze()
+     */
+    async inspect() {
+        return this.analyze(await this.collect());
+    }
+}
+
+VersionReport.HOST_DEPENDENCIES = HOST_DEPENDENCIES;
+
+module.exports = VersionReport;
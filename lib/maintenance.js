@@ -0,0 +1,329 @@
+'use strict';
+
+const Scheduler = require('./scheduler');
+
+/** How often window starts/ends are checked and the maintenance.* states refreshed. */
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+/** Upper limit for ad-hoc windows (7 days). */
+const MAX_ADHOC_MINUTES = 7 * 24 * 60;
+
+/**
+ * Maintenance windows during which alerts are suppressed.
+ *
+ * Windows are either recurring (cron expression + duration from the adapter
+ * config) or ad-hoc (started via the maintenance.start state or sendTo and
+ * persisted in maintenance.adhoc so they survive an adapter restart).
+ * A window covers all checks, or only the listed adapter instances
+ * (e.g. `zigbee.0`) and their states.
+ *
+ * Findings are still recorded during maintenance; consumers (Notifier,
+ * AlertEngine, CrashDetection, checks) only mark them as `duringMaintenance`
+ * and do not alert.
+ */
+class MaintenanceManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {Array<{cron: string, duration: number|string, instances?: string|string[]}>} [options.windows] - Recurring windows
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.recurring = MaintenanceManager.parseWindows(options.windows, adapter.log);
+        /** @type {Array<{start: number, end: number, instances: string[], reason: string}>} */
+        this.adhoc = [];
+        this.timer = null;
+        this.lastActiveKey = '';
+    }
+
+    /**
+     * Parse the instance list of a window.
+     * @param {string|string[]|null|undefined} value - Comma/space separated string or array
+     * @returns {string[]} Instance IDs; empty means all checks and instances
+     */
+    static parseInstances(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+        return list
+            .filter(item => typeof item === 'string')
+            .map(item => item.trim().replace(/^system\.adapter\./, ''))
+            .filter(item => item);
+    }
+
+    /**
+     * Parse recurring window definitions. Invalid entries are logged and skipped.
+     * @param {Array<{cron: string, duration: number|string, instances?: string|string[]}>|undefined} windows - Config entries
+     * @param {object} log - Adapter logger
+     * @returns {Array<{cron: string, fields: object, durationMinutes: number, instances: string[]}>}
+     */
+    static parseWindows(windows, log) {
+        const parsed = [];
+
+        for (const window of Array.isArray(windows) ? windows : []) {
+            if (!window || !String(window.cron || '').trim()) {
+                continue;
+            }
+            const cron = String(window.cron).trim();
+            const durationMinutes = Number(window.duration);
+            try {
+                if (!Number.isFinite(durationMinutes) || durationMinutes <= 0) {
+                    throw new Error('duration must be greater than 0 minutes');
+                }
+                parsed.push({
+                    cron,
+                    fields: Scheduler.parseCron(cron),
+                    durationMinutes,
+                    instances: MaintenanceManager.parseInstances(window.instances),
+                });
+            } catch (err) {
+                log.warn(`Ignoring invalid maintenance window "${cron}": ${err.message}`);
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Create states, restore ad-hoc windows and start refreshing the states.
+     */
+    async init() {
+        await this.createStates();
+
+        try {
+            const state = await this.adapter.getStateAsync('maintenance.adhoc');
+            const stored = state && state.val ? JSON.parse(String(state.val)) : [];
+            const now = Date.now();
+            this.adhoc = (Array.isArray(stored) ? stored : []).filter(window => window && window.end > now);
+        } catch (err) {
+            this.adapter.log.warn(`Failed to restore maintenance windows: ${err.message}`);
+            this.adhoc = [];
+        }
+
+        if (this.recurring.length > 0) {
+            this.adapter.log.info(`Maintenance windows: ${this.recurring.map(w => `"${w.cron}" for ${w.durationMinutes} min`).join(', ')}`);
+        }
+
+        await this.updateStates();
+        this.timer = setInterval(() => {
+            this.updateStates().catch(err => this.adapter.log.warn(`Failed to update maintenance states: ${err.message}`));
+        }, REFRESH_INTERVAL_MS);
+    }
+
+    /**
+     * Windows active at the given time.
+     * @param {number} [now] - Time (default: now)
+     * @returns {Array<{type: 'recurring'|'adhoc', start: number, end: number, instances: string[], reason: string}>}
+     */
+    getActiveWindows(now = Date.now()) {
+        const active = [];
+
+        for (const window of this.recurring) {
+            // The window is active if the cron expression matched within the last `duration` minutes
+            const durationMs = window.durationMinutes * 60 * 1000;
+            const start = Scheduler.nextCronRun(window.fields, new Date(now - durationMs));
+            if (start && start.getTime() <= now) {
+                active.push({
+                    type: 'recurring',
+                    start: start.getTime(),
+                    end: start.getTime() + durationMs,
+                    instances: window.instances,
+                    reason: `cron "${window.cron}"`,
+                });
+            }
+        }
+
+        for (const window of this.adhoc) {
+            if (window.start <= now && window.end > now) {
+                active.push({ type: 'adhoc', ...window });
+            }
+        }
+
+        return active;
+    }
+
+    /**
+     * Check whether a maintenance window covers a target.
+     * @param {string|null} [target] - Adapter instance (`zigbee.0` or `system.adapter.zigbee.0`) or state ID
+     *   (`zigbee.0.device.state`); without a target only windows covering all checks count
+     * @param {number} [now] - Time (default: now)
+     * @returns {boolean}
+     */
+    isActive(target = null, now = Date.now()) {
+        if (target) {
+            target = target.replace(/^system\.adapter\./, '');
+        }
+        return this.getActiveWindows(now).some(window => {
+            if (window.instances.length === 0) {
+                return true;
+            }
+            return !!target && window.instances.some(instance => target === instance || target.startsWith(`${instance}.`));
+        });
+    }
+
+    /**
+     * Start an ad-hoc maintenance window.
+     * @param {number} minutes - Duration in minutes
+     * @param {string|string[]} [instances] - Affected adapter instances (default: all)
+     * @param {string} [reason] - Free text shown in maintenance.windows
+     * @returns {Promise<{start: number, end: number, instances: string[], reason: string}>}
+     * @throws {Error} If the duration is invalid
+     */
+    async start(minutes, instances = [], reason = '') {
+        const duration = Number(minutes);
+        if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_ADHOC_MINUTES) {
+            throw new Error(`Invalid maintenance duration: ${minutes} (1-${MAX_ADHOC_MINUTES} minutes)`);
+        }
+
+        const now = Date.now();
+        const window = {
+            start: now,
+            end: now + duration * 60 * 1000,
+            instances: MaintenanceManager.parseInstances(instances),
+            reason: String(reason || ''),
+        };
+        this.adhoc.push(window);
+
+        const scope = window.instances.length > 0 ? window.instances.join(', ') : 'all checks';
+        this.adapter.log.info(`Maintenance started for ${duration} minute(s) (${scope})${window.reason ? `: ${window.reason}` : ''}`);
+
+        await this.updateStates();
+        return window;
+    }
+
+    /**
+     * End all ad-hoc maintenance windows. Recurring windows are not affected.
+     * @returns {Promise<number>} Number of ended windows
+     */
+    async stop() {
+        const now = Date.now();
+        const ended = this.adhoc.filter(window => window.end > now).length;
+        this.adhoc = [];
+
+        if (ended > 0) {
+            this.adapter.log.info(`Maintenance ended manually (${ended} window(s))`);
+        }
+
+        await this.updateStates();
+        return ended;
+    }
+
+    /**
+     * Create the maintenance.* states.
+     */
+    async createStates() {
+        await this.adapter.setObjectNotExistsAsync('maintenance', {
+            type: 'channel',
+            common: { name: 'Maintenance' },
+            native: {},
+        });
+
+        await this.adapter.setObjectNotExistsAsync('maintenance.active', {
+            type: 'state',
+            common: {
+                name: 'Maintenance window for all checks active',
+                type: 'boolean',
+                role: 'indicator',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.adapter.setObjectNotExistsAsync('maintenance.windows', {
+            type: 'state',
+            common: {
+                name: 'Active maintenance windows (JSON)',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.adapter.setObjectNotExistsAsync('maintenance.adhoc', {
+            type: 'state',
+            common: {
+                name: 'Ad-hoc maintenance windows (JSON)',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.adapter.setObjectNotExistsAsync('maintenance.start', {
+            type: 'state',
+            common: {
+                name: 'Start maintenance for all checks (minutes)',
+                type: 'number',
+                role: 'level',
+                unit: 'min',
+                min: 0,
+                max: MAX_ADHOC_MINUTES,
+                read: true,
+                write: true,
+            },
+            native: {},
+        });
+
+        await this.adapter.setObjectNotExistsAsync('maintenance.stop', {
+            type: 'state',
+            common: {
+                name: 'End ad-hoc maintenance',
+                type: 'boolean',
+                role: 'button',
+                read: false,
+                write: true,
+            },
+            native: {},
+        });
+    }
+
+    /**
+     * Drop expired ad-hoc windows, log window starts/ends and write the states.
+     */
+    async updateStates() {
+        const now = Date.now();
+        this.adhoc = this.adhoc.filter(window => window.end > now);
+
+        const active = this.getActiveWindows(now);
+        const activeKey = JSON.stringify(active.map(window => [window.type, window.start, window.instances]));
+        if (activeKey !== this.lastActiveKey) {
+            if (active.length > 0) {
+                this.adapter.log.info(`Maintenance active: ${active.map(MaintenanceManager.describe).join('; ')}`);
+            } else if (this.lastActiveKey) {
+                this.adapter.log.info('Maintenance ended, alerts are active again');
+            }
+            this.lastActiveKey = active.length > 0 ? activeKey : '';
+        }
+
+        await this.adapter.setStateAsync('maintenance.active', active.some(window => window.instances.length === 0), true);
+        await this.adapter.setStateAsync('maintenance.windows', JSON.stringify(active), true);
+        await this.adapter.setStateAsync('maintenance.adhoc', JSON.stringify(this.adhoc), true);
+    }
+
+    /**
+     * Describe a window for log output.
+     * @param {{type: string, end: number, instances: string[], reason: string}} window - Active window
+     * @returns {string}
+     */
+    static describe(window) {
+        const scope = window.instances.length > 0 ? window.instances.join(', ') : 'all checks';
+        return `${scope} until ${new Date(window.end).toLocaleString()} (${window.reason || window.type})`;
+    }
+
+    /**
+     * Stop refreshing the states.
+     */
+    cleanup() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+MaintenanceManager.MAX_ADHOC_MINUTES = MAX_ADHOC_MINUTES;
+
+module.exports = MaintenanceManager;
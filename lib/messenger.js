@@ -0,0 +1,250 @@
+'use strict';
+
+const { SEVERITY } = require('./alert-engine');
+const { createEvent, subscribe } = require('./alert-events');
+
+const HOUR = 60 * 60 * 1000;
+
+/** Maximum length of a digest sent as text (message size limit of most messengers). */
+const MAX_DIGEST_TEXT = 4000;
+
+/**
+ * Message object per messenger adapter. Adapters not listed here get all
+ * common fields, which covers most messengers that accept `text` or `message`.
+ * @type {Record<string, (text: string, title: string, event: object) => object>}
+ */
+const FORMATTERS = {
+    telegram: text => ({ text }),
+    'signal-cmb': text => ({ text }),
+    'whatsapp-cmb': text => ({ text }),
+    pushover: (text, title, event) => ({ message: text, title, priority: event.severity === 'critical' ? 1 : 0 }),
+    email: (text, title) => ({ subject: title, text }),
+};
+
+/**
+ * Forwards alert events to messenger adapter instances (telegram, pushover,
+ * email, signal, …) via `sendTo(instance, 'send', …)`.
+ *
+ * Each channel receives the events of its minimum severity and above (or none
+ * for digest-only channels), cleared events only if enabled. Channels are rate
+ * limited to `maxPerHour` messages within the last hour; dropped messages are
+ * counted and mentioned in the next message that gets through. Messages are not
+ * sent to instances that are not running.
+ */
+class MessengerDelivery {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {Array<{instance: string, severity?: string, sendCleared?: boolean, maxPerHour?: number, digest?: boolean}>} [options.channels] - Channels from the config table
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.channels = MessengerDelivery.parseChannels(options.channels, adapter.log);
+    }
+
+    /**
+     * Validate the configured channels. Invalid entries are skipped with a warning.
+     * @param {Array<{instance: string, severity?: string, sendCleared?: boolean, maxPerHour?: number, digest?: boolean}>} channels - Config table rows
+     * @param {object} log - Adapter logger
+     * @returns {Array<{instance: string, severity: string, sendCleared: boolean, maxPerHour: number, digest: boolean, sent: number[], suppressed: number}>}
+     */
+    static parseChannels(channels, log) {
+        const parsed = [];
+
+        for (const channel of Array.isArray(channels) ? channels : []) {
+            const instance = String((channel && channel.instance) || '').trim().replace(/^system\.adapter\./, '');
+            if (!instance) {
+                continue;
+            }
+            if (!/^[a-z0-9_-]+\.\d+$/i.test(instance)) {
+                log.warn(`Ignoring messenger channel "${instance}": expected an adapter instance like telegram.0`);
+                continue;
+            }
+
+            const maxPerHour = Number(channel.maxPerHour);
+            parsed.push({
+                instance,
+                severity: ['critical', 'none'].includes(channel.severity) ? channel.severity : 'warning',
+                sendCleared: channel.sendCleared !== false,
+                maxPerHour: channel.maxPerHour === undefined || channel.maxPerHour === '' || !Number.isFinite(maxPerHour) || maxPerHour < 0
+                    ? 10
+                    : Math.round(maxPerHour),
+                digest: channel.digest === true,
+                /** Send times within the last hour */
+                sent: [],
+                /** Messages dropped by the rate limit since the last sent message */
+                suppressed: 0,
+            });
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Adapter name of an instance (`telegram.0` → `telegram`).
+     * @param {string} instance - Adapter instance
+     * @returns {string}
+     */
+    static adapterName(instance) {
+        return instance.replace(/\.\d+$/, '');
+    }
+
+    /**
+     * Forward events of the alert engine and the notifier.
+     * @param {object} sources - Event sources
+     * @param {import('events').EventEmitter|null} [sources.alertEngine] - Alert engine
+     * @param {import('events').EventEmitter|null} [sources.notifier] - Notifier
+     */
+    attach(sources) {
+        subscribe(this.adapter, sources, event => {
+            this.deliver(event).catch(err => this.adapter.log.warn(`Messenger delivery failed: ${err.message}`));
+        });
+    }
+
+    /**
+     * Whether a channel wants an event.
+     * @param {{severity: string, sendCleared: boolean}} channel - Channel
+     * @param {{event: string, severity: string}} event - Alert event
+     * @returns {boolean}
+     */
+    static accepts(channel, event) {
+        if (channel.severity === 'none' || (event.event === 'cleared' && !channel.sendCleared)) {
+            return false;
+        }
+        return (SEVERITY[event.severity] || 0) >= SEVERITY[channel.severity];
+    }
+
+    /**
+     * Apply the rate limit of a channel.
+     * @param {{maxPerHour: number, sent: number[], suppressed: number}} channel - Channel
+     * @param {number} now - Current time
+     * @returns {boolean} True if a message may be sent
+     */
+    static allow(channel, now) {
+        channel.sent = channel.sent.filter(time => time > now - HOUR);
+        if (channel.maxPerHour > 0 && channel.sent.length >= channel.maxPerHour) {
+            channel.suppressed++;
+            return false;
+        }
+        channel.sent.push(now);
+        return true;
+    }
+
+    /**
+     * Send an alert event to all channels that accept it.
+     * @param {object} event - Alert event
+     * @param {number} [now] - Current time
+     * @returns {Promise<string[]>} Instances the event was sent to
+     */
+    async deliver(event, now = Date.now()) {
+        const sent = [];
+
+        for (const channel of this.channels) {
+            if (!MessengerDelivery.accepts(channel, event)) {
+                continue;
+            }
+            if (!MessengerDelivery.allow(channel, now)) {
+                this.adapter.log.debug(`Message to ${channel.instance} dropped by rate limit (${channel.maxPerHour} per hour)`);
+                continue;
+            }
+
+            let text = `${event.message} (${event.host})`;
+            if (channel.suppressed > 0) {
+                text += `\n${channel.suppressed} further message(s) were dropped by the rate limit.`;
+            }
+            if (await this.send(channel.instance, text, event)) {
+                channel.suppressed = 0;
+                sent.push(channel.instance);
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Send one message to a messenger instance.
+     * @param {string} instance - Adapter instance
+     * @param {string} text - Message text
+     * @param {{event: string, check: string, severity: string}} event - Alert event
+     * @param {object} [options] - Options
+     * @param {string} [options.title] - Title / subject (default: derived from the event)
+     * @param {string} [options.html] - HTML version for e-mail
+     * @returns {Promise<boolean>} True if the message was handed to the instance
+     */
+    async send(instance, text, event, options = {}) {
+        const alive = await this.adapter.getForeignStateAsync(`system.adapter.${instance}.alive`);
+        if (!alive || !alive.val) {
+            this.adapter.log.warn(`Cannot send message to ${instance}: instance is not running`);
+            return false;
+        }
+
+        let title = options.title;
+        if (!title) {
+            title = event.event === 'test'
+                ? 'system-health test message'
+                : `system-health: ${event.check} ${event.event === 'cleared' ? 'ok' : event.severity}`;
+        }
+        const name = MessengerDelivery.adapterName(instance);
+        const format = FORMATTERS[name];
+        const message = format ? format(text, title, event) : { text, message: text, title, subject: title };
+        if (options.html && name === 'email') {
+            message.html = options.html;
+        }
+
+        this.adapter.sendTo(instance, 'send', message);
+        this.adapter.log.debug(`Message sent to ${instance}: ${title}`);
+        return true;
+    }
+
+    /**
+     * Send a digest to the channels that have the digest enabled. E-mail gets
+     * the HTML version, other messengers the (shortened) Markdown text.
+     * @param {string} title - Digest title
+     * @param {string} markdown - Digest as Markdown
+     * @param {string} html - Digest as HTML
+     * @returns {Promise<string[]>} Instances the digest was sent to
+     */
+    async sendDigest(title, markdown, html) {
+        const sent = [];
+        const shortened = markdown.length > MAX_DIGEST_TEXT ? `${markdown.slice(0, MAX_DIGEST_TEXT - 1)}…` : markdown;
+        const event = { event: 'digest', check: 'digest', severity: 'ok' };
+
+        for (const channel of this.channels.filter(channel => channel.digest)) {
+            const text = MessengerDelivery.adapterName(channel.instance) === 'email' ? markdown : shortened;
+            if (await this.send(channel.instance, text, event, { title, html })) {
+                sent.push(channel.instance);
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Send a test message to the given channels (default: all configured),
+     * regardless of routing and rate limits.
+     * @param {Array<{instance: string}>} [channels] - Channels, e.g. the unsaved config table
+     * @returns {Promise<{sent: string[], failed: string[]}>}
+     */
+    async test(channels) {
+        const targets = channels ? MessengerDelivery.parseChannels(channels, this.adapter.log) : this.channels;
+        const event = createEvent(this.adapter, {
+            event: 'test',
+            check: 'messenger',
+            severity: 'warning',
+            message: 'Test message from system-health',
+            values: {},
+        });
+        const result = { sent: [], failed: [] };
+
+        for (const channel of targets) {
+            const ok = await this.send(channel.instance, `${event.message} (${event.host})`, event);
+            result[ok ? 'sent' : 'failed'].push(channel.instance);
+        }
+
+        return result;
+    }
+}
+
+MessengerDelivery.FORMATTERS = FORMATTERS;
+
+module.exports = MessengerDelivery;
@@ -0,0 +1,426 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/** How often changed series are written to disk. */
+const FLUSH_INTERVAL_MS = 5 * 60 * 1000;
+
+/** Ranges up to this length are answered with hourly aggregates by `auto` resolution. */
+const AUTO_HOURLY_MAX_MS = 31 * DAY_MS;
+
+/** Supported query resolutions. */
+const RESOLUTIONS = ['auto', 'raw', '1h', '1d'];
+
+/**
+ * Persistent time-series store for check metrics.
+ *
+ * Every metric keeps its raw samples for `rawRetentionHours` plus hourly and
+ * daily aggregates (min/avg/max/count) for `aggregateRetentionDays`.
+ * Series are stored as JSON files in the instance data directory:
+ * - `<metric>.json`: raw samples and the currently open hour/day buckets
+ *   (rewritten on every flush)
+ * - `<metric>.1h.json` / `<metric>.1d.json`: closed buckets (only rewritten
+ *   when a bucket closes, to keep disk writes low)
+ *
+ * Aggregate buckets are stored as `[start, min, max, sum, count]`.
+ */
+class MetricStore {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} options - Options
+     * @param {string} options.directory - Directory for the series files
+     * @param {number} [options.rawRetentionHours] - How long raw samples are kept (default: 24)
+     * @param {number} [options.aggregateRetentionDays] - How long hourly/daily aggregates are kept (default: 365)
+     */
+    constructor(adapter, options) {
+        this.adapter = adapter;
+        this.directory = options.directory;
+        this.rawRetentionMs = (Number(options.rawRetentionHours) || 24) * HOUR_MS;
+        this.aggregateRetentionMs = (Number(options.aggregateRetentionDays) || 365) * DAY_MS;
+
+        /** @type {Map<string, {raw: number[][], hourly: number[][], daily: number[][], openHour: number[]|null, openDay: number[]|null, dirty: Set<string>}>} */
+        this.series = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Load stored series and start the periodic flush.
+     */
+    async init() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        let files = [];
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (err) {
+            this.adapter.log.warn(`Cannot read metric history directory ${this.directory}: ${err.message}`);
+        }
+
+        for (const file of files) {
+            if (!file.endsWith('.json') || file.endsWith('.1h.json') || file.endsWith('.1d.json')) {
+                continue;
+            }
+            const metric = decodeURIComponent(file.slice(0, -'.json'.length));
+            try {
+                await this._load(metric);
+            } catch (err) {
+                this.adapter.log.warn(`Failed to load metric history ${metric}, starting fresh: ${err.message}`);
+                this.series.delete(metric);
+            }
+        }
+
+        this.adapter.log.info(`Metric history: ${this.series.size} metric(s) loaded from ${this.directory}`);
+
+        this.timer = setInterval(() => {
+            this.flush().catch(err => this.adapter.log.warn(`Failed to save metric history: ${err.message}`));
+        }, FLUSH_INTERVAL_MS);
+    }
+
+    /**
+     * Load the files of one metric.
+     * @param {string} metric - Metric name
+     */
+    async _load(metric) {
+        const current = JSON.parse(await fs.promises.readFile(this._file(metric, ''), 'utf8'));
+        const series = this._getSeries(metric);
+        series.raw = Array.isArray(current.raw) ? current.raw : [];
+        series.openHour = current.openHour || null;
+        series.openDay = current.openDay || null;
+        series.hourly = await this._readArray(this._file(metric, '.1h'));
+        series.daily = await this._readArray(this._file(metric, '.1d'));
+        series.dirty.clear();
+        this._prune(series, Date.now());
+    }
+
+    /**
+     * @param {string} file - File path
+     * @returns {Promise<Array>} Parsed array, empty if the file does not exist
+     */
+    async _readArray(file) {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            return Array.isArray(data) ? data : [];
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} metric - Metric name
+     * @param {string} suffix - '' (raw), '.1h' or '.1d'
+     * @returns {string} File path
+     */
+    _file(metric, suffix) {
+        return path.join(this.directory, `${encodeURIComponent(metric)}${suffix}.json`);
+    }
+
+    /**
+     * @param {string} metric - Metric name
+     * @returns {{raw: number[][], hourly: number[][], daily: number[][], openHour: number[]|null, openDay: number[]|null, dirty: Set<string>}}
+     */
+    _getSeries(metric) {
+        let series = this.series.get(metric);
+        if (!series) {
+            series = { raw: [], hourly: [], daily: [], openHour: null, openDay: null, dirty: new Set() };
+            this.series.set(metric, series);
+        }
+        return series;
+    }
+
+    /**
+     * Start of the local hour containing a timestamp.
+     * @param {number} timestamp - Timestamp
+     * @returns {number}
+     */
+    static hourStart(timestamp) {
+        return new Date(timestamp).setMinutes(0, 0, 0);
+    }
+
+    /**
+     * Start of the local day containing a timestamp.
+     * @param {number} timestamp - Timestamp
+     * @returns {number}
+     */
+    static dayStart(timestamp) {
+        return new Date(timestamp).setHours(0, 0, 0, 0);
+    }
+
+    /**
+     * Record one sample.
+     * @param {string} metric - Metric name, e.g. `memory.usedPercent`
+     * @param {number} value - Sample value (non-numeric values are ignored)
+     * @param {number} [timestamp] - Sample time (default: now)
+     */
+    record(metric, value, timestamp = Date.now()) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return;
+        }
+
+        const series = this._getSeries(metric);
+        series.raw.push([timestamp, value]);
+        series.dirty.add('');
+
+        series.openHour = this._aggregate(series, 'hourly', '.1h', series.openHour, MetricStore.hourStart(timestamp), value);
+        series.openDay = this._aggregate(series, 'daily', '.1d', series.openDay, MetricStore.dayStart(timestamp), value);
+
+        this._prune(series, timestamp);
+    }
+
+    /**
+     * Record several samples taken at the same time.
+     * @param {Record<string, number>} metrics - Metric name → value
+     * @param {number} [timestamp] - Sample time (default: now)
+     */
+    recordAll(metrics, timestamp = Date.now()) {
+        for (const [metric, value] of Object.entries(metrics || {})) {
+            this.record(metric, value, timestamp);
+        }
+    }
+
+    /**
+     * Add a sample to the open bucket of a tier, closing the bucket if the sample belongs to a new one.
+     * @param {object} series - Series
+     * @param {'hourly'|'daily'} tier - Tier of closed buckets
+     * @param {string} suffix - File suffix of the tier
+     * @param {number[]|null} open - Open bucket `[start, min, max, sum, count]`
+     * @param {number} start - Bucket start of the sample
+     * @param {number} value - Sample value
+     * @returns {number[]|null} New open bucket
+     */
+    _aggregate(series, tier, suffix, open, start, value) {
+        if (open && start < open[0]) {
+            // Late sample for an already closed bucket: keep it in the raw data only
+            return open;
+        }
+        if (open && start > open[0]) {
+            series[tier].push(open);
+            series.dirty.add(suffix);
+            open = null;
+        }
+        if (!open) {
+            return [start, value, value, value, 1];
+        }
+        open[1] = Math.min(open[1], value);
+        open[2] = Math.max(open[2], value);
+        open[3] += value;
+        open[4]++;
+        return open;
+    }
+
+    /**
+     * Drop samples and buckets beyond the retention periods.
+     * @param {object} series - Series
+     * @param {number} now - Reference time
+     */
+    _prune(series, now) {
+        const rawLimit = now - this.rawRetentionMs;
+        while (series.raw.length > 0 && series.raw[0][0] < rawLimit) {
+            series.raw.shift();
+        }
+
+        // Buckets are closed in order, so expired ones are always at the front
+        const aggregateLimit = now - this.aggregateRetentionMs;
+        for (const [tier, suffix] of [['hourly', '.1h'], ['daily', '.1d']]) {
+            const buckets = series[tier];
+            while (buckets.length > 0 && buckets[0][0] < aggregateLimit) {
+                buckets.shift();
+                series.dirty.add(suffix);
+            }
+        }
+    }
+
+    /**
+     * Names of all stored metrics.
+     * @returns {string[]}
+     */
+    getMetrics() {
+        return [...this.series.keys()].sort();
+    }
+
+    /**
+     * Latest raw samples of a metric.
+     * @param {string} metric - Metric name
+     * @param {number} count - Maximum number of samples
+     * @returns {Array<{ts: number, value: number}>} Oldest first
+     */
+    getRecent(metric, count) {
+        const series = this.series.get(metric);
+        if (!series || count <= 0) {
+            return [];
+        }
+        return series.raw.slice(-count).map(([ts, value]) => ({ ts, value }));
+    }
+
+    /**
+     * Parse a duration like `30m`, `24h`, `7d` or `2w` (plain numbers are minutes).
+     * @param {string|number} value - Duration
+     * @returns {number} Milliseconds
+     * @throws {Error} If the duration cannot be parsed
+     */
+    static parseDuration(value) {
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([mhdw]?)$/i);
+        if (!match) {
+            throw new Error(`Invalid duration: ${value}`);
+        }
+        const units = { '': 60 * 1000, m: 60 * 1000, h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS };
+        return parseFloat(match[1]) * units[match[2].toLowerCase()];
+    }
+
+    /**
+     * Query the history of a metric.
+     * @param {string} metric - Metric name
+     * @param {object} [options] - Query options
+     * @param {number} [options.from] - Start timestamp (default: `to` minus `range`)
+     * @param {number} [options.to] - End timestamp (default: now)
+     * @param {string|number} [options.range] - Range ending at `to`, e.g. `24h` or `30d` (default: 24h)
+     * @param {'auto'|'raw'|'1h'|'1d'} [options.resolution] - `auto` uses raw samples while they
+     *   cover the range, hourly aggregates up to 31 days and daily aggregates beyond
+     * @returns {{metric: string, resolution: string, from: number, to: number, points: object[]}}
+     *   Raw points are `{ ts, value }`, aggregated points `{ ts, min, avg, max, count }`
+     * @throws {Error} For unknown metrics or invalid options
+     */
+    query(metric, options = {}) {
+        const series = this.series.get(metric);
+        if (!series) {
+            throw new Error(`Unknown metric: ${metric}`);
+        }
+
+        const now = Date.now();
+        const to = options.to !== undefined ? Number(options.to) : now;
+        const from = options.from !== undefined
+            ? Number(options.from)
+            : to - MetricStore.parseDuration(options.range !== undefined ? options.range : '24h');
+        if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+            throw new Error('Invalid time range');
+        }
+
+        let resolution = options.resolution || 'auto';
+        if (!RESOLUTIONS.includes(resolution)) {
+            throw new Error(`Invalid resolution: ${resolution} (expected ${RESOLUTIONS.join(', ')})`);
+        }
+        if (resolution === 'auto') {
+            if (from >= now - this.rawRetentionMs) {
+                resolution = 'raw';
+            } else {
+                resolution = to - from <= AUTO_HOURLY_MAX_MS ? '1h' : '1d';
+            }
+        }
+
+        let points;
+        if (resolution === 'raw') {
+            points = series.raw
+                .filter(([ts]) => ts >= from && ts <= to)
+                .map(([ts, value]) => ({ ts, value }));
+        } else {
+            const buckets = resolution === '1h'
+                ? [...series.hourly, ...(series.openHour ? [series.openHour] : [])]
+                : [...series.daily, ...(series.openDay ? [series.openDay] : [])];
+            const length = resolution === '1h' ? HOUR_MS : DAY_MS;
+            points = buckets
+                .filter(([start]) => start + length > from && start <= to)
+                .map(([ts, min, max, sum, count]) => ({
+                    ts,
+                    min,
+                    avg: Math.round((sum / count) * 100) / 100,
+                    max,
+                    count,
+                }));
+        }
+
+        return { metric, resolution, from, to, points };
+    }
+
+    /**
+     * Min/avg/max of a metric over a period, from the hourly aggregates.
+     * Hours that only partly overlap the period are included completely.
+     * @param {string} metric - Metric name
+     * @param {number} from - Start timestamp
+     * @param {number} to - End timestamp
+     * @returns {{min: number, avg: number, max: number, count: number, first: number, last: number}|null} Null without samples in the period
+     */
+    summarize(metric, from, to) {
+        if (!this.series.has(metric)) {
+            return null;
+        }
+        const { points } = this.query(metric, { from, to, resolution: '1h' });
+        if (points.length === 0) {
+            return null;
+        }
+
+        let sum = 0;
+        let count = 0;
+        for (const point of points) {
+            sum += point.avg * point.count;
+            count += point.count;
+        }
+        return {
+            min: Math.min(...points.map(point => point.min)),
+            avg: Math.round((sum / count) * 100) / 100,
+            max: Math.max(...points.map(point => point.max)),
+            count,
+            first: points[0].avg,
+            last: points[points.length - 1].avg,
+        };
+    }
+
+    /**
+     * Write all changed series to disk.
+     */
+    async flush() {
+        for (const [metric, series] of this.series) {
+            if (series.dirty.size === 0) {
+                continue;
+            }
+            // Each suffix stays marked until its own write, so a failed write
+            // leaves the remaining files dirty for the next flush
+            for (const suffix of [...series.dirty]) {
+                series.dirty.delete(suffix);
+                let data;
+                if (suffix === '') {
+                    data = { raw: series.raw, openHour: series.openHour, openDay: series.openDay };
+                } else {
+                    data = suffix === '.1h' ? series.hourly : series.daily;
+                }
+                try {
+                    await MetricStore._writeAtomic(this._file(metric, suffix), JSON.stringify(data));
+                } catch (err) {
+                    series.dirty.add(suffix);
+                    throw err;
+                }
+            }
+        }
+    }
+
+    /**
+     * Write a file via a temporary file so a crash never leaves a truncated series behind.
+     * @param {string} file - Target path
+     * @param {string} content - File content
+     */
+    static async _writeAtomic(file, content) {
+        const tmp = `${file}.tmp`;
+        await fs.promises.writeFile(tmp, content, 'utf8');
+        await fs.promises.rename(tmp, file);
+    }
+
+    /**
+     * Stop the periodic flush and save pending changes.
+     */
+    async cleanup() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        await this.flush();
+    }
+}
+
+MetricStore.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = MetricStore;
@@ -0,0 +1,118 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/** Notification scope declared in io-package.json. */
+const SCOPE = 'system-health';
+
+/** Notification categories declared in io-package.json. */
+const CATEGORIES = ['memoryCritical', 'diskCritical', 'redisError', 'crashLoop', 'staleStates', 'hostOffline', 'memoryLeak'];
+
+/**
+ * Raises ioBroker host notifications (admin bell, notification-manager).
+ *
+ * Notifications are edge-triggered: a finding is reported once when its
+ * condition becomes active and again only after it has cleared in between,
+ * so a condition that persists across many check runs does not flood the
+ * notification list.
+ *
+ * While a maintenance window covers a condition (all checks, or the adapter
+ * instance used as key) no notification is raised. The condition is not
+ * remembered either, so it is reported once maintenance is over if it persists.
+ *
+ * Emits `raised` and `cleared` with `{category, key, message}` on every edge,
+ * independent of whether host notifications are enabled.
+ */
+class Notifier extends EventEmitter {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {boolean} [options.enabled] - Whether notifications are raised at all (default: true)
+     * @param {import('./maintenance')|null} [options.maintenance] - Suppresses notifications during maintenance windows
+     */
+    constructor(adapter, options = {}) {
+        super();
+        this.adapter = adapter;
+        this.enabled = options.enabled !== false;
+        this.maintenance = options.maintenance || null;
+        /** @type {Map<string, string>} Message of each active condition by `category:key` */
+        this.active = new Map();
+    }
+
+    /**
+     * Update a condition and raise a notification when it becomes active.
+     * @param {string} category - Notification category (see CATEGORIES)
+     * @param {string} key - Identifies the condition within the category (e.g. adapter ID)
+     * @param {boolean} active - Whether the condition is currently present
+     * @param {string} message - Notification text
+     * @returns {Promise<boolean>} True if a notification was raised
+     */
+    async update(category, key, active, message) {
+        const id = `${category}:${key}`;
+
+        if (!active) {
+            if (this.active.has(id)) {
+                this.emit('cleared', { category, key, message: this.active.get(id) });
+                this.active.delete(id);
+            }
+            return false;
+        }
+
+        if (this.active.has(id)) {
+            return false;
+        }
+
+        if (this.maintenance && this.maintenance.isActive(key)) {
+            this.adapter.log.debug(`Notification suppressed during maintenance (${category}): ${message}`);
+            return false;
+        }
+
+        this.active.set(id, message);
+        this.emit('raised', { category, key, message });
+        return this.notify(category, message);
+    }
+
+    /**
+     * Apply a list of conditions (as returned by a check's getNotifications()).
+     * @param {Array<{category: string, key?: string, active: boolean, message: string}>} conditions
+     */
+    async updateAll(conditions) {
+        for (const condition of conditions || []) {
+            await this.update(condition.category, condition.key || condition.category, condition.active, condition.message);
+        }
+    }
+
+    /**
+     * Register a host notification.
+     * @param {string} category - Notification category
+     * @param {string} message - Notification text
+     * @returns {Promise<boolean>} True if the notification was registered
+     */
+    async notify(category, message) {
+        if (!this.enabled) {
+            return false;
+        }
+        if (!CATEGORIES.includes(category)) {
+            this.adapter.log.warn(`Unknown notification category: ${category}`);
+            return false;
+        }
+        if (typeof this.adapter.registerNotification !== 'function') {
+            this.adapter.log.debug('Host notifications not supported by this js-controller version');
+            return false;
+        }
+
+        try {
+            await this.adapter.registerNotification(SCOPE, category, message);
+            this.adapter.log.debug(`Notification raised (${category}): ${message}`);
+            return true;
+        } catch (err) {
+            this.adapter.log.warn(`Failed to raise notification ${category}: ${err.message}`);
+            return false;
+        }
+    }
+}
+
+Notifier.SCOPE = SCOPE;
+Notifier.CATEGORIES = CATEGORIES;
+
+module.exports = Notifier;
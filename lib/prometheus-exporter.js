@@ -0,0 +1,251 @@
+'use strict';
+
+const http = require('http');
+const os = require('os');
+
+/** Prefix of all exported metric names. */
+const PREFIX = 'system_health';
+
+const MB = 1024 * 1024;
+
+const OPENMETRICS_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const TEXT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Optional HTTP listener that exposes the latest check results in the
+ * OpenMetrics text format for Prometheus (`GET /metrics`).
+ *
+ * Metrics are collected on every scrape from the last results of the checks,
+ * the health score, crash detection and the alert engine; nothing is measured
+ * during a scrape. All samples carry a `host` label; per-partition and
+ * per-adapter metrics add `mountpoint` and `instance` labels.
+ */
+class PrometheusExporter {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {number} [options.port] - TCP port (default: 9464)
+     * @param {string} [options.bind] - Address to listen on (default: all interfaces)
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.port = options.port !== undefined && options.port !== null && options.port !== '' ? Number(options.port) : 9464;
+        this.bind = options.bind || '0.0.0.0';
+        /** @type {http.Server|null} */
+        this.server = null;
+    }
+
+    /**
+     * Start listening.
+     * @returns {Promise<void>}
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => this._handleRequest(req, res));
+            server.once('error', reject);
+            server.listen(this.port, this.bind, () => {
+                server.removeListener('error', reject);
+                server.on('error', err => this.adapter.log.warn(`Prometheus endpoint error: ${err.message}`));
+                this.server = server;
+                const address = /** @type {import('net').AddressInfo} */ (server.address());
+                this.adapter.log.info(`Prometheus metrics available at http://${this.bind}:${address.port}/metrics`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Port the server listens on (useful with port 0).
+     * @returns {number|null}
+     */
+    getPort() {
+        const address = this.server && this.server.address();
+        return address && typeof address === 'object' ? address.port : null;
+    }
+
+    /**
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    _handleRequest(req, res) {
+        const pathname = (req.url || '/').split('?')[0];
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Method not allowed\n');
+            return;
+        }
+        if (pathname !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found, metrics are served at /metrics\n');
+            return;
+        }
+
+        let body;
+        try {
+            body = PrometheusExporter.render(this.collect(), { host: this.adapter.host || os.hostname() });
+        } catch (err) {
+            this.adapter.log.warn(`Failed to collect Prometheus metrics: ${err.message}`);
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Failed to collect metrics\n');
+            return;
+        }
+
+        const accept = String(req.headers.accept || '');
+        res.writeHead(200, { 'Content-Type': accept.includes('application/openmetrics-text') ? OPENMETRICS_TYPE : TEXT_TYPE });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    }
+
+    /**
+     * Collect metric families from the latest results.
+     * @returns {Array<{name: string, type: string, help: string, samples: Array<{labels?: Record<string, string>, value: number}>}>}
+     */
+    collect() {
+        const adapter = this.adapter;
+        const families = [];
+        const add = (name, help, samples) => {
+            const valid = samples.filter(sample => typeof sample.value === 'number' && Number.isFinite(sample.value));
+            if (valid.length > 0) {
+                families.push({ name: `${PREFIX}_${name}`, type: 'gauge', help, samples: valid });
+            }
+        };
+
+        const results = {};
+        for (const check of adapter.checks ? adapter.checks.getAll() : []) {
+            results[check.name] = check.getResult();
+        }
+
+        const health = adapter.healthScore && adapter.healthScore.lastResult;
+        if (health) {
+            add('score', 'Overall health score (0-100)', [{ value: health.score }]);
+        }
+
+        add('check_status', 'Current status of each check (1 for the current status)', Object.entries(results)
+            .filter(([, result]) => result && result.status)
+            .map(([check, result]) => ({ labels: { check, status: result.status }, value: 1 })));
+
+        const memory = results.memory && results.memory.stats;
+        if (memory) {
+            add('memory_total_bytes', 'Total system memory', [{ value: memory.totalMB * MB }]);
+            add('memory_used_bytes', 'Used system memory', [{ value: memory.usedMB * MB }]);
+            add('memory_free_bytes', 'Free system memory', [{ value: memory.freeMB * MB }]);
+            add('memory_used_ratio', 'Used system memory (0-1)', [{ value: memory.usedPercent / 100 }]);
+        }
+
+        if (results.cpu && typeof results.cpu.usage === 'number') {
+            add('cpu_usage_ratio', 'CPU usage (0-1)', [{ value: results.cpu.usage / 100 }]);
+            add('cpu_sustained_high_load', 'Sustained high CPU load detected (1 = yes)', [{ value: results.cpu.sustainedHighLoad ? 1 : 0 }]);
+        }
+
+        const partitions = (results.disk && results.disk.partitions) || [];
+        const perPartition = (key, factor) => partitions.map(p => ({ labels: { mountpoint: p.mountPoint }, value: p[key] * factor }));
+        add('disk_total_bytes', 'Partition size', perPartition('totalMB', MB));
+        add('disk_used_bytes', 'Used partition space', perPartition('usedMB', MB));
+        add('disk_free_bytes', 'Free partition space', perPartition('freeMB', MB));
+        add('disk_used_ratio', 'Used partition space (0-1)', perPartition('usedPercent', 0.01));
+
+        const redis = results.redis;
+        if (redis && redis.status !== 'skipped') {
+            add('redis_up', 'Redis reachable (1 = yes)', [{ value: redis.connection ? 1 : 0 }]);
+            if (typeof redis.latencyMs === 'number') {
+                add('redis_latency_seconds', 'Redis ping latency', [{ value: redis.latencyMs / 1000 }]);
+            }
+            if (redis.memory) {
+                add('redis_memory_used_bytes', 'Redis memory usage', [{ value: redis.memory.usedBytes }]);
+            }
+            add('redis_keys', 'Redis keys', [{ value: redis.keys }]);
+            add('redis_evicted_keys', 'Redis evicted keys', [{ value: redis.evictedKeys }]);
+        }
+
+        const logs = results.logs;
+        if (logs && logs.summary) {
+            add('log_errors', 'Errors in the log tracking window per adapter instance',
+                (logs.instances || []).map(i => ({ labels: { instance: i.instance }, value: i.totalErrors })));
+            add('log_warnings', 'Warnings in the log tracking window per adapter instance',
+                (logs.instances || []).map(i => ({ labels: { instance: i.instance }, value: i.totalWarnings })));
+            add('log_errors_all', 'Errors in the log tracking window, all instances', [{ value: logs.summary.totalErrors }]);
+            add('log_warnings_all', 'Warnings in the log tracking window, all instances', [{ value: logs.summary.totalWarnings }]);
+        }
+
+        const crashDetection = adapter.crashDetection;
+        if (crashDetection) {
+            const samples = [];
+            for (const instance of Object.keys(crashDetection.crashHistory).sort()) {
+                const counts = crashDetection.getCrashCounts(instance);
+                samples.push(
+                    { labels: { instance, period: '24h' }, value: counts.count24h },
+                    { labels: { instance, period: '7d' }, value: counts.count7d },
+                    { labels: { instance, period: '30d' }, value: counts.count30d },
+                );
+            }
+            add('adapter_crashes', 'Adapter crashes per instance and period (excluding maintenance)', samples);
+        }
+
+        add('inspector_issues', 'Issues found by the state inspectors', Object.entries(results)
+            .filter(([name, result]) => result && typeof result.count === 'number' && adapter.checks.get(name).category === 'inspector')
+            .map(([inspector, result]) => ({ labels: { inspector }, value: result.count })));
+
+        if (adapter.alertEngine) {
+            const alerts = adapter.alertEngine.getAlerts();
+            add('alerts_active', 'Active alerts', [{ value: alerts.length }]);
+            add('alerts_unacknowledged', 'Raised, unacknowledged alerts', [{ value: alerts.filter(a => a.state === 'raised').length }]);
+        }
+
+        if (adapter.maintenance) {
+            add('maintenance_active', 'Maintenance window for all checks active (1 = yes)', [{ value: adapter.maintenance.isActive() ? 1 : 0 }]);
+        }
+
+        return families;
+    }
+
+    /**
+     * Escape a label value.
+     * @param {*} value - Label value
+     * @returns {string}
+     */
+    static escapeLabel(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    }
+
+    /**
+     * Render metric families in the OpenMetrics text format.
+     * @param {Array<{name: string, type: string, help: string, samples: Array<{labels?: Record<string, string>, value: number}>}>} families - Metric families
+     * @param {Record<string, string>} [commonLabels] - Labels added to every sample
+     * @returns {string}
+     */
+    static render(families, commonLabels = {}) {
+        const lines = [];
+
+        for (const family of families) {
+            lines.push(`# TYPE ${family.name} ${family.type}`);
+            lines.push(`# HELP ${family.name} ${family.help}`);
+            for (const sample of family.samples) {
+                const labels = { ...commonLabels, ...sample.labels };
+                const text = Object.entries(labels)
+                    .map(([key, value]) => `${key}="${PrometheusExporter.escapeLabel(value)}"`)
+                    .join(',');
+                lines.push(`${family.name}${text ? `{${text}}` : ''} ${sample.value}`);
+            }
+        }
+
+        lines.push('# EOF');
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Stop listening.
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+module.exports = PrometheusExporter;
@@ -0,0 +1,325 @@
+'use strict';
+
+/** Largest delay accepted by setTimeout (~24.8 days). */
+const MAX_TIMEOUT_MS = 2147483647;
+
+/** Shortest interval in minutes; shorter ones would run checks back to back. */
+const MIN_INTERVAL_MINUTES = 1;
+
+/** Longest interval in minutes; longer ones would overflow setInterval (use a cron expression instead). */
+const MAX_INTERVAL_MINUTES = Math.floor(MAX_TIMEOUT_MS / 60000);
+
+/** Cron field definitions: [name, min, max]. */
+const CRON_FIELDS = [
+    ['minute', 0, 59],
+    ['hour', 0, 23],
+    ['dayOfMonth', 1, 31],
+    ['month', 1, 12],
+    ['dayOfWeek', 0, 7],
+];
+
+/**
+ * Per-check scheduler.
+ * Runs named jobs either at a fixed interval (minutes) or according to a
+ * 5-field cron expression (minute hour day-of-month month day-of-week).
+ * A job is never started again while its previous run is still in progress.
+ */
+class Scheduler {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        /** @type {Map<string, object>} */
+        this.jobs = new Map();
+    }
+
+    /**
+     * Parse a schedule setting.
+     * Numbers (or numeric strings) are interpreted as an interval in minutes,
+     * anything else as a cron expression. Empty values fall back to the default interval.
+     * @param {string|number|null|undefined} spec - Configured schedule
+     * @param {number} defaultMinutes - Interval used when spec is empty
+     * @returns {{type: 'interval', minutes: number} | {type: 'cron', expression: string, fields: object}}
+     * @throws {Error} If the interval or cron expression is invalid
+     */
+    static parse(spec, defaultMinutes) {
+        if (spec === undefined || spec === null || String(spec).trim() === '') {
+            return { type: 'interval', minutes: defaultMinutes };
+        }
+
+        const text = String(spec).trim();
+
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            const minutes = Number(text);
+            if (minutes < MIN_INTERVAL_MINUTES) {
+                throw new Error(`Invalid interval: ${text} (must be at least ${MIN_INTERVAL_MINUTES} minute)`);
+            }
+            if (minutes > MAX_INTERVAL_MINUTES) {
+                throw new Error(`Invalid interval: ${text} (must be at most ${MAX_INTERVAL_MINUTES} minutes, use a cron expression for longer intervals)`);
+            }
+            return { type: 'interval', minutes };
+        }
+
+        return { type: 'cron', expression: text, fields: Scheduler.parseCron(text) };
+    }
+
+    /**
+     * Parse a 5-field cron expression.
+     * Supports `*`, single values, ranges (`1-5`), steps (`*\/15`, `0-30/10`) and lists (`1,15,30`).
+     * Day of week accepts 0-7, where both 0 and 7 mean Sunday.
+     * @param {string} expression - Cron expression
+     * @returns {{minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, dayOfMonthRestricted: boolean, dayOfWeekRestricted: boolean}}
+     * @throws {Error} If the expression is invalid
+     */
+    static parseCron(expression) {
+        const parts = String(expression).trim().split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error(`Invalid cron expression "${expression}": expected 5 fields, got ${parts.length}`);
+        }
+
+        const result = {};
+        CRON_FIELDS.forEach(([name, min, max], index) => {
+            result[name] = Scheduler._parseCronField(parts[index], min, max, expression);
+        });
+
+        // Sunday can be written as 0 or 7
+        if (result.dayOfWeek.has(7)) {
+            result.dayOfWeek.delete(7);
+            result.dayOfWeek.add(0);
+        }
+
+        result.dayOfMonthRestricted = parts[2] !== '*';
+        result.dayOfWeekRestricted = parts[4] !== '*';
+
+        return result;
+    }
+
+    /**
+     * Parse a single cron field into the set of matching values.
+     * @param {string} field - Field text
+     * @param {number} min - Lowest allowed value
+     * @param {number} max - Highest allowed value
+     * @param {string} expression - Full expression (for error messages)
+     * @returns {Set<number>}
+     */
+    static _parseCronField(field, min, max, expression) {
+        const values = new Set();
+
+        for (const part of field.split(',')) {
+            const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Invalid cron expression "${expression}": cannot parse "${part}"`);
+            }
+
+            let start = min;
+            let end = max;
+            if (match[1] !== '*') {
+                const [from, to] = match[1].split('-').map(Number);
+                start = from;
+                // A single value with a step (e.g. 5/15) runs from that value to the end of the range
+                end = to !== undefined ? to : (match[2] ? max : from);
+            }
+            const step = match[2] ? Number(match[2]) : 1;
+
+            if (start < min || end > max || start > end || step < 1) {
+                throw new Error(`Invalid cron expression "${expression}": "${part}" is out of range ${min}-${max}`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Calculate the next time a parsed cron expression matches, strictly after `from`.
+     * @param {object} fields - Result of parseCron()
+     * @param {Date} [from] - Reference time (default: now)
+     * @returns {Date|null} Next run time or null if nothing matches within 5 years
+     */
+    static nextCronRun(fields, from = new Date()) {
+        const date = new Date(from.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+        while (date.getTime() <= limit) {
+            if (!fields.month.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+            if (!Scheduler._matchesDay(fields, date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+                continue;
+            }
+            if (!fields.hour.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+                continue;
+            }
+            if (!fields.minute.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+                continue;
+            }
+            return date;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check the day-of-month / day-of-week fields with standard cron semantics:
+     * if both are restricted, a day matches when either of them matches.
+     * @param {object} fields - Result of parseCron()
+     * @param {Date} date - Date to check
+     * @returns {boolean}
+     */
+    static _matchesDay(fields, date) {
+        const domMatch = fields.dayOfMonth.has(date.getDate());
+        const dowMatch = fields.dayOfWeek.has(date.getDay());
+
+        if (fields.dayOfMonthRestricted && fields.dayOfWeekRestricted) {
+            return domMatch || dowMatch;
+        }
+        return domMatch && dowMatch;
+    }
+
+    /**
+     * Describe a parsed schedule for log output.
+     * @param {object} schedule - Result of parse()
+     * @returns {string}
+     */
+    static describe(schedule) {
+        if (schedule.type === 'cron') {
+            return `cron "${schedule.expression}"`;
+        }
+        return `every ${schedule.minutes} minute${schedule.minutes === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Register and start a job. An existing job with the same name is replaced.
+     * @param {string} name - Job name
+     * @param {object} schedule - Result of parse()
+     * @param {() => Promise<void>} task - Function to run
+     */
+    add(name, schedule, task) {
+        this.remove(name);
+
+        const job = {
+            name,
+            schedule,
+            task,
+            timer: null,
+            running: false,
+            lastRun: null,
+            nextRun: null,
+        };
+        this.jobs.set(name, job);
+
+        if (schedule.type === 'interval') {
+            const intervalMs = schedule.minutes * 60 * 1000;
+            job.nextRun = Date.now() + intervalMs;
+            job.timer = setInterval(() => {
+                job.nextRun = Date.now() + intervalMs;
+                this._execute(job);
+            }, intervalMs);
+        } else {
+            this._scheduleCron(job);
+        }
+    }
+
+    /**
+     * Arm the timer for the next cron run of a job.
+     * @param {object} job - Job entry
+     */
+    _scheduleCron(job) {
+        const next = Scheduler.nextCronRun(job.schedule.fields);
+        if (!next) {
+            this.adapter.log.warn(`Schedule for ${job.name} (${job.schedule.expression}) never matches - job disabled`);
+            return;
+        }
+
+        job.nextRun = next.getTime();
+        const delay = Math.max(0, job.nextRun - Date.now());
+
+        job.timer = setTimeout(() => {
+            if (Date.now() < job.nextRun) {
+                // Delay was capped, re-arm for the remaining time
+                this._scheduleCron(job);
+                return;
+            }
+            this._scheduleCron(job);
+            this._execute(job);
+        }, Math.min(delay, MAX_TIMEOUT_MS));
+    }
+
+    /**
+     * Run a job unless its previous run is still in progress.
+     * @param {object} job - Job entry
+     * @returns {Promise<void>}
+     */
+    async _execute(job) {
+        if (job.running) {
+            this.adapter.log.debug(`Skipping ${job.name}: previous run still in progress`);
+            return;
+        }
+
+        job.running = true;
+        job.lastRun = Date.now();
+        try {
+            this.adapter.log.debug(`Running scheduled check: ${job.name}`);
+            await job.task();
+        } catch (err) {
+            this.adapter.log.error(`Scheduled check ${job.name} failed: ${err.message}`);
+        } finally {
+            job.running = false;
+        }
+    }
+
+    /**
+     * Stop and remove a job.
+     * @param {string} name - Job name
+     */
+    remove(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            return;
+        }
+        if (job.timer) {
+            clearInterval(job.timer);
+            clearTimeout(job.timer);
+            job.timer = null;
+        }
+        this.jobs.delete(name);
+    }
+
+    /**
+     * Stop all jobs.
+     */
+    stopAll() {
+        for (const name of [...this.jobs.keys()]) {
+            this.remove(name);
+        }
+    }
+
+    /**
+     * Get an overview of all registered jobs.
+     * @returns {Array<{name: string, schedule: string, running: boolean, lastRun: number|null, nextRun: number|null}>}
+     */
+    getJobs() {
+        return [...this.jobs.values()].map(job => ({
+            name: job.name,
+            schedule: Scheduler.describe(job.schedule),
+            running: job.running,
+            lastRun: job.lastRun,
+            nextRun: job.nextRun,
+        }));
+    }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,317 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const v8 = require('v8');
+
+/** Resolution of the event loop delay histogram; delays up to this value are not blocking. */
+const EVENT_LOOP_RESOLUTION_MS = 10;
+
+/** How often the heap is sampled while a check runs. */
+const HEAP_SAMPLE_INTERVAL_MS = 100;
+
+/**
+ * Adapter read methods that are counted, and how many objects or states a
+ * result contains.
+ */
+const READ_METHODS = {
+    getForeignObjectAsync: { kind: 'objects', count: result => (result ? 1 : 0) },
+    getObjectAsync: { kind: 'objects', count: result => (result ? 1 : 0) },
+    getForeignObjectsAsync: { kind: 'objects', count: result => (result ? Object.keys(result).length : 0) },
+    getObjectViewAsync: { kind: 'objects', count: result => (result && Array.isArray(result.rows) ? result.rows.length : 0) },
+    getForeignStateAsync: { kind: 'states', count: result => (result ? 1 : 0) },
+    getStateAsync: { kind: 'states', count: result => (result ? 1 : 0) },
+    getForeignStatesAsync: { kind: 'states', count: result => (result ? Object.keys(result).length : 0) },
+    getStatesAsync: { kind: 'states', count: result => (result ? Object.keys(result).length : 0) },
+};
+
+/** Per-check states below `selfMonitoring.<check>`. */
+const RUN_STATES = [
+    ['durationMs', { name: 'Duration of the last run', type: 'number', role: 'value', unit: 'ms' }],
+    ['peakHeapMB', { name: 'Peak heap of the adapter during the last run', type: 'number', role: 'value', unit: 'MB' }],
+    ['objectsRead', { name: 'Objects read during the last run', type: 'number', role: 'value' }],
+    ['statesRead', { name: 'States read during the last run', type: 'number', role: 'value' }],
+    ['eventLoopBlockedMs', { name: 'Event loop blocking time during the last run', type: 'number', role: 'value', unit: 'ms' }],
+    ['longestBlockMs', { name: 'Longest event loop block during the last run', type: 'number', role: 'value', unit: 'ms' }],
+    ['overBudget', { name: 'Last run exceeded the time budget', type: 'boolean', role: 'indicator' }],
+    ['timestamp', { name: 'Last run timestamp', type: 'number', role: 'date' }],
+];
+
+/**
+ * Self-monitoring of the adapter's own cost.
+ *
+ * Measures every check run: wall-clock duration, peak heap of the adapter
+ * process, number of objects and states read through the adapter and the time
+ * the event loop was blocked. Reads are attributed to the run that issued them
+ * (also when several checks run at the same time); heap and event loop are
+ * process-wide, so overlapping runs share them.
+ *
+ * Runs that take longer than the time budget are logged and flagged; with an
+ * alert engine they are also raised as `selfMonitoring.<check>.durationMs` warning.
+ */
+class SelfMonitor {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {number} [options.budgetSeconds] - Time budget of a single check run (default: 120)
+     * @param {import('./alert-engine')} [options.alertEngine] - Shared alert engine that raises over-budget runs as alerts
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.budgetMs = (Number(options.budgetSeconds) > 0 ? Number(options.budgetSeconds) : 120) * 1000;
+        this.alertEngine = options.alertEngine || null;
+
+        this.storage = new AsyncLocalStorage();
+        /** @type {Record<string, Function>} Original adapter methods replaced by install() */
+        this.originals = {};
+        /** @type {Set<object>} Runs in progress */
+        this.active = new Set();
+        this.heapTimer = null;
+
+        /** @type {Map<string, object>} Last measurement per check */
+        this.lastRuns = new Map();
+        /** @type {Set<string>} Checks whose state tree has been created */
+        this.knownChecks = new Set();
+    }
+
+    /**
+     * Create the summary states and start counting reads.
+     */
+    async init() {
+        await this.adapter.setObjectNotExistsAsync('selfMonitoring', {
+            type: 'channel',
+            common: { name: 'Self-monitoring of the adapter' },
+            native: {},
+        });
+        await this.adapter.setObjectNotExistsAsync('selfMonitoring.overBudget', {
+            type: 'state',
+            common: { name: 'Checks whose last run exceeded the time budget (comma-separated)', type: 'string', role: 'text', read: true, write: false },
+            native: {},
+        });
+        await this.adapter.setObjectNotExistsAsync('selfMonitoring.details', {
+            type: 'state',
+            common: { name: 'Cost of the last run per check (JSON)', type: 'string', role: 'json', read: true, write: false },
+            native: {},
+        });
+
+        this.install();
+    }
+
+    /**
+     * Wrap the adapter read methods so that every read is counted for the run it belongs to.
+     */
+    install() {
+        for (const [method, { kind, count }] of Object.entries(READ_METHODS)) {
+            if (typeof this.adapter[method] !== 'function' || this.originals[method]) {
+                continue;
+            }
+            const original = this.adapter[method];
+            this.originals[method] = original;
+            this.adapter[method] = async (...args) => {
+                const result = await original.apply(this.adapter, args);
+                const run = this.storage.getStore();
+                if (run) {
+                    run[kind] += count(result);
+                }
+                return result;
+            };
+        }
+    }
+
+    /**
+     * Restore the adapter read methods and stop sampling.
+     */
+    uninstall() {
+        for (const [method, original] of Object.entries(this.originals)) {
+            this.adapter[method] = original;
+        }
+        this.originals = {};
+        this._stopHeapSampling();
+    }
+
+    /**
+     * @returns {number} Used heap of the adapter process in bytes
+     */
+    static heapUsed() {
+        return v8.getHeapStatistics().used_heap_size;
+    }
+
+    /**
+     * Total and longest blocking time from an event loop delay histogram.
+     * Each sample contains the histogram resolution itself, only the excess is blocking.
+     * @param {{count: number, mean: number, max: number}} histogram - Delay histogram (nanoseconds)
+     * @param {number} [resolutionMs] - Histogram resolution
+     * @returns {{eventLoopBlockedMs: number, longestBlockMs: number}}
+     */
+    static blocking(histogram, resolutionMs = EVENT_LOOP_RESOLUTION_MS) {
+        if (!histogram.count) {
+            return { eventLoopBlockedMs: 0, longestBlockMs: 0 };
+        }
+        const meanMs = histogram.mean / 1e6;
+        return {
+            eventLoopBlockedMs: Math.round(Math.max(0, meanMs - resolutionMs) * histogram.count),
+            longestBlockMs: Math.round(Math.max(0, histogram.max / 1e6 - resolutionMs)),
+        };
+    }
+
+    /**
+     * Run a check and measure its cost.
+     * @template T
+     * @param {string} name - Check name
+     * @param {() => Promise<T>} fn - Check run
+     * @returns {Promise<T>} Result of fn (errors are rethrown after measuring)
+     */
+    async measure(name, fn) {
+        const run = { objects: 0, states: 0, peakHeap: SelfMonitor.heapUsed() };
+        const histogram = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+        histogram.enable();
+        this.active.add(run);
+        this._startHeapSampling();
+        const start = Date.now();
+
+        try {
+            return await this.storage.run(run, fn);
+        } finally {
+            const durationMs = Date.now() - start;
+            // Let the histogram timer record a block that ended right before the run finished
+            await new Promise(resolve => setTimeout(resolve, 0));
+            histogram.disable();
+            this.active.delete(run);
+            run.peakHeap = Math.max(run.peakHeap, SelfMonitor.heapUsed());
+            if (this.active.size === 0) {
+                this._stopHeapSampling();
+            }
+
+            try {
+                await this.record(name, {
+                    durationMs,
+                    peakHeapMB: Math.round(run.peakHeap / 1024 / 1024),
+                    objectsRead: run.objects,
+                    statesRead: run.states,
+                    ...SelfMonitor.blocking(histogram),
+                    timestamp: Date.now(),
+                });
+            } catch (err) {
+                this.adapter.log.warn(`Self-monitoring of check ${name} failed: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Evaluate the time budget and publish a measurement.
+     * @param {string} name - Check name
+     * @param {{durationMs: number, peakHeapMB: number, objectsRead: number, statesRead: number, eventLoopBlockedMs: number, longestBlockMs: number, timestamp: number}} measurement - Cost of the run
+     * @returns {Promise<object>} Measurement with `overBudget`
+     */
+    async record(name, measurement) {
+        const run = { ...measurement, overBudget: measurement.durationMs > this.budgetMs };
+
+        if (this.alertEngine) {
+            this.alertEngine.evaluate(`selfMonitoring.${name}.durationMs`, measurement.durationMs, {
+                warning: this.budgetMs,
+                direction: 'above',
+                label: `Run time of check ${name}`,
+                unit: ' ms',
+            });
+        }
+        if (run.overBudget) {
+            this.adapter.log.warn(
+                `Check ${name} took ${Math.round(measurement.durationMs / 1000)} s, more than its budget of ${this.budgetMs / 1000} s ` +
+                `(${run.objectsRead} objects and ${run.statesRead} states read, event loop blocked ${run.eventLoopBlockedMs} ms)`
+            );
+        }
+
+        this.lastRuns.set(name, run);
+        await this.updateStates(name, run);
+        return run;
+    }
+
+    /**
+     * Metrics of the last run of a check for the metric history.
+     * @param {string} name - Check name
+     * @returns {Record<string, number>}
+     */
+    getMetrics(name) {
+        const run = this.lastRuns.get(name);
+        if (!run) {
+            return {};
+        }
+        return {
+            [`selfMonitoring.${name}.durationMs`]: run.durationMs,
+            [`selfMonitoring.${name}.peakHeapMB`]: run.peakHeapMB,
+            [`selfMonitoring.${name}.eventLoopBlockedMs`]: run.eventLoopBlockedMs,
+        };
+    }
+
+    /**
+     * Create the state tree of a check once.
+     * @param {string} name - Check name
+     */
+    async createCheckStates(name) {
+        if (this.knownChecks.has(name)) {
+            return;
+        }
+
+        await this.adapter.setObjectNotExistsAsync(`selfMonitoring.${name}`, {
+            type: 'channel',
+            common: { name: `Cost of check ${name}` },
+            native: {},
+        });
+        for (const [id, common] of RUN_STATES) {
+            await this.adapter.setObjectNotExistsAsync(`selfMonitoring.${name}.${id}`, {
+                type: 'state',
+                common: { ...common, read: true, write: false },
+                native: {},
+            });
+        }
+
+        this.knownChecks.add(name);
+    }
+
+    /**
+     * Write the states of one check and the summary.
+     * @param {string} name - Check name
+     * @param {object} run - Measurement of record()
+     */
+    async updateStates(name, run) {
+        await this.createCheckStates(name);
+
+        const baseId = `selfMonitoring.${name}`;
+        await this.adapter.setStateAsync(`${baseId}.durationMs`, run.durationMs, true);
+        await this.adapter.setStateAsync(`${baseId}.peakHeapMB`, run.peakHeapMB, true);
+        await this.adapter.setStateAsync(`${baseId}.objectsRead`, run.objectsRead, true);
+        await this.adapter.setStateAsync(`${baseId}.statesRead`, run.statesRead, true);
+        await this.adapter.setStateAsync(`${baseId}.eventLoopBlockedMs`, run.eventLoopBlockedMs, true);
+        await this.adapter.setStateAsync(`${baseId}.longestBlockMs`, run.longestBlockMs, true);
+        await this.adapter.setStateAsync(`${baseId}.overBudget`, run.overBudget, true);
+        await this.adapter.setStateAsync(`${baseId}.timestamp`, run.timestamp, true);
+
+        const overBudget = [...this.lastRuns].filter(([, last]) => last.overBudget).map(([check]) => check);
+        await this.adapter.setStateAsync('selfMonitoring.overBudget', overBudget.join(', '), true);
+        await this.adapter.setStateAsync('selfMonitoring.details', JSON.stringify(Object.fromEntries(this.lastRuns), null, 2), true);
+    }
+
+    _startHeapSampling() {
+        if (this.heapTimer) {
+            return;
+        }
+        this.heapTimer = setInterval(() => {
+            const heap = SelfMonitor.heapUsed();
+            for (const run of this.active) {
+                run.peakHeap = Math.max(run.peakHeap, heap);
+            }
+        }, HEAP_SAMPLE_INTERVAL_MS);
+        this.heapTimer.unref();
+    }
+
+    _stopHeapSampling() {
+        if (this.heapTimer) {
+            clearInterval(this.heapTimer);
+            this.heapTimer = null;
+        }
+    }
+}
+
+SelfMonitor.READ_METHODS = READ_METHODS;
+
+module.exports = SelfMonitor;
@@ -0,0 +1,296 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/** File name of the audit log in the cleanup directory (one JSON entry per line) */
+const AUDIT_FILE = 'audit.jsonl';
+
+/** Archive files: `cleanup-<ISO timestamp>.json.gz` */
+const ARCHIVE_PATTERN = /^(cleanup-[0-9TZ-]+)\.json\.gz$/;
+
+/**
+ * Applies cleanup suggestions: deletes selected states after writing a backup
+ * archive, and restores them from an archive on request.
+ *
+ * Every cleanup writes `cleanup-<timestamp>.json.gz` (object definitions and
+ * last state values) to the cleanup directory before anything is deleted; if
+ * the archive cannot be written, nothing is deleted. Cleanups and restores are
+ * appended to `audit.jsonl` in the same directory.
+ */
+class CleanupExecutor {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} options - Options
+     * @param {string} options.directory - Directory for archives and the audit log
+     */
+    constructor(adapter, options) {
+        this.adapter = adapter;
+        this.directory = options.directory;
+        /** Set while a cleanup or restore runs, they must not overlap */
+        this.running = false;
+    }
+
+    /**
+     * Back up and delete states.
+     * @param {object} options - Cleanup options
+     * @param {Array<string>} options.ids - State IDs to delete
+     * @param {string} [options.reason] - Reason recorded in the archive and audit log
+     * @param {string} [options.by] - Who requested the cleanup (sendTo sender)
+     * @param {boolean} [options.dryRun] - Only report what would be deleted
+     * @returns {Promise<{archive: string|null, deleted: Array<string>, skipped: Array<{id: string, reason: string}>, failed: Array<{id: string, error: string}>, dryRun: boolean}>}
+     */
+    async apply(options) {
+        const ids = [...new Set((options.ids || []).filter(id => typeof id === 'string' && id !== ''))];
+        if (ids.length === 0) {
+            throw new Error('No states selected');
+        }
+
+        return this._exclusive(async () => {
+            const entries = [];
+            const skipped = [];
+            for (const id of ids) {
+                const object = await this.adapter.getForeignObjectAsync(id);
+                if (!object) {
+                    skipped.push({ id, reason: 'Object not found' });
+                } else if (object.type !== 'state') {
+                    skipped.push({ id, reason: `Object is a ${object.type}, only states are deleted` });
+                } else {
+                    entries.push({ id, object, state: await this.adapter.getForeignStateAsync(id) });
+                }
+            }
+
+            if (options.dryRun || entries.length === 0) {
+                return { archive: null, deleted: options.dryRun ? entries.map(entry => entry.id) : [], skipped, failed: [], dryRun: !!options.dryRun };
+            }
+
+            const created = new Date();
+            const archive = `cleanup-${created.toISOString().replace(/[:.]/g, '-')}`;
+            await this._writeArchive(archive, {
+                archive,
+                created: created.toISOString(),
+                reason: options.reason || '',
+                by: options.by || '',
+                entries,
+            });
+
+            const deleted = [];
+            const failed = [];
+            for (const { id } of entries) {
+                try {
+                    await this.adapter.delForeignStateAsync(id);
+                    await this.adapter.delForeignObjectAsync(id);
+                    deleted.push(id);
+                } catch (err) {
+                    failed.push({ id, error: err.message });
+                }
+            }
+
+            await this._audit({ action: 'cleanup', archive, by: options.by || '', reason: options.reason || '', deleted, failed });
+            this.adapter.log.info(
+                `Cleanup ${archive}: ${deleted.length} state(s) deleted` +
+                (failed.length > 0 ? `, ${failed.length} failed` : '') +
+                `, backup in ${this._archiveFile(archive)}`
+            );
+
+            return { archive, deleted, skipped, failed, dryRun: false };
+        });
+    }
+
+    /**
+     * Recreate the objects and state values of an archive. Objects that exist
+     * again (e.g. recreated by their adapter) are left untouched.
+     * @param {object} [options] - Restore options
+     * @param {string} [options.archive] - Archive name (default: latest archive not restored yet)
+     * @param {string} [options.by] - Who requested the restore (sendTo sender)
+     * @returns {Promise<{archive: string, restored: Array<string>, skipped: Array<{id: string, reason: string}>, failed: Array<{id: string, error: string}>}>}
+     */
+    async restore(options = {}) {
+        return this._exclusive(async () => {
+            let archive = options.archive;
+            if (!archive) {
+                const latest = (await this.list()).find(item => !item.restored);
+                if (!latest) {
+                    throw new Error('No cleanup to restore');
+                }
+                archive = latest.archive;
+            }
+            if (!ARCHIVE_PATTERN.test(`${archive}.json.gz`)) {
+                throw new Error(`Invalid archive name ${archive}`);
+            }
+
+            const data = await this._readArchive(archive);
+            const restored = [];
+            const skipped = [];
+            const failed = [];
+            for (const { id, object, state } of data.entries || []) {
+                try {
+                    if (await this.adapter.getForeignObjectAsync(id)) {
+                        skipped.push({ id, reason: 'Object exists' });
+                        continue;
+                    }
+                    await this.adapter.setForeignObjectAsync(id, object);
+                    if (state) {
+                        await this.adapter.setForeignStateAsync(id, { val: state.val, ack: state.ack, ts: state.ts, q: state.q, c: state.c });
+                    }
+                    restored.push(id);
+                } catch (err) {
+                    failed.push({ id, error: err.message });
+                }
+            }
+
+            await this._audit({ action: 'restore', archive, by: options.by || '', restored, failed });
+            this.adapter.log.info(
+                `Restore of ${archive}: ${restored.length} state(s) recreated` +
+                (skipped.length > 0 ? `, ${skipped.length} already existing` : '') +
+                (failed.length > 0 ? `, ${failed.length} failed` : '')
+            );
+
+            return { archive, restored, skipped, failed };
+        });
+    }
+
+    /**
+     * Archives, newest first, with the time of their last restore.
+     * @returns {Promise<Array<{archive: string, created: string, count: number, reason: string, restored: string|null}>>}
+     */
+    async list() {
+        let files = [];
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+
+        const restoredAt = new Map();
+        for (const entry of await this.audit()) {
+            if (entry.action === 'restore') {
+                restoredAt.set(entry.archive, entry.timestamp);
+            }
+        }
+
+        const archives = [];
+        for (const file of files) {
+            const match = file.match(ARCHIVE_PATTERN);
+            if (!match) {
+                continue;
+            }
+            try {
+                const data = await this._readArchive(match[1]);
+                archives.push({
+                    archive: match[1],
+                    created: data.created,
+                    count: (data.entries || []).length,
+                    reason: data.reason || '',
+                    restored: restoredAt.get(match[1]) || null,
+                });
+            } catch (err) {
+                this.adapter.log.warn(`Cannot read cleanup archive ${file}: ${err.message}`);
+            }
+        }
+
+        return archives.sort((a, b) => b.archive.localeCompare(a.archive));
+    }
+
+    /**
+     * Entries of the audit log, oldest first.
+     * @returns {Promise<Array<object>>}
+     */
+    async audit() {
+        let content = '';
+        try {
+            content = await fs.promises.readFile(path.join(this.directory, AUDIT_FILE), 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (line.trim() === '') {
+                continue;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // Line of an interrupted write
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Run a cleanup or restore, rejecting overlapping calls.
+     * @param {() => Promise<object>} task - Task
+     * @returns {Promise<object>} Result of the task
+     */
+    async _exclusive(task) {
+        if (this.running) {
+            throw new Error('A cleanup or restore is already running');
+        }
+        this.running = true;
+        try {
+            return await task();
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * @param {string} archive - Archive name
+     * @returns {string} File path
+     */
+    _archiveFile(archive) {
+        return path.join(this.directory, `${archive}.json.gz`);
+    }
+
+    /**
+     * Write an archive completely before it becomes visible under its name.
+     * @param {string} archive - Archive name
+     * @param {object} data - Archive content
+     */
+    async _writeArchive(archive, data) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const file = this._archiveFile(archive);
+        await fs.promises.writeFile(`${file}.tmp`, zlib.gzipSync(JSON.stringify(data)));
+        await fs.promises.rename(`${file}.tmp`, file);
+    }
+
+    /**
+     * @param {string} archive - Archive name
+     * @returns {Promise<object>} Archive content
+     */
+    async _readArchive(archive) {
+        let compressed;
+        try {
+            compressed = await fs.promises.readFile(this._archiveFile(archive));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                throw new Error(`Cleanup archive ${archive} not found`);
+            }
+            throw err;
+        }
+        return JSON.parse(zlib.gunzipSync(compressed).toString('utf8'));
+    }
+
+    /**
+     * Append an entry to the audit log.
+     * @param {object} entry - Entry without timestamp
+     */
+    async _audit(entry) {
+        const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+        try {
+            await fs.promises.mkdir(this.directory, { recursive: true });
+            await fs.promises.appendFile(path.join(this.directory, AUDIT_FILE), `${line}\n`);
+        } catch (err) {
+            this.adapter.log.warn(`Cannot write cleanup audit log: ${err.message}`);
+        }
+    }
+}
+
+module.exports = CleanupExecutor;
@@ -1,5 +1,13 @@
 'use strict';
 
+const path = require('node:path');
+const { Worker } = require('node:worker_threads');
+const StateSnapshot = require('./state-snapshot');
+const matching = require('./duplicate-matching');
+const ValueCorrelation = require('./value-correlation');
+
+const WORKER_FILE = path.join(__dirname, 'duplicate-worker.js');
+
 /**
  * Duplicate state detection - identifies data points with identical values or naming patterns.
  */
@@ -18,6 +26,23 @@ class DuplicateStateInspector {
             ...ignorePatterns
         ];
         this.duplicates = [];
+        /** @type {import('./state-snapshot')|null} Shared snapshot of the inspection cycle; read directly if not set */
+        this.snapshot = null;
+        /** Compare in a worker thread; only disabled where workers are not available */
+        this.useWorker = true;
+        /** @type {Worker|null} Worker of the running scan */
+        this.worker = null;
+        this.cancelled = false;
+        /** @type {{done: number, total: number}|null} Progress of the running comparison */
+        this.progress = null;
+        /** @type {ValueCorrelation|null} Change stream recorder, only while value monitoring runs */
+        this.valueCorrelation = null;
+
+        // Baseline of the last full scan, kept up to date by inspectChanges()
+        /** @type {Map<string, {id: string, name: *, type: string, role: string, unit: string}>|null} Compared state ID -> naming data */
+        this.namingStates = null;
+        /** @type {Array<Array<string>>} State IDs of the naming groups */
+        this.namingGroups = [];
 
         // Pre-compile ignore patterns to regexes
         this.ignoreRegexes = this.ignorePatterns.map(p => {
@@ -82,6 +107,21 @@ class DuplicateStateInspector {
             native: {}
         });
 
+        await this.adapter.setObjectNotExistsAsync(`${baseId}.progress`, {
+            type: 'state',
+            common: {
+                name: 'Progress of the running scan',
+                type: 'number',
+                role: 'value',
+                unit: '%',
+                min: 0,
+                max: 100,
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+
         await this.adapter.setObjectNotExistsAsync(`${baseId}.lastScan`, {
             type: 'state',
             common: {
@@ -102,12 +142,12 @@ class DuplicateStateInspector {
     async scan() {
         this.adapter.log.info('Starting duplicate state scan...');
         this.duplicates = [];
+        this.cancelled = false;
 
         try {
             // Get all states
             this.adapter.log.debug('Fetching states and objects...');
-            const states = await this.adapter.getForeignStatesAsync('*');
-            const objects = await this.adapter.getForeignObjectsAsync('*', 'state');
+            const { states, objects } = await StateSnapshot.read(this.adapter, this.snapshot);
 
             this.adapter.log.debug(`Retrieved ${Object.keys(states).length} states and ${Object.keys(objects).length} objects`);
 
@@ -120,16 +160,11 @@ class DuplicateStateInspector {
                 // Skip states matching ignore patterns
                 if (this.shouldIgnore(id)) continue;
                 
-                const obj = objects[id];
                 stateMap.set(id, {
-                    id,
+                    ...DuplicateStateInspector.namingData(id, objects[id]),
                     value: state.val,
                     ts: state.ts,
-                    lc: state.lc,
-                    type: obj.common?.type,
-                    role: obj.common?.role,
-                    name: obj.common?.name || '',
-                    unit: obj.common?.unit
+                    lc: state.lc
                 });
 
                 processedCount++;
@@ -142,10 +177,17 @@ class DuplicateStateInspector {
 
             this.adapter.log.info(`Built state map with ${stateMap.size} entries`);
 
-            // Detect naming pattern duplicates (value-based detection removed due to false positives)
+            // Detect naming pattern duplicates (value duplicates come from observed change streams,
+            // single snapshot values gave too many false positives)
             this.adapter.log.debug('Detecting naming duplicates...');
-            this.duplicates = await this.detectNamingDuplicates(stateMap);
-            this.adapter.log.debug(`Found ${this.duplicates.length} naming duplicate groups`);
+            const duplicates = await this.detectNamingDuplicates(stateMap);
+            if (this.cancelled) {
+                this.adapter.log.info('Duplicate scan cancelled.');
+                return [];
+            }
+            this.adapter.log.debug(`Found ${duplicates.length} naming duplicate groups`);
+
+            this.duplicates = [...duplicates, ...this.valueDuplicates()];
 
             // Update adapter states
             await this.updateStates();
@@ -160,6 +202,146 @@ class DuplicateStateInspector {
         }
     }
 
+    /**
+     * Regroup only the states affected by object changes since the last scan:
+     * changed, created or deleted states, the states sharing a blocking key
+     * with them before or after the change, and the other members of their
+     * previous groups. Groups of unaffected states are kept. The greedy
+     * grouping may differ slightly from a full scan until the next one.
+     * @param {Map<string, object|null>} changes - Object ID -> new object (null if deleted)
+     * @returns {Promise<Array|null>} Duplicate groups, or null if a full scan is needed
+     */
+    async inspectChanges(changes) {
+        if (!this.namingStates) {
+            return null; // No baseline yet
+        }
+        this.cancelled = false;
+
+        const changed = [...changes].filter(([, obj]) => !obj || obj.type === 'state');
+        const states = await StateSnapshot.readStates(this.adapter, changed.filter(([, obj]) => obj).map(([id]) => id));
+
+        const affectedKeys = new Set();
+        for (const [id, obj] of changed) {
+            const previous = this.namingStates.get(id) || null;
+            const current = obj && states[id] && !this.shouldIgnore(id) ? DuplicateStateInspector.namingData(id, obj) : null;
+            if (JSON.stringify(previous) === JSON.stringify(current)) {
+                continue;
+            }
+            for (const naming of [previous, current]) {
+                for (const key of naming ? matching.blockingKeys(naming) : []) {
+                    affectedKeys.add(key);
+                }
+            }
+            if (current) {
+                this.namingStates.set(id, current);
+            } else {
+                this.namingStates.delete(id);
+            }
+        }
+
+        let affectedCount = 0;
+        if (affectedKeys.size > 0) {
+            // States of the affected buckets; buckets too large to compare are skipped like in a full scan
+            const buckets = new Map([...affectedKeys].map(key => [key, []]));
+            let processed = 0;
+            for (const naming of this.namingStates.values()) {
+                for (const key of matching.blockingKeys(naming)) {
+                    if (buckets.has(key)) {
+                        buckets.get(key).push(naming.id);
+                    }
+                }
+                if (++processed % 1000 === 0) {
+                    await this.sleep(0);
+                }
+            }
+            const affected = new Set();
+            for (const ids of buckets.values()) {
+                if (ids.length <= matching.DEFAULT_MAX_BUCKET_SIZE) {
+                    ids.forEach(id => affected.add(id));
+                }
+            }
+
+            const kept = [];
+            for (const group of this.namingGroups) {
+                if (group.some(id => affected.has(id) || !this.namingStates.has(id))) {
+                    group.filter(id => this.namingStates.has(id)).forEach(id => affected.add(id));
+                } else {
+                    kept.push(group);
+                }
+            }
+
+            const groups = affected.size > 0 ? await this.groupByNaming([...affected].map(id => this.namingStates.get(id))) : [];
+            if (!groups) {
+                return []; // Cancelled
+            }
+            this.namingGroups = [...kept, ...groups.map(group => group.map(state => state.id))];
+            affectedCount = affected.size;
+        }
+
+        const memberStates = await StateSnapshot.readStates(this.adapter, this.namingGroups.flat());
+        const now = Date.now();
+        const duplicates = this.namingGroups.map(group => this.namingDuplicate(group.map(id => ({
+            ...this.namingStates.get(id),
+            value: memberStates[id]?.val,
+            lc: memberStates[id]?.lc,
+        })), now));
+        this.duplicates = [...duplicates, ...this.valueDuplicates()];
+
+        await this.updateStates();
+
+        this.adapter.log.info(
+            `Incremental duplicate scan completed: ${changes.size} changed object(s), ` +
+            `${affectedCount} state(s) regrouped, ${this.duplicates.length} duplicate group(s) found.`
+        );
+        return this.duplicates;
+    }
+
+    /**
+     * Groups of the value correlation, if value monitoring runs.
+     * @returns {Array} Duplicate groups
+     */
+    valueDuplicates() {
+        if (!this.valueCorrelation) {
+            return [];
+        }
+        const valueDuplicates = this.valueCorrelation.analyze();
+        this.adapter.log.debug(`Found ${valueDuplicates.length} value correlation groups`);
+        return valueDuplicates;
+    }
+
+    /**
+     * Data of a state the naming comparison works on.
+     * @param {string} id - State ID
+     * @param {object} obj - State object
+     * @returns {{id: string, name: *, type: string, role: string, unit: string}}
+     */
+    static namingData(id, obj) {
+        return {
+            id,
+            type: obj.common?.type,
+            role: obj.common?.role,
+            name: obj.common?.name || '',
+            unit: obj.common?.unit
+        };
+    }
+
+    /**
+     * Start recording state changes for the value correlation. Groups are
+     * reported by the following scans once enough changes were observed.
+     * @param {object} [config] - ValueCorrelation configuration (e.g. windowMs)
+     * @returns {Promise<void>}
+     */
+    async startValueMonitoring(config = {}) {
+        if (this.valueCorrelation) {
+            return;
+        }
+        this.valueCorrelation = new ValueCorrelation(this.adapter, {
+            ...config,
+            shouldIgnore: id => this.shouldIgnore(id),
+        });
+        await this.valueCorrelation.startMonitoring();
+    }
+
     /**
      * Sleep helper for yielding to event loop.
      * @param {number} ms - Milliseconds to sleep
@@ -170,98 +352,130 @@ class DuplicateStateInspector {
     }
 
     /**
-     * Detect states with similar naming patterns.
+     * Detect states with similar naming patterns. Only states sharing a
+     * blocking key (type, role, unit, name token) are compared, in a worker
+     * thread so the adapter stays responsive.
      * @param {Map} stateMap - Map of state IDs to metadata
      * @returns {Promise<Array>} Array of duplicate groups
      */
     async detectNamingDuplicates(stateMap) {
-        const duplicates = [];
-        const processed = new Set();
-
-        const stateArray = Array.from(stateMap.values());
-        const totalStates = stateArray.length;
-        
-        // Limit comparison scope for large systems
-        const MAX_COMPARISONS = 50000;
-        let comparisonCount = 0;
-
-        this.adapter.log.debug(`Starting naming comparison for ${totalStates} states (max ${MAX_COMPARISONS} comparisons)`);
+        const stateArray = Array.from(stateMap.values()).filter(state => !this.shouldIgnore(state.id));
 
-        for (let i = 0; i < stateArray.length; i++) {
-            if (processed.has(stateArray[i].id)) continue;
-            
-            const baseState = stateArray[i];
-            
-            // Skip ignored states (already filtered in scan(), but double-check)
-            if (this.shouldIgnore(baseState.id)) continue;
+        const groups = await this.groupByNaming(stateArray);
+        if (!groups) {
+            return []; // Cancelled
+        }
 
-            const similarStates = [baseState];
+        this.namingStates = new Map(stateArray.map(({ id, type, role, name, unit }) => [id, { id, type, role, name, unit }]));
+        this.namingGroups = groups.map(group => group.map(state => state.id));
 
-            for (let j = i + 1; j < stateArray.length; j++) {
-                if (processed.has(stateArray[j].id)) continue;
-                
-                const compareState = stateArray[j];
-                
-                // Calculate similarity
-                try {
-                    const similarity = this.calculateSimilarity(baseState, compareState);
-                    
-                    if (similarity >= this.similarityThreshold) {
-                        similarStates.push(compareState);
-                        processed.add(compareState.id);
-                    }
-
-                    comparisonCount++;
+        const now = Date.now();
+        return groups.map(similarStates => this.namingDuplicate(similarStates, now));
+    }
 
-                    // Yield every 100 comparisons to prevent blocking
-                    if (comparisonCount % 100 === 0) {
-                        await this.sleep(0);
-                    }
+    /**
+     * Group states with similar naming patterns, in a worker thread unless disabled.
+     * @param {Array<object>} stateArray - State metadata
+     * @returns {Promise<Array<Array<object>>|null>} Groups of states, null if cancelled
+     */
+    async groupByNaming(stateArray) {
+        this.adapter.log.debug(`Starting naming comparison for ${stateArray.length} states`);
+
+        const result = this.useWorker
+            ? await this.runWorker(stateArray)
+            : matching.findNamingGroups(stateArray, { threshold: this.similarityThreshold });
+        if (!result) {
+            return null;
+        }
 
-                    // Safety limit for very large systems
-                    if (comparisonCount >= MAX_COMPARISONS) {
-                        this.adapter.log.warn(`Reached maximum comparison limit (${MAX_COMPARISONS}). Stopping naming duplicate detection.`);
-                        this.adapter.log.warn(`Processed ${i + 1}/${totalStates} base states. Consider reducing scope.`);
-                        break;
-                    }
-                } catch (err) {
-                    this.adapter.log.debug(`Error comparing ${baseState.id} with ${compareState.id}: ${err.message}`);
-                }
-            }
+        if (result.limitReached) {
+            this.adapter.log.warn(`Reached maximum comparison limit (${result.comparisons}). Stopping naming duplicate detection.`);
+        }
+        if (result.skippedBuckets > 0) {
+            this.adapter.log.debug(`Skipped ${result.skippedBuckets} blocking key(s) shared by too many states`);
+        }
 
-            if (similarStates.length > 1) {
-                processed.add(baseState.id);
-                
-                const now = Date.now();
-                duplicates.push({
-                    type: 'naming',
-                    reason: 'Similar naming pattern detected',
-                    pattern: this.extractCommonPattern(similarStates.map(s => s.id)),
-                    states: similarStates.map(s => ({
-                        id: s.id,
-                        name: s.name,
-                        value: s.value,
-                        lastChanged: s.lc,
-                        isStale: (now - s.lc) > 24 * 60 * 60 * 1000
-                    })),
-                    confidence: 'medium'
-                });
-            }
+        this.adapter.log.debug(`Naming comparison completed: ${result.comparisons} comparisons, ${result.groups.length} groups found`);
 
-            // Yield progress every 10 base states
-            if (i % 10 === 0) {
-                await this.sleep(0);
-            }
+        return result.groups.map(group => group.map(index => stateArray[index]));
+    }
 
-            // Stop early if comparison limit reached
-            if (comparisonCount >= MAX_COMPARISONS) {
-                break;
-            }
-        }
+    /**
+     * Duplicate group of states with similar names.
+     * @param {Array<object>} similarStates - State metadata with value and lc
+     * @param {number} now - Scan time
+     * @returns {object}
+     */
+    namingDuplicate(similarStates, now) {
+        return {
+            type: 'naming',
+            reason: 'Similar naming pattern detected',
+            pattern: this.extractCommonPattern(similarStates.map(s => s.id)),
+            states: similarStates.map(s => ({
+                id: s.id,
+                name: s.name,
+                value: s.value,
+                lastChanged: s.lc,
+                isStale: (now - s.lc) > 24 * 60 * 60 * 1000
+            })),
+            confidence: 'medium'
+        };
+    }
 
-        this.adapter.log.debug(`Naming comparison completed: ${comparisonCount} comparisons, ${duplicates.length} groups found`);
+    /**
+     * Compare the states in a worker thread.
+     * @param {Array<object>} states - State metadata
+     * @returns {Promise<object|null>} Matching result, null if cancelled by stop()
+     */
+    runWorker(states) {
+        return new Promise((resolve, reject) => {
+            let result = null;
+            const worker = new Worker(WORKER_FILE, {
+                workerData: {
+                    threshold: this.similarityThreshold,
+                    // Only what the comparison needs, values stay in this thread
+                    states: states.map(({ id, name, type, role, unit }) => ({ id, name, type, role, unit })),
+                },
+            });
+            this.worker = worker;
+            this.setProgress(0, states.length);
+
+            worker.on('message', message => {
+                if (message.type === 'progress') {
+                    this.setProgress(message.done, message.total);
+                } else if (message.type === 'result') {
+                    result = message;
+                }
+            });
+            worker.on('error', err => {
+                this.worker = null;
+                reject(err);
+            });
+            worker.on('exit', code => {
+                this.worker = null;
+                if (result) {
+                    this.setProgress(states.length, states.length);
+                    resolve(result);
+                } else if (this.cancelled) {
+                    resolve(null);
+                } else {
+                    reject(new Error(`Duplicate worker exited with code ${code}`));
+                }
+            });
+        });
+    }
 
-        return duplicates;
+    /**
+     * Report the progress of the running comparison.
+     * @param {number} done - Compared base states
+     * @param {number} total - All states
+     */
+    setProgress(done, total) {
+        this.progress = { done, total };
+        const percent = total > 0 ? Math.floor(done / total * 100) : 100;
+        this.adapter.log.debug(`Duplicate comparison: ${done}/${total} states (${percent}%)`);
+        this.adapter.setStateAsync(`${this.adapter.namespace}.inspector.duplicates.progress`, { val: percent, ack: true })
+            .catch(err => this.adapter.log.debug(`Cannot update duplicate scan progress: ${err.message}`));
     }
 
     /**
@@ -271,36 +485,7 @@ class DuplicateStateInspector {
      * @returns {number} Similarity score (0-1)
      */
     calculateSimilarity(state1, state2) {
-        let score = 0;
-        let factors = 0;
-
-        // Compare IDs (normalized Levenshtein distance)
-        const idSimilarity = this.levenshteinSimilarity(state1.id, state2.id);
-        score += idSimilarity * 0.4;
-        factors += 0.4;
-
-        // Compare names
-        if (state1.name && state2.name) {
-            const nameSimilarity = this.levenshteinSimilarity(
-                String(state1.name), 
-                String(state2.name)
-            );
-            score += nameSimilarity * 0.3;
-            factors += 0.3;
-        }
-
-        // Same type and role
-        if (state1.type === state2.type) {
-            score += 0.15;
-        }
-        factors += 0.15;
-
-        if (state1.role === state2.role) {
-            score += 0.15;
-        }
-        factors += 0.15;
-
-        return factors > 0 ? score / factors : 0;
+        return matching.calculateSimilarity(state1, state2);
     }
 
     /**
@@ -310,9 +495,7 @@ class DuplicateStateInspector {
      * @returns {number} Similarity score (0-1)
      */
     levenshteinSimilarity(str1, str2) {
-        const distance = this.levenshteinDistance(str1, str2);
-        const maxLength = Math.max(str1.length, str2.length);
-        return maxLength === 0 ? 1 : 1 - (distance / maxLength);
+        return matching.levenshteinSimilarity(str1, str2);
     }
 
     /**
@@ -322,31 +505,7 @@ class DuplicateStateInspector {
      * @returns {number} Edit distance
      */
     levenshteinDistance(str1, str2) {
-        const matrix = [];
-
-        for (let i = 0; i <= str2.length; i++) {
-            matrix[i] = [i];
-        }
-
-        for (let j = 0; j <= str1.length; j++) {
-            matrix[0][j] = j;
-        }
-
-        for (let i = 1; i <= str2.length; i++) {
-            for (let j = 1; j <= str1.length; j++) {
-                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1,
-                        matrix[i][j - 1] + 1,
-                        matrix[i - 1][j] + 1
-                    );
-                }
-            }
-        }
-
-        return matrix[str2.length][str1.length];
+        return matching.levenshteinDistance(str1, str2);
     }
 
     /**
@@ -422,6 +581,14 @@ class DuplicateStateInspector {
      */
     async stop() {
         this.adapter.log.info('Stopping duplicate state inspector...');
+        if (this.worker) {
+            this.cancelled = true;
+            await this.worker.terminate();
+        }
+        if (this.valueCorrelation) {
+            await this.valueCorrelation.stopMonitoring();
+            this.valueCorrelation = null;
+        }
     }
 }
 
@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * Naming duplicate matching, shared by the duplicate worker thread and its
+ * tests. Pure functions without adapter access, so they can run in a worker.
+ *
+ * Instead of comparing every state with every other one, states are put into
+ * buckets by blocking keys (type, role, unit and a normalized token of the
+ * name or ID). Only states sharing at least one bucket are compared.
+ */
+
+/** Length of the token prefix used as blocking key ("temperature" and "temperatur" share "temp") */
+const TOKEN_PREFIX_LENGTH = 4;
+
+/** Buckets with more states are not specific enough to find duplicates and are skipped */
+const DEFAULT_MAX_BUCKET_SIZE = 1000;
+
+/** Upper bound for the number of comparisons of one scan */
+const DEFAULT_MAX_COMPARISONS = 1000000;
+
+/**
+ * Calculate Levenshtein distance between two strings.
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} Edit distance
+ */
+function levenshteinDistance(str1, str2) {
+    const matrix = [];
+
+    for (let i = 0; i <= str2.length; i++) {
+        matrix[i] = [i];
+    }
+
+    for (let j = 0; j <= str1.length; j++) {
+        matrix[0][j] = j;
+    }
+
+    for (let i = 1; i <= str2.length; i++) {
+        for (let j = 1; j <= str1.length; j++) {
+            if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                matrix[i][j] = matrix[i - 1][j - 1];
+            } else {
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j - 1] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j] + 1
+                );
+            }
+        }
+    }
+
+    return matrix[str2.length][str1.length];
+}
+
+/**
+ * Calculate Levenshtein similarity (normalized, 0-1).
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} Similarity score (0-1)
+ */
+function levenshteinSimilarity(str1, str2) {
+    const distance = levenshteinDistance(str1, str2);
+    const maxLength = Math.max(str1.length, str2.length);
+    return maxLength === 0 ? 1 : 1 - (distance / maxLength);
+}
+
+/**
+ * Calculate similarity between two states based on naming and properties.
+ * @param {object} state1 - First state metadata
+ * @param {object} state2 - Second state metadata
+ * @returns {number} Similarity score (0-1)
+ */
+function calculateSimilarity(state1, state2) {
+    let score = 0;
+    let factors = 0;
+
+    // Compare IDs (normalized Levenshtein distance)
+    const idSimilarity = levenshteinSimilarity(state1.id, state2.id);
+    score += idSimilarity * 0.4;
+    factors += 0.4;
+
+    // Compare names
+    if (state1.name && state2.name) {
+        const nameSimilarity = levenshteinSimilarity(
+            String(state1.name),
+            String(state2.name)
+        );
+        score += nameSimilarity * 0.3;
+        factors += 0.3;
+    }
+
+    // Same type and role
+    if (state1.type === state2.type) {
+        score += 0.15;
+    }
+    factors += 0.15;
+
+    if (state1.role === state2.role) {
+        score += 0.15;
+    }
+    factors += 0.15;
+
+    return factors > 0 ? score / factors : 0;
+}
+
+/**
+ * Normalized tokens of the state name and the last ID segment: split at
+ * separators and camelCase, lower case, without digits, cut to a short prefix.
+ * @param {object} state - State metadata
+ * @returns {Set<string>} Tokens
+ */
+function nameTokens(state) {
+    const lastSegment = String(state.id).split('.').pop();
+    const name = typeof state.name === 'string' ? state.name : '';
+    const tokens = new Set();
+
+    for (const word of `${lastSegment} ${name}`.replace(/([a-z])([A-Z])/g, '$1 $2').split(/[^A-Za-z\u00C0-\u024F]+/)) {
+        if (word.length >= 3) {
+            tokens.add(word.toLowerCase().slice(0, TOKEN_PREFIX_LENGTH));
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Blocking keys of a state. Two states are only compared if they share a key.
+ * @param {object} state - State metadata
+ * @returns {Array<string>} Keys (type, role, unit and one name token each)
+ */
+function blockingKeys(state) {
+    const prefix = `${state.type || ''}|${state.role || ''}|${state.unit || ''}|`;
+    return [...nameTokens(state)].map(token => prefix + token);
+}
+
+/**
+ * Put states into buckets by their blocking keys.
+ * @param {Array<object>} states - State metadata
+ * @param {number} [maxBucketSize] - Skip buckets with more states
+ * @returns {{buckets: Array<Array<number>>, skipped: number}} Buckets of state indexes, number of skipped buckets
+ */
+function buildBuckets(states, maxBucketSize = DEFAULT_MAX_BUCKET_SIZE) {
+    const byKey = new Map();
+
+    for (let i = 0; i < states.length; i++) {
+        for (const key of blockingKeys(states[i])) {
+            if (!byKey.has(key)) {
+                byKey.set(key, []);
+            }
+            byKey.get(key).push(i);
+        }
+    }
+
+    const buckets = [];
+    let skipped = 0;
+    for (const bucket of byKey.values()) {
+        if (bucket.length > maxBucketSize) {
+            skipped++;
+        } else if (bucket.length > 1) {
+            buckets.push(bucket);
+        }
+    }
+
+    return { buckets, skipped };
+}
+
+/**
+ * Group states with similar naming patterns. Each state is compared with the
+ * later states of its buckets; similar ones join its group and are not
+ * compared again.
+ * @param {Array<object>} states - State metadata (id, name, type, role, unit)
+ * @param {object} [options] - Options
+ * @param {number} [options.threshold] - Minimum similarity (default: 0.9)
+ * @param {number} [options.maxBucketSize] - Skip buckets with more states (default: 1000)
+ * @param {number} [options.maxComparisons] - Stop after this many comparisons (default: 1000000)
+ * @param {(done: number, total: number) => void} [options.onProgress] - Called after each state
+ * @returns {{groups: Array<Array<number>>, comparisons: number, limitReached: boolean, skippedBuckets: number}} Groups of state indexes
+ */
+function findNamingGroups(states, options = {}) {
+    const threshold = options.threshold ?? 0.9;
+    const maxComparisons = options.maxComparisons || DEFAULT_MAX_COMPARISONS;
+    const { buckets, skipped } = buildBuckets(states, options.maxBucketSize || DEFAULT_MAX_BUCKET_SIZE);
+
+    const bucketsOf = new Map();
+    for (const bucket of buckets) {
+        for (const index of bucket) {
+            if (!bucketsOf.has(index)) {
+                bucketsOf.set(index, []);
+            }
+            bucketsOf.get(index).push(bucket);
+        }
+    }
+
+    const groups = [];
+    const processed = new Set();
+    let comparisons = 0;
+    let limitReached = false;
+
+    for (let i = 0; i < states.length && !limitReached; i++) {
+        if (!processed.has(i) && bucketsOf.has(i)) {
+            const candidates = new Set();
+            for (const bucket of bucketsOf.get(i)) {
+                for (const j of bucket) {
+                    if (j > i) {
+                        candidates.add(j);
+                    }
+                }
+            }
+
+            const group = [i];
+            for (const j of [...candidates].sort((a, b) => a - b)) {
+                if (processed.has(j)) {
+                    continue;
+                }
+                if (comparisons >= maxComparisons) {
+                    limitReached = true;
+                    break;
+                }
+                comparisons++;
+                if (calculateSimilarity(states[i], states[j]) >= threshold) {
+                    group.push(j);
+                    processed.add(j);
+                }
+            }
+
+            if (group.length > 1) {
+                processed.add(i);
+                groups.push(group);
+            }
+        }
+
+        if (options.onProgress) {
+            options.onProgress(i + 1, states.length);
+        }
+    }
+
+    return { groups, comparisons, limitReached, skippedBuckets: skipped };
+}
+
+module.exports = {
+    DEFAULT_MAX_BUCKET_SIZE,
+    levenshteinDistance,
+    levenshteinSimilarity,
+    calculateSimilarity,
+    nameTokens,
+    blockingKeys,
+    buildBuckets,
+    findNamingGroups,
+};
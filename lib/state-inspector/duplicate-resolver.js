@@ -0,0 +1,203 @@
+'use strict';
+
+const OrphanedStateInspector = require('./orphaned-states');
+
+/**
+ * Alias conversions between units: `from|to` -> expression on `val`, as used
+ * in `common.alias.read` / `common.alias.write`.
+ */
+const UNIT_CONVERSIONS = {
+    '°C|°F': 'val * 1.8 + 32',
+    '°F|°C': '(val - 32) / 1.8',
+    '°C|K': 'val + 273.15',
+    'K|°C': 'val - 273.15',
+    '°F|K': '(val - 32) / 1.8 + 273.15',
+    'K|°F': '(val - 273.15) * 1.8 + 32',
+    'W|kW': 'val / 1000',
+    'kW|W': 'val * 1000',
+    'Wh|kWh': 'val / 1000',
+    'kWh|Wh': 'val * 1000',
+    'hPa|mbar': 'val',
+    'mbar|hPa': 'val',
+    'km/h|m/s': 'val / 3.6',
+    'm/s|km/h': 'val * 3.6',
+};
+
+/**
+ * Guided duplicate resolution: turns a duplicate group into an `alias.0.*`
+ * object pointing at the canonical state, so scripts and visualizations can
+ * move to one ID before the other members are removed.
+ *
+ * `plan()` only reads (dry run); `apply()` creates the alias object.
+ */
+class DuplicateResolver {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Build the resolution of a group without changing anything.
+     * @param {object} options - Resolution options
+     * @param {Array<string>} options.states - State IDs of the duplicate group
+     * @param {string} options.canonical - State to keep (member of the group)
+     * @param {string} [options.aliasId] - Alias to create (default: `alias.0.` + canonical ID without adapter instance)
+     * @param {string} [options.writeTarget] - Member written through the alias (default: canonical if writable, else the first writable member)
+     * @param {string} [options.unit] - Unit of the alias (default: unit of the canonical state)
+     * @returns {Promise<object>} Plan `{ canonical, aliasId, alias, exists, members, warnings }`
+     */
+    async plan(options) {
+        const states = Array.isArray(options.states) ? options.states.filter(id => typeof id === 'string') : [];
+        const canonical = options.canonical;
+        if (!canonical || !states.includes(canonical)) {
+            throw new Error('Canonical state must be a member of the group');
+        }
+
+        const objects = {};
+        for (const id of states) {
+            const obj = await this.adapter.getForeignObjectAsync(id);
+            if (!obj || obj.type !== 'state') {
+                throw new Error(`State object ${id} not found`);
+            }
+            objects[id] = obj;
+        }
+
+        const aliasId = options.aliasId || DuplicateResolver.defaultAliasId(canonical);
+        if (!/^alias\.0\.[^*?"'\s]+$/.test(aliasId)) {
+            throw new Error(`Invalid alias ID ${aliasId}, must be below alias.0`);
+        }
+
+        const warnings = [];
+        const common = objects[canonical].common || {};
+        const unit = options.unit || common.unit || '';
+
+        let writeTarget = null;
+        if (options.writeTarget) {
+            if (!states.includes(options.writeTarget)) {
+                throw new Error('Write target must be a member of the group');
+            }
+            writeTarget = options.writeTarget;
+        } else {
+            writeTarget = [canonical, ...states.filter(id => id !== canonical)]
+                .find(id => objects[id].common?.write !== false) || null;
+        }
+        if (!writeTarget) {
+            warnings.push('No member of the group is writable, the alias is read-only');
+        }
+
+        const alias = {
+            type: 'state',
+            common: {
+                name: common.name || canonical,
+                type: common.type || 'mixed',
+                role: common.role || 'state',
+                read: true,
+                write: !!writeTarget,
+                alias: {
+                    id: writeTarget && writeTarget !== canonical ? { read: canonical, write: writeTarget } : canonical,
+                },
+            },
+            native: {
+                createdBy: this.adapter.namespace,
+                duplicates: states.filter(id => id !== canonical),
+            },
+        };
+        if (unit) {
+            alias.common.unit = unit;
+        }
+        for (const attr of ['min', 'max', 'states']) {
+            if (common[attr] !== undefined && unit === (common.unit || '')) {
+                alias.common[attr] = common[attr];
+            }
+        }
+
+        const read = this.conversion(common.unit, unit, warnings);
+        if (read) {
+            alias.common.alias.read = read;
+        }
+        if (writeTarget) {
+            const write = this.conversion(unit, objects[writeTarget].common?.unit, warnings);
+            if (write) {
+                alias.common.alias.write = write;
+            }
+        }
+
+        const existing = await this.adapter.getForeignObjectAsync(aliasId);
+        let exists = false;
+        if (existing) {
+            if (JSON.stringify(existing.common?.alias?.id) !== JSON.stringify(alias.common.alias.id)) {
+                throw new Error(`${aliasId} already exists and points to another state`);
+            }
+            exists = true;
+        }
+
+        const inspector = new OrphanedStateInspector(this.adapter, [], { dataDir: this.adapter.ioBrokerDataDir });
+        const referenceMap = await inspector.buildReferenceMap();
+        const members = states.map(id => ({
+            id,
+            canonical: id === canonical,
+            unit: objects[id].common?.unit || '',
+            writable: objects[id].common?.write !== false,
+            references: inspector.referencesFor(id, referenceMap).filter(ref => ref !== `alias:${aliasId}`),
+        }));
+
+        return { canonical, aliasId, alias, exists, members, warnings };
+    }
+
+    /**
+     * Create the alias of a plan.
+     * @param {object} options - Same options as plan()
+     * @returns {Promise<object>} The plan with `applied: true`
+     */
+    async apply(options) {
+        const plan = await this.plan(options);
+        if (!plan.exists) {
+            await this.adapter.setForeignObjectAsync(plan.aliasId, plan.alias);
+            this.adapter.log.info(`Created ${plan.aliasId} for duplicate group of ${plan.canonical}`);
+        }
+
+        const toMigrate = plan.members.filter(member => !member.canonical && member.references.length > 0);
+        if (toMigrate.length > 0) {
+            this.adapter.log.info(
+                `Update the references to ${toMigrate.map(member => member.id).join(', ')} to use ${plan.aliasId}`
+            );
+        }
+
+        return { ...plan, applied: true };
+    }
+
+    /**
+     * Alias conversion between two units.
+     * @param {string|undefined} from - Unit of the source value
+     * @param {string|undefined} to - Unit of the result
+     * @param {Array<string>} warnings - Unknown conversions are added here
+     * @returns {string|null} Expression, null if no conversion is needed or known
+     */
+    conversion(from, to, warnings) {
+        if (!from || !to || from === to) {
+            return null;
+        }
+        const expression = UNIT_CONVERSIONS[`${from}|${to}`];
+        if (!expression) {
+            warnings.push(`No conversion from ${from} to ${to}, values are passed unchanged`);
+            return null;
+        }
+        return expression;
+    }
+
+    /**
+     * Default alias of a canonical state: its ID below alias.0 without the adapter instance.
+     * @param {string} canonical - Canonical state ID
+     * @returns {string} Alias ID (e.g. `alias.0.livingroom.temperature` for `hm-rpc.0.livingroom.temperature`)
+     */
+    static defaultAliasId(canonical) {
+        const match = canonical.match(/^[^.]+\.\d+\.(.+)$/);
+        return `alias.0.${match ? match[1] : canonical}`;
+    }
+}
+
+DuplicateResolver.UNIT_CONVERSIONS = UNIT_CONVERSIONS;
+
+module.exports = DuplicateResolver;
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Worker thread entry for the naming duplicate detection. Receives the state
+ * metadata as `workerData`, posts `progress` messages at most every
+ * PROGRESS_INTERVAL_MS and one `result` message with the groups of state indexes.
+ */
+
+const { parentPort, workerData } = require('node:worker_threads');
+const { findNamingGroups } = require('./duplicate-matching');
+
+const PROGRESS_INTERVAL_MS = 1000;
+
+let lastProgress = Date.now();
+
+const result = findNamingGroups(workerData.states, {
+    threshold: workerData.threshold,
+    maxBucketSize: workerData.maxBucketSize,
+    maxComparisons: workerData.maxComparisons,
+    onProgress: (done, total) => {
+        const now = Date.now();
+        if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+            lastProgress = now;
+            parentPort.postMessage({ type: 'progress', done, total });
+        }
+    },
+});
+
+parentPort.postMessage({ type: 'result', ...result });
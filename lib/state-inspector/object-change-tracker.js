@@ -0,0 +1,103 @@
+'use strict';
+
+/** Pending changes per consumer before it has to fall back to a full scan. */
+const DEFAULT_MAX_PENDING = 10000;
+
+/**
+ * Collects object changes between two inspections.
+ *
+ * Subscribes to all object changes once and keeps the latest version of every
+ * created, changed or deleted object (null for deleted) per registered
+ * consumer, so each incremental inspector only re-evaluates what changed since
+ * its own last run. If more than `maxPending` objects change in between (e.g.
+ * an adapter creating its whole object tree), the consumer is told to run a
+ * full scan instead.
+ */
+class ObjectChangeTracker {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {number} [options.maxPending] - Changes per consumer before it overflows (default: 10000)
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.maxPending = Number(options.maxPending) > 0 ? Number(options.maxPending) : DEFAULT_MAX_PENDING;
+
+        /** @type {Map<string, {changes: Map<string, object|null>, overflow: boolean}>} */
+        this.consumers = new Map();
+        this.handler = null;
+    }
+
+    /**
+     * Subscribe to all object changes.
+     */
+    async start() {
+        if (this.handler) {
+            return;
+        }
+        this.handler = (id, obj) => this.onObjectChange(id, obj);
+        this.adapter.on('objectChange', this.handler);
+        await this.adapter.subscribeForeignObjectsAsync('*');
+        this.adapter.log.debug('Tracking object changes for incremental inspections');
+    }
+
+    /**
+     * Start collecting changes for a consumer.
+     * @param {string} name - Consumer (check) name
+     */
+    register(name) {
+        if (!this.consumers.has(name)) {
+            this.consumers.set(name, { changes: new Map(), overflow: false });
+        }
+    }
+
+    /**
+     * Record a changed or deleted object for all consumers.
+     * @param {string} id - Object ID
+     * @param {object|null|undefined} obj - New object, null/undefined if deleted
+     */
+    onObjectChange(id, obj) {
+        for (const pending of this.consumers.values()) {
+            if (pending.overflow) {
+                continue;
+            }
+            pending.changes.set(id, obj || null);
+            if (pending.changes.size > this.maxPending) {
+                pending.overflow = true;
+                pending.changes.clear();
+            }
+        }
+    }
+
+    /**
+     * Hand out and reset the changes collected for a consumer.
+     * @param {string} name - Consumer (check) name
+     * @returns {{changes: Map<string, object|null>, overflow: boolean}|null} Null if the consumer is not registered
+     */
+    take(name) {
+        const pending = this.consumers.get(name);
+        if (!pending) {
+            return null;
+        }
+        this.consumers.set(name, { changes: new Map(), overflow: false });
+        return pending;
+    }
+
+    /**
+     * Unsubscribe on adapter unload.
+     */
+    async stop() {
+        if (!this.handler) {
+            return;
+        }
+        this.adapter.removeListener('objectChange', this.handler);
+        this.handler = null;
+        try {
+            await this.adapter.unsubscribeForeignObjectsAsync('*');
+        } catch (err) {
+            this.adapter.log.debug(`Cannot unsubscribe from object changes: ${err.message}`);
+        }
+    }
+}
+
+module.exports = ObjectChangeTracker;
@@ -1,5 +1,8 @@
 'use strict';
 
+const StateSnapshot = require('./state-snapshot');
+const { ReferenceProvider, BUILTIN_PROVIDERS } = require('./references');
+
 /**
  * Orphaned state detection - identifies states without adapters or references.
  */
@@ -7,8 +10,10 @@ class OrphanedStateInspector {
     /**
      * @param {object} adapter - ioBroker adapter instance
      * @param {Array<string>} ignoreList - State patterns to ignore (e.g., 'system.*', 'admin.*')
+     * @param {object} [options] - Options of the built-in reference providers
+     * @param {string} [options.dataDir] - ioBroker data directory (`iobroker-data`) with the node-red flows
      */
-    constructor(adapter, ignoreList = []) {
+    constructor(adapter, ignoreList = [], options = {}) {
         this.adapter = adapter;
         this.ignoreList = [
             'system.*',
@@ -19,6 +24,31 @@ class OrphanedStateInspector {
             ...ignoreList
         ];
         this.orphanedStates = [];
+        /** @type {import('./state-snapshot')|null} Shared snapshot of the inspection cycle; read directly if not set */
+        this.snapshot = null;
+
+        /** @type {Array<ReferenceProvider>} Sources of state references */
+        this.referenceProviders = BUILTIN_PROVIDERS.map(Provider => new Provider(adapter, options));
+
+        // Baseline of the last full scan, kept up to date by inspectChanges()
+        /** @type {Map<string, Array<{source: string, stateIds: Array<string>}>>} `<provider>:<object ID or file>` -> references */
+        this.referenceSources = new Map();
+        /** @type {Map<string, Array<string>>|null} */
+        this.referenceMap = null;
+        /** @type {Array<{source: string, pattern: RegExp}>} References by pattern (e.g. RegExp subscriptions) */
+        this.referencePatterns = [];
+        /** @type {Map<string, object>|null} */
+        this.adapterInstances = null;
+        /** @type {Map<string, object>} State ID -> orphan info */
+        this.findings = new Map();
+    }
+
+    /**
+     * Add a source of state references, e.g. for another visualization.
+     * @param {ReferenceProvider} provider - Provider (see references/reference-provider.js)
+     */
+    addReferenceProvider(provider) {
+        this.referenceProviders.push(provider);
     }
 
     /**
@@ -97,14 +127,13 @@ class OrphanedStateInspector {
         this.orphanedStates = [];
 
         // Get all states
-        const allStates = await this.adapter.getForeignStatesAsync('*');
-        const allObjects = await this.adapter.getForeignObjectsAsync('*', 'state');
+        const { states: allStates, objects: allObjects } = await StateSnapshot.read(this.adapter, this.snapshot);
         
         // Get all adapter instances
         const adapterInstances = await this.getAdapterInstances();
         
         // Build reference map
-        const referenceMap = await this.buildReferenceMap();
+        const referenceMap = await this.buildReferenceMap(allObjects);
         
         // Analyze state usage (read/write patterns)
         const usageMap = await this.analyzeUsagePatterns(allStates);
@@ -134,86 +163,206 @@ class OrphanedStateInspector {
             }
         }
 
-        // Generate report
+        this.adapterInstances = adapterInstances;
+        this.referenceMap = referenceMap;
+        this.findings = new Map(this.orphanedStates.map(orphan => [orphan.id, orphan]));
+
+        const report = await this.publish();
+
+        this.adapter.log.info(`Orphaned state inspection complete: ${this.orphanedStates.length} orphaned state(s) found.`);
+
+        return report;
+    }
+
+    /**
+     * Re-evaluate only the states affected by object changes since the last
+     * inspection: changed or deleted state objects, and the states referenced
+     * before or after by changed scripts, vis projects, aliases and other
+     * objects of the reference providers. References from files (node-red
+     * flows, vis-2 views) are refreshed by full scans.
+     * @param {Map<string, object|null>} changes - Object ID -> new object (null if deleted)
+     * @returns {Promise<object|null>} Report, or null if a full scan is needed
+     */
+    async inspectChanges(changes) {
+        if (!this.referenceMap || !this.adapterInstances) {
+            return null; // No baseline yet
+        }
+
+        const affected = new Set();
+        let referencesChanged = false;
+
+        for (const [id, obj] of changes) {
+            // An instance was added, removed, enabled or disabled: all its states may change category
+            if (/^system\.adapter\.[^.]+\.\d+$/.test(id)) {
+                return null;
+            }
+
+            for (const provider of this.referenceProviders) {
+                if (!provider.handles(id)) {
+                    continue;
+                }
+                const key = `${provider.name}:${id}`;
+                const previous = this.referenceSources.get(key) || [];
+                const current = provider.referencesOf(id, obj);
+                if (previous.length === 0 && current.length === 0) {
+                    continue;
+                }
+                if ([...previous, ...current].some(reference => reference.patterns || reference.names)) {
+                    return null; // The states matching a pattern or name are only known to a full scan
+                }
+                if (current.length > 0) {
+                    this.referenceSources.set(key, current);
+                } else {
+                    this.referenceSources.delete(key);
+                }
+                for (const { stateIds } of [...previous, ...current]) {
+                    for (const stateId of stateIds) {
+                        affected.add(stateId);
+                    }
+                }
+                referencesChanged = true;
+            }
+
+            if (!obj || obj.type === 'state') {
+                affected.add(id);
+            }
+        }
+
+        if (referencesChanged) {
+            this.referenceMap = this.referenceMapFromSources();
+        }
+
+        for (const stateId of affected) {
+            const obj = changes.has(stateId) ? changes.get(stateId) : await this.adapter.getForeignObjectAsync(stateId);
+            if (obj && obj.type !== 'state') {
+                return null; // Reference to a device or channel, covers all its states
+            }
+            const state = obj?.type === 'state' && !this.shouldIgnore(stateId)
+                ? await this.adapter.getForeignStateAsync(stateId)
+                : null;
+            if (!state) {
+                this.findings.delete(stateId);
+                continue;
+            }
+
+            const usageMap = await this.analyzeUsagePatterns({ [stateId]: state });
+            const orphanInfo = await this.checkOrphaned(stateId, obj, state, this.adapterInstances, this.referenceMap, usageMap);
+            if (orphanInfo) {
+                this.findings.set(stateId, orphanInfo);
+            } else {
+                this.findings.delete(stateId);
+            }
+        }
+
+        this.orphanedStates = [...this.findings.values()];
+        const report = await this.publish();
+
+        this.adapter.log.info(
+            `Incremental orphaned state inspection complete: ${changes.size} changed object(s), ` +
+            `${affected.size} state(s) re-evaluated, ${this.orphanedStates.length} orphaned state(s) found.`
+        );
+
+        return report;
+    }
+
+    /**
+     * Write the report of the current findings to the inspector states.
+     * @returns {Promise<object>} Report
+     */
+    async publish() {
         const report = this.generateReport();
-        
-        // Update states
+
         await this.adapter.setStateAsync('inspector.orphanedStates.report', JSON.stringify(report, null, 2), true);
         await this.adapter.setStateAsync('inspector.orphanedStates.count', this.orphanedStates.length, true);
         await this.adapter.setStateAsync('inspector.orphanedStates.hasOrphans', this.orphanedStates.length > 0, true);
         await this.adapter.setStateAsync('inspector.orphanedStates.byCategory', JSON.stringify(this.categorizeOrphans(), null, 2), true);
 
-        this.adapter.log.info(`Orphaned state inspection complete: ${this.orphanedStates.length} orphaned state(s) found.`);
-
         return report;
     }
 
     /**
-     * Build reference map from scripts, vis, aliases.
+     * Build reference map from all reference providers (scripts, vis, aliases, scenes, ...).
+     * @param {Record<string, object>} [stateObjects] - State objects if already read
      * @returns {Promise<Map<string, Array<string>>>} Map of state ID -> references
      */
-    async buildReferenceMap() {
+    async buildReferenceMap(stateObjects) {
+        this.referenceSources = new Map();
+
+        let loading = null;
+        const context = {
+            getStateObjects: () => {
+                if (!loading) {
+                    loading = stateObjects
+                        ? Promise.resolve(stateObjects)
+                        : StateSnapshot.read(this.adapter, this.snapshot).then(({ objects }) => objects || {});
+                }
+                return loading;
+            },
+        };
+
+        for (const provider of this.referenceProviders) {
+            try {
+                for (const [key, references] of await provider.collect(context)) {
+                    this.referenceSources.set(`${provider.name}:${key}`, references);
+                }
+            } catch (err) {
+                this.adapter.log.error(`Error building reference map from ${provider.name}: ${err.message}`);
+            }
+        }
+
+        const referenceMap = this.referenceMapFromSources();
+        this.adapter.log.debug(`Built reference map with ${referenceMap.size} referenced states`);
+
+        return referenceMap;
+    }
+
+    /**
+     * Invert the reference sources into state ID -> referencing sources.
+     * References by pattern are kept in `referencePatterns`.
+     * @returns {Map<string, Array<string>>}
+     */
+    referenceMapFromSources() {
         const referenceMap = new Map();
+        this.referencePatterns = [];
 
-        try {
-            // 1. Scan JavaScript/Blockly scripts
-            const scripts = await this.adapter.getForeignObjectsAsync('script.js.*', 'script');
-            
-            for (const [scriptId, scriptObj] of Object.entries(scripts)) {
-                if (!scriptObj?.common?.source) continue;
-                
-                const source = scriptObj.common.source;
-                
-                // Extract state IDs from script (simple regex-based detection)
-                const stateReferences = this.extractStateReferences(source);
-                
-                for (const stateId of stateReferences) {
+        for (const references of this.referenceSources.values()) {
+            for (const { source, stateIds, patterns } of references) {
+                for (const pattern of patterns || []) {
+                    this.referencePatterns.push({ source, pattern });
+                }
+                for (const stateId of stateIds) {
                     if (!referenceMap.has(stateId)) {
                         referenceMap.set(stateId, []);
                     }
-                    referenceMap.get(stateId).push(`script:${scriptId}`);
+                    referenceMap.get(stateId).push(source);
                 }
             }
+        }
 
-            // 2. Scan vis projects
-            const visProjects = await this.adapter.getForeignObjectsAsync('vis.*', 'meta');
-            
-            for (const [visId, visObj] of Object.entries(visProjects)) {
-                if (visObj?.type === 'meta' && visObj?.common?.type === 'project') {
-                    // vis project data contains widget bindings
-                    const visData = JSON.stringify(visObj);
-                    const stateReferences = this.extractStateReferences(visData);
-                    
-                    for (const stateId of stateReferences) {
-                        if (!referenceMap.has(stateId)) {
-                            referenceMap.set(stateId, []);
-                        }
-                        referenceMap.get(stateId).push(`vis:${visId}`);
-                    }
-                }
-            }
+        return referenceMap;
+    }
 
-            // 3. Scan alias structures
-            const aliases = await this.adapter.getForeignObjectsAsync('alias.0.*', 'state');
-            
-            for (const [aliasId, aliasObj] of Object.entries(aliases)) {
-                if (!aliasObj?.common?.alias?.id) continue;
-                
-                const targetStateId = aliasObj.common.alias.id;
-                
-                if (!referenceMap.has(targetStateId)) {
-                    referenceMap.set(targetStateId, []);
-                }
-                referenceMap.get(targetStateId).push(`alias:${aliasId}`);
+    /**
+     * References of a state, including those of its device and channel (e.g.
+     * enum members) and matching patterns (e.g. RegExp subscriptions).
+     * @param {string} stateId - State ID
+     * @param {Map<string, Array<string>>} referenceMap - Map of state references
+     * @returns {Array<string>} Referencing sources
+     */
+    referencesFor(stateId, referenceMap) {
+        const references = [...(referenceMap.get(stateId) || [])];
+        for (let end = stateId.lastIndexOf('.'); end > 0; end = stateId.lastIndexOf('.', end - 1)) {
+            const parentReferences = referenceMap.get(stateId.slice(0, end));
+            if (parentReferences) {
+                references.push(...parentReferences);
             }
-
-            this.adapter.log.debug(`Built reference map with ${referenceMap.size} referenced states`);
-
-        } catch (err) {
-            this.adapter.log.error(`Error building reference map: ${err.message}`);
         }
-
-        return referenceMap;
+        for (const { source, pattern } of this.referencePatterns) {
+            if (pattern.test(stateId)) {
+                references.push(source);
+            }
+        }
+        return [...new Set(references)];
     }
 
     /**
@@ -222,35 +371,7 @@ class OrphanedStateInspector {
      * @returns {Set<string>} Set of state IDs
      */
     extractStateReferences(source) {
-        const stateIds = new Set();
-        
-        // Match patterns like:
-        // getState('adapter.0.state')
-        // setState('adapter.0.state', ...)
-        // $('adapter.0.state')
-        // "oid": "adapter.0.state"
-        // 'adapter.0.*' subscriptions
-        
-        const patterns = [
-            /['"`]([a-zA-Z0-9_-]+\.\d+\.[a-zA-Z0-9_./-]+)['"`]/g,  // Quoted state IDs
-            /\$\(['"`]([a-zA-Z0-9_-]+\.\d+\.[a-zA-Z0-9_./-]+)['"`]\)/g,  // $('state')
-            /getState\(['"`]([a-zA-Z0-9_-]+\.\d+\.[a-zA-Z0-9_./-]+)['"`]\)/g,  // getState('state')
-            /setState\(['"`]([a-zA-Z0-9_-]+\.\d+\.[a-zA-Z0-9_./-]+)['"`]/g,  // setState('state', ...)
-        ];
-        
-        for (const pattern of patterns) {
-            let match;
-            while ((match = pattern.exec(source)) !== null) {
-                const stateId = match[1];
-                
-                // Filter out false positives (URLs, etc.)
-                if (stateId.includes('.') && !stateId.startsWith('http')) {
-                    stateIds.add(stateId);
-                }
-            }
-        }
-        
-        return stateIds;
+        return ReferenceProvider.extractStateReferences(source);
     }
 
     /**
@@ -332,7 +453,7 @@ class OrphanedStateInspector {
         const adapterEnabled = adapterInstances.get(adapterId)?.common?.enabled;
         
         // Check if state is referenced
-        const references = referenceMap.get(stateId) || [];
+        const references = this.referencesFor(stateId, referenceMap);
         const isReferenced = references.length > 0;
         
         // Get usage info
@@ -393,7 +514,7 @@ class OrphanedStateInspector {
      * @returns {Promise<Map>} Map of adapter ID -> adapter object
      */
     async getAdapterInstances() {
-        const adapters = await this.adapter.getForeignObjectsAsync('system.adapter.*', 'instance');
+        const adapters = await StateSnapshot.readInstances(this.adapter, this.snapshot);
         const instances = new Map();
         
         for (const [id, obj] of Object.entries(adapters)) {
@@ -531,6 +652,11 @@ class OrphanedStateInspector {
      */
     async cleanup() {
         this.orphanedStates = [];
+        this.findings.clear();
+        this.referenceSources.clear();
+        this.referencePatterns = [];
+        this.referenceMap = null;
+        this.adapterInstances = null;
         this.adapter.log.info('Orphaned state inspector cleanup complete.');
     }
 }
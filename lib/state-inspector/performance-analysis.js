@@ -1,5 +1,7 @@
 'use strict';
 
+const StateSnapshot = require('./state-snapshot');
+
 /**
  * Performance and resource usage analysis - identifies states causing performance issues or wasting resources.
  */
@@ -37,6 +39,9 @@ class PerformanceAnalysisInspector {
         this.subscriptionActive = false;
         this.stateChangeHandler = null;
         this.monitoringTimeout = null;
+
+        /** @type {import('./state-snapshot')|null} Shared snapshot of the inspection cycle; read per adapter namespace if not set */
+        this.snapshot = null;
     }
 
     /**
@@ -252,17 +257,12 @@ class PerformanceAnalysisInspector {
     async analyzeLargeObjectTrees() {
         const adapterStateCounts = new Map();
 
-        // Get list of adapter instances
-        const instances = await this.adapter.getObjectViewAsync('system', 'instance', {});
-        
-        for (const row of instances.rows) {
-            const instanceId = row.id.replace('system.adapter.', '');
-            
+        for (const instanceId of await this.getInstanceIds()) {
             if (this.shouldIgnore(instanceId)) continue;
 
             try {
                 // Count states per adapter namespace (more memory-efficient than loading all)
-                const states = await this.adapter.getForeignStatesAsync(`${instanceId}.*`);
+                const { states } = await this.readNamespace(instanceId, false);
                 const count = Object.keys(states).length;
                 
                 if (count > 0) {
@@ -287,6 +287,43 @@ class PerformanceAnalysisInspector {
         return largeAdapters.sort((a, b) => b.stateCount - a.stateCount);
     }
 
+    /**
+     * IDs of all adapter instances (e.g. `mqtt.0`).
+     * @returns {Promise<string[]>}
+     */
+    async getInstanceIds() {
+        if (this.snapshot) {
+            const instances = await StateSnapshot.readInstances(this.adapter, this.snapshot);
+            return Object.keys(instances).map(id => id.replace('system.adapter.', ''));
+        }
+        const instances = await this.adapter.getObjectViewAsync('system', 'instance', {});
+        return instances.rows.map(row => row.id.replace('system.adapter.', ''));
+    }
+
+    /**
+     * States (and optionally objects) of one adapter namespace, from the shared
+     * snapshot if available.
+     * @param {string} instanceId - Adapter instance (e.g. `mqtt.0`)
+     * @param {boolean} withObjects - Also read the state objects
+     * @returns {Promise<{states: Record<string, object>, objects: Record<string, object>}>}
+     */
+    async readNamespace(instanceId, withObjects) {
+        if (this.snapshot) {
+            const view = await this.snapshot.get();
+            const states = {};
+            for (const id of view.idsByInstance.get(instanceId) || []) {
+                if (view.states[id]) {
+                    states[id] = view.states[id];
+                }
+            }
+            return { states, objects: view.objects };
+        }
+        return {
+            states: await this.adapter.getForeignStatesAsync(`${instanceId}.*`),
+            objects: withObjects ? await this.adapter.getForeignObjectsAsync(`${instanceId}.*`, 'state') : {},
+        };
+    }
+
     /**
      * Analyze states with history enabled that rarely change.
      * Uses per-adapter iteration instead of loading all states at once (fix #2).
@@ -296,18 +333,12 @@ class PerformanceAnalysisInspector {
         const historyWaste = [];
         const thresholdMs = 7 * 24 * 60 * 60 * 1000; // 7 days
 
-        // Get list of adapter instances
-        const instances = await this.adapter.getObjectViewAsync('system', 'instance', {});
-        
-        for (const row of instances.rows) {
-            const instanceId = row.id.replace('system.adapter.', '');
-            
+        for (const instanceId of await this.getInstanceIds()) {
             if (this.shouldIgnore(instanceId)) continue;
 
             try {
                 // Load states and objects per adapter namespace
-                const states = await this.adapter.getForeignStatesAsync(`${instanceId}.*`);
-                const objects = await this.adapter.getForeignObjectsAsync(`${instanceId}.*`, 'state');
+                const { states, objects } = await this.readNamespace(instanceId, true);
 
                 for (const [stateId, state] of Object.entries(states)) {
                     if (this.shouldIgnore(stateId)) continue;
@@ -0,0 +1,43 @@
+'use strict';
+
+const ReferenceProvider = require('./reference-provider');
+
+/**
+ * Targets of aliases (`common.alias.id`, also with separate read and write targets).
+ */
+class AliasReferences extends ReferenceProvider {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, { name: 'alias', objectPatterns: [{ pattern: 'alias.0.*', type: 'state' }] });
+    }
+
+    /**
+     * Aliases are state objects, taken from the state objects of the scan.
+     * @param {{getStateObjects: () => Promise<Record<string, object>>}} context - Shared data of the scan
+     */
+    async collect(context) {
+        const result = new Map();
+        for (const [id, obj] of Object.entries(await context.getStateObjects())) {
+            if (this.handles(id)) {
+                const references = this.referencesOf(id, obj);
+                if (references.length > 0) {
+                    result.set(id, references);
+                }
+            }
+        }
+        return result;
+    }
+
+    referencesOf(id, obj) {
+        const target = obj?.common?.alias?.id;
+        if (!target) {
+            return [];
+        }
+        const stateIds = typeof target === 'string' ? [target] : [...new Set([target.read, target.write].filter(Boolean))];
+        return [{ source: `alias:${id}`, stateIds }];
+    }
+}
+
+module.exports = AliasReferences;
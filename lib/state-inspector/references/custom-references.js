@@ -0,0 +1,51 @@
+'use strict';
+
+const ReferenceProvider = require('./reference-provider');
+
+/**
+ * States with enabled custom settings (`common.custom`) of history, influxdb,
+ * sql, telegram, alexa and other adapters, which use them without a script.
+ */
+class CustomReferences extends ReferenceProvider {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, { name: 'custom' });
+    }
+
+    /**
+     * Custom settings are part of the state objects of the scan.
+     * @param {{getStateObjects: () => Promise<Record<string, object>>}} context - Shared data of the scan
+     */
+    async collect(context) {
+        const result = new Map();
+        for (const [id, obj] of Object.entries(await context.getStateObjects())) {
+            const references = this.referencesOf(id, obj);
+            if (references.length > 0) {
+                result.set(id, references);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Any state object may get custom settings.
+     * @returns {boolean}
+     */
+    handles() {
+        return true;
+    }
+
+    referencesOf(id, obj) {
+        const custom = obj?.type === 'state' && obj.common?.custom;
+        if (!custom || typeof custom !== 'object') {
+            return [];
+        }
+        return Object.entries(custom)
+            .filter(([, settings]) => settings && settings.enabled !== false)
+            .map(([instance]) => ({ source: `custom:${instance}`, stateIds: [id] }));
+    }
+}
+
+module.exports = CustomReferences;
@@ -0,0 +1,26 @@
+'use strict';
+
+const ReferenceProvider = require('./reference-provider');
+
+/**
+ * Members of rooms, functions and other enums. Members are often devices or
+ * channels; their states count as referenced too (see OrphanedStateInspector).
+ */
+class EnumReferences extends ReferenceProvider {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, { name: 'enum', objectPatterns: [{ pattern: 'enum.*', type: 'enum' }] });
+    }
+
+    referencesOf(id, obj) {
+        const members = obj?.common?.members;
+        if (!Array.isArray(members) || members.length === 0) {
+            return [];
+        }
+        return [{ source: `enum:${id}`, stateIds: members.filter(member => typeof member === 'string') }];
+    }
+}
+
+module.exports = EnumReferences;
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Built-in reference providers of the orphaned state detection.
+ */
+const BUILTIN_PROVIDERS = [
+    require('./script-references'),
+    require('./vis-references'),
+    require('./alias-references'),
+    require('./scene-references'),
+    require('./node-red-references'),
+    require('./ui-config-references'),
+    require('./custom-references'),
+    require('./enum-references'),
+];
+
+module.exports = {
+    ReferenceProvider: require('./reference-provider'),
+    BUILTIN_PROVIDERS,
+};
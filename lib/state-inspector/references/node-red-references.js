@@ -0,0 +1,93 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const ReferenceProvider = require('./reference-provider');
+
+/**
+ * States used by node-red flows: topics of the ioBroker nodes and IDs in
+ * function nodes. The node-red adapter keeps its flows in
+ * `iobroker-data/node-red[.<n>]/flows.json`.
+ */
+class NodeRedReferences extends ReferenceProvider {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Provider options
+     * @param {string} [options.dataDir] - ioBroker data directory (`utils.getAbsoluteDefaultDataDir()`); without it no flows are read
+     */
+    constructor(adapter, options = {}) {
+        super(adapter, { name: 'node-red' });
+        this.dataDir = options.dataDir || null;
+    }
+
+    async collect() {
+        const result = new Map();
+        if (!this.dataDir) {
+            return result;
+        }
+
+        const dataRoot = this.dataDir;
+        let dirs = [];
+        try {
+            dirs = (await fs.promises.readdir(dataRoot)).filter(dir => /^node-red(\.\d+)?$/.test(dir));
+        } catch (err) {
+            this.adapter.log.debug(`Cannot list ${dataRoot}: ${err.message}`);
+        }
+
+        for (const dir of dirs) {
+            const file = path.join(dataRoot, dir, 'flows.json');
+            let flows;
+            try {
+                flows = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    this.adapter.log.debug(`Cannot read ${file}: ${err.message}`);
+                }
+                continue;
+            }
+            const references = NodeRedReferences.fromFlows(Array.isArray(flows) ? flows : []);
+            if (references.length > 0) {
+                result.set(`file:${dir}/flows.json`, references);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * References of a node-red flows file, one per flow (tab).
+     * @param {Array<object>} nodes - Nodes of flows.json
+     * @returns {Array<{source: string, stateIds: Array<string>}>}
+     */
+    static fromFlows(nodes) {
+        const labels = new Map(nodes.filter(node => node.type === 'tab').map(node => [node.id, node.label || node.id]));
+        const byFlow = new Map();
+
+        for (const node of nodes) {
+            const stateIds = new Set();
+            if (typeof node.type === 'string' && node.type.startsWith('ioBroker') && typeof node.topic === 'string' && node.topic) {
+                stateIds.add(node.topic);
+            }
+            if (typeof node.func === 'string') {
+                for (const id of ReferenceProvider.extractStateReferences(node.func)) {
+                    stateIds.add(id);
+                }
+            }
+            if (stateIds.size === 0) {
+                continue;
+            }
+
+            const flow = labels.get(node.z) || node.z || 'global';
+            if (!byFlow.has(flow)) {
+                byFlow.set(flow, new Set());
+            }
+            for (const id of stateIds) {
+                byFlow.get(flow).add(id);
+            }
+        }
+
+        return [...byFlow].map(([flow, stateIds]) => ({ source: `node-red:${flow}`, stateIds: [...stateIds] }));
+    }
+}
+
+module.exports = NodeRedReferences;
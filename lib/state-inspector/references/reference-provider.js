@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Common interface of the sources of state references used by the orphaned
+ * state detection (scripts, visualizations, aliases, scenes, ...).
+ *
+ * A provider contributes references as `{ source, stateIds }`, where `source`
+ * is a label like `script:script.js.heating` shown in the report. References
+ * that cannot be resolved to single IDs add `patterns` (RegExps of referenced
+ * IDs) or `names` (state names, see ScriptReferences); changes of those always
+ * trigger a full scan. It implements:
+ * - `collect(context)`: all references for a full scan, keyed by what they
+ *   come from (object ID or file). The default reads the objects of
+ *   `objectPatterns` and maps each with `referencesOf()`.
+ * - `handles(id)` / `referencesOf(id, obj)`: references of a single object, so
+ *   object changes can be applied incrementally. Providers that read files only
+ *   implement `collect()`; their references are refreshed by full scans.
+ */
+class ReferenceProvider {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} options - Provider options
+     * @param {string} options.name - Unique provider name, prefix of its keys
+     * @param {Array<{pattern: string, type: string}>} [options.objectPatterns] - Objects read by the default collect()
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.name = options.name;
+        this.objectPatterns = options.objectPatterns || [];
+    }
+
+    /**
+     * All references of this provider.
+     * @param {{getStateObjects: () => Promise<Record<string, object>>}} _context - Shared data of the scan
+     * @returns {Promise<Map<string, Array<{source: string, stateIds: Array<string>, patterns?: Array<RegExp>}>>>} Key (object ID or file) -> references
+     */
+    async collect(_context) {
+        const result = new Map();
+        for (const { pattern, type } of this.objectPatterns) {
+            const objects = await this.adapter.getForeignObjectsAsync(pattern, type);
+            for (const [id, obj] of Object.entries(objects || {})) {
+                if (!this.handles(id)) {
+                    continue;
+                }
+                const references = this.referencesOf(id, obj);
+                if (references.length > 0) {
+                    result.set(id, references);
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Whether changes of this object may change the references of the provider.
+     * @param {string} id - Object ID
+     * @returns {boolean}
+     */
+    handles(id) {
+        return this.objectPatterns.some(({ pattern }) => id.startsWith(pattern.replace(/\*$/, '')));
+    }
+
+    /**
+     * References of one object.
+     * @param {string} _id - Object ID
+     * @param {object|null} _obj - Object (null if deleted)
+     * @returns {Array<{source: string, stateIds: Array<string>, patterns?: Array<RegExp>}>} Empty if the object references nothing
+     */
+    referencesOf(_id, _obj) {
+        return [];
+    }
+
+    /**
+     * Extract state IDs from source code or config (simple regex-based detection).
+     * @param {string} source - Source code or JSON config
+     * @returns {Set<string>} Set of state IDs
+     */
+    static extractStateReferences(source) {
+        const stateIds = new Set();
+
+        // Match patterns like:
+        // getState('adapter.0.state')
+        // setState('adapter.0.state', ...)
+        // $('adapter.0.state')
+        // "oid": "adapter.0.state"
+        // 'adapter.0.*' subscriptions
+
+        const patterns = [
+            /['"`]([a-zA-Z0-9_-]+\.\d+\.[a-zA-Z0-9_./-]+)['"`]/g,  // Quoted state IDs
+            /\$\(['"`]([a-zA-Z0-9_-]+\.\d+\.[a-zA-Z0-9_./-]+)['"`]\)/g,  // $('state')
+            /getState\(['"`]([a-zA-Z0-9_-]+\.\d+\.[a-zA-Z0-9_./-]+)['"`]\)/g,  // getState('state')
+            /setState\(['"`]([a-zA-Z0-9_-]+\.\d+\.[a-zA-Z0-9_./-]+)['"`]/g,  // setState('state', ...)
+        ];
+
+        for (const pattern of patterns) {
+            let match;
+            while ((match = pattern.exec(source)) !== null) {
+                const stateId = match[1];
+
+                // Filter out false positives (URLs, etc.)
+                if (stateId.includes('.') && !stateId.startsWith('http')) {
+                    stateIds.add(stateId);
+                }
+            }
+        }
+
+        return stateIds;
+    }
+}
+
+module.exports = ReferenceProvider;
@@ -0,0 +1,26 @@
+'use strict';
+
+const ReferenceProvider = require('./reference-provider');
+
+/**
+ * Members of scenes of the scenes adapter (`native.members[].id`).
+ */
+class SceneReferences extends ReferenceProvider {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, { name: 'scene', objectPatterns: [{ pattern: 'scene.*', type: 'state' }] });
+    }
+
+    referencesOf(id, obj) {
+        const members = obj?.native?.members;
+        if (!Array.isArray(members)) {
+            return [];
+        }
+        const stateIds = [...new Set(members.map(member => member && member.id).filter(memberId => typeof memberId === 'string' && memberId))];
+        return stateIds.length > 0 ? [{ source: `scene:${id}`, stateIds }] : [];
+    }
+}
+
+module.exports = SceneReferences;
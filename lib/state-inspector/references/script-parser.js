@@ -0,0 +1,538 @@
+'use strict';
+
+const acorn = require('acorn');
+
+/**
+ * Parser-based extraction of the states used by javascript adapter scripts.
+ *
+ * JavaScript is parsed into an AST. Arguments of the script API (`on()`,
+ * `getState()`, `setState()`, `$()`, `getIdByName()`, ...) are evaluated as
+ * far as possible: string literals, constants, template literals and string
+ * concatenation. Parts that are only known at runtime become wildcards, so
+ * `'zigbee.0.' + device + '.temperature'` references all matching states.
+ *
+ * TypeScript and scripts with syntax errors are scanned token by token
+ * instead, which finds literals, regular expression subscriptions, selectors
+ * and `getIdByName()` but does not resolve constants or concatenation.
+ * Blockly scripts additionally carry their blocks as XML in a trailing comment.
+ *
+ * The result has three kinds of references:
+ * - `stateIds`: exact state IDs
+ * - `patterns`: regular expressions of subscriptions, wildcards and partly known IDs
+ * - `names`: `common.name` values passed to `getIdByName()`, resolved by the caller
+ */
+
+/** `adapter.N.path`, optionally with `*` wildcards; the adapter name must not be a number (e.g. versions like 1.2.3) */
+const STATE_ID = /^(?!\d+\.)[a-zA-Z0-9_-]+\.\d+\.[^\s,;'"`<>\\[\]]+$/;
+
+/** Prefix of a state ID with a known adapter instance */
+const INSTANCE_PREFIX = /^(?!\d+\.)[a-zA-Z0-9_-]+\.\d+\./;
+
+/** Script API functions subscribing to states: ID, array of IDs, RegExp or `{ id, ... }` */
+const SUBSCRIBE_FUNCTIONS = new Set(['on', 'subscribe', 'unsubscribe']);
+
+/** Script API functions taking a state or object ID as first argument */
+const ID_FUNCTIONS = new Set([
+    'getState', 'getStateAsync', 'setState', 'setStateAsync', 'setStateDelayed', 'setStateChanged',
+    'setStateChangedAsync', 'clearStateDelayed', 'getStateDelayed', 'existsState', 'existsStateAsync',
+    'existsObject', 'existsObjectAsync', 'getObject', 'getObjectAsync', 'setObject', 'setObjectAsync',
+    'extendObject', 'extendObjectAsync', 'deleteState', 'deleteStateAsync', 'deleteObject',
+    'deleteObjectAsync', 'getHistory', 'toggleState',
+]);
+
+const PARSE_OPTIONS = {
+    ecmaVersion: 'latest',
+    sourceType: 'script',
+    // Scripts run inside an async function of the javascript adapter
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowHashBang: true,
+};
+
+/** Marker of a value that is only known at runtime */
+const UNKNOWN = null;
+
+/**
+ * Collected references of one script.
+ */
+class References {
+    constructor() {
+        this.stateIds = new Set();
+        /** @type {Map<string, RegExp>} */
+        this.patterns = new Map();
+        this.names = new Set();
+    }
+
+    /**
+     * Add an ID, wildcard or partly known ID.
+     * @param {Array<string|null>} parts - Known strings and unknown (null) parts
+     * @param {boolean} fromApi - Argument of a script API function (partly known IDs are accepted without instance)
+     */
+    addParts(parts, fromApi) {
+        if (!parts || parts.length === 0) {
+            return;
+        }
+        if (!parts.includes(UNKNOWN)) {
+            this.addId(parts.join(''));
+            return;
+        }
+
+        const literal = parts.filter(part => part !== UNKNOWN).join('');
+        const accepted = fromApi
+            ? literal.includes('.')
+            : typeof parts[0] === 'string' && INSTANCE_PREFIX.test(parts[0]);
+        if (!accepted) {
+            return;
+        }
+
+        const source = parts
+            .map(part => (part === UNKNOWN ? '.*' : wildcardSource(part)))
+            .join('')
+            .replace(/(\.\*)+/g, '.*');
+        this.addPattern(new RegExp(`^${source}$`));
+    }
+
+    /**
+     * Add an ID or wildcard (`zigbee.0.*`), ignoring strings that are no state IDs.
+     * @param {string} value - Candidate
+     */
+    addId(value) {
+        if (typeof value !== 'string' || !STATE_ID.test(value) || value.startsWith('http')) {
+            return;
+        }
+        if (value.includes('*')) {
+            this.addPattern(new RegExp(`^${wildcardSource(value)}$`));
+        } else {
+            this.stateIds.add(value);
+        }
+    }
+
+    /**
+     * @param {RegExp} pattern - Pattern of referenced IDs
+     */
+    addPattern(pattern) {
+        this.patterns.set(`/${pattern.source}/${pattern.flags}`, pattern);
+    }
+
+    /**
+     * Add the IDs of a `$()` selector, e.g. `state[id=zigbee.0.*](functions=light)`.
+     * @param {string} selector - Selector
+     */
+    addSelector(selector) {
+        if (!/[[(]/.test(selector)) {
+            this.addId(selector.trim());
+            return;
+        }
+        const attributes = /\[\s*(?:state\.)?id\s*=\s*["']?([^\]"']+)["']?\s*\]/g;
+        let match;
+        while ((match = attributes.exec(selector)) !== null) {
+            const value = match[1].trim();
+            if (value.includes('*')) {
+                this.addPattern(new RegExp(`^${wildcardSource(value)}$`));
+            } else {
+                this.addId(value);
+            }
+        }
+    }
+
+    /**
+     * @returns {{stateIds: Set<string>, patterns: Array<RegExp>, names: Set<string>}}
+     */
+    toResult() {
+        return { stateIds: this.stateIds, patterns: [...this.patterns.values()], names: this.names };
+    }
+}
+
+/**
+ * Regular expression source of an ioBroker wildcard (`*` matches anything).
+ * @param {string} value - ID with wildcards
+ * @returns {string} Unanchored source
+ */
+function wildcardSource(value) {
+    return value.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('.*');
+}
+
+/**
+ * Regular expression without the stateful global/sticky flags.
+ * @param {string} pattern - Source
+ * @param {string} flags - Flags
+ * @returns {RegExp|null} null if invalid
+ */
+function toRegExp(pattern, flags) {
+    try {
+        return new RegExp(pattern, (flags || '').replace(/[gy]/g, ''));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Visit all nodes of an AST.
+ * @param {object} node - Root node
+ * @param {(node: object, parent: object|null) => void} visitor - Called for every node
+ */
+function walk(node, visitor) {
+    const stack = [[node, null]];
+    while (stack.length > 0) {
+        const [current, parent] = stack.pop();
+        visitor(current, parent);
+        for (const key of Object.keys(current)) {
+            const value = current[key];
+            if (Array.isArray(value)) {
+                for (let i = value.length - 1; i >= 0; i--) {
+                    if (value[i] && typeof value[i].type === 'string') {
+                        stack.push([value[i], current]);
+                    }
+                }
+            } else if (value && typeof value.type === 'string' && key !== 'loc') {
+                stack.push([value, current]);
+            }
+        }
+    }
+}
+
+/**
+ * Variables declared once and never reassigned, with their initializer.
+ * @param {object} ast - Program
+ * @returns {Map<string, object>} Name -> initializer node
+ */
+function collectConstants(ast) {
+    const declarations = new Map();
+    const reassigned = new Set();
+
+    walk(ast, node => {
+        if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+            const name = node.id.name;
+            declarations.set(name, declarations.has(name) ? null : node.init);
+        } else if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier') {
+            reassigned.add(node.left.name);
+        } else if (node.type === 'UpdateExpression' && node.argument.type === 'Identifier') {
+            reassigned.add(node.argument.name);
+        }
+    });
+
+    const constants = new Map();
+    for (const [name, init] of declarations) {
+        if (init && !reassigned.has(name)) {
+            constants.set(name, init);
+        }
+    }
+    return constants;
+}
+
+/**
+ * Evaluate a string expression as far as it is known statically.
+ * @param {object} node - Expression
+ * @param {Map<string, object>} constants - Constant initializers
+ * @param {Set<string>} [resolving] - Constants being resolved (cycle guard)
+ * @returns {Array<string|null>|null} Known strings and unknown (null) parts; null if no string expression
+ */
+function evaluate(node, constants, resolving = new Set()) {
+    switch (node.type) {
+        case 'Literal':
+            if (typeof node.value === 'string') {
+                return [node.value];
+            }
+            if (typeof node.value === 'number') {
+                return [String(node.value)];
+            }
+            return null;
+        case 'TemplateLiteral': {
+            const parts = [];
+            node.quasis.forEach((quasi, i) => {
+                parts.push(quasi.value.cooked ?? quasi.value.raw);
+                if (i < node.expressions.length) {
+                    parts.push(...(evaluate(node.expressions[i], constants, resolving) || [UNKNOWN]));
+                }
+            });
+            return parts;
+        }
+        case 'BinaryExpression': {
+            if (node.operator !== '+') {
+                return null;
+            }
+            const left = evaluate(node.left, constants, resolving);
+            const right = evaluate(node.right, constants, resolving);
+            if (!left && !right) {
+                return null;
+            }
+            return [...(left || [UNKNOWN]), ...(right || [UNKNOWN])];
+        }
+        case 'Identifier': {
+            const init = constants.get(node.name);
+            if (!init || resolving.has(node.name)) {
+                return [UNKNOWN];
+            }
+            resolving.add(node.name);
+            const value = evaluate(init, constants, resolving);
+            resolving.delete(node.name);
+            return value || [UNKNOWN];
+        }
+        default:
+            return [UNKNOWN];
+    }
+}
+
+/**
+ * Name of a called function: `getState(...)`, `this.getState(...)`.
+ * @param {object} callee - Callee node
+ * @returns {string|null}
+ */
+function calleeName(callee) {
+    if (callee.type === 'Identifier') {
+        return callee.name;
+    }
+    if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') {
+        return callee.property.name;
+    }
+    return null;
+}
+
+/**
+ * Whether a constant holds IDs that are not a string: array, object, RegExp.
+ * @param {object|undefined} init - Initializer
+ * @returns {boolean}
+ */
+function isIdContainer(init) {
+    return !!init && (['ArrayExpression', 'ObjectExpression', 'NewExpression'].includes(init.type) || !!init.regex);
+}
+
+/**
+ * Add the IDs of a subscription or ID argument.
+ * @param {object} node - Argument
+ * @param {Map<string, object>} constants - Constant initializers
+ * @param {References} references - Collected references
+ */
+function addIdArgument(node, constants, references) {
+    if (!node) {
+        return;
+    }
+    if (node.type === 'Literal' && node.regex) {
+        const pattern = toRegExp(node.regex.pattern, node.regex.flags);
+        if (pattern) {
+            references.addPattern(pattern);
+        }
+    } else if (node.type === 'NewExpression' && node.callee.type === 'Identifier' && node.callee.name === 'RegExp') {
+        const source = node.arguments[0] && evaluate(node.arguments[0], constants);
+        const flags = node.arguments[1] && evaluate(node.arguments[1], constants);
+        if (source && !source.includes(UNKNOWN)) {
+            const pattern = toRegExp(source.join(''), flags && !flags.includes(UNKNOWN) ? flags.join('') : '');
+            if (pattern) {
+                references.addPattern(pattern);
+            }
+        }
+    } else if (node.type === 'ArrayExpression') {
+        for (const element of node.elements) {
+            addIdArgument(element, constants, references);
+        }
+    } else if (node.type === 'ObjectExpression') {
+        for (const property of node.properties) {
+            const key = property.type === 'Property' && (property.key.name || property.key.value);
+            if (key === 'id') {
+                addIdArgument(property.value, constants, references);
+            } else if (key === 'name') {
+                const name = evaluate(property.value, constants);
+                if (name && !name.includes(UNKNOWN)) {
+                    references.names.add(name.join(''));
+                }
+            }
+        }
+    } else if (node.type === 'Identifier' && isIdContainer(constants.get(node.name))) {
+        // const ids = ['zigbee.0.a', 'zigbee.0.b']; on(ids, ...)
+        addIdArgument(constants.get(node.name), constants, references);
+    } else {
+        references.addParts(evaluate(node, constants), true);
+    }
+}
+
+/**
+ * References of a script parsed as JavaScript.
+ * @param {string} source - Script source
+ * @returns {References} Throws a SyntaxError if the source cannot be parsed
+ */
+function fromAst(source) {
+    const ast = acorn.parse(source, PARSE_OPTIONS);
+    const constants = collectConstants(ast);
+    const references = new References();
+
+    walk(ast, (node, parent) => {
+        if (node.type === 'CallExpression') {
+            const name = calleeName(node.callee);
+            const [first] = node.arguments;
+            if (SUBSCRIBE_FUNCTIONS.has(name) && node.callee.type === 'Identifier') {
+                addIdArgument(first, constants, references);
+            } else if (ID_FUNCTIONS.has(name)) {
+                addIdArgument(first, constants, references);
+            } else if ((name === 'getIdByName' || name === '$') && first) {
+                const value = evaluate(first, constants);
+                if (value && !value.includes(UNKNOWN)) {
+                    if (name === '$') {
+                        references.addSelector(value.join(''));
+                    } else {
+                        references.names.add(value.join(''));
+                    }
+                }
+            }
+        } else if (parent?.type === 'BinaryExpression' && parent.operator === '+') {
+            // Only the outermost part of a concatenation is the ID
+        } else if (node.type === 'Literal' && typeof node.value === 'string') {
+            // IDs in arrays, objects and arguments of other functions
+            references.addId(node.value);
+        } else if (node.type === 'TemplateLiteral' || (node.type === 'BinaryExpression' && node.operator === '+')) {
+            references.addParts(evaluate(node, constants), false);
+        }
+    });
+
+    return references;
+}
+
+/**
+ * References of a script that cannot be parsed as JavaScript (TypeScript,
+ * syntax errors), from its tokens.
+ * @param {string} source - Script source
+ * @returns {References}
+ */
+function fromTokens(source) {
+    const references = new References();
+    const previous = [];
+    // Open template literals: parts so far, whether inside `${}` and its brace depth
+    const templates = [];
+
+    const tokenizer = acorn.tokenizer(source, PARSE_OPTIONS);
+    try {
+        for (const token of tokenizer) {
+            const label = token.type.label;
+            const template = templates[templates.length - 1];
+
+            if (label === '`') {
+                if (template && !template.inExpression) {
+                    templates.pop();
+                    references.addParts(template.parts, false);
+                } else {
+                    templates.push({ parts: [], inExpression: false, braces: 0 });
+                }
+            } else if (label === 'template' && template) {
+                template.parts.push(token.value);
+            } else if (label === '${' && template) {
+                template.parts.push(UNKNOWN);
+                template.inExpression = true;
+            } else if (label === '{' && template?.inExpression) {
+                template.braces++;
+            } else if (label === '}' && template?.inExpression) {
+                if (template.braces === 0) {
+                    template.inExpression = false;
+                } else {
+                    template.braces--;
+                }
+            } else if (label === 'string') {
+                const [name, paren] = previous.slice(-2);
+                if (paren?.type.label === '(' && name?.value === 'getIdByName') {
+                    references.names.add(token.value);
+                } else if (paren?.type.label === '(' && name?.value === '$') {
+                    references.addSelector(token.value);
+                } else {
+                    references.addId(token.value);
+                }
+            } else if (label === 'regexp') {
+                const [name, punctuation] = previous.slice(-2);
+                const subscription = (punctuation?.type.label === '(' && SUBSCRIBE_FUNCTIONS.has(name?.value)) ||
+                    (punctuation?.type.label === ':' && name?.value === 'id');
+                const pattern = subscription && toRegExp(token.value.pattern, token.value.flags);
+                if (pattern) {
+                    references.addPattern(pattern);
+                }
+            }
+
+            previous.push(token);
+            if (previous.length > 2) {
+                previous.shift();
+            }
+        }
+    } catch {
+        // Not even tokenizable (e.g. decorators): fall back to quoted IDs
+        const legacy = /['"`]([a-zA-Z0-9_-]+\.\d+\.[a-zA-Z0-9_./*-]+)['"`]/g;
+        let match;
+        while ((match = legacy.exec(source)) !== null) {
+            references.addId(match[1]);
+        }
+    }
+
+    return references;
+}
+
+/**
+ * Block XML of a Blockly script, stored base64 encoded in its last line
+ * (`//JTNDeG1s...`).
+ * @param {string} source - Script source
+ * @returns {string|null} XML, null if not found
+ */
+function blocklyXml(source) {
+    const match = source.match(/\/\/([A-Za-z0-9+/=]+)\s*$/);
+    if (!match) {
+        return null;
+    }
+    try {
+        const xml = decodeURIComponent(Buffer.from(match[1], 'base64').toString('utf8'));
+        return xml.includes('<xml') ? xml : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Add the IDs of the fields of Blockly blocks (object ID fields, selectors).
+ * @param {string} xml - Block XML
+ * @param {References} references - Collected references
+ */
+function addBlocklyFields(xml, references) {
+    const fields = /<field name="([^"]+)"[^>]*>([^<]*)<\/field>/g;
+    let match;
+    while ((match = fields.exec(xml)) !== null) {
+        const value = match[2]
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&amp;/g, '&')
+            .trim();
+        if (/^(state|channel|device)\[/.test(value)) {
+            references.addSelector(value);
+        } else {
+            references.addId(value);
+        }
+    }
+}
+
+/**
+ * Extract the states referenced by a script.
+ * @param {string} source - Script source (`common.source`)
+ * @param {string} [engineType] - `common.engineType` (`Javascript/js`, `TypeScript/ts`, `Blockly`, `Rules`)
+ * @returns {{stateIds: Set<string>, patterns: Array<RegExp>, names: Set<string>}}
+ */
+function extractScriptReferences(source, engineType = 'Javascript/js') {
+    if (typeof source !== 'string' || source === '') {
+        return new References().toResult();
+    }
+
+    let references;
+    try {
+        references = fromAst(source);
+    } catch {
+        references = fromTokens(source);
+    }
+
+    if (/^Blockly/i.test(engineType || '')) {
+        const xml = blocklyXml(source);
+        if (xml) {
+            addBlocklyFields(xml, references);
+        }
+    }
+
+    return references.toResult();
+}
+
+module.exports = {
+    extractScriptReferences,
+    blocklyXml,
+    wildcardSource,
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+const ReferenceProvider = require('./reference-provider');
+const { extractScriptReferences } = require('./script-parser');
+
+/**
+ * State IDs used in JavaScript/Blockly/TypeScript scripts.
+ *
+ * Subscriptions by RegExp or wildcard are returned as `patterns`. States
+ * looked up with `getIdByName()` are returned as `names` and resolved against
+ * the state names during full scans.
+ */
+class ScriptReferences extends ReferenceProvider {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, { name: 'script', objectPatterns: [{ pattern: 'script.js.*', type: 'script' }] });
+    }
+
+    async collect(context) {
+        const result = await super.collect(context);
+
+        const byName = [...result.values()].flat().filter(reference => reference.names);
+        if (byName.length > 0) {
+            const ids = ScriptReferences.idsByName(await context.getStateObjects());
+            for (const reference of byName) {
+                for (const name of reference.names) {
+                    reference.stateIds.push(...(ids.get(name) || []));
+                }
+            }
+        }
+
+        return result;
+    }
+
+    referencesOf(id, obj) {
+        if (obj?.type !== 'script' || !obj.common?.source) {
+            return [];
+        }
+        const { stateIds, patterns, names } = extractScriptReferences(obj.common.source, obj.common.engineType);
+        const reference = { source: `script:${id}`, stateIds: [...stateIds] };
+        if (patterns.length > 0) {
+            reference.patterns = patterns;
+        }
+        if (names.size > 0) {
+            reference.names = [...names];
+        }
+        return [reference];
+    }
+
+    /**
+     * State IDs by name, including all translations of a name.
+     * @param {Record<string, object>} stateObjects - State objects
+     * @returns {Map<string, Array<string>>} Name -> state IDs
+     */
+    static idsByName(stateObjects) {
+        const ids = new Map();
+        for (const [id, obj] of Object.entries(stateObjects || {})) {
+            const name = obj?.common?.name;
+            const names = typeof name === 'object' && name !== null ? Object.values(name) : [name];
+            for (const value of new Set(names)) {
+                if (typeof value !== 'string' || value === '') {
+                    continue;
+                }
+                if (!ids.has(value)) {
+                    ids.set(value, []);
+                }
+                ids.get(value).push(id);
+            }
+        }
+        return ids;
+    }
+}
+
+module.exports = ScriptReferences;
@@ -0,0 +1,41 @@
+'use strict';
+
+const ReferenceProvider = require('./reference-provider');
+
+/** Visualization adapters that keep state IDs in their instance configuration */
+const UI_ADAPTERS = ['iqontrol', 'material', 'lovelace'];
+
+/**
+ * States shown by lovelace, iQontrol and material: IDs in the instance
+ * configuration and in the lovelace UI configuration object.
+ */
+class UiConfigReferences extends ReferenceProvider {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, {
+            name: 'ui',
+            objectPatterns: [
+                ...UI_ADAPTERS.map(name => ({ pattern: `system.adapter.${name}.*`, type: 'instance' })),
+                { pattern: 'lovelace.*', type: 'config' },
+            ],
+        });
+    }
+
+    handles(id) {
+        return new RegExp(`^system\\.adapter\\.(${UI_ADAPTERS.join('|')})\\.\\d+$`).test(id) ||
+            /^lovelace\.\d+\.configuration$/.test(id);
+    }
+
+    referencesOf(id, obj) {
+        if (!obj?.native) {
+            return [];
+        }
+        const instance = id.replace(/^system\.adapter\./, '').replace(/\.configuration$/, '');
+        const stateIds = ReferenceProvider.extractStateReferences(JSON.stringify(obj.native));
+        return stateIds.size > 0 ? [{ source: `${instance.replace(/\.\d+$/, '')}:${instance}`, stateIds: [...stateIds] }] : [];
+    }
+}
+
+module.exports = UiConfigReferences;
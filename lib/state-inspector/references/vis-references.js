@@ -0,0 +1,76 @@
+'use strict';
+
+const ReferenceProvider = require('./reference-provider');
+
+/**
+ * Widget bindings of vis projects: projects stored as `meta` objects and the
+ * `vis-views.json` files of the vis and vis-2 instances.
+ */
+class VisReferences extends ReferenceProvider {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        super(adapter, { name: 'vis', objectPatterns: [{ pattern: 'vis.*', type: 'meta' }] });
+    }
+
+    async collect(context) {
+        const result = await super.collect(context);
+
+        const instances = await this.adapter.getForeignObjectsAsync('system.adapter.*', 'instance');
+        for (const instanceId of Object.keys(instances || {})) {
+            const match = instanceId.match(/^system\.adapter\.(vis(?:-2)?\.\d+)$/);
+            if (!match) {
+                continue;
+            }
+            for (const [project, stateIds] of await this.readProjects(match[1])) {
+                result.set(`file:${match[1]}/${project}`, [{ source: `${match[1].replace(/\.\d+$/, '')}:${match[1]}/${project}`, stateIds }]);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * State IDs of all projects of a vis instance, read from its files.
+     * @param {string} namespace - Instance namespace (e.g. `vis-2.0`)
+     * @returns {Promise<Map<string, Array<string>>>} Project -> state IDs
+     */
+    async readProjects(namespace) {
+        const projects = new Map();
+        let entries = [];
+        try {
+            entries = await this.adapter.readDirAsync(namespace, '');
+        } catch (err) {
+            this.adapter.log.debug(`Cannot list projects of ${namespace}: ${err.message}`);
+            return projects;
+        }
+
+        for (const entry of entries || []) {
+            if (!entry.isDir) {
+                continue;
+            }
+            try {
+                const { file } = await this.adapter.readFileAsync(namespace, `${entry.file}/vis-views.json`);
+                const stateIds = ReferenceProvider.extractStateReferences(file.toString());
+                if (stateIds.size > 0) {
+                    projects.set(entry.file, [...stateIds]);
+                }
+            } catch {
+                // Folder without views (e.g. images)
+            }
+        }
+
+        return projects;
+    }
+
+    referencesOf(id, obj) {
+        if (obj?.type !== 'meta' || obj.common?.type !== 'project') {
+            return [];
+        }
+        // vis project data contains widget bindings
+        return [{ source: `vis:${id}`, stateIds: [...ReferenceProvider.extractStateReferences(JSON.stringify(obj))] }];
+    }
+}
+
+module.exports = VisReferences;
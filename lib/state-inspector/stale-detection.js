@@ -1,5 +1,7 @@
 'use strict';
 
+const StateSnapshot = require('./state-snapshot');
+
 /**
  * Stale state detection - identifies states that haven't been updated within a configured threshold.
  */
@@ -21,6 +23,14 @@ class StaleStateInspector {
             ...ignorePatterns
         ];
         this.staleStates = [];
+        /** @type {import('./state-snapshot')|null} Shared snapshot of the inspection cycle; read directly if not set */
+        this.snapshot = null;
+
+        // Baseline of the last full scan, kept up to date by inspectChanges()
+        /** @type {Map<string, {adapter: string|null, ts: number, writable: boolean, readOnly: boolean}>|null} Inspected state ID -> last known update */
+        this.tracked = null;
+        /** @type {Set<string>|null} */
+        this.runningAdapters = null;
 
         // Pre-compile ignore patterns
         this.ignoreRegexes = this.ignorePatterns.map(p => {
@@ -117,8 +127,7 @@ class StaleStateInspector {
         const thresholdMs = this.thresholdHours * 60 * 60 * 1000;
 
         // Get all states and their object definitions
-        const allStates = await this.adapter.getForeignStatesAsync('*');
-        const allObjects = await this.adapter.getForeignObjectsAsync('*', 'state');
+        const { states: allStates, objects: allObjects } = await StateSnapshot.read(this.adapter, this.snapshot);
         
         // Get running adapters
         const runningAdapters = await this.getRunningAdapters();
@@ -126,6 +135,7 @@ class StaleStateInspector {
         let processed = 0;
         let skippedNonRelevant = 0;
         let skippedInactiveAdapter = 0;
+        const tracked = new Map();
 
         for (const [stateId, state] of Object.entries(allStates)) {
             // Yield to event loop every 100 states
@@ -172,22 +182,149 @@ class StaleStateInspector {
                 continue;
             }
 
-            const age = now - state.ts;
-            if (age > thresholdMs) {
-                this.staleStates.push({
-                    id: stateId,
-                    adapter: adapterId || 'unknown',
-                    lastUpdate: new Date(state.ts).toISOString(),
-                    ageHours: Math.round(age / (60 * 60 * 1000)),
-                    value: state.val,
-                    writable: isWritable,
-                    readOnly: isReadable && !isWritable
-                });
+            const entry = { adapter: adapterId, ts: state.ts, writable: isWritable, readOnly: isReadable && !isWritable };
+            tracked.set(stateId, entry);
+            if (now - state.ts > thresholdMs) {
+                this.staleStates.push(this.staleEntry(stateId, entry, state.val, now));
             }
         }
         
         this.adapter.log.debug(`Skipped ${skippedNonRelevant} non-relevant states, ${skippedInactiveAdapter} states from inactive adapters.`);
 
+        this.tracked = tracked;
+        this.runningAdapters = runningAdapters;
+
+        const report = await this.publish(now);
+
+        this.adapter.log.info(`Stale state inspection complete: ${this.staleStates.length} stale state(s) found.`);
+
+        return report;
+    }
+
+    /**
+     * Re-evaluate only what may have changed since the last inspection: states
+     * whose object was created, changed or deleted, and states whose last known
+     * update is older than the threshold (stale ones, or ones that aged into
+     * it). All other states were updated within the threshold and cannot be
+     * stale yet. States of existing objects that get their first value are only
+     * found by the next full scan.
+     * @param {Map<string, object|null>} changes - Object ID -> new object (null if deleted)
+     * @returns {Promise<object|null>} Report, or null if a full scan is needed
+     */
+    async inspectChanges(changes) {
+        if (!this.tracked || !this.runningAdapters) {
+            return null; // No baseline yet
+        }
+
+        const now = Date.now();
+        const thresholdMs = this.thresholdHours * 60 * 60 * 1000;
+        const candidates = new Set();
+
+        for (const [id, obj] of changes) {
+            // An instance was added, removed, enabled or disabled: all its states may be skipped or not
+            if (/^system\.adapter\.[^.]+\.\d+$/.test(id)) {
+                return null;
+            }
+            if (!obj || obj.type === 'state') {
+                candidates.add(id);
+            }
+        }
+        for (const [id, entry] of this.tracked) {
+            if (now - entry.ts > thresholdMs) {
+                candidates.add(id);
+            }
+        }
+
+        const states = await StateSnapshot.readStates(this.adapter, [...candidates]);
+        const values = new Map();
+
+        for (const id of candidates) {
+            const state = states[id];
+            let entry = this.tracked.get(id);
+            if (changes.has(id)) {
+                entry = this.trackedEntry(id, changes.get(id), state);
+            } else if (entry && state && state.ts) {
+                entry = { ...entry, ts: state.ts };
+            } else {
+                entry = null;
+            }
+
+            if (entry) {
+                this.tracked.set(id, entry);
+                values.set(id, state.val);
+            } else {
+                this.tracked.delete(id);
+            }
+        }
+
+        this.staleStates = [];
+        for (const [id, val] of values) {
+            const entry = this.tracked.get(id);
+            if (now - entry.ts > thresholdMs) {
+                this.staleStates.push(this.staleEntry(id, entry, val, now));
+            }
+        }
+
+        const report = await this.publish(now);
+
+        this.adapter.log.info(
+            `Incremental stale state inspection complete: ${changes.size} changed object(s), ` +
+            `${candidates.size} state(s) re-evaluated, ${this.staleStates.length} stale state(s) found.`
+        );
+
+        return report;
+    }
+
+    /**
+     * Inspection data of a state with a changed object, the same filters as a full scan.
+     * @param {string} stateId - State ID
+     * @param {object|null} obj - State object, null if deleted
+     * @param {object|null|undefined} state - Current state
+     * @returns {{adapter: string|null, ts: number, writable: boolean, readOnly: boolean}|null} Null if the state is not inspected
+     */
+    trackedEntry(stateId, obj, state) {
+        if (this.shouldIgnore(stateId) || !state || !state.ts || !obj || !obj.common) {
+            return null;
+        }
+        const isWritable = obj.common.write === true;
+        const isReadable = obj.common.read === true;
+        if (!isWritable && !isReadable) {
+            return null;
+        }
+        const match = stateId.match(/^([^.]+\.\d+)\./);
+        const adapterId = match ? match[1] : null;
+        if (adapterId && !this.runningAdapters.has(adapterId)) {
+            return null;
+        }
+        return { adapter: adapterId, ts: state.ts, writable: isWritable, readOnly: isReadable && !isWritable };
+    }
+
+    /**
+     * Report entry of a stale state.
+     * @param {string} stateId - State ID
+     * @param {{adapter: string|null, ts: number, writable: boolean, readOnly: boolean}} entry - Inspection data
+     * @param {*} value - Current value
+     * @param {number} now - Inspection time
+     * @returns {object}
+     */
+    staleEntry(stateId, entry, value, now) {
+        return {
+            id: stateId,
+            adapter: entry.adapter || 'unknown',
+            lastUpdate: new Date(entry.ts).toISOString(),
+            ageHours: Math.round((now - entry.ts) / (60 * 60 * 1000)),
+            value,
+            writable: entry.writable,
+            readOnly: entry.readOnly
+        };
+    }
+
+    /**
+     * Sort the current findings and write their report to the inspector states.
+     * @param {number} now - Inspection time
+     * @returns {Promise<object>} Report
+     */
+    async publish(now) {
         // Sort by age (oldest first)
         this.staleStates.sort((a, b) => b.ageHours - a.ageHours);
 
@@ -201,8 +338,6 @@ class StaleStateInspector {
         await this.adapter.setStateAsync(`${baseId}.byAdapter`, JSON.stringify(this.groupByAdapter(), null, 2), true);
         await this.adapter.setStateAsync(`${baseId}.lastScan`, now, true);
 
-        this.adapter.log.info(`Stale state inspection complete: ${this.staleStates.length} stale state(s) found.`);
-
         return report;
     }
 
@@ -215,7 +350,7 @@ class StaleStateInspector {
         
         try {
             // Get all adapter instances
-            const adapters = await this.adapter.getForeignObjectsAsync('system.adapter.*', 'instance');
+            const adapters = await StateSnapshot.readInstances(this.adapter, this.snapshot);
             
             for (const [id, obj] of Object.entries(adapters)) {
                 // Extract adapter ID (e.g., 'system.adapter.mqtt.0' -> 'mqtt.0')
@@ -322,6 +457,7 @@ class StaleStateInspector {
      */
     async cleanup() {
         this.staleStates = [];
+        this.tracked = null;
         this.adapter.log.info('Stale state inspector cleanup complete.');
     }
 }
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * Key ranges in which the state objects are fetched, one page per leading
+ * character of the ID. Each page covers `[boundary, next boundary)`, the last
+ * one everything up to the highest key. The objects DB view only filters by
+ * key range (no limit, no order), so a page is bounded by its range.
+ */
+const PAGE_BOUNDARIES = ['', ...'0123456789', 'A', ...'abcdefghijklmnopqrstuvwxyz', '\u9999'];
+
+/** States fetched per `getForeignStatesAsync(ids)` call. */
+const STATE_CHUNK_SIZE = 500;
+
+/** How long a snapshot is shared before the next inspection loads a new one. */
+const DEFAULT_MAX_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Freeze a value and everything reachable from it.
+ * @template T
+ * @param {T} value - Object, array or primitive
+ * @returns {T} The same value
+ */
+function deepFreeze(value) {
+    if (value === null || typeof value !== 'object' || Object.isFrozen(value)) {
+        return value;
+    }
+    Object.freeze(value);
+    for (const key of Object.keys(value)) {
+        deepFreeze(value[key]);
+    }
+    return value;
+}
+
+/**
+ * Shared snapshot of all state objects, their states and the adapter instances
+ * for one inspection cycle.
+ *
+ * The first inspector that asks for the snapshot loads it page by page (state
+ * objects by key range, then the states of exactly these objects in chunks) instead of
+ * one `getForeignStatesAsync('*')` / `getForeignObjectsAsync('*')` per
+ * inspector. Inspectors that run at the same time wait for the same load,
+ * inspectors that run later in the cycle get the same view until it is older
+ * than `maxAgeMs`. The view is released after that to free the memory.
+ *
+ * The view is shared by all inspectors and deeply frozen, so an inspector
+ * cannot change the objects and states the others see.
+ */
+class StateSnapshot {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {number} [options.maxAgeMs] - How long a loaded snapshot is reused (default: 5 minutes)
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.maxAgeMs = Number(options.maxAgeMs) > 0 ? Number(options.maxAgeMs) : DEFAULT_MAX_AGE_MS;
+
+        /** @type {object|null} Current view */
+        this.view = null;
+        /** @type {Promise<object>|null} Load in progress */
+        this.loading = null;
+        this.releaseTimer = null;
+        /** Number of loads, for diagnostics */
+        this.loads = 0;
+    }
+
+    /**
+     * Current snapshot, loaded if there is none or it is too old.
+     * @returns {Promise<{objects: Readonly<Record<string, object>>, states: Readonly<Record<string, object>>, instances: Readonly<Record<string, object>>, idsByInstance: Map<string, string[]>, timestamp: number}>}
+     */
+    async get() {
+        if (this.view && Date.now() - this.view.timestamp <= this.maxAgeMs) {
+            return this.view;
+        }
+        if (!this.loading) {
+            this.loading = this.load()
+                .then(view => {
+                    this.view = view;
+                    this.scheduleRelease();
+                    return view;
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Load a new view page by page.
+     * @returns {Promise<object>} Deeply frozen view
+     */
+    async load() {
+        const started = Date.now();
+        const objects = {};
+        const states = {};
+
+        for (let i = 0; i < PAGE_BOUNDARIES.length - 1; i++) {
+            const last = i === PAGE_BOUNDARIES.length - 2;
+            const upper = PAGE_BOUNDARIES[i + 1];
+            const page = await this.adapter.getObjectViewAsync('system', 'state', {
+                startkey: PAGE_BOUNDARIES[i],
+                endkey: upper,
+            });
+
+            const ids = [];
+            for (const row of (page && page.rows) || []) {
+                // The end key is inclusive, it belongs to the next page
+                if (!row.value || (!last && row.id >= upper)) {
+                    continue;
+                }
+                objects[row.id] = row.value;
+                ids.push(row.id);
+            }
+
+            Object.assign(states, await StateSnapshot.readStates(this.adapter, ids));
+
+            // Keep the adapter responsive between pages
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        const instances = await this.adapter.getForeignObjectsAsync('system.adapter.*', 'instance') || {};
+
+        const idsByInstance = new Map();
+        for (const id of Object.keys(objects)) {
+            const match = id.match(/^([^.]+\.\d+)\./);
+            if (match) {
+                if (!idsByInstance.has(match[1])) {
+                    idsByInstance.set(match[1], []);
+                }
+                idsByInstance.get(match[1]).push(id);
+            }
+        }
+
+        this.loads++;
+        this.adapter.log.debug(
+            `State snapshot loaded: ${Object.keys(objects).length} objects, ${Object.keys(states).length} states ` +
+            `in ${Date.now() - started} ms`
+        );
+
+        for (const ids of idsByInstance.values()) {
+            Object.freeze(ids);
+        }
+
+        return Object.freeze({
+            objects: deepFreeze(objects),
+            states: deepFreeze(states),
+            instances: deepFreeze(instances),
+            idsByInstance,
+            timestamp: Date.now(),
+        });
+    }
+
+    /**
+     * Drop the current view so the next inspection loads a new one.
+     */
+    invalidate() {
+        this.view = null;
+        if (this.releaseTimer) {
+            clearTimeout(this.releaseTimer);
+            this.releaseTimer = null;
+        }
+    }
+
+    /**
+     * Release the view once it is too old to be reused.
+     */
+    scheduleRelease() {
+        if (this.releaseTimer) {
+            clearTimeout(this.releaseTimer);
+        }
+        this.releaseTimer = setTimeout(() => {
+            this.releaseTimer = null;
+            this.view = null;
+        }, this.maxAgeMs);
+        this.releaseTimer.unref();
+    }
+
+    /**
+     * Release the view and its timer on adapter unload.
+     */
+    cleanup() {
+        this.invalidate();
+    }
+
+    /**
+     * States and state objects from a shared snapshot, or read directly if the
+     * inspector runs without one.
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {StateSnapshot|null} snapshot - Shared snapshot
+     * @returns {Promise<{states: Record<string, object>, objects: Record<string, object>}>}
+     */
+    static async read(adapter, snapshot) {
+        if (snapshot) {
+            const view = await snapshot.get();
+            return { states: view.states, objects: view.objects };
+        }
+        const states = await adapter.getForeignStatesAsync('*');
+        const objects = await adapter.getForeignObjectsAsync('*', 'state');
+        return { states, objects };
+    }
+
+    /**
+     * States of the given IDs, read in chunks of `STATE_CHUNK_SIZE`.
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {Array<string>} ids - State IDs
+     * @returns {Promise<Record<string, object>>} State ID → state, without missing states
+     */
+    static async readStates(adapter, ids) {
+        const states = {};
+        for (let i = 0; i < ids.length; i += STATE_CHUNK_SIZE) {
+            const chunk = await adapter.getForeignStatesAsync(ids.slice(i, i + STATE_CHUNK_SIZE));
+            for (const [id, state] of Object.entries(chunk || {})) {
+                // IDs without a state are returned as null
+                if (state) {
+                    states[id] = state;
+                }
+            }
+        }
+        return states;
+    }
+
+    /**
+     * Adapter instance objects from a shared snapshot, or read directly.
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {StateSnapshot|null} snapshot - Shared snapshot
+     * @returns {Promise<Record<string, object>>} Instance ID (`system.adapter.<name>.<n>`) → object
+     */
+    static async readInstances(adapter, snapshot) {
+        if (snapshot) {
+            return (await snapshot.get()).instances;
+        }
+        return adapter.getForeignObjectsAsync('system.adapter.*', 'instance');
+    }
+}
+
+StateSnapshot.PAGE_BOUNDARIES = PAGE_BOUNDARIES;
+StateSnapshot.STATE_CHUNK_SIZE = STATE_CHUNK_SIZE;
+
+module.exports = StateSnapshot;
@@ -0,0 +1,309 @@
+'use strict';
+
+/**
+ * Value-correlation duplicate detection - finds states that are fed by the same
+ * source (e.g. one physical sensor exposed by two adapters) from their observed
+ * change streams instead of a single snapshot value.
+ *
+ * Numeric and boolean changes are recorded for a rolling monitoring window.
+ * States whose changes happen at the same time (within `coOccurrenceMs`) and
+ * whose values correlate are grouped, regardless of their names.
+ */
+class ValueCorrelation {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [config] - Configuration
+     * @param {number} [config.windowMs=3600000] - Rolling window of recorded changes (ms)
+     * @param {number} [config.coOccurrenceMs=2000] - Max. time between two changes to count as co-occurring (ms)
+     * @param {number} [config.minChanges=5] - Changes a state needs within the window to be compared
+     * @param {number} [config.minCoOccurrence=0.8] - Share of changes that must co-occur (0-1)
+     * @param {number} [config.minCorrelation=0.95] - Min. Pearson correlation of the co-occurring values
+     * @param {number} [config.maxChangesPerState=200] - Recorded changes per state
+     * @param {number} [config.maxStatesPerSlot=100] - Time slots with more changing states (mass updates) are not used as evidence
+     * @param {(id: string) => boolean} [config.shouldIgnore] - States to skip
+     */
+    constructor(adapter, config = {}) {
+        this.adapter = adapter;
+        this.windowMs = config.windowMs || 60 * 60 * 1000;
+        this.coOccurrenceMs = config.coOccurrenceMs || 2000;
+        this.minChanges = config.minChanges || 5;
+        this.minCoOccurrence = config.minCoOccurrence || 0.8;
+        this.minCorrelation = config.minCorrelation || 0.95;
+        this.maxChangesPerState = config.maxChangesPerState || 200;
+        this.maxStatesPerSlot = config.maxStatesPerSlot || 100;
+        this.shouldIgnore = config.shouldIgnore || (() => false);
+
+        /** @type {Map<string, Array<{t: number, v: number}>>} State ID -> recorded changes */
+        this.changes = new Map();
+        /** @type {Map<string, number>} State ID -> last recorded value */
+        this.lastValues = new Map();
+        this.subscriptionActive = false;
+        this.stateChangeHandler = null;
+        this.monitoringStarted = 0;
+    }
+
+    /**
+     * Start recording state changes.
+     * @returns {Promise<void>}
+     */
+    async startMonitoring() {
+        if (this.subscriptionActive) {
+            return;
+        }
+
+        this.changes.clear();
+        this.lastValues.clear();
+        this.stateChangeHandler = (id, state) => this.record(id, state);
+        this.adapter.on('stateChange', this.stateChangeHandler);
+        await this.adapter.subscribeForeignStatesAsync('*');
+        this.subscriptionActive = true;
+        this.monitoringStarted = Date.now();
+
+        this.adapter.log.debug('Value correlation monitoring started.');
+    }
+
+    /**
+     * Stop recording state changes.
+     * @returns {Promise<void>}
+     */
+    async stopMonitoring() {
+        if (!this.subscriptionActive) {
+            return;
+        }
+
+        if (this.stateChangeHandler) {
+            this.adapter.removeListener('stateChange', this.stateChangeHandler);
+            this.stateChangeHandler = null;
+        }
+        await this.adapter.unsubscribeForeignStatesAsync('*');
+        this.subscriptionActive = false;
+        this.changes.clear();
+        this.lastValues.clear();
+
+        this.adapter.log.debug('Value correlation monitoring stopped.');
+    }
+
+    /**
+     * Record a state change. Only numeric and boolean values that actually
+     * changed are recorded.
+     * @param {string} id - State ID
+     * @param {object|null} state - New state (null if deleted)
+     * @param {number} [now] - Time of the change (default: now)
+     */
+    record(id, state, now = Date.now()) {
+        if (!state || id.startsWith(`${this.adapter.namespace}.`) || this.shouldIgnore(id)) {
+            return;
+        }
+
+        let value;
+        if (typeof state.val === 'number' && Number.isFinite(state.val)) {
+            value = state.val;
+        } else if (typeof state.val === 'boolean') {
+            value = state.val ? 1 : 0;
+        } else {
+            return;
+        }
+
+        if (this.lastValues.get(id) === value) {
+            return; // Update without change
+        }
+        this.lastValues.set(id, value);
+
+        if (!this.changes.has(id)) {
+            this.changes.set(id, []);
+        }
+        const changes = this.changes.get(id);
+        changes.push({ t: now, v: value });
+        if (changes.length > this.maxChangesPerState) {
+            changes.shift();
+        }
+    }
+
+    /**
+     * Drop changes that left the monitoring window.
+     * @param {number} now - Current time
+     */
+    prune(now) {
+        const since = now - this.windowMs;
+        for (const [id, changes] of this.changes) {
+            const first = changes.findIndex(change => change.t >= since);
+            if (first === -1) {
+                this.changes.delete(id);
+                this.lastValues.delete(id);
+            } else if (first > 0) {
+                changes.splice(0, first);
+            }
+        }
+    }
+
+    /**
+     * Pairs of states that changed in the same or neighbouring time slots often
+     * enough to be compared.
+     * @param {Array<string>} ids - States with enough changes
+     * @returns {Array<[string, string]>} Candidate pairs
+     */
+    candidatePairs(ids) {
+        const slots = new Map();
+        for (const id of ids) {
+            for (const slot of new Set(this.changes.get(id).map(change => Math.floor(change.t / this.coOccurrenceMs)))) {
+                if (!slots.has(slot)) {
+                    slots.set(slot, []);
+                }
+                slots.get(slot).push(id);
+            }
+        }
+
+        const counts = new Map();
+        for (const [slot, inSlot] of slots) {
+            const neighbours = [...inSlot, ...(slots.get(slot + 1) || [])];
+            if (neighbours.length > this.maxStatesPerSlot) {
+                continue; // Mass update, e.g. an adapter (re)starting
+            }
+            const seen = new Set();
+            for (const a of inSlot) {
+                for (const b of neighbours) {
+                    if (a === b) {
+                        continue;
+                    }
+                    const key = a < b ? `${a}\n${b}` : `${b}\n${a}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        counts.set(key, (counts.get(key) || 0) + 1);
+                    }
+                }
+            }
+        }
+
+        const minShared = Math.ceil(this.minChanges * this.minCoOccurrence);
+        return [...counts]
+            .filter(([, count]) => count >= minShared)
+            .map(([key]) => /** @type {[string, string]} */ (key.split('\n')));
+    }
+
+    /**
+     * Compare the change streams of two states.
+     * @param {Array<{t: number, v: number}>} a - Changes of the first state
+     * @param {Array<{t: number, v: number}>} b - Changes of the second state
+     * @returns {{coOccurrence: number, correlation: number|null, matched: number}} Share of co-occurring changes and correlation of their values
+     */
+    compare(a, b) {
+        const pairs = [];
+        let j = 0;
+        for (const change of a) {
+            while (j < b.length && b[j].t < change.t - this.coOccurrenceMs) {
+                j++;
+            }
+            if (j < b.length && Math.abs(b[j].t - change.t) <= this.coOccurrenceMs) {
+                pairs.push([change.v, b[j].v]);
+                j++;
+            }
+        }
+
+        return {
+            coOccurrence: pairs.length / Math.max(a.length, b.length),
+            correlation: ValueCorrelation.pearson(pairs),
+            matched: pairs.length,
+        };
+    }
+
+    /**
+     * Group states whose changes co-occur and whose values correlate.
+     * @param {number} [now] - Current time (default: now)
+     * @returns {Array<object>} Duplicate groups (type 'value')
+     */
+    analyze(now = Date.now()) {
+        this.prune(now);
+
+        const ids = [...this.changes.keys()].filter(id => this.changes.get(id).length >= this.minChanges);
+        const matches = [];
+        for (const [a, b] of this.candidatePairs(ids)) {
+            const result = this.compare(this.changes.get(a), this.changes.get(b));
+            if (result.coOccurrence >= this.minCoOccurrence && result.correlation !== null && result.correlation >= this.minCorrelation) {
+                matches.push({ a, b, ...result });
+            }
+        }
+
+        // Union-find: states matched with each other form one group
+        const parent = new Map();
+        const find = id => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+        for (const { a, b } of matches) {
+            for (const id of [a, b]) {
+                if (!parent.has(id)) {
+                    parent.set(id, id);
+                }
+            }
+            parent.set(find(a), find(b));
+        }
+
+        const groups = new Map();
+        for (const match of matches) {
+            const root = find(match.a);
+            if (!groups.has(root)) {
+                groups.set(root, { ids: new Set(), matches: [] });
+            }
+            groups.get(root).ids.add(match.a).add(match.b);
+            groups.get(root).matches.push(match);
+        }
+
+        return [...groups.values()].map(group => {
+            const correlation = Math.min(...group.matches.map(m => m.correlation));
+            const coOccurrence = Math.min(...group.matches.map(m => m.coOccurrence));
+            return {
+                type: 'value',
+                reason: 'Changes co-occur and values correlate',
+                states: [...group.ids].sort().map(id => {
+                    const changes = this.changes.get(id);
+                    return {
+                        id,
+                        value: changes[changes.length - 1].v,
+                        changes: changes.length,
+                        lastChanged: changes[changes.length - 1].t,
+                    };
+                }),
+                correlation: Math.round(correlation * 1000) / 1000,
+                coOccurrence: Math.round(coOccurrence * 1000) / 1000,
+                confidence: correlation >= 0.99 && coOccurrence >= 0.9 ? 'high' : 'medium',
+            };
+        });
+    }
+
+    /**
+     * Pearson correlation of value pairs.
+     * @param {Array<[number, number]>} pairs - Value pairs
+     * @returns {number|null} Correlation (-1..1), null if there are too few pairs or a series is constant
+     */
+    static pearson(pairs) {
+        const n = pairs.length;
+        if (n < 3) {
+            return null;
+        }
+
+        let sumX = 0;
+        let sumY = 0;
+        for (const [x, y] of pairs) {
+            sumX += x;
+            sumY += y;
+        }
+        const meanX = sumX / n;
+        const meanY = sumY / n;
+
+        let cov = 0;
+        let varX = 0;
+        let varY = 0;
+        for (const [x, y] of pairs) {
+            cov += (x - meanX) * (y - meanY);
+            varX += (x - meanX) ** 2;
+            varY += (y - meanY) ** 2;
+        }
+
+        return varX === 0 || varY === 0 ? null : cov / Math.sqrt(varX * varY);
+    }
+}
+
+module.exports = ValueCorrelation;
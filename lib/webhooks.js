@@ -0,0 +1,334 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { createEvent, subscribe } = require('./alert-events');
+
+/** Number of entries kept in webhooks.deliveryLog. */
+const MAX_LOG_ENTRIES = 50;
+
+/**
+ * Delivers alert events to configured webhook targets.
+ *
+ * Every alert event (see alert-events.js) is sent as JSON payload
+ * `{event, check, severity, message, values, host, adapter, timestamp}` to all
+ * targets. A target can replace the body with a template in which
+ * `{{field}}` / `{{values.value}}` placeholders are substituted (strings are
+ * JSON-escaped, so templates like `{"text": "{{message}}"}` stay valid JSON;
+ * `{{payload}}` inserts the complete payload).
+ *
+ * Failed deliveries (network errors, timeouts, HTTP 429 and 5xx) are retried
+ * with exponential backoff. Every delivery is appended to the
+ * `webhooks.deliveryLog` state; target URLs are only logged by host because
+ * they often contain access tokens.
+ */
+class WebhookDispatcher {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} [options] - Options
+     * @param {Array<{url: string, method?: string, template?: string}>} [options.targets] - Webhook targets from the config table
+     * @param {number} [options.retries] - Retries after a failed attempt (default: 3)
+     * @param {number} [options.retryDelaySeconds] - Delay before the first retry, doubled for each further retry (default: 5)
+     * @param {number} [options.timeoutSeconds] - Request timeout (default: 10)
+     */
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.targets = WebhookDispatcher.parseTargets(options.targets, adapter.log);
+        this.retries = WebhookDispatcher._integer(options.retries, 3, 0, 10);
+        this.retryDelayMs = WebhookDispatcher._number(options.retryDelaySeconds, 5) * 1000;
+        this.timeoutMs = WebhookDispatcher._number(options.timeoutSeconds, 10) * 1000;
+
+        /** @type {object[]} Delivery log, newest first */
+        this.log = [];
+
+        /** @type {Set<{timer: NodeJS.Timeout, resolve: () => void}>} Pending retry delays */
+        this.waiting = new Set();
+        this.stopped = false;
+    }
+
+    /**
+     * @param {*} value - Configured value
+     * @param {number} fallback - Default for missing or invalid values
+     * @returns {number}
+     */
+    static _number(value, fallback) {
+        const number = Number(value);
+        return value === undefined || value === null || value === '' || !Number.isFinite(number) || number < 0 ? fallback : number;
+    }
+
+    /**
+     * @param {*} value - Configured value
+     * @param {number} fallback - Default for missing or invalid values
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number}
+     */
+    static _integer(value, fallback, min, max) {
+        return Math.min(max, Math.max(min, Math.round(WebhookDispatcher._number(value, fallback))));
+    }
+
+    /**
+     * Validate the configured targets. Invalid entries are skipped with a warning.
+     * @param {Array<{url: string, method?: string, template?: string}>} targets - Config table rows
+     * @param {object} log - Adapter logger
+     * @returns {Array<{url: URL, method: string, template: string}>}
+     */
+    static parseTargets(targets, log) {
+        const parsed = [];
+
+        for (const [index, target] of (Array.isArray(targets) ? targets : []).entries()) {
+            const url = String((target && target.url) || '').trim();
+            if (!url) {
+                continue;
+            }
+
+            let parsedUrl;
+            try {
+                parsedUrl = new URL(url);
+            } catch {
+                parsedUrl = null;
+            }
+            if (!parsedUrl || (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:')) {
+                log.warn(`Ignoring webhook ${index + 1}: invalid URL (only http and https are supported)`);
+                continue;
+            }
+
+            const method = String(target.method || 'POST').toUpperCase();
+            parsed.push({
+                url: parsedUrl,
+                method: method === 'PUT' ? 'PUT' : 'POST',
+                template: String(target.template || '').trim(),
+            });
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Forward events of the alert engine and the notifier.
+     * @param {object} sources - Event sources
+     * @param {import('events').EventEmitter|null} [sources.alertEngine] - Alert engine
+     * @param {import('events').EventEmitter|null} [sources.notifier] - Notifier
+     */
+    attach(sources) {
+        subscribe(this.adapter, sources, event => {
+            if (!this.stopped) {
+                this.dispatch(event).catch(err => this.adapter.log.warn(`Webhook delivery failed: ${err.message}`));
+            }
+        });
+    }
+
+    /**
+     * Substitute `{{path}}` placeholders of a template with payload fields.
+     * @param {string} template - Body template
+     * @param {object} payload - Event payload
+     * @returns {string}
+     */
+    static render(template, payload) {
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, path) => {
+            if (path === 'payload') {
+                return JSON.stringify(payload);
+            }
+            const value = path.split('.').reduce((obj, key) => (obj !== null && typeof obj === 'object' ? obj[key] : undefined), payload);
+            if (value === undefined || value === null) {
+                return '';
+            }
+            if (typeof value === 'object') {
+                return JSON.stringify(value);
+            }
+            // Escape like a JSON string without the surrounding quotes
+            return JSON.stringify(String(value)).slice(1, -1);
+        });
+    }
+
+    /**
+     * Deliver a payload to all targets.
+     * @param {object} payload - Event payload
+     * @returns {Promise<object[]>} Delivery log entries
+     */
+    async dispatch(payload) {
+        const entries = await Promise.all(this.targets.map(target => this.deliver(target, payload)));
+        if (entries.length > 0) {
+            await this.updateStates();
+        }
+        return entries;
+    }
+
+    /**
+     * Deliver a payload to one target, retrying with exponential backoff.
+     * @param {{url: URL, method: string, template: string}} target - Webhook target
+     * @param {object} payload - Event payload
+     * @returns {Promise<object>} Delivery log entry
+     */
+    async deliver(target, payload) {
+        const body = target.template ? WebhookDispatcher.render(target.template, payload) : JSON.stringify(payload);
+        let contentType = 'application/json';
+        if (target.template) {
+            try {
+                JSON.parse(body);
+            } catch {
+                contentType = 'text/plain; charset=utf-8';
+            }
+        }
+
+        const entry = {
+            timestamp: Date.now(),
+            target: target.url.host,
+            event: payload.event,
+            check: payload.check,
+            severity: payload.severity,
+            status: 'failed',
+            attempts: 0,
+            httpStatus: null,
+            error: null,
+        };
+
+        for (let attempt = 0; attempt <= this.retries && !this.stopped; attempt++) {
+            if (attempt > 0) {
+                await this._wait(this.retryDelayMs * 2 ** (attempt - 1));
+                if (this.stopped) {
+                    break;
+                }
+            }
+            entry.attempts++;
+
+            let retry;
+            try {
+                entry.httpStatus = await this._send(target, body, contentType);
+                entry.error = null;
+                if (entry.httpStatus >= 200 && entry.httpStatus < 300) {
+                    entry.status = 'delivered';
+                    break;
+                }
+                entry.error = `HTTP ${entry.httpStatus}`;
+                retry = entry.httpStatus === 429 || entry.httpStatus >= 500;
+            } catch (err) {
+                entry.httpStatus = null;
+                entry.error = err.message;
+                retry = true;
+            }
+            if (!retry) {
+                break;
+            }
+        }
+
+        if (entry.status === 'delivered') {
+            this.adapter.log.debug(`Webhook ${entry.event} ${entry.check} delivered to ${entry.target}`);
+        } else {
+            this.adapter.log.warn(`Webhook to ${entry.target} failed after ${entry.attempts} attempt(s): ${entry.error || 'adapter stopped'}`);
+        }
+
+        this.log.unshift(entry);
+        this.log.length = Math.min(this.log.length, MAX_LOG_ENTRIES);
+        return entry;
+    }
+
+    /**
+     * Send one request.
+     * @param {{url: URL, method: string}} target - Webhook target
+     * @param {string} body - Request body
+     * @param {string} contentType - Content type of the body
+     * @returns {Promise<number>} HTTP status code
+     */
+    _send(target, body, contentType) {
+        return new Promise((resolve, reject) => {
+            const client = target.url.protocol === 'https:' ? https : http;
+            const req = client.request(target.url, {
+                method: target.method,
+                headers: {
+                    'Content-Type': contentType,
+                    'Content-Length': Buffer.byteLength(body),
+                    'User-Agent': 'ioBroker.system-health',
+                },
+            }, res => {
+                res.resume();
+                res.on('end', () => resolve(res.statusCode));
+            });
+            req.setTimeout(this.timeoutMs, () => req.destroy(new Error(`Timeout after ${this.timeoutMs / 1000} s`)));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    /**
+     * Wait before a retry; resolved early by cleanup().
+     * @param {number} ms - Delay
+     * @returns {Promise<void>}
+     */
+    _wait(ms) {
+        return new Promise(resolve => {
+            const pending = {
+                timer: setTimeout(() => {
+                    this.waiting.delete(pending);
+                    resolve();
+                }, ms),
+                resolve,
+            };
+            this.waiting.add(pending);
+        });
+    }
+
+    /**
+     * Send a test event to all targets.
+     * @returns {Promise<object[]>} Delivery log entries
+     */
+    async test() {
+        return this.dispatch(createEvent(this.adapter, {
+            event: 'test',
+            check: 'webhook',
+            severity: 'warning',
+            message: 'Test message from system-health',
+            values: {},
+        }));
+    }
+
+    /**
+     * Create the delivery log state and restore its last content.
+     */
+    async createStates() {
+        await this.adapter.setObjectNotExistsAsync('webhooks.deliveryLog', {
+            type: 'state',
+            common: {
+                name: 'Webhook delivery log (newest first)',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        const state = await this.adapter.getStateAsync('webhooks.deliveryLog');
+        if (state && state.val) {
+            try {
+                const log = JSON.parse(String(state.val));
+                if (Array.isArray(log)) {
+                    this.log = log.slice(0, MAX_LOG_ENTRIES);
+                }
+            } catch {
+                // Start with an empty log
+            }
+        }
+    }
+
+    /**
+     * Write the delivery log state.
+     */
+    async updateStates() {
+        await this.adapter.setStateAsync('webhooks.deliveryLog', JSON.stringify(this.log), true);
+    }
+
+    /**
+     * Abort pending retries.
+     */
+    cleanup() {
+        this.stopped = true;
+        for (const pending of this.waiting) {
+            clearTimeout(pending.timer);
+            pending.resolve();
+        }
+        this.waiting.clear();
+    }
+}
+
+module.exports = WebhookDispatcher;
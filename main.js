@@ -2,16 +2,24 @@
 
 const utils = require('@iobroker/adapter-core');
 const os = require('os');
-const MemoryMonitor = require('./lib/health-checks/memory-monitor');
-const CpuMonitor = require('./lib/health-checks/cpu-monitor');
-const DiskMonitor = require('./lib/health-checks/disk-monitor');
+const path = require('path');
 const CrashDetection = require('./lib/health-checks/crash-detection');
-const LogMonitor = require('./lib/health-checks/log-monitor');
-const DuplicateStateInspector = require('./lib/state-inspector/duplicate-detection');
-const OrphanedStateInspector = require('./lib/state-inspector/orphaned-states');
-const StaleStateInspector = require('./lib/state-inspector/stale-detection');
-const PerformanceAnalysisInspector = require('./lib/state-inspector/performance-analysis');
-const RedisMonitor = require('./lib/health-checks/redis-monitor');
+const { CheckRegistry, BUILTIN_CHECKS } = require('./lib/checks');
+const HealthScore = require('./lib/health-checks/health-score');
+const Scheduler = require('./lib/scheduler');
+const Notifier = require('./lib/notifier');
+const AlertEngine = require('./lib/alert-engine');
+const MaintenanceManager = require('./lib/maintenance');
+const MetricStore = require('./lib/metric-store');
+const PrometheusExporter = require('./lib/prometheus-exporter');
+const WebhookDispatcher = require('./lib/webhooks');
+const MessengerDelivery = require('./lib/messenger');
+const DigestReport = require('./lib/digest');
+const SelfMonitor = require('./lib/self-monitor');
+const StateSnapshot = require('./lib/state-inspector/state-snapshot');
+const ObjectChangeTracker = require('./lib/state-inspector/object-change-tracker');
+const DuplicateResolver = require('./lib/state-inspector/duplicate-resolver');
+const CleanupExecutor = require('./lib/state-inspector/cleanup-executor');
 
 class Health extends utils.Adapter {
     /**
@@ -26,33 +34,102 @@ class Health extends utils.Adapter {
         this.on('stateChange', this.onStateChange.bind(this));
         this.on('message', this.onMessage.bind(this));
         this.on('unload', this.onUnload.bind(this));
-        this.memoryMonitor = null;
-        this.cpuMonitor = null;
-        this.diskMonitor = null;
-        
+
         /** @type {CrashDetection|null} */
         this.crashDetection = null;
+
+        /** @type {CheckRegistry|null} */
+        this.checks = null;
+
+        /** @type {HealthScore|null} */
+        this.healthScore = null;
+
+        /**
+         * Latest result per check name, used for the aggregated health score.
+         * @type {Record<string, {status: string, timestamp: number}>}
+         */
+        this.checkResults = {};
         
-        /** @type {LogMonitor|null} */
-        this.logMonitor = null;
-        
-        /** @type {DuplicateStateInspector|null} */
-        this.duplicateInspector = null;
-        
-        /** @type {OrphanedStateInspector|null} */
-        this.orphanedInspector = null;
-        
-        /** @type {StaleStateInspector|null} */
-        this.staleInspector = null;
-        
-        /** @type {PerformanceAnalysisInspector|null} */
-        this.performanceInspector = null;
-        
-        /** @type {RedisMonitor|null} */
-        this.redisMonitor = null;
-        
-        /** @type {NodeJS.Timeout|null} */
-        this.healthCheckInterval = null;
+        /** @type {Scheduler|null} */
+        this.scheduler = null;
+
+        /** @type {Notifier|null} */
+        this.notifier = null;
+
+        /** @type {AlertEngine|null} */
+        this.alertEngine = null;
+
+        /** @type {MaintenanceManager|null} */
+        this.maintenance = null;
+
+        /** @type {MetricStore|null} */
+        this.metricStore = null;
+
+        /** @type {PrometheusExporter|null} */
+        this.prometheus = null;
+
+        /** @type {WebhookDispatcher|null} */
+        this.webhooks = null;
+
+        /** @type {MessengerDelivery|null} */
+        this.messengers = null;
+
+        /** @type {SelfMonitor|null} */
+        this.selfMonitor = null;
+
+        /**
+         * ioBroker data directory (`iobroker-data`), read by the node-red reference provider.
+         * @type {string|null}
+         */
+        this.ioBrokerDataDir = null;
+
+        /**
+         * Objects and states shared by all inspectors of a cycle.
+         * @type {StateSnapshot|null}
+         */
+        this.stateSnapshot = null;
+
+        /**
+         * Object changes between two runs of the incremental inspectors.
+         * @type {ObjectChangeTracker|null}
+         */
+        this.objectChanges = null;
+
+        /** @type {CleanupExecutor|null} */
+        this.cleanupExecutor = null;
+
+        /** @type {DigestReport|null} */
+        this.digest = null;
+    }
+
+    /**
+     * Underlying inspector of a registered check, or null if it has not been initialized yet.
+     * @param {string} name - Check name
+     * @returns {object|null}
+     */
+    _getInspector(name) {
+        const check = this.checks && this.checks.get(name);
+        return (check && check.inspector) || null;
+    }
+
+    /** @returns {import('./lib/state-inspector/duplicate-detection')|null} */
+    get duplicateInspector() {
+        return this._getInspector('duplicates');
+    }
+
+    /** @returns {import('./lib/state-inspector/orphaned-states')|null} */
+    get orphanedInspector() {
+        return this._getInspector('orphanedStates');
+    }
+
+    /** @returns {import('./lib/state-inspector/stale-detection')|null} */
+    get staleInspector() {
+        return this._getInspector('staleStates');
+    }
+
+    /** @returns {import('./lib/state-inspector/performance-analysis')|null} */
+    get performanceInspector() {
+        return this._getInspector('performance');
     }
 
     async onReady() {
@@ -61,33 +138,34 @@ class Health extends utils.Adapter {
         try {
             // Always create states and run health checks
             await this.createStates();
+            await this.initMaintenance();
+            this.notifier = new Notifier(this, {
+                enabled: this.config.enableNotifications !== false,
+                maintenance: this.maintenance,
+            });
+            await this.initAlertEngine();
+            await this.initWebhooks();
+            this.initMessengers();
+            await this.initDigest();
+            await this.initMetricStore();
+            await this.initSelfMonitor();
+            await this.initObjectChanges();
+            this.initChecks();
+            this.cleanupExecutor = new CleanupExecutor(this, {
+                directory: path.join(utils.getAbsoluteInstanceDataDir(this), 'cleanup'),
+            });
             await this.runHealthChecks();
 
             // Initialize crash detection if enabled
             if (this.config.enableAdapterCrashDetection) {
-                this.crashDetection = new CrashDetection(this, 30);
+                this.crashDetection = new CrashDetection(this, 30, this.notifier, this.maintenance);
                 await this.crashDetection.init();
                 this.log.info('Crash detection enabled - running in daemon mode.');
             }
             
-            // Start periodic health checks
-            let intervalMinutes = this.config.healthCheckIntervalMinutes || 5;
-            if (intervalMinutes < 1 || intervalMinutes > 60) {
-                this.log.warn(`Invalid healthCheckIntervalMinutes: ${intervalMinutes}. Using default: 5`);
-                intervalMinutes = 5;
-            }
-            
-            const intervalMs = intervalMinutes * 60 * 1000;
-            this.healthCheckInterval = setInterval(async () => {
-                this.log.debug(`Running periodic health checks (interval: ${intervalMinutes} min)...`);
-                try {
-                    await this.runHealthChecks();
-                } catch (err) {
-                    this.log.error(`Periodic health check failed: ${err.message}`);
-                }
-            }, intervalMs);
-            
-            this.log.info(`Periodic health checks enabled (interval: ${intervalMinutes} minutes)`);
+            // Start periodic health checks (each check on its own schedule)
+            this.startScheduler();
+            await this.initPrometheus();
         } catch (err) {
             this.log.error(`Health check failed: ${err.message}`);
         }
@@ -99,11 +177,34 @@ class Health extends utils.Adapter {
     }
 
     /**
-     * Handle state changes (for crash detection).
+     * Handle state changes (alert acknowledgement, maintenance control, digest button and crash detection).
      * @param {string} id - State ID
      * @param {ioBroker.State | null | undefined} state - State object
      */
     async onStateChange(id, state) {
+        if (id === `${this.namespace}.alerts.acknowledge`) {
+            if (state && !state.ack && this.alertEngine) {
+                this.alertEngine.acknowledge(String(state.val || '').trim());
+                await this.alertEngine.updateStates();
+                await this.setStateAsync('alerts.acknowledge', '', true);
+            }
+            return;
+        }
+
+        if (id === `${this.namespace}.maintenance.start` || id === `${this.namespace}.maintenance.stop`) {
+            if (state && !state.ack && this.maintenance) {
+                await this.onMaintenanceStateChange(id, state);
+            }
+            return;
+        }
+
+        if (id === `${this.namespace}.digest.generate`) {
+            if (state && !state.ack && this.digest) {
+                await this.handleGenerateDigestMessage();
+            }
+            return;
+        }
+
         if (this.crashDetection && id.includes('.alive')) {
             await this.crashDetection.onAliveStateChange(id, state);
         }
@@ -147,8 +248,469 @@ class Health extends utils.Adapter {
                 if (obj.callback) {
                     this.sendTo(obj.from, obj.command, html, obj.callback);
                 }
+            } else if (command === 'getVersionDetails') {
+                const lang = (obj.message && obj.message.lang) || 'en';
+                const html = await this.renderVersionDetailsHtml(lang);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, html, obj.callback);
+                }
+            } else if (command === 'resolveDuplicate') {
+                const response = await this.handleResolveDuplicateMessage(obj.message);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'getCleanupCandidates') {
+                const lang = (obj.message && obj.message.lang) || 'en';
+                const response = await this.handleGetCleanupCandidatesMessage(lang);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'applyCleanup') {
+                const response = await this.handleApplyCleanupMessage(obj.message, obj.from);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'restoreCleanup') {
+                const response = await this.handleRestoreCleanupMessage(obj.message, obj.from);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'listCleanups') {
+                const response = this.cleanupExecutor
+                    ? { archives: await this.cleanupExecutor.list(), audit: await this.cleanupExecutor.audit() }
+                    : { error: 'Cleanup not initialized yet' };
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'runCheck') {
+                const response = await this.handleRunCheckMessage(obj.message);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'getResult') {
+                const response = this.handleGetResultMessage(obj.message);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'getStatus') {
+                const response = this.handleGetStatusMessage();
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'getAlerts') {
+                const response = { alerts: this.alertEngine ? this.alertEngine.getAlerts() : [] };
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'acknowledgeAlert') {
+                const response = await this.handleAcknowledgeAlertMessage(obj.message);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'startMaintenance') {
+                const response = await this.handleStartMaintenanceMessage(obj.message);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'stopMaintenance') {
+                const response = this.maintenance
+                    ? { ended: await this.maintenance.stop() }
+                    : { error: 'Maintenance not initialized yet' };
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'queryMetric') {
+                const response = this.handleQueryMetricMessage(obj.message);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'listMetrics') {
+                const response = this.metricStore
+                    ? { metrics: this.metricStore.getMetrics() }
+                    : { error: 'Metric history is disabled' };
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'testWebhook') {
+                const response = this.webhooks
+                    ? { deliveries: await this.webhooks.test() }
+                    : { error: 'No webhooks configured' };
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'testMessenger') {
+                const response = await this.handleTestMessengerMessage(obj.message);
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'generateDigest') {
+                const response = await this.handleGenerateDigestMessage();
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            } else if (command === 'getMaintenance') {
+                const windows = this.maintenance ? this.maintenance.getActiveWindows() : [];
+                const response = { active: windows.some(window => window.instances.length === 0), windows };
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, response, obj.callback);
+                }
+            }
+        }
+    }
+
+    /**
+     * Extract the check name from a sendTo message.
+     * Accepts either the plain name or an object with a `name` property.
+     * @param {string|{name?: string}|null|undefined} message - Message payload
+     * @returns {string}
+     */
+    _getCheckNameFromMessage(message) {
+        if (typeof message === 'string') {
+            return message.trim();
+        }
+        if (message && typeof message.name === 'string') {
+            return message.name.trim();
+        }
+        return '';
+    }
+
+    /**
+     * sendTo `runCheck`: run a single check on demand and return its result.
+     * @param {string|{name?: string}} message - Check name
+     * @returns {Promise<object>} `{ name, result }` or `{ error }`
+     */
+    async handleRunCheckMessage(message) {
+        const name = this._getCheckNameFromMessage(message);
+        const check = name && this.checks ? this.checks.get(name) : null;
+
+        if (!check) {
+            return { error: name ? `Unknown check: ${name}` : 'Missing check name' };
+        }
+        if (!check.enabled) {
+            return { error: `Check ${name} is disabled` };
+        }
+
+        this.log.info(`Running check ${name} on request`);
+        const result = await this.runScheduledCheck(check);
+        if (!result) {
+            return { error: `Check ${name} failed, see adapter log` };
+        }
+
+        return { name, result };
+    }
+
+    /**
+     * sendTo `getResult`: last result of one check, or of all checks if no name is given.
+     * @param {string|{name?: string}} [message] - Check name
+     * @returns {object} `{ name, result }`, `{ results }` or `{ error }`
+     */
+    handleGetResultMessage(message) {
+        if (!this.checks) {
+            return { error: 'Checks not initialized yet' };
+        }
+
+        const name = this._getCheckNameFromMessage(message);
+        if (!name) {
+            const results = {};
+            for (const check of this.checks.getAll()) {
+                results[check.name] = check.getResult();
+            }
+            return { results };
+        }
+
+        const check = this.checks.get(name);
+        if (!check) {
+            return { error: `Unknown check: ${name}` };
+        }
+
+        return { name, result: check.getResult() };
+    }
+
+    /**
+     * sendTo `acknowledgeAlert`: acknowledge one alert by metric key, or all raised alerts.
+     * @param {string|{key?: string}} [message] - Metric key, `all` or empty for all alerts
+     * @returns {Promise<object>} `{ acknowledged }` or `{ error }`
+     */
+    async handleAcknowledgeAlertMessage(message) {
+        if (!this.alertEngine) {
+            return { error: 'Alert engine not initialized yet' };
+        }
+
+        let key = '';
+        if (typeof message === 'string') {
+            key = message.trim();
+        } else if (message && typeof message.key === 'string') {
+            key = message.key.trim();
+        }
+
+        const acknowledged = this.alertEngine.acknowledge(key);
+        await this.alertEngine.updateStates();
+        return { acknowledged };
+    }
+
+    /**
+     * sendTo `startMaintenance`: start an ad-hoc maintenance window.
+     * @param {number|{minutes?: number, instances?: string|string[], reason?: string}} message - Duration or options
+     * @returns {Promise<object>} `{ window }` or `{ error }`
+     */
+    async handleStartMaintenanceMessage(message) {
+        if (!this.maintenance) {
+            return { error: 'Maintenance not initialized yet' };
+        }
+
+        const options = message && typeof message === 'object' ? message : { minutes: message };
+        try {
+            const window = await this.maintenance.start(options.minutes, options.instances, options.reason);
+            return { window };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * sendTo `resolveDuplicate`: plan (dry run, default) or create an alias for a duplicate group.
+     * @param {{group?: number, states?: Array<string>, canonical?: string, aliasId?: string, writeTarget?: string, unit?: string, dryRun?: boolean}|null} message - Group number of the duplicates report (from 1) or its state IDs, and the canonical state
+     * @returns {Promise<object>} Plan `{ canonical, aliasId, alias, exists, members, warnings, applied }` or `{ error }`
+     */
+    async handleResolveDuplicateMessage(message) {
+        if (!message || typeof message !== 'object' || !message.canonical) {
+            return { error: 'Message must contain the canonical state and the group or its states' };
+        }
+
+        let states = message.states;
+        if (!Array.isArray(states)) {
+            const groups = await this.getDuplicateGroupsForDetails();
+            const group = groups[Number(message.group) - 1];
+            if (!group) {
+                return { error: `Duplicate group ${message.group} not found` };
+            }
+            states = (group.states || []).map(s => (typeof s === 'string' ? s : s.id));
+        }
+
+        const resolver = new DuplicateResolver(this);
+        const options = { ...message, states };
+        try {
+            return message.dryRun === false
+                ? await resolver.apply(options)
+                : { ...await resolver.plan(options), applied: false };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * Current cleanup suggestions of all inspectors.
+     * @returns {Promise<{safeToDelete: Array<object>, reviewRequired: Array<object>, keepForNow: Array<object>}>}
+     */
+    async readCleanupSuggestions() {
+        const suggestions = { safeToDelete: [], reviewRequired: [], keepForNow: [] };
+        const suggestionsState = await this.getStateAsync('stateInspector.cleanupSuggestions');
+        try {
+            Object.assign(suggestions, JSON.parse(suggestionsState && suggestionsState.val) || {});
+        } catch {
+            this.log.debug('No valid cleanup suggestions stored');
+        }
+        return suggestions;
+    }
+
+    /**
+     * sendTo `getCleanupCandidates`: deletable cleanup suggestions as options of the admin selection.
+     * States to keep for now are not offered.
+     * @param {string} [lang] - Language code
+     * @returns {Promise<Array<{label: string, value: string}>>}
+     */
+    async handleGetCleanupCandidatesMessage(lang = 'en') {
+        const suggestions = await this.readCleanupSuggestions();
+        const candidates = [];
+        for (const category of ['safeToDelete', 'reviewRequired']) {
+            for (const suggestion of suggestions[category] || []) {
+                candidates.push({ label: `${suggestion.id} (${this.t(category, lang)})`, value: suggestion.id });
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * sendTo `applyCleanup`: back up and delete states of the cleanup suggestions (dry run unless `dryRun: false`).
+     * States to keep for now are only deleted with `force: true`.
+     * @param {{ids?: Array<string>, reason?: string, dryRun?: boolean, force?: boolean}|null} message - Selected state IDs (must be cleanup suggestions)
+     * @param {string} from - Sender
+     * @returns {Promise<object>} `{ result, archive, deleted, skipped, failed, dryRun }` or `{ error }`
+     */
+    async handleApplyCleanupMessage(message, from) {
+        if (!this.cleanupExecutor) {
+            return { error: 'Cleanup not initialized yet' };
+        }
+        const ids = message && Array.isArray(message.ids) ? message.ids : [];
+        if (ids.length === 0) {
+            return { error: 'No states selected' };
+        }
+
+        const suggestions = await this.readCleanupSuggestions();
+        const deletable = new Set([...suggestions.safeToDelete, ...suggestions.reviewRequired].map(suggestion => suggestion.id));
+        const kept = new Set(suggestions.keepForNow.map(suggestion => suggestion.id));
+        const unknown = ids.filter(id => !deletable.has(id) && !kept.has(id));
+        if (unknown.length > 0) {
+            return { error: `Not in the cleanup suggestions: ${unknown.join(', ')}` };
+        }
+        const keep = ids.filter(id => !deletable.has(id));
+        if (keep.length > 0 && message.force !== true) {
+            return { error: `Suggested to keep for now (pass force: true to delete anyway): ${keep.join(', ')}` };
+        }
+
+        try {
+            const response = await this.cleanupExecutor.apply({
+                ids,
+                reason: message.reason,
+                by: from,
+                dryRun: message.dryRun !== false,
+            });
+            if (response.dryRun) {
+                return { ...response, result: `${response.deleted.length} state(s) would be deleted` };
+            }
+            await this.removeCleanupSuggestions(response.deleted);
+            if (response.failed.length > 0) {
+                return { ...response, error: `${response.failed.length} state(s) could not be deleted: ${response.failed.map(f => f.id).join(', ')}` };
+            }
+            return { ...response, result: `${response.deleted.length} state(s) deleted, backup ${response.archive}` };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * sendTo `restoreCleanup`: recreate the states of a cleanup from its backup archive.
+     * @param {{archive?: string}|string|null} message - Archive name (default: latest cleanup not restored yet)
+     * @param {string} from - Sender
+     * @returns {Promise<object>} `{ result, archive, restored, skipped, failed }` or `{ error }`
+     */
+    async handleRestoreCleanupMessage(message, from) {
+        if (!this.cleanupExecutor) {
+            return { error: 'Cleanup not initialized yet' };
+        }
+        const archive = message && typeof message === 'object' ? message.archive : message;
+        try {
+            const response = await this.cleanupExecutor.restore({ archive: archive || undefined, by: from });
+            if (response.failed.length > 0) {
+                return { ...response, error: `${response.failed.length} state(s) could not be restored: ${response.failed.map(f => f.id).join(', ')}` };
+            }
+            return { ...response, result: `${response.restored.length} state(s) restored from ${response.archive}` };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * Remove deleted states from the stored cleanup suggestions until the next inspection.
+     * @param {Array<string>} ids - Deleted state IDs
+     */
+    async removeCleanupSuggestions(ids) {
+        if (ids.length === 0) {
+            return;
+        }
+        const deleted = new Set(ids);
+        const suggestions = await this.readCleanupSuggestions();
+        for (const category of ['safeToDelete', 'reviewRequired', 'keepForNow']) {
+            suggestions[category] = (suggestions[category] || []).filter(suggestion => !deleted.has(suggestion.id));
+        }
+        await this.setStateAsync('stateInspector.cleanupSuggestions', JSON.stringify(suggestions, null, 2), true);
+        await this.setStateAsync('stateInspector.safeToDeleteCount', suggestions.safeToDelete.length, true);
+        await this.setStateAsync('stateInspector.reviewRequiredCount', suggestions.reviewRequired.length, true);
+    }
+
+    /**
+     * sendTo `testMessenger`: send a test message (also used by the admin test button).
+     * @param {{channels?: Array<{instance: string}>}|null} message - Channels to test (default: configured channels)
+     * @returns {Promise<object>} `{ result, sent, failed }` or `{ error }`
+     */
+    async handleTestMessengerMessage(message) {
+        if (!this.messengers) {
+            return { error: 'Messenger delivery not initialized yet' };
+        }
+        const channels = message && Array.isArray(message.channels) ? message.channels : undefined;
+        const { sent, failed } = await this.messengers.test(channels);
+        if (sent.length === 0 && failed.length === 0) {
+            return { error: 'No messenger instances configured' };
+        }
+        if (failed.length > 0) {
+            return { error: `Instance(s) not running: ${failed.join(', ')}`, sent, failed };
+        }
+        return { result: `Test message sent to ${sent.join(', ')}`, sent, failed };
+    }
+
+    /**
+     * sendTo `generateDigest`: create and send the digest now (also used by the schedule and digest.generate).
+     * @returns {Promise<object>} `{ title, markdown, html, sentTo }` or `{ error }`
+     */
+    async handleGenerateDigestMessage() {
+        if (!this.digest) {
+            return { error: 'Digest is disabled' };
+        }
+        try {
+            return await this.digest.run();
+        } catch (err) {
+            this.log.warn(`Failed to create digest: ${err.message}`);
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * sendTo `queryMetric`: history of one metric.
+     * @param {string|{metric?: string, from?: number, to?: number, range?: string, resolution?: string}} message - Metric name or query
+     * @returns {object} `{ metric, resolution, from, to, points }` or `{ error }`
+     */
+    handleQueryMetricMessage(message) {
+        if (!this.metricStore) {
+            return { error: 'Metric history is disabled' };
+        }
+
+        const query = message && typeof message === 'object' ? message : { metric: message };
+        if (!query.metric) {
+            return { error: 'Missing metric name' };
+        }
+
+        try {
+            return this.metricStore.query(String(query.metric), query);
+        } catch (err) {
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * sendTo `getStatus`: overall health score plus status and schedule of every check.
+     * @returns {object} Status overview
+     */
+    handleGetStatusMessage() {
+        const health = this.healthScore && this.healthScore.lastResult;
+        const jobs = {};
+        if (this.scheduler) {
+            for (const job of this.scheduler.getJobs()) {
+                jobs[job.name] = job;
             }
         }
+
+        const checks = (this.checks ? this.checks.getAll() : []).map(check => {
+            const result = check.getResult();
+            const job = jobs[check.name];
+            return {
+                name: check.name,
+                category: check.category,
+                enabled: check.enabled,
+                status: result ? result.status : null,
+                lastRun: result ? result.timestamp : null,
+                running: this.checks.isRunning(check.name),
+                schedule: job ? job.schedule : null,
+                nextRun: job ? job.nextRun : null,
+            };
+        });
+
+        return {
+            score: health ? health.score : null,
+            status: health ? health.status : null,
+            worstCheck: health ? health.worstCheck : null,
+            timestamp: health ? health.timestamp : null,
+            checks,
+        };
     }
 
     /**
@@ -799,415 +1361,350 @@ class Health extends utils.Adapter {
     }
 
     /**
-     * Run all enabled health checks.
+     * Register the built-in checks and custom checks from the configured directory
+     * and create the snapshot shared by the inspectors.
      */
-    async runHealthChecks() {
-        const config = this.config;
+    initChecks() {
+        this.ioBrokerDataDir = utils.getAbsoluteDefaultDataDir();
+        this.stateSnapshot = new StateSnapshot(this);
+        this.checks = new CheckRegistry(this, { selfMonitor: this.selfMonitor });
 
-        // Memory monitoring
-        if (config.enableMemoryMonitoring) {
-            await this.runMemoryCheck();
+        for (const CheckClass of BUILTIN_CHECKS) {
+            this.checks.register(new CheckClass(this));
         }
 
-        // CPU monitoring
-        if (config.enableCpuMonitoring) {
-            await this.runCpuCheck();
-        }
-
-        // Disk space monitoring
-        if (config.enableDiskMonitoring) {
-            await this.runDiskCheck();
-        }
-
-        // Log monitoring
-        if (config.enableLogMonitoring) {
-            await this.runLogCheck();
-        }
-
-        // Redis monitoring
-        if (config.enableRedisMonitoring !== false) {
-            await this.runRedisCheck();
+        const customDir = (this.config.customChecksDirectory || '').trim();
+        if (customDir) {
+            const directory = path.isAbsolute(customDir)
+                ? customDir
+                : path.join(this.ioBrokerDataDir, customDir);
+            const loaded = this.checks.loadFromDirectory(directory);
+            this.log.info(`Loaded ${loaded.length} custom check(s) from ${directory}`);
         }
+    }
 
-        // State inspector checks
-        if (config.enableDuplicateDetection) {
-            await this.runDuplicateDetection();
-        }
+    /**
+     * Set up maintenance windows (recurring from the config, ad-hoc via states/sendTo).
+     */
+    async initMaintenance() {
+        this.maintenance = new MaintenanceManager(this, { windows: this.config.maintenanceWindows });
+        await this.maintenance.init();
+        await this.subscribeStatesAsync('maintenance.start');
+        await this.subscribeStatesAsync('maintenance.stop');
+    }
 
-        if (config.enableOrphanDetection) {
-            await this.runOrphanDetection();
+    /**
+     * Handle writes to maintenance.start (minutes, 0 ends ad-hoc maintenance) and maintenance.stop.
+     * @param {string} id - State ID
+     * @param {ioBroker.State} state - State object
+     */
+    async onMaintenanceStateChange(id, state) {
+        const minutes = Number(state.val);
+        if (id.endsWith('.stop') || minutes === 0) {
+            await this.maintenance.stop();
+        } else {
+            try {
+                await this.maintenance.start(minutes, [], 'maintenance.start');
+            } catch (err) {
+                this.log.warn(err.message);
+            }
         }
-
-        if (config.enableStaleDetection) {
-            await this.runStaleDetection();
+        if (id.endsWith('.start')) {
+            await this.setStateAsync('maintenance.start', minutes || 0, true);
         }
+    }
 
-        if (config.enablePerformanceAnalysis) {
-            await this.runPerformanceAnalysis();
+    /**
+     * Load the persistent metric history (unless disabled).
+     */
+    async initMetricStore() {
+        if (this.config.enableMetricHistory === false) {
+            return;
         }
 
-        // Update summary states only if at least one inspector ran
-        if (this.duplicateInspector || this.orphanedInspector || this.staleInspector || this.performanceInspector) {
-            await this.updateStateInspectorSummary();
+        this.metricStore = new MetricStore(this, {
+            directory: path.join(utils.getAbsoluteInstanceDataDir(this), 'metrics'),
+            rawRetentionHours: this.config.metricRawRetentionHours,
+            aggregateRetentionDays: this.config.metricAggregateRetentionDays,
+        });
+        try {
+            await this.metricStore.init();
+        } catch (err) {
+            this.log.error(`Metric history disabled, cannot use data directory: ${err.message}`);
+            this.metricStore = null;
         }
-
-        this.log.info('Health checks completed.');
     }
 
     /**
-     * Run memory monitoring check.
+     * Measure duration, heap, reads and event loop blocking of every check run.
      */
-    async runMemoryCheck() {
-        if (!this.memoryMonitor) {
-            this.memoryMonitor = new MemoryMonitor(this, {
-                warningThresholdMB: this.config.memoryWarningMB || 500,
-                criticalThresholdPercent: 90,
-                leakDetectionWindow: 10,
-                leakGrowthThresholdMB: 50,
-            });
+    async initSelfMonitor() {
+        if (this.config.enableSelfMonitoring === false) {
+            return;
         }
 
-        const result = await this.memoryMonitor.check();
-
-        // Update states
-        await this.setStateAsync('memory.totalMB', result.stats.totalMB, true);
-        await this.setStateAsync('memory.usedMB', result.stats.usedMB, true);
-        await this.setStateAsync('memory.freeMB', result.stats.freeMB, true);
-        await this.setStateAsync('memory.usedPercent', result.stats.usedPercent, true);
-        await this.setStateAsync('memory.status', result.status, true);
-        await this.setStateAsync('memory.leakDetected', !!result.leak, true);
-
-        const allMessages = [...result.warnings, ...result.critical];
-        await this.setStateAsync('memory.warnings', allMessages.join('; '), true);
-        await this.setStateAsync('memory.timestamp', Date.now(), true);
+        this.selfMonitor = new SelfMonitor(this, {
+            budgetSeconds: this.config.selfMonitoringBudgetSeconds,
+            alertEngine: this.alertEngine,
+        });
+        await this.selfMonitor.init();
+    }
 
-        // Log results
-        if (result.status === 'critical') {
-            this.log.error(`Memory check: ${result.critical.join(', ')}`);
-        } else if (result.status === 'warning') {
-            this.log.warn(`Memory check: ${result.warnings.join(', ')}`);
-        } else {
-            this.log.info(`Memory check: OK (${result.stats.usedMB} MB / ${result.stats.totalMB} MB used)`);
+    /**
+     * Track object changes so the orphaned, stale and duplicate state inspections
+     * only re-evaluate what changed. Only useful while the adapter keeps running, i.e. in daemon mode.
+     */
+    async initObjectChanges() {
+        if (this.config.enableIncrementalInspection === false || !this.config.enableAdapterCrashDetection) {
+            return;
         }
 
-        if (result.leak) {
-            this.log.warn(
-                `Potential memory leak detected: +${result.leak.avgGrowthMB} MB/sample (${result.leak.trendPercent}% upward trend)`
-            );
-        }
+        this.objectChanges = new ObjectChangeTracker(this);
+        await this.objectChanges.start();
+    }
 
-        if (result.topProcesses && result.topProcesses.length > 0) {
-            this.log.debug(`Top memory consumers: ${result.topProcesses.map(p => `${p.command} (${p.memPercent}%)`).join(', ')}`);
+    /**
+     * Forward alert raises and clears to the configured webhooks (if any).
+     */
+    async initWebhooks() {
+        this.webhooks = new WebhookDispatcher(this, {
+            targets: this.config.webhooks,
+            retries: this.config.webhookRetries,
+            retryDelaySeconds: this.config.webhookRetryDelaySeconds,
+            timeoutSeconds: this.config.webhookTimeoutSeconds,
+        });
+        if (this.webhooks.targets.length === 0) {
+            this.webhooks = null;
+            return;
         }
+        await this.webhooks.createStates();
+        this.webhooks.attach({ alertEngine: this.alertEngine, notifier: this.notifier });
+        this.log.info(`Webhook delivery enabled for ${this.webhooks.targets.length} target(s)`);
     }
 
     /**
-     * Run CPU monitoring check.
+     * Forward alert raises and clears to the configured messenger instances.
+     * Always created so the admin test button works before channels are saved.
      */
-    async runCpuCheck() {
-        if (!this.cpuMonitor) {
-            this.cpuMonitor = new CpuMonitor(this, {
-                warningThreshold: this.config.cpuWarningPercent || 70,
-                criticalThreshold: this.config.cpuCriticalPercent || 90,
-                sampleCount: this.config.cpuSampleCount || 5,
-            });
-            await this.cpuMonitor.init();
+    initMessengers() {
+        this.messengers = new MessengerDelivery(this, { channels: this.config.messengers });
+        if (this.messengers.channels.length > 0) {
+            this.messengers.attach({ alertEngine: this.alertEngine, notifier: this.notifier });
+            this.log.info(`Messenger delivery enabled for ${this.messengers.channels.map(c => c.instance).join(', ')}`);
         }
-
-        await this.cpuMonitor.measure();
-
-        this.log.info('CPU check completed.');
     }
 
     /**
-     * Run disk space monitoring check.
+     * Set up the daily/weekly digest (if enabled). It is scheduled in startScheduler().
      */
-    async runDiskCheck() {
-        if (!this.diskMonitor) {
-            this.diskMonitor = new DiskMonitor(this, {
-                warningThresholdPercent: this.config.diskWarningPercent || 80,
-                criticalThresholdPercent: this.config.diskCriticalPercent || 90,
-                warningThresholdMB: this.config.diskWarningMB || 1000,
-                criticalThresholdMB: this.config.diskCriticalMB || 500,
-                mountPoints: this.config.diskMountPoints || ['/'],
-                historySize: 10,
-            });
-            await this.diskMonitor.init();
+    async initDigest() {
+        if (this.config.digestSchedule !== 'daily' && this.config.digestSchedule !== 'weekly') {
+            return;
         }
-
-        await this.diskMonitor.measure();
-
-        this.log.info('Disk check completed.');
+        this.digest = new DigestReport(this, { period: this.config.digestSchedule, hour: this.config.digestHour });
+        await this.digest.createStates();
+        await this.subscribeStatesAsync('digest.generate');
     }
 
     /**
-     * Run log monitoring check.
+     * Start the Prometheus/OpenMetrics endpoint (if enabled). It is only
+     * reachable while the adapter keeps running, i.e. in daemon mode.
      */
-    async runLogCheck() {
-        if (!this.logMonitor) {
-            this.logMonitor = new LogMonitor(this, {
-                maxLogLines: this.config.logMaxLines || 1000,
-                trackingWindowHours: this.config.logTrackingWindowHours || 24,
-            });
+    async initPrometheus() {
+        if (!this.config.enablePrometheus) {
+            return;
         }
-
-        const result = await this.logMonitor.check();
-
-        // Update states
-        await this.setStateAsync('logs.totalErrors', result.summary.totalErrors, true);
-        await this.setStateAsync('logs.totalWarnings', result.summary.totalWarnings, true);
-        await this.setStateAsync('logs.instanceCount', result.summary.instanceCount, true);
-        await this.setStateAsync('logs.status', result.status, true);
-        await this.setStateAsync('logs.timestamp', result.timestamp, true);
-
-        // Store detailed data as JSON
-        await this.setStateAsync('logs.details', JSON.stringify(result.instances), true);
-
-        // Log results
-        if (result.summary.totalErrors > 0 || result.summary.totalWarnings > 0) {
-            this.log.warn(
-                `Log check: ${result.summary.totalErrors} errors, ${result.summary.totalWarnings} warnings across ${result.summary.instanceCount} instances`
-            );
-        } else {
-            this.log.info('Log check: No errors or warnings detected');
+        if (!this.config.enableAdapterCrashDetection) {
+            this.log.warn('Prometheus endpoint requires daemon mode (enable adapter crash detection), not starting it.');
+            return;
         }
 
-        this.log.info('Log check completed.');
+        this.prometheus = new PrometheusExporter(this, {
+            port: this.config.prometheusPort,
+            bind: this.config.prometheusBind,
+        });
+        try {
+            await this.prometheus.start();
+        } catch (err) {
+            this.log.error(`Cannot start Prometheus endpoint on port ${this.config.prometheusPort}: ${err.message}`);
+            this.prometheus = null;
+        }
     }
 
     /**
-     * Create Redis monitoring states lazily (only if Redis is detected).
-     * This ensures Redis section is not shown in the UI if Redis is not in use.
-     * @private
+     * Create the shared alert engine used by the threshold based monitors.
      */
-    async _createRedisStatesIfNeeded() {
-        // Check if states already created by looking for one of them
-        const existingState = await this.getObjectAsync('redis.status');
-        if (existingState) {
-            return; // Already created
-        }
-
-        this.log.debug('Creating Redis monitoring states (Redis detected)');
-
-        await this.setObjectNotExistsAsync('redis.status', {
-            type: 'state',
-            common: { name: 'Redis status', type: 'string', role: 'text', read: true, write: false,
-                states: { ok: 'OK', warning: 'Warning', error: 'Error', skipped: 'Skipped' } },
-            native: {},
-        });
-        await this.setObjectNotExistsAsync('redis.connected', {
-            type: 'state',
-            common: { name: 'Redis connected', type: 'boolean', role: 'indicator.reachable', read: true, write: false },
-            native: {},
-        });
-        await this.setObjectNotExistsAsync('redis.memoryUsedPercent', {
-            type: 'state',
-            common: { name: 'Redis memory usage (%)', type: 'number', role: 'value', unit: '%', read: true, write: false },
-            native: {},
-        });
-        await this.setObjectNotExistsAsync('redis.memoryUsedBytes', {
-            type: 'state',
-            common: { name: 'Redis memory used (bytes)', type: 'number', role: 'value', read: true, write: false },
-            native: {},
-        });
-        await this.setObjectNotExistsAsync('redis.keys', {
-            type: 'state',
-            common: { name: 'Redis total keys', type: 'number', role: 'value', read: true, write: false },
-            native: {},
-        });
-        await this.setObjectNotExistsAsync('redis.evictedKeys', {
-            type: 'state',
-            common: { name: 'Redis evicted keys', type: 'number', role: 'value', read: true, write: false },
-            native: {},
-        });
-        await this.setObjectNotExistsAsync('redis.latencyMs', {
-            type: 'state',
-            common: { name: 'Redis ping latency (ms)', type: 'number', role: 'value', unit: 'ms', read: true, write: false },
-            native: {},
-        });
-        await this.setObjectNotExistsAsync('redis.details', {
-            type: 'state',
-            common: { name: 'Redis detailed report (JSON)', type: 'string', role: 'json', read: true, write: false },
-            native: {},
-        });
-        await this.setObjectNotExistsAsync('redis.timestamp', {
-            type: 'state',
-            common: { name: 'Last Redis check timestamp', type: 'number', role: 'date', read: true, write: false },
-            native: {},
+    async initAlertEngine() {
+        this.alertEngine = new AlertEngine(this, {
+            hysteresisPercent: this.config.alertHysteresisPercent,
+            raiseAfterMinutes: this.config.alertRaiseAfterMinutes,
+            clearAfterMinutes: this.config.alertClearAfterMinutes,
+            maintenance: this.maintenance,
         });
+        await this.alertEngine.createStates();
+        await this.subscribeStatesAsync('alerts.acknowledge');
     }
 
     /**
-     * Run Redis health check.
-     * Only creates and updates Redis states if Redis backend is actually in use.
+     * Run all enabled health checks.
      */
-    async runRedisCheck() {
-        if (!this.redisMonitor) {
-            this.redisMonitor = new RedisMonitor(this, {
-                memoryWarningPercent: this.config.redisMemoryWarningPercent || 80,
-                memoryErrorPercent: this.config.redisMemoryErrorPercent || 95,
-                latencyWarningMs: this.config.redisLatencyWarningMs || 100,
-            });
-        }
-
-        const result = await this.redisMonitor.check();
-
-        // ALWAYS create states (even when Redis is skipped)
-        // This ensures dashboard widgets don't show empty/broken
-        await this._createRedisStatesIfNeeded();
-
-        // If Redis is not detected, initialize with safe defaults
-        if (result.status === 'skipped') {
-            this.log.debug('Redis monitoring skipped: ' + result.reason);
-            
-            // Initialize states with safe defaults
-            await this.setStateAsync('redis.status', 'skipped', true);
-            await this.setStateAsync('redis.connected', false, true);
-            await this.setStateAsync('redis.latencyMs', 0, true);
-            await this.setStateAsync('redis.memoryUsedPercent', 0, true);
-            await this.setStateAsync('redis.memoryUsedBytes', 0, true);
-            await this.setStateAsync('redis.keys', 0, true);
-            await this.setStateAsync('redis.evictedKeys', 0, true);
-            await this.setStateAsync('redis.timestamp', Date.now(), true);
-            await this.setStateAsync('redis.details', JSON.stringify({
-                status: 'skipped',
-                reason: result.reason,
-                timestamp: result.timestamp
-            }, null, 2), true);
-            
-            return; // Early return AFTER state initialization
-        }
-
-        // Update states with real values if Redis IS in use
-        await this.setStateAsync('redis.status', result.status, true);
-        await this.setStateAsync('redis.connected', result.connection, true);
-        await this.setStateAsync('redis.latencyMs', result.latencyMs || 0, true);
-        await this.setStateAsync('redis.timestamp', result.timestamp, true);
-
-        if (result.memory) {
-            await this.setStateAsync('redis.memoryUsedPercent', result.memory.usedPercent, true);
-            await this.setStateAsync('redis.memoryUsedBytes', result.memory.usedBytes, true);
+    async runHealthChecks() {
+        for (const check of this.checks.getEnabled()) {
+            await this._runCheck(check);
         }
 
-        if (result.keys !== null) {
-            await this.setStateAsync('redis.keys', result.keys, true);
+        // Update summary states only if at least one inspector ran
+        if (this.duplicateInspector || this.orphanedInspector || this.staleInspector || this.performanceInspector) {
+            await this.updateStateInspectorSummary();
         }
 
-        if (result.evictedKeys !== null) {
-            await this.setStateAsync('redis.evictedKeys', result.evictedKeys, true);
-        }
+        await this.updateHealthScore();
 
-        await this.setStateAsync('redis.details', JSON.stringify(result, null, 2), true);
+        this.log.info('Health checks completed.');
+    }
 
-        // Log results
-        if (result.errors.length > 0) {
-            for (const err of result.errors) {
-                this.log.error(`Redis: ${err}`);
+    /**
+     * Run a single check via the registry and record its status for the health score.
+     * Errors are logged so one failing check does not stop the others.
+     * @param {object} check - Registered check
+     * @returns {Promise<object|null>} Check result or null on failure
+     */
+    async _runCheck(check) {
+        try {
+            const result = await this.checks.run(check.name);
+            this.checkResults[check.name] = { status: result.status, timestamp: result.timestamp };
+            if (this.maintenance && this.maintenance.isActive()) {
+                result.duringMaintenance = true;
             }
-        }
-        if (result.warnings.length > 0) {
-            for (const warn of result.warnings) {
-                this.log.warn(`Redis: ${warn}`);
+            if (this.metricStore && typeof check.getMetrics === 'function') {
+                this.metricStore.recordAll(check.getMetrics(result), result.timestamp);
             }
-        }
-        if (result.status === 'ok') {
-            this.log.info(`Redis check: OK (latency: ${result.latencyMs}ms, keys: ${result.keys})`);
+            if (this.metricStore && this.selfMonitor) {
+                this.metricStore.recordAll(this.selfMonitor.getMetrics(check.name), result.timestamp);
+            }
+            if (this.alertEngine) {
+                await this.alertEngine.updateStates();
+            }
+            if (this.notifier && typeof check.getNotifications === 'function') {
+                await this.notifier.updateAll(check.getNotifications(result));
+            }
+            return result;
+        } catch (err) {
+            this.log.error(`Check ${check.name} failed: ${err.message}`);
+            this.checkResults[check.name] = { status: 'error', timestamp: Date.now() };
+            return null;
         }
     }
 
     /**
-     * Run duplicate state detection.
+     * Run a single check and refresh the aggregated states that depend on it.
+     * @param {object} check - Registered check
+     * @returns {Promise<object|null>} Check result or null on failure
      */
-    async runDuplicateDetection() {
-        if (!this.duplicateInspector) {
-            const threshold = this.config.duplicateSimilarityThreshold || 0.9;
-            const ignorePatterns = this._parseIgnorePatterns(this.config.stateInspectorIgnorePatterns);
-            this.duplicateInspector = new DuplicateStateInspector(this, threshold, ignorePatterns);
-            await this.duplicateInspector.init();
+    async runScheduledCheck(check) {
+        const result = await this._runCheck(check);
+
+        if (check.category === 'inspector') {
+            await this.updateStateInspectorSummary();
         }
 
-        const duplicates = await this.duplicateInspector.scan();
+        await this.updateHealthScore();
 
-        if (duplicates.length > 0) {
-            this.log.warn(`Found ${duplicates.length} duplicate state groups`);
-        } else {
-            this.log.info('No duplicate states detected');
-        }
+        return result;
     }
 
     /**
-     * Run orphaned state detection.
+     * Start one scheduler job per enabled check.
+     * Each check uses its own schedule setting (minutes or cron expression);
+     * invalid settings fall back to the default interval.
      */
-    async runOrphanDetection() {
-        if (!this.orphanedInspector) {
-            const ignorePatterns = this._parseIgnorePatterns(this.config.stateInspectorIgnorePatterns);
-            this.orphanedInspector = new OrphanedStateInspector(this, ignorePatterns);
-            await this.orphanedInspector.init();
+    startScheduler() {
+        let monitorMinutes = Number(this.config.healthCheckIntervalMinutes) || 5;
+        if (monitorMinutes < 1 || monitorMinutes > 60) {
+            this.log.warn(`Invalid healthCheckIntervalMinutes: ${monitorMinutes}. Using default: 5`);
+            monitorMinutes = 5;
+        }
+
+        let inspectorHours = Number(this.config.checkIntervalHours) || 6;
+        if (inspectorHours < 1 || inspectorHours > 168) {
+            this.log.warn(`Invalid checkIntervalHours: ${inspectorHours}. Using default: 6`);
+            inspectorHours = 6;
         }
 
-        const report = await this.orphanedInspector.inspect();
+        this.scheduler = new Scheduler(this);
 
-        if (report.totalOrphaned > 0) {
-            this.log.warn(`Found ${report.totalOrphaned} orphaned state(s)`);
-        } else {
-            this.log.info('No orphaned states detected');
+        for (const check of this.checks.getEnabled()) {
+            const defaultMinutes = check.category === 'inspector' ? inspectorHours * 60 : monitorMinutes;
+            let schedule;
+            try {
+                schedule = Scheduler.parse(check.schedule, defaultMinutes);
+            } catch (err) {
+                this.log.warn(`Invalid schedule for ${check.name}: ${err.message}. Using default: every ${defaultMinutes} minutes`);
+                schedule = Scheduler.parse(null, defaultMinutes);
+            }
+
+            this.scheduler.add(check.name, schedule, () => this.runScheduledCheck(check));
+            this.log.info(`Scheduled ${check.name} check: ${Scheduler.describe(schedule)}`);
+        }
+
+        if (this.digest) {
+            const schedule = Scheduler.parse(this.digest.getCron(), 0);
+            this.scheduler.add('digest', schedule, () => this.handleGenerateDigestMessage());
+            this.log.info(`Scheduled ${this.digest.period} digest: ${Scheduler.describe(schedule)}`);
         }
     }
 
     /**
-     * Run stale state detection.
+     * Recalculate the aggregated health score from the latest check results.
      */
-    async runStaleDetection() {
-        if (!this.staleInspector) {
-            const thresholdHours = this.config.staleThresholdHours || 24;
-            const ignorePatterns = this._parseIgnorePatterns(this.config.stateInspectorIgnorePatterns);
-            this.staleInspector = new StaleStateInspector(this, thresholdHours, ignorePatterns);
-            await this.staleInspector.init();
+    async updateHealthScore() {
+        if (!this.healthScore) {
+            this.healthScore = new HealthScore(this, this._getHealthScoreWeights());
+            await this.healthScore.init();
         }
 
-        const report = await this.staleInspector.inspect();
+        const result = await this.healthScore.update(this.checkResults);
+        if (this.metricStore) {
+            this.metricStore.record('health.score', result.score, result.timestamp);
+        }
 
-        if (report.totalStale > 0) {
-            this.log.warn(`Found ${report.totalStale} stale state(s)`);
+        if (result.status === 'ok') {
+            this.log.info(`Health score: ${result.score}/100 (ok)`);
         } else {
-            this.log.info('No stale states detected');
+            this.log.warn(`Health score: ${result.score}/100 (${result.status}, mainly caused by ${result.worstCheck})`);
         }
     }
 
     /**
-     * Run performance analysis inspection.
+     * Read the per-check health score weights from the adapter config.
+     * Unset values fall back to the defaults of HealthScore.
+     * @returns {Record<string, number>}
      */
-    async runPerformanceAnalysis() {
-        if (!this.performanceInspector) {
-            const config = {
-                updateFrequencyThresholdMs: this.config.performanceFrequencyThresholdMs || 100,
-                largeTreeThreshold: this.config.performanceLargeTreeThreshold || 1000,
-                monitoringDurationMs: this.config.performanceMonitoringDurationMs || 60000,
-                ignorePatterns: this._parseIgnorePatterns(this.config.stateInspectorIgnorePatterns)
-            };
-            this.performanceInspector = new PerformanceAnalysisInspector(this, config);
-            await this.performanceInspector.init();
-        }
-
-        const report = await this.performanceInspector.inspect();
-
-        const totalIssues = 
-            report.highFrequencyStates.length +
-            report.largeObjectTrees.length +
-            report.historyWaste.length +
-            report.ackIssues.length;
+    _getHealthScoreWeights() {
+        const configKeys = {
+            memory: 'healthScoreWeightMemory',
+            instances: 'healthScoreWeightInstances',
+            eventLoop: 'healthScoreWeightEventLoop',
+            cpu: 'healthScoreWeightCpu',
+            disk: 'healthScoreWeightDisk',
+            logs: 'healthScoreWeightLogs',
+            redis: 'healthScoreWeightRedis',
+            hosts: 'healthScoreWeightHosts',
+            versions: 'healthScoreWeightVersions',
+            duplicates: 'healthScoreWeightDuplicates',
+            orphanedStates: 'healthScoreWeightOrphaned',
+            staleStates: 'healthScoreWeightStale',
+            performance: 'healthScoreWeightPerformance',
+        };
 
-        if (totalIssues > 0) {
-            this.log.warn(
-                `Performance analysis found ${totalIssues} issue(s): ` +
-                `${report.highFrequencyStates.length} high-freq, ` +
-                `${report.largeObjectTrees.length} large trees, ` +
-                `${report.historyWaste.length} history waste, ` +
-                `${report.ackIssues.length} ack issues`
-            );
-        } else {
-            this.log.info('No performance issues detected');
+        const weights = {};
+        for (const [check, key] of Object.entries(configKeys)) {
+            const value = this.config[key];
+            if (value !== undefined && value !== null && value !== '' && !isNaN(Number(value))) {
+                weights[check] = Number(value);
+            }
         }
+        return weights;
     }
 
     /**
@@ -1327,10 +1824,22 @@ class Health extends utils.Adapter {
             'showingXofY': { en: 'Showing {0} of {1}', de: 'Zeige {0} von {1}' },
             'safeToDelete': { en: 'Safe to Delete', de: 'Sicher zu löschen' },
             'reviewRequired': { en: 'Review Required', de: 'Überprüfung erforderlich' },
+            'keepForNow': { en: 'Keep for now', de: 'Vorerst behalten' },
             'safeToDeleteDescription': { en: 'These states are likely obsolete and can be safely deleted.', de: 'Diese States sind wahrscheinlich veraltet und können sicher gelöscht werden.' },
             'reviewRequiredDescription': { en: 'These states should be reviewed before deletion.', de: 'Diese States sollten vor dem Löschen überprüft werden.' },
             'warning': { en: 'Warning', de: 'Warnung' },
-            'cleanupWarning': { en: 'This is a report-only feature. No states will be deleted automatically. Always backup your ioBroker system before manually deleting states.', de: 'Dies ist nur ein Bericht. Es werden keine States automatisch gelöscht. Erstellen Sie immer ein Backup Ihres ioBroker-Systems, bevor Sie States manuell löschen.' },
+            'noVersionIssues': { en: 'All instances are up to date and compatible.', de: 'Alle Instanzen sind aktuell und kompatibel.' },
+            'instance': { en: 'Instance', de: 'Instanz' },
+            'host': { en: 'Host', de: 'Host' },
+            'installedVersion': { en: 'Installed', de: 'Installiert' },
+            'availableVersion': { en: 'Available', de: 'Verfügbar' },
+            'issues': { en: 'Issues', de: 'Probleme' },
+            'updateAvailable': { en: 'Update available', de: 'Update verfügbar' },
+            'deprecatedAdapter': { en: 'Adapter is deprecated', de: 'Adapter ist abgekündigt (deprecated)' },
+            'requires': { en: 'Requires', de: 'Benötigt' },
+            'found': { en: 'found', de: 'gefunden' },
+            'notInstalled': { en: 'not installed', de: 'nicht installiert' },
+            'cleanupWarning': { en: 'No states are deleted automatically. Selected states are deleted only when you apply the cleanup below; their objects and last values are archived first and can be restored.', de: 'Es werden keine States automatisch gelöscht. Ausgewählte States werden erst beim Anwenden der Bereinigung unten gelöscht; ihre Objekte und letzten Werte werden vorher archiviert und können wiederhergestellt werden.' },
         };
         const entry = translations[key];
         if (!entry) return key;
@@ -1542,7 +2051,9 @@ class Health extends utils.Adapter {
                 const id = typeof s === 'string' ? s : s.id;
                 return this.escapeHtml(id);
             }).join('<br>');
-            const similarity = group.similarity ? (group.similarity * 100).toFixed(0) + '%' : '-';
+            // Value correlation groups report the correlation of their changes
+            const score = group.similarity || group.correlation;
+            const similarity = score ? (score * 100).toFixed(0) + '%' : '-';
             html += '<tr style="border-bottom:1px solid rgba(128,128,128,0.2);">';
             html += `<td style="padding:4px 6px;">${i + 1}</td>`;
             html += `<td style="padding:4px 6px;font-family:monospace;font-size:12px;">${statesStr}</td>`;
@@ -1750,7 +2261,7 @@ class Health extends utils.Adapter {
         let instances;
         try {
             instances = JSON.parse(detailsState.val);
-        } catch (e) {
+        } catch {
             return `<div style="padding:8px;opacity:0.6;color:red;">Error parsing log details</div>`;
         }
 
@@ -1811,32 +2322,102 @@ class Health extends utils.Adapter {
         return html;
     }
 
+    /**
+     * Render HTML table for the adapter version report.
+     * @param {string} [lang] - Language code
+     * @returns {Promise<string>} HTML string
+     */
+    async renderVersionDetailsHtml(lang = 'en') {
+        const detailsState = await this.getStateAsync('versions.details');
+        if (!detailsState || !detailsState.val) {
+            return `<div style="padding:8px;opacity:0.6;">${this.t('noDataAvailable', lang)}</div>`;
+        }
+
+        let instances;
+        try {
+            instances = JSON.parse(detailsState.val);
+        } catch {
+            return `<div style="padding:8px;opacity:0.6;color:red;">Error parsing version details</div>`;
+        }
+
+        const rows = (Array.isArray(instances) ? instances : [])
+            .filter(i => i.outdated || i.deprecated || (i.unsatisfied && i.unsatisfied.length > 0))
+            .sort((a, b) => (b.unsatisfied.length > 0) - (a.unsatisfied.length > 0) || b.deprecated - a.deprecated || a.instance.localeCompare(b.instance));
+        if (rows.length === 0) {
+            return `<div style="padding:8px;opacity:0.6;">${this.t('noVersionIssues', lang)}</div>`;
+        }
+
+        let html = '<table style="width:100%;border-collapse:collapse;font-size:13px;">';
+        html += '<tr style="opacity:0.7;font-weight:bold;">';
+        for (const key of ['instance', 'host', 'installedVersion', 'availableVersion', 'issues']) {
+            html += `<th style="padding:6px;text-align:left;">${this.t(key, lang)}</th>`;
+        }
+        html += '</tr>';
+
+        for (const row of rows) {
+            const issues = [];
+            for (const dep of row.unsatisfied) {
+                const found = dep.found ? `${this.escapeHtml(dep.found)} ${this.t('found', lang)}` : this.t('notInstalled', lang);
+                issues.push(`<span style="color:#f44336;">${this.t('requires', lang)} ${this.escapeHtml(dep.dependency)} ${this.escapeHtml(dep.range)} (${found})</span>`);
+            }
+            if (row.deprecated) {
+                issues.push(`<span style="color:#ff9800;">${this.t('deprecatedAdapter', lang)}</span>`);
+            }
+            if (row.outdated) {
+                issues.push(this.t('updateAvailable', lang));
+            }
+
+            html += '<tr style="border-bottom:1px solid rgba(128,128,128,0.2);">';
+            html += `<td style="padding:4px 6px;font-family:monospace;font-size:12px;">${this.escapeHtml(row.instance)}</td>`;
+            html += `<td style="padding:4px 6px;">${this.escapeHtml(row.host || '')}</td>`;
+            html += `<td style="padding:4px 6px;">${this.escapeHtml(row.installed || '')}</td>`;
+            html += `<td style="padding:4px 6px;">${this.escapeHtml(row.available || '')}</td>`;
+            html += `<td style="padding:4px 6px;">${issues.join('<br>')}</td>`;
+            html += '</tr>';
+        }
+
+        html += '</table>';
+        return html;
+    }
+
     /**
      * @param {() => void} callback
      */
     async onUnload(callback) {
         try {
-            // Clear health check interval
-            if (this.healthCheckInterval) {
-                clearInterval(this.healthCheckInterval);
-                this.healthCheckInterval = null;
-                this.log.debug('Health check interval cleared');
+            // Stop all scheduled checks
+            if (this.scheduler) {
+                this.scheduler.stopAll();
+                this.scheduler = null;
+                this.log.debug('Scheduled checks stopped');
             }
             
             if (this.crashDetection) {
                 await this.crashDetection.cleanup();
             }
-            if (this.duplicateInspector) {
-                await this.duplicateInspector.stop();
+            if (this.checks) {
+                await this.checks.cleanupAll();
+            }
+            if (this.stateSnapshot) {
+                this.stateSnapshot.cleanup();
+            }
+            if (this.objectChanges) {
+                await this.objectChanges.stop();
             }
-            if (this.orphanedInspector) {
-                await this.orphanedInspector.cleanup();
+            if (this.selfMonitor) {
+                this.selfMonitor.uninstall();
             }
-            if (this.staleInspector) {
-                await this.staleInspector.cleanup();
+            if (this.maintenance) {
+                this.maintenance.cleanup();
             }
-            if (this.performanceInspector) {
-                await this.performanceInspector.cleanup();
+            if (this.metricStore) {
+                await this.metricStore.cleanup();
+            }
+            if (this.prometheus) {
+                await this.prometheus.stop();
+            }
+            if (this.webhooks) {
+                this.webhooks.cleanup();
             }
             this.log.info('ioBroker.system-health stopped.');
             callback();
@@ -1844,26 +2425,6 @@ class Health extends utils.Adapter {
             callback();
         }
     }
-
-    /**
-     * Parse ignore patterns from config.
-     * Handles both array and string (comma/newline delimited) formats.
-     * @param {string|string[]|null|undefined} patterns
-     * @returns {string[]}
-     */
-    _parseIgnorePatterns(patterns) {
-        if (Array.isArray(patterns)) {
-            return patterns.filter(p => typeof p === 'string' && p.trim()).map(p => p.trim());
-        }
-        if (typeof patterns === 'string' && patterns.trim()) {
-            // Split by comma or newline
-            return patterns
-                .split(/[,\n]/)
-                .map(p => p.trim())
-                .filter(p => p);
-        }
-        return [];
-    }
 }
 
 if (require.main !== module) {
@@ -0,0 +1,291 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const AlertEngine = require('../lib/alert-engine');
+const CpuMonitor = require('../lib/health-checks/cpu-monitor');
+const DiskMonitor = require('../lib/health-checks/disk-monitor');
+const MemoryMonitor = require('../lib/health-checks/memory-monitor');
+
+// Mock adapter
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+}
+
+const MINUTE = 60 * 1000;
+const CPU_RULE = { warning: 70, critical: 90, direction: 'above', label: 'CPU usage', unit: '%' };
+
+describe('AlertEngine', () => {
+    describe('classify', () => {
+        it('should compare against the raise thresholds', () => {
+            assert.strictEqual(AlertEngine.classify(50, CPU_RULE), 'ok');
+            assert.strictEqual(AlertEngine.classify(70, CPU_RULE), 'warning');
+            assert.strictEqual(AlertEngine.classify(95, CPU_RULE), 'critical');
+        });
+
+        it('should support low-is-bad metrics', () => {
+            const rule = { warning: 1000, critical: 500, direction: 'below' };
+
+            assert.strictEqual(AlertEngine.classify(2000, rule), 'ok');
+            assert.strictEqual(AlertEngine.classify(800, rule), 'warning');
+            assert.strictEqual(AlertEngine.classify(500, rule), 'critical');
+        });
+
+        it('should pick the worst level', () => {
+            assert.strictEqual(AlertEngine.worst(['ok', 'critical', 'warning']), 'critical');
+            assert.strictEqual(AlertEngine.worst([]), 'ok');
+        });
+    });
+
+    describe('hysteresis', () => {
+        it('should hold a raised level until the clear threshold is crossed', () => {
+            const engine = new AlertEngine(new MockAdapter(), { hysteresisPercent: 5 });
+
+            // warning raises at 70 and clears below 66.5
+            assert.strictEqual(engine.evaluate('cpu.usage', 71, CPU_RULE), 'warning');
+            assert.strictEqual(engine.evaluate('cpu.usage', 69, CPU_RULE), 'warning');
+            assert.strictEqual(engine.evaluate('cpu.usage', 70.5, CPU_RULE), 'warning');
+            assert.strictEqual(engine.evaluate('cpu.usage', 67, CPU_RULE), 'warning');
+            assert.strictEqual(engine.evaluate('cpu.usage', 66, CPU_RULE), 'ok');
+        });
+
+        it('should step down from critical to warning', () => {
+            const engine = new AlertEngine(new MockAdapter(), { hysteresisPercent: 5 });
+
+            assert.strictEqual(engine.evaluate('cpu.usage', 95, CPU_RULE), 'critical');
+            assert.strictEqual(engine.evaluate('cpu.usage', 86, CPU_RULE), 'critical');
+            assert.strictEqual(engine.evaluate('cpu.usage', 85, CPU_RULE), 'warning');
+        });
+
+        it('should apply hysteresis upwards for low-is-bad metrics', () => {
+            const engine = new AlertEngine(new MockAdapter(), { hysteresisPercent: 10 });
+            const rule = { warning: 500, direction: 'below' };
+
+            assert.strictEqual(engine.evaluate('memory.freeMB', 400, rule), 'warning');
+            assert.strictEqual(engine.evaluate('memory.freeMB', 540, rule), 'warning');
+            assert.strictEqual(engine.evaluate('memory.freeMB', 551, rule), 'ok');
+        });
+
+        it('should accept explicit raise/clear thresholds', () => {
+            const engine = new AlertEngine(new MockAdapter());
+            const rule = { warning: { raise: 80, clear: 60 } };
+
+            assert.strictEqual(engine.evaluate('x', 80, rule), 'warning');
+            assert.strictEqual(engine.evaluate('x', 61, rule), 'warning');
+            assert.strictEqual(engine.evaluate('x', 59, rule), 'ok');
+        });
+    });
+
+    describe('minimum duration', () => {
+        it('should raise only after the condition persisted', () => {
+            const engine = new AlertEngine(new MockAdapter(), { raiseAfterMinutes: 10 });
+            const start = 1_000_000;
+
+            assert.strictEqual(engine.evaluate('cpu.usage', 75, CPU_RULE, start), 'ok');
+            assert.strictEqual(engine.evaluate('cpu.usage', 95, CPU_RULE, start + 5 * MINUTE), 'ok');
+            assert.strictEqual(engine.evaluate('cpu.usage', 75, CPU_RULE, start + 10 * MINUTE), 'warning');
+        });
+
+        it('should restart the timer if the condition disappears in between', () => {
+            const engine = new AlertEngine(new MockAdapter(), { raiseAfterMinutes: 10 });
+            const start = 1_000_000;
+
+            engine.evaluate('cpu.usage', 75, CPU_RULE, start);
+            engine.evaluate('cpu.usage', 50, CPU_RULE, start + 5 * MINUTE);
+            assert.strictEqual(engine.evaluate('cpu.usage', 75, CPU_RULE, start + 10 * MINUTE), 'ok');
+            assert.strictEqual(engine.evaluate('cpu.usage', 75, CPU_RULE, start + 20 * MINUTE), 'warning');
+        });
+
+        it('should delay clearing separately', () => {
+            const engine = new AlertEngine(new MockAdapter(), { clearAfterMinutes: 15 });
+            const start = 1_000_000;
+
+            assert.strictEqual(engine.evaluate('cpu.usage', 75, CPU_RULE, start), 'warning');
+            assert.strictEqual(engine.evaluate('cpu.usage', 10, CPU_RULE, start + MINUTE), 'warning');
+            assert.strictEqual(engine.evaluate('cpu.usage', 10, CPU_RULE, start + 16 * MINUTE), 'ok');
+        });
+    });
+
+    describe('lifecycle', () => {
+        it('should raise, acknowledge and clear alerts with timestamps', () => {
+            const adapter = new MockAdapter();
+            const engine = new AlertEngine(adapter);
+            const events = [];
+            for (const event of ['raised', 'acknowledged', 'cleared']) {
+                engine.on(event, alert => events.push(`${event}:${alert.key}`));
+            }
+
+            engine.evaluate('cpu.usage', 75, CPU_RULE, 1000);
+            let [alert] = engine.getAlerts();
+            assert.strictEqual(alert.state, 'raised');
+            assert.strictEqual(alert.level, 'warning');
+            assert.strictEqual(alert.raisedAt, 1000);
+            assert.strictEqual(alert.message, 'CPU usage warning (75%)');
+
+            assert.deepStrictEqual(engine.acknowledge('cpu.usage', 2000), ['cpu.usage']);
+            [alert] = engine.getAlerts();
+            assert.strictEqual(alert.state, 'acknowledged');
+            assert.strictEqual(alert.acknowledgedAt, 2000);
+
+            engine.evaluate('cpu.usage', 10, CPU_RULE, 3000);
+            assert.deepStrictEqual(engine.getAlerts(), []);
+            assert.strictEqual(engine.conditions.get('cpu.usage').alert.clearedAt, 3000);
+
+            assert.deepStrictEqual(events, ['raised:cpu.usage', 'acknowledged:cpu.usage', 'cleared:cpu.usage']);
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 1);
+        });
+
+        it('should re-raise an acknowledged alert on escalation', () => {
+            const engine = new AlertEngine(new MockAdapter());
+
+            engine.evaluate('cpu.usage', 75, CPU_RULE, 1000);
+            engine.acknowledge('all', 2000);
+            engine.evaluate('cpu.usage', 95, CPU_RULE, 3000);
+
+            const [alert] = engine.getAlerts();
+            assert.strictEqual(alert.state, 'raised');
+            assert.strictEqual(alert.level, 'critical');
+            assert.strictEqual(alert.raisedAt, 3000);
+            assert.strictEqual(alert.acknowledgedAt, null);
+        });
+
+        it('should not raise an alert again on de-escalation', () => {
+            const adapter = new MockAdapter();
+            const engine = new AlertEngine(adapter);
+            const events = [];
+            for (const event of ['raised', 'cleared']) {
+                engine.on(event, alert => events.push(`${event}:${alert.level}`));
+            }
+
+            engine.evaluate('cpu.usage', 95, CPU_RULE, 1000);
+            engine.evaluate('cpu.usage', 85, CPU_RULE, 2000);
+
+            const [alert] = engine.getAlerts();
+            assert.strictEqual(alert.state, 'raised');
+            assert.strictEqual(alert.level, 'warning');
+            assert.strictEqual(alert.message, 'CPU usage warning (85%)');
+            assert.strictEqual(alert.raisedAt, 1000);
+
+            engine.evaluate('cpu.usage', 50, CPU_RULE, 3000);
+            assert.deepStrictEqual(events, ['raised:critical', 'cleared:warning']);
+            assert.strictEqual(adapter.log.error.mock.calls.length, 1);
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 0);
+        });
+
+        it('should not log repeatedly while a level is held', () => {
+            const adapter = new MockAdapter();
+            const engine = new AlertEngine(adapter);
+
+            for (const value of [71, 69, 72, 68, 70]) {
+                engine.evaluate('cpu.usage', value, CPU_RULE);
+            }
+
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 1);
+        });
+
+        it('should only acknowledge raised alerts', () => {
+            const engine = new AlertEngine(new MockAdapter());
+
+            engine.evaluate('cpu.usage', 75, CPU_RULE);
+            assert.deepStrictEqual(engine.acknowledge('disk./.freeMB'), []);
+            assert.deepStrictEqual(engine.acknowledge(''), ['cpu.usage']);
+            assert.deepStrictEqual(engine.acknowledge(''), []);
+        });
+
+        it('should clear and forget the alerts of a key prefix', async () => {
+            const adapter = new MockAdapter();
+            const engine = new AlertEngine(adapter);
+            const cleared = [];
+            engine.on('cleared', alert => cleared.push(alert.key));
+            const rule = { warning: 500 };
+
+            engine.evaluate('instances.zigbee_0.memRssMB', 600, rule);
+            engine.evaluate('instances.zigbee_0.cpu', 10, { warning: 50 });
+            engine.evaluate('instances.zigbee_01.memRssMB', 600, rule);
+            await engine.updateStates();
+
+            assert.deepStrictEqual(engine.clear('instances.zigbee_0', 5000), ['instances.zigbee_0.memRssMB']);
+            assert.deepStrictEqual(cleared, ['instances.zigbee_0.memRssMB']);
+            assert.deepStrictEqual([...engine.conditions.keys()], ['instances.zigbee_01.memRssMB']);
+            assert.deepStrictEqual(engine.getAlerts().map(alert => alert.key), ['instances.zigbee_01.memRssMB']);
+
+            await engine.updateStates();
+            assert.strictEqual(adapter.states['alerts.count'].val, 1);
+            assert.deepStrictEqual(engine.clear('instances.zigbee_0'), []);
+        });
+    });
+
+    describe('states', () => {
+        it('should create and update the alerts states', async () => {
+            const adapter = new MockAdapter();
+            const engine = new AlertEngine(adapter);
+
+            await engine.createStates();
+            assert.strictEqual(adapter.objects['alerts.acknowledge'].common.write, true);
+            assert.strictEqual(adapter.states['alerts.count'].val, 0);
+
+            engine.evaluate('cpu.usage', 95, CPU_RULE);
+            await engine.updateStates();
+
+            assert.strictEqual(adapter.states['alerts.count'].val, 1);
+            assert.strictEqual(adapter.states['alerts.unacknowledged'].val, 1);
+            assert.strictEqual(JSON.parse(adapter.states['alerts.active'].val)[0].key, 'cpu.usage');
+        });
+    });
+
+    describe('monitor integration', () => {
+        it('should debounce the CPU status', () => {
+            const adapter = new MockAdapter();
+            const monitor = new CpuMonitor(adapter, { alertEngine: new AlertEngine(adapter) });
+
+            assert.strictEqual(monitor.getStatus(71), 'warning');
+            assert.strictEqual(monitor.getStatus(69), 'warning');
+            assert.strictEqual(monitor.generateWarnings(69, false, 'warning'), 'Warning: CPU usage at 69.0% (threshold: 70%)');
+        });
+
+        it('should evaluate disk partitions per mount point', () => {
+            const adapter = new MockAdapter();
+            const engine = new AlertEngine(adapter);
+            const monitor = new DiskMonitor(adapter, { alertEngine: engine });
+
+            const status = monitor.getStatus([
+                { mountPoint: '/', usedPercent: 50, freeMB: 50000 },
+                { mountPoint: '/var', usedPercent: 85, freeMB: 5000 },
+            ]);
+
+            assert.strictEqual(status, 'warning');
+            assert.strictEqual(engine.getLevel('disk./var.usedPercent'), 'warning');
+            assert.strictEqual(engine.getLevel('disk./.usedPercent'), 'ok');
+        });
+
+        it('should evaluate memory thresholds through the engine', async () => {
+            const adapter = new MockAdapter();
+            const engine = new AlertEngine(adapter);
+            const monitor = new MemoryMonitor(adapter, { warningThresholdMB: 999999, alertEngine: engine });
+            monitor.getTopProcesses = async () => [];
+
+            const result = await monitor.check();
+
+            assert.notStrictEqual(result.status, 'ok');
+            assert.strictEqual(engine.getLevel('memory.freeMB'), 'warning');
+        });
+    });
+});
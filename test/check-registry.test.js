@@ -0,0 +1,288 @@
+const { describe, it, mock, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { BaseCheck, CheckRegistry, BUILTIN_CHECKS } = require('../lib/checks');
+
+// Mock adapter
+class MockAdapter {
+    constructor(config = {}) {
+        this.namespace = 'system-health.0';
+        this.config = config;
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+}
+
+class TestCheck extends BaseCheck {
+    constructor(adapter, options = {}) {
+        super(adapter, { name: 'test', ...options });
+        this.execute = mock.fn(async () => ({ status: 'warning', value: 42 }));
+        this.cleanup = mock.fn(async () => {});
+    }
+
+    getStateDefinitions() {
+        return [{ id: 'custom.test.value', common: { name: 'Test value', type: 'number', role: 'value', read: true, write: false } }];
+    }
+}
+
+describe('BaseCheck', () => {
+    it('should create states from getStateDefinitions on init', async () => {
+        const adapter = new MockAdapter();
+        const check = new TestCheck(adapter);
+
+        await check.init();
+
+        assert.strictEqual(adapter.objects['custom.test.value'].type, 'state');
+        assert.strictEqual(adapter.objects['custom.test.value'].common.name, 'Test value');
+    });
+
+    it('should store the last result with a timestamp', async () => {
+        const check = new TestCheck(new MockAdapter());
+        assert.strictEqual(check.getResult(), null);
+
+        const result = await check.run();
+
+        assert.strictEqual(result.status, 'warning');
+        assert.strictEqual(result.value, 42);
+        assert.ok(result.timestamp > 0);
+        assert.strictEqual(check.getResult(), result);
+    });
+
+    it('should default to an enabled monitor', () => {
+        const check = new BaseCheck(new MockAdapter(), { name: 'plain' });
+
+        assert.strictEqual(check.category, 'monitor');
+        assert.strictEqual(check.enabled, true);
+    });
+
+    it('should reject run() without execute()', async () => {
+        const check = new BaseCheck(new MockAdapter(), { name: 'plain' });
+        await assert.rejects(() => check.run(), /does not implement execute/);
+    });
+
+    it('should parse ignore patterns from arrays and strings', () => {
+        assert.deepStrictEqual(BaseCheck.parseIgnorePatterns([' system.* ', '', 42]), ['system.*']);
+        assert.deepStrictEqual(BaseCheck.parseIgnorePatterns('system.*, admin.*\nfoo.*'), ['system.*', 'admin.*', 'foo.*']);
+        assert.deepStrictEqual(BaseCheck.parseIgnorePatterns(null), []);
+    });
+});
+
+describe('CheckRegistry', () => {
+    describe('register', () => {
+        it('should reject checks without the required methods', () => {
+            const registry = new CheckRegistry(new MockAdapter());
+
+            assert.throws(() => registry.register({ name: 'broken', run: async () => {} }), /missing method\(s\): init, getResult, cleanup, getStateDefinitions/);
+            assert.throws(() => registry.register(null), /must be an object/);
+        });
+
+        it('should reject invalid and duplicate names', () => {
+            const adapter = new MockAdapter();
+            const registry = new CheckRegistry(adapter);
+
+            assert.throws(() => registry.register(new TestCheck(adapter, { name: 'bad name' })), /Invalid check name/);
+
+            registry.register(new TestCheck(adapter));
+            assert.throws(() => registry.register(new TestCheck(adapter)), /already registered/);
+        });
+
+        it('should list enabled checks in registration order', () => {
+            const adapter = new MockAdapter();
+            const registry = new CheckRegistry(adapter);
+            registry.register(new TestCheck(adapter, { name: 'b' }));
+            registry.register(new TestCheck(adapter, { name: 'a', enabled: false }));
+            registry.register(new TestCheck(adapter, { name: 'c' }));
+
+            assert.deepStrictEqual(registry.getAll().map(c => c.name), ['b', 'a', 'c']);
+            assert.deepStrictEqual(registry.getEnabled().map(c => c.name), ['b', 'c']);
+        });
+    });
+
+    describe('run', () => {
+        it('should initialize a check once before its first run', async () => {
+            const adapter = new MockAdapter();
+            const registry = new CheckRegistry(adapter);
+            const check = new TestCheck(adapter);
+            check.init = mock.fn(async () => {});
+            registry.register(check);
+
+            await registry.run('test');
+            await registry.run('test');
+
+            assert.strictEqual(check.init.mock.calls.length, 1);
+            assert.strictEqual(check.execute.mock.calls.length, 2);
+        });
+
+        it('should share a pending run instead of starting a second one', async () => {
+            const adapter = new MockAdapter();
+            const registry = new CheckRegistry(adapter);
+            const check = new TestCheck(adapter);
+            let finish;
+            check.execute = mock.fn(() => new Promise(resolve => { finish = () => resolve({ status: 'ok' }); }));
+            registry.register(check);
+
+            const first = registry.run('test');
+            await new Promise(resolve => setImmediate(resolve));
+            assert.strictEqual(registry.isRunning('test'), true);
+            const second = registry.run('test');
+
+            finish();
+            const [a, b] = await Promise.all([first, second]);
+
+            assert.strictEqual(check.execute.mock.calls.length, 1);
+            assert.strictEqual(a, b);
+            assert.strictEqual(registry.isRunning('test'), false);
+        });
+
+        it('should reject unknown checks', async () => {
+            const registry = new CheckRegistry(new MockAdapter());
+            await assert.rejects(() => registry.run('nope'), /Unknown check: nope/);
+        });
+    });
+
+    describe('cleanupAll', () => {
+        it('should clean up initialized checks only and log failures', async () => {
+            const adapter = new MockAdapter();
+            const registry = new CheckRegistry(adapter);
+            const used = new TestCheck(adapter, { name: 'used' });
+            const unused = new TestCheck(adapter, { name: 'unused' });
+            const failing = new TestCheck(adapter, { name: 'failing' });
+            failing.cleanup = mock.fn(async () => { throw new Error('boom'); });
+            registry.register(used);
+            registry.register(unused);
+            registry.register(failing);
+
+            await registry.run('used');
+            await registry.run('failing');
+            await registry.cleanupAll();
+
+            assert.strictEqual(used.cleanup.mock.calls.length, 1);
+            assert.strictEqual(unused.cleanup.mock.calls.length, 0);
+            assert.strictEqual(failing.cleanup.mock.calls.length, 1);
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 1);
+        });
+    });
+
+    describe('loadFromDirectory', () => {
+        let dir;
+
+        before(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'system-health-checks-'));
+            const baseCheckPath = JSON.stringify(path.join(__dirname, '..', 'lib', 'checks', 'base-check'));
+
+            fs.writeFileSync(path.join(dir, 'a-factory.js'), `
+                module.exports = (adapter, BaseCheck) => {
+                    class FactoryCheck extends BaseCheck {
+                        constructor() { super(adapter, { name: 'factory', schedule: '*/10 * * * *' }); }
+                        async execute() { return { status: 'ok' }; }
+                    }
+                    return new FactoryCheck();
+                };
+            `);
+            fs.writeFileSync(path.join(dir, 'b-class.js'), `
+                const BaseCheck = require(${baseCheckPath});
+                module.exports = class ClassCheck extends BaseCheck {
+                    constructor(adapter) { super(adapter, { name: 'classCheck', category: 'inspector' }); }
+                    async execute() { return { status: 'critical' }; }
+                };
+            `);
+            fs.writeFileSync(path.join(dir, 'c-invalid.js'), 'module.exports = { name: "invalid" };');
+            fs.writeFileSync(path.join(dir, 'd-syntax.js'), 'module.exports = {');
+            fs.writeFileSync(path.join(dir, 'readme.txt'), 'not a check');
+        });
+
+        after(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should load valid checks and skip invalid files', async () => {
+            const adapter = new MockAdapter();
+            const registry = new CheckRegistry(adapter);
+
+            const loaded = registry.loadFromDirectory(dir);
+
+            assert.deepStrictEqual(loaded, ['factory', 'classCheck']);
+            assert.strictEqual(registry.get('factory').schedule, '*/10 * * * *');
+            assert.strictEqual(registry.get('classCheck').category, 'inspector');
+            assert.strictEqual(adapter.log.error.mock.calls.length, 2);
+
+            const result = await registry.run('classCheck');
+            assert.strictEqual(result.status, 'critical');
+        });
+
+        it('should warn if the directory does not exist', () => {
+            const adapter = new MockAdapter();
+            const registry = new CheckRegistry(adapter);
+
+            const loaded = registry.loadFromDirectory(path.join(dir, 'missing'));
+
+            assert.deepStrictEqual(loaded, []);
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 1);
+        });
+    });
+});
+
+describe('Built-in checks', () => {
+    it('should register all built-in checks with unique names', () => {
+        const adapter = new MockAdapter({});
+        const registry = new CheckRegistry(adapter);
+
+        for (const CheckClass of BUILTIN_CHECKS) {
+            registry.register(new CheckClass(adapter));
+        }
+
+        assert.deepStrictEqual(registry.getAll().map(c => c.name), [
+            'memory', 'instances', 'eventLoop', 'cpu', 'disk', 'logs', 'redis', 'hosts',
+            'duplicates', 'orphanedStates', 'staleStates', 'performance', 'versions',
+        ]);
+    });
+
+    it('should map enable flags and schedules from the adapter config', () => {
+        const adapter = new MockAdapter({
+            enableMemoryMonitoring: true,
+            enableRedisMonitoring: false,
+            enableOrphanDetection: true,
+            scheduleMemory: '1',
+            scheduleOrphaned: '0 3 * * *',
+        });
+        const checks = Object.fromEntries(BUILTIN_CHECKS.map(C => new C(adapter)).map(c => [c.name, c]));
+
+        assert.strictEqual(checks.memory.enabled, true);
+        assert.strictEqual(checks.memory.schedule, '1');
+        assert.strictEqual(checks.memory.category, 'monitor');
+        assert.strictEqual(checks.cpu.enabled, false);
+        assert.strictEqual(checks.redis.enabled, false);
+        assert.strictEqual(checks.orphanedStates.enabled, true);
+        assert.strictEqual(checks.orphanedStates.schedule, '0 3 * * *');
+        assert.strictEqual(checks.orphanedStates.category, 'inspector');
+    });
+
+    it('should derive inspector check status from the issue count', async () => {
+        const adapter = new MockAdapter({});
+        const check = new (BUILTIN_CHECKS.find(C => new C(adapter).name === 'staleStates'))(adapter);
+        check.inspector = { inspect: async () => ({ totalStale: 3 }) };
+
+        const result = await check.run();
+
+        assert.strictEqual(result.status, 'warning');
+        assert.strictEqual(result.count, 3);
+    });
+});
@@ -0,0 +1,166 @@
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const CleanupExecutor = require('../lib/state-inspector/cleanup-executor');
+
+// Mock adapter with an objects and states DB
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.foreignObjects = {
+            'zigbee.0.old.battery': { type: 'state', common: { name: 'Battery', type: 'number', role: 'value.battery', unit: '%' }, native: {} },
+            'zigbee.0.old.link': { type: 'state', common: { name: 'Link quality', type: 'number', role: 'value' }, native: {} },
+            'zigbee.0.old': { type: 'device', common: { name: 'Old sensor' }, native: {} },
+        };
+        this.foreignStates = {
+            'zigbee.0.old.battery': { val: 12, ack: true, ts: 1000, lc: 900, q: 0, from: 'system.adapter.zigbee.0' },
+        };
+    }
+
+    async getForeignObjectAsync(id) {
+        return this.foreignObjects[id] || null;
+    }
+
+    async getForeignStateAsync(id) {
+        return this.foreignStates[id] || null;
+    }
+
+    async setForeignObjectAsync(id, obj) {
+        this.foreignObjects[id] = obj;
+    }
+
+    async setForeignStateAsync(id, state) {
+        this.foreignStates[id] = state;
+    }
+
+    async delForeignObjectAsync(id) {
+        delete this.foreignObjects[id];
+    }
+
+    async delForeignStateAsync(id) {
+        delete this.foreignStates[id];
+    }
+}
+
+describe('CleanupExecutor', () => {
+    let directory;
+    let adapter;
+    let executor;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-'));
+        adapter = new MockAdapter();
+        executor = new CleanupExecutor(adapter, { directory });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should archive objects and values before deleting them', async () => {
+        const result = await executor.apply({ ids: ['zigbee.0.old.battery', 'zigbee.0.old.link'], reason: 'Sensor replaced', by: 'system.adapter.admin.0' });
+
+        assert.deepStrictEqual(result.deleted, ['zigbee.0.old.battery', 'zigbee.0.old.link']);
+        assert.deepStrictEqual(result.failed, []);
+        assert.strictEqual(adapter.foreignObjects['zigbee.0.old.battery'], undefined);
+        assert.strictEqual(adapter.foreignStates['zigbee.0.old.battery'], undefined);
+
+        const archive = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(directory, `${result.archive}.json.gz`))).toString());
+        assert.strictEqual(archive.reason, 'Sensor replaced');
+        assert.deepStrictEqual(archive.entries.map(entry => entry.id), ['zigbee.0.old.battery', 'zigbee.0.old.link']);
+        assert.strictEqual(archive.entries[0].object.common.unit, '%');
+        assert.strictEqual(archive.entries[0].state.val, 12);
+        assert.strictEqual(archive.entries[1].state, null);
+
+        const [entry] = await executor.audit();
+        assert.strictEqual(entry.action, 'cleanup');
+        assert.strictEqual(entry.by, 'system.adapter.admin.0');
+        assert.deepStrictEqual(entry.deleted, ['zigbee.0.old.battery', 'zigbee.0.old.link']);
+    });
+
+    it('should only delete existing states', async () => {
+        const result = await executor.apply({ ids: ['zigbee.0.old', 'zigbee.0.missing', 'zigbee.0.old.link'] });
+
+        assert.deepStrictEqual(result.deleted, ['zigbee.0.old.link']);
+        assert.deepStrictEqual(result.skipped.map(s => s.id), ['zigbee.0.old', 'zigbee.0.missing']);
+        assert.ok(adapter.foreignObjects['zigbee.0.old']);
+    });
+
+    it('should not delete anything in a dry run', async () => {
+        const result = await executor.apply({ ids: ['zigbee.0.old.battery'], dryRun: true });
+
+        assert.strictEqual(result.dryRun, true);
+        assert.strictEqual(result.archive, null);
+        assert.deepStrictEqual(result.deleted, ['zigbee.0.old.battery']);
+        assert.ok(adapter.foreignObjects['zigbee.0.old.battery']);
+        assert.deepStrictEqual(fs.readdirSync(directory), []);
+    });
+
+    it('should not delete anything if the archive cannot be written', async () => {
+        const blocked = path.join(directory, 'file');
+        fs.writeFileSync(blocked, '');
+        executor = new CleanupExecutor(adapter, { directory: path.join(blocked, 'cleanup') });
+
+        await assert.rejects(executor.apply({ ids: ['zigbee.0.old.battery'] }));
+
+        assert.ok(adapter.foreignObjects['zigbee.0.old.battery']);
+    });
+
+    it('should report states that could not be deleted', async () => {
+        adapter.delForeignObjectAsync = async () => {
+            throw new Error('permission denied');
+        };
+
+        const result = await executor.apply({ ids: ['zigbee.0.old.link'] });
+
+        assert.deepStrictEqual(result.deleted, []);
+        assert.deepStrictEqual(result.failed, [{ id: 'zigbee.0.old.link', error: 'permission denied' }]);
+    });
+
+    it('should restore the latest cleanup and leave recreated objects untouched', async () => {
+        const { archive } = await executor.apply({ ids: ['zigbee.0.old.battery', 'zigbee.0.old.link'] });
+        const recreated = { type: 'state', common: { name: 'Recreated' }, native: {} };
+        adapter.foreignObjects['zigbee.0.old.link'] = recreated;
+
+        const result = await executor.restore();
+
+        assert.strictEqual(result.archive, archive);
+        assert.deepStrictEqual(result.restored, ['zigbee.0.old.battery']);
+        assert.deepStrictEqual(result.skipped, [{ id: 'zigbee.0.old.link', reason: 'Object exists' }]);
+        assert.strictEqual(adapter.foreignObjects['zigbee.0.old.battery'].common.unit, '%');
+        assert.deepStrictEqual(adapter.foreignStates['zigbee.0.old.battery'], { val: 12, ack: true, ts: 1000, q: 0, c: undefined });
+        assert.strictEqual(adapter.foreignObjects['zigbee.0.old.link'], recreated);
+
+        const [listed] = await executor.list();
+        assert.strictEqual(listed.archive, archive);
+        assert.strictEqual(listed.count, 2);
+        assert.ok(listed.restored);
+        await assert.rejects(executor.restore(), /No cleanup to restore/);
+    });
+
+    it('should reject unknown archives and overlapping runs', async () => {
+        await assert.rejects(executor.restore({ archive: '../../etc/passwd' }), /Invalid archive name/);
+        await assert.rejects(executor.restore({ archive: 'cleanup-2020-01-01T00-00-00-000Z' }), /not found/);
+        await assert.rejects(executor.apply({ ids: [] }), /No states selected/);
+
+        const first = executor.apply({ ids: ['zigbee.0.old.battery'] });
+        await assert.rejects(executor.apply({ ids: ['zigbee.0.old.link'] }), /already running/);
+        await first;
+    });
+
+    it('should list nothing before the first cleanup', async () => {
+        executor = new CleanupExecutor(adapter, { directory: path.join(directory, 'missing') });
+
+        assert.deepStrictEqual(await executor.list(), []);
+        assert.deepStrictEqual(await executor.audit(), []);
+    });
+});
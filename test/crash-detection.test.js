@@ -299,6 +299,30 @@ describe('CrashDetection', () => {
             assert.strictEqual(hasProblemsState.val, true);
         });
 
+        it('should raise a crashLoop notification for unstable adapters', async () => {
+            const adapter = new MockAdapter();
+            const notifier = { update: mock.fn(async () => true) };
+            const crashDetection = new CrashDetection(adapter, 30, notifier);
+
+            const now = Date.now();
+            crashDetection.crashHistory['test.0'] = [1, 2, 3, 4].map(hours => (
+                { timestamp: new Date(now - hours * 60 * 60 * 1000).toISOString(), category: 'adapter_error', recommendation: 'Update' }
+            ));
+            crashDetection.crashHistory['stable.0'] = [
+                { timestamp: new Date(now - 60 * 60 * 1000).toISOString(), category: 'device_error', recommendation: 'Check device' }
+            ];
+
+            await crashDetection.updateCrashReport();
+
+            const calls = notifier.update.mock.calls.map(c => c.arguments);
+            const unstable = calls.find(args => args[1] === 'test.0');
+            const stable = calls.find(args => args[1] === 'stable.0');
+            assert.strictEqual(unstable[0], 'crashLoop');
+            assert.strictEqual(unstable[2], true);
+            assert.match(unstable[3], /test\.0 crashed 4 times/);
+            assert.strictEqual(stable[2], false);
+        });
+
     describe('crash history persistence', () => {
         it('should initialize crashHistory state when it does not exist', async () => {
             const adapter = new MockAdapter();
@@ -0,0 +1,172 @@
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const DigestReport = require('../lib/digest');
+const MetricStore = require('../lib/metric-store');
+const MessengerDelivery = require('../lib/messenger');
+
+const HOUR = 60 * 60 * 1000;
+
+// Mock adapter
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.host = 'pi4';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+        this.results = {};
+        this.checks = {
+            getAll: () => Object.entries(this.results).map(([name, result]) => ({ name, getResult: () => result })),
+        };
+        this.sendTo = mock.fn();
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+
+    async getStateAsync(id) {
+        return this.states[id] || null;
+    }
+
+    async getForeignStateAsync() {
+        return { val: true };
+    }
+}
+
+describe('DigestReport', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'system-health-digest-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should schedule daily and weekly digests', () => {
+        const adapter = new MockAdapter();
+        assert.strictEqual(new DigestReport(adapter).getCron(), '0 7 * * *');
+        assert.strictEqual(new DigestReport(adapter, { period: 'weekly', hour: 18 }).getCron(), '0 18 * * 1');
+        assert.strictEqual(new DigestReport(adapter, { hour: 25 }).getCron(), '0 7 * * *');
+    });
+
+    it('should summarize resources of the period', async () => {
+        const adapter = new MockAdapter();
+        adapter.metricStore = new MetricStore(adapter, { directory: dir });
+        const now = Date.now();
+        adapter.metricStore.record('memory.usedPercent', 40, now - 20 * HOUR);
+        adapter.metricStore.record('memory.usedPercent', 60, now - 2 * HOUR);
+        adapter.metricStore.record('disk./.usedPercent', 70, now - 3 * HOUR);
+        adapter.metricStore.record('redis.memoryUsedPercent', 20, now - 10 * HOUR);
+        adapter.metricStore.record('redis.memoryUsedPercent', 25, now - HOUR);
+        adapter.metricStore.record('cpu.usage', 90, now - 30 * HOUR);
+
+        const data = await new DigestReport(adapter).build(now);
+
+        assert.deepStrictEqual(data.resources, [
+            { label: 'Memory used', min: 40, avg: 50, max: 60, trend: 20 },
+            { label: 'Disk /', min: 70, avg: 70, max: 70, trend: 0 },
+            { label: 'Redis memory', min: 20, avg: 22.5, max: 25, trend: 5 },
+        ]);
+    });
+
+    it('should list crashes of the period with their classification', async () => {
+        const adapter = new MockAdapter();
+        const now = Date.now();
+        adapter.crashDetection = {
+            crashHistory: {
+                'system.adapter.zigbee.0': [
+                    { timestamp: new Date(now - 2 * HOUR).toISOString(), category: 'device_error' },
+                    { timestamp: new Date(now - HOUR).toISOString(), category: 'device_error' },
+                    { timestamp: new Date(now - 30 * HOUR).toISOString(), category: 'adapter_error' },
+                ],
+                'system.adapter.shelly.0': [
+                    { timestamp: new Date(now - HOUR).toISOString(), category: 'unknown', duringMaintenance: true },
+                ],
+            },
+        };
+
+        const data = await new DigestReport(adapter).build(now);
+
+        assert.deepStrictEqual(data.crashes, [
+            { instance: 'zigbee.0', count: 2, categories: { device_error: 2 }, last: now - HOUR },
+        ]);
+    });
+
+    it('should report findings that are new since the previous digest', async () => {
+        const adapter = new MockAdapter();
+        const digest = new DigestReport(adapter);
+        adapter.results.orphanedStates = { status: 'warning', count: 1, report: { orphanedStates: [{ id: 'a.0.x' }] } };
+        adapter.results.staleStates = {
+            status: 'ok',
+            count: 1,
+            report: { staleStates: [{ id: 'zigbee.0.lamp', duringMaintenance: true }] },
+        };
+
+        const first = await digest.run();
+        assert.strictEqual(first.markdown.includes('Orphaned states: 1 (first digest, nothing to compare with)'), true);
+        assert.strictEqual(first.markdown.includes('Duplicate groups: not checked'), true);
+
+        adapter.results.orphanedStates = {
+            status: 'warning',
+            count: 2,
+            report: { orphanedStates: [{ id: 'a.0.x' }, { id: 'b.0.y' }] },
+        };
+        adapter.results.duplicates = { status: 'warning', count: 1, duplicates: [{ states: [{ id: 'c.1' }, { id: 'c.0' }] }] };
+
+        const data = await digest.build();
+        const added = Object.fromEntries(data.findings.map(f => [f.check, f.added]));
+
+        assert.deepStrictEqual(added, { orphanedStates: ['b.0.y'], staleStates: [], duplicates: null });
+        assert.deepStrictEqual(data.snapshot.findings.duplicates, ['c.0, c.1']);
+    });
+
+    it('should render Markdown and HTML and send the digest', async () => {
+        const adapter = new MockAdapter();
+        adapter.healthScore = { lastResult: { score: 87, status: 'warning' } };
+        adapter.results.logs = {
+            status: 'warning',
+            instances: [
+                { instance: 'zigbee.0', totalErrors: 3, totalWarnings: 1, topErrors: [{ type: 'Timeout <device>', count: 3 }] },
+                { instance: 'shelly.0', totalErrors: 0, totalWarnings: 5, topErrors: [] },
+            ],
+        };
+        adapter.messengers = new MessengerDelivery(adapter, {
+            channels: [
+                { instance: 'telegram.0', severity: 'critical' },
+                { instance: 'email.0', severity: 'none', digest: true },
+            ],
+        });
+
+        const result = await new DigestReport(adapter).run();
+
+        assert.match(result.markdown, /^# System health daily digest \(pi4\)/);
+        assert.match(result.markdown, /Health score: 87 \(warning\)/);
+        assert.match(result.markdown, /\| zigbee\.0 \| 3 \| 1 \| Timeout <device> \|/);
+        assert.match(result.markdown, /Metric history is disabled/);
+        assert.match(result.html, /<td>Timeout &lt;device&gt;<\/td>/);
+        assert.strictEqual(adapter.states['digest.markdown'].val, result.markdown);
+        assert.ok(adapter.states['digest.lastRun'].val > 0);
+
+        assert.deepStrictEqual(result.sentTo, ['email.0']);
+        const [instance, command, message] = adapter.sendTo.mock.calls[0].arguments;
+        assert.deepStrictEqual([instance, command, message.subject], ['email.0', 'send', result.title]);
+        assert.strictEqual(message.html, result.html);
+    });
+});
@@ -0,0 +1,112 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const matching = require('../lib/state-inspector/duplicate-matching');
+const DuplicateStateInspector = require('../lib/state-inspector/duplicate-detection');
+
+const temperature = (id, name) => ({ id, name, type: 'number', role: 'value.temperature', unit: '°C' });
+
+// Mock adapter recording the progress state
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+    }
+
+    async setStateAsync(id, state) {
+        this.states[id] = state;
+    }
+}
+
+describe('duplicate matching', () => {
+    it('should derive normalized tokens from the last ID segment and the name', () => {
+        assert.deepStrictEqual([...matching.nameTokens({ id: 'hm-rpc.0.dev1.ACTUAL_TEMPERATURE', name: 'Wohnzimmer 2' })].sort(), ['actu', 'temp', 'wohn']);
+        assert.deepStrictEqual([...matching.nameTokens({ id: 'zigbee.0.lamp.colorTemp', name: { en: 'x' } })].sort(), ['colo', 'temp']);
+    });
+
+    it('should only put states with the same type, role and unit into one bucket', () => {
+        const states = [
+            temperature('a.0.temperature', 'Temperature'),
+            temperature('b.0.temperatur', 'Temperatur'),
+            { id: 'c.0.temperature', name: 'Temperature', type: 'string', role: 'text' },
+        ];
+
+        const { buckets } = matching.buildBuckets(states);
+
+        assert.deepStrictEqual(buckets, [[0, 1]]);
+    });
+
+    it('should skip buckets shared by too many states', () => {
+        const states = [temperature('a.0.temp'), temperature('b.0.temp'), temperature('c.0.temp')];
+
+        const { buckets, skipped } = matching.buildBuckets(states, 2);
+
+        assert.deepStrictEqual(buckets, []);
+        assert.strictEqual(skipped, 1);
+    });
+
+    it('should group similar states and compare only candidates', () => {
+        const states = [
+            temperature('hm-rpc.0.device123.temperature', 'Temperature'),
+            { id: 'zigbee.0.sensor9.humidity', name: 'Humidity', type: 'number', role: 'value.humidity', unit: '%' },
+            temperature('hm-rpc.0.device123.temperatur', 'Temperatur'),
+            temperature('hm-rpc.0.device124.temperature', 'Temperature'),
+        ];
+        const progress = [];
+
+        const result = matching.findNamingGroups(states, { threshold: 0.85, onProgress: done => progress.push(done) });
+
+        assert.deepStrictEqual(result.groups, [[0, 2, 3]]);
+        assert.strictEqual(result.comparisons, 2);
+        assert.strictEqual(result.limitReached, false);
+        assert.deepStrictEqual(progress, [1, 2, 3, 4]);
+    });
+
+    it('should stop at the comparison limit', () => {
+        const states = [temperature('a.0.temp'), temperature('b.0.temp'), temperature('c.0.temp')];
+
+        const result = matching.findNamingGroups(states, { threshold: 1, maxComparisons: 1 });
+
+        assert.strictEqual(result.comparisons, 1);
+        assert.strictEqual(result.limitReached, true);
+    });
+});
+
+describe('DuplicateStateInspector worker', () => {
+    it('should find the same groups in the worker as in this thread', async () => {
+        const adapter = new MockAdapter();
+        const stateMap = new Map();
+        for (let i = 0; i < 50; i++) {
+            const state = { ...temperature(`mqtt.0.room${i}.temperature`, `Room ${i} temperature`), lc: Date.now() };
+            stateMap.set(state.id, state);
+        }
+
+        const inspector = new DuplicateStateInspector(adapter, 0.9);
+        const inWorker = await inspector.detectNamingDuplicates(stateMap);
+        inspector.useWorker = false;
+        const inThread = await inspector.detectNamingDuplicates(stateMap);
+
+        assert.ok(inWorker.length > 0);
+        assert.deepStrictEqual(inWorker.map(d => d.states.map(s => s.id)), inThread.map(d => d.states.map(s => s.id)));
+        assert.deepStrictEqual(inspector.progress, { done: 50, total: 50 });
+        assert.strictEqual(adapter.states['system-health.0.inspector.duplicates.progress'].val, 100);
+    });
+
+    it('should cancel a running comparison on stop', async () => {
+        const adapter = new MockAdapter();
+        const inspector = new DuplicateStateInspector(adapter, 0.9);
+        const stateMap = new Map([['a.0.temp', temperature('a.0.temp')], ['b.0.temp', temperature('b.0.temp')]]);
+
+        const running = inspector.detectNamingDuplicates(stateMap);
+        await inspector.stop();
+
+        assert.deepStrictEqual(await running, []);
+        assert.strictEqual(inspector.cancelled, true);
+        assert.strictEqual(inspector.worker, null);
+    });
+});
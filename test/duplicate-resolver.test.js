@@ -0,0 +1,126 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const DuplicateResolver = require('../lib/state-inspector/duplicate-resolver');
+
+// Mock adapter with a small objects DB
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.foreignObjects = {
+            'hm-rpc.0.livingroom.temperature': {
+                type: 'state',
+                common: { name: 'Living room', type: 'number', role: 'value.temperature', unit: '°C', min: -40, max: 80, read: true, write: false },
+            },
+            'mqtt.0.tele.living_F': {
+                type: 'state',
+                common: { name: 'living', type: 'number', role: 'value', unit: '°F', read: true, write: true },
+            },
+            'zigbee.0.lamp.on': { type: 'state', common: { type: 'boolean', role: 'switch', read: true, write: false } },
+            'hue.0.lamp.on': { type: 'state', common: { type: 'boolean', role: 'switch', read: true, write: false } },
+            'script.js.heating': {
+                type: 'script',
+                common: { source: "on('mqtt.0.tele.living_F', obj => log(obj.state.val));" },
+            },
+        };
+        this.created = [];
+    }
+
+    async getForeignObjectAsync(id) {
+        return this.foreignObjects[id] || null;
+    }
+
+    async getForeignObjectsAsync(pattern, type) {
+        const prefix = pattern.replace(/\*$/, '');
+        return Object.fromEntries(Object.entries(this.foreignObjects)
+            .filter(([id, obj]) => id.startsWith(prefix) && obj.type === type));
+    }
+
+    async setForeignObjectAsync(id, obj) {
+        this.foreignObjects[id] = obj;
+        this.created.push(id);
+    }
+}
+
+const temperatureGroup = ['hm-rpc.0.livingroom.temperature', 'mqtt.0.tele.living_F'];
+
+describe('DuplicateResolver', () => {
+    it('should plan an alias reading the canonical state and writing the writable member', async () => {
+        const adapter = new MockAdapter();
+        const resolver = new DuplicateResolver(adapter);
+
+        const plan = await resolver.plan({ states: temperatureGroup, canonical: 'hm-rpc.0.livingroom.temperature' });
+
+        assert.strictEqual(plan.aliasId, 'alias.0.livingroom.temperature');
+        assert.strictEqual(plan.exists, false);
+        assert.deepStrictEqual(plan.alias.common.alias, {
+            id: { read: 'hm-rpc.0.livingroom.temperature', write: 'mqtt.0.tele.living_F' },
+            write: 'val * 1.8 + 32',
+        });
+        assert.strictEqual(plan.alias.common.unit, '°C');
+        assert.strictEqual(plan.alias.common.write, true);
+        assert.strictEqual(plan.alias.common.min, -40);
+        assert.deepStrictEqual(plan.members.map(m => [m.id, m.references]), [
+            ['hm-rpc.0.livingroom.temperature', []],
+            ['mqtt.0.tele.living_F', ['script:script.js.heating']],
+        ]);
+        assert.deepStrictEqual(plan.warnings, []);
+        assert.deepStrictEqual(adapter.created, []);
+    });
+
+    it('should convert reads into another alias unit', async () => {
+        const resolver = new DuplicateResolver(new MockAdapter());
+
+        const plan = await resolver.plan({ states: temperatureGroup, canonical: 'mqtt.0.tele.living_F', unit: '°C', aliasId: 'alias.0.living.temp' });
+
+        assert.strictEqual(plan.aliasId, 'alias.0.living.temp');
+        assert.deepStrictEqual(plan.alias.common.alias, {
+            id: 'mqtt.0.tele.living_F',
+            read: '(val - 32) / 1.8',
+            write: 'val * 1.8 + 32',
+        });
+        assert.strictEqual(plan.alias.common.min, undefined);
+    });
+
+    it('should warn about read-only aliases and unknown conversions', async () => {
+        const resolver = new DuplicateResolver(new MockAdapter());
+
+        const readOnly = await resolver.plan({ states: ['zigbee.0.lamp.on', 'hue.0.lamp.on'], canonical: 'hue.0.lamp.on' });
+        const unknownUnit = await resolver.plan({ states: temperatureGroup, canonical: 'hm-rpc.0.livingroom.temperature', unit: 'mV' });
+
+        assert.strictEqual(readOnly.alias.common.write, false);
+        assert.strictEqual(readOnly.alias.common.alias.id, 'hue.0.lamp.on');
+        assert.match(readOnly.warnings[0], /read-only/);
+        assert.ok(unknownUnit.warnings.some(w => /No conversion from °C to mV/.test(w)));
+    });
+
+    it('should reject invalid requests', async () => {
+        const adapter = new MockAdapter();
+        const resolver = new DuplicateResolver(adapter);
+        adapter.foreignObjects['alias.0.livingroom.temperature'] = { type: 'state', common: { alias: { id: 'other.0.x' } } };
+
+        await assert.rejects(resolver.plan({ states: temperatureGroup, canonical: 'zigbee.0.lamp.on' }), /member of the group/);
+        await assert.rejects(resolver.plan({ states: [...temperatureGroup, 'missing.0.x'], canonical: 'mqtt.0.tele.living_F' }), /missing\.0\.x not found/);
+        await assert.rejects(resolver.plan({ states: temperatureGroup, canonical: 'mqtt.0.tele.living_F', aliasId: 'javascript.0.x' }), /below alias\.0/);
+        await assert.rejects(resolver.plan({ states: temperatureGroup, canonical: 'hm-rpc.0.livingroom.temperature' }), /points to another state/);
+    });
+
+    it('should create the alias once on apply', async () => {
+        const adapter = new MockAdapter();
+        const resolver = new DuplicateResolver(adapter);
+        const options = { states: temperatureGroup, canonical: 'hm-rpc.0.livingroom.temperature' };
+
+        const first = await resolver.apply(options);
+        const second = await resolver.apply(options);
+
+        assert.strictEqual(first.applied, true);
+        assert.strictEqual(second.exists, true);
+        assert.deepStrictEqual(adapter.created, ['alias.0.livingroom.temperature']);
+        assert.deepStrictEqual(adapter.foreignObjects['alias.0.livingroom.temperature'].native.duplicates, ['mqtt.0.tele.living_F']);
+    });
+});
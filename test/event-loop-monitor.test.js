@@ -0,0 +1,208 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const EventLoopMonitor = require('../lib/health-checks/event-loop-monitor');
+const EventLoopCheck = require('../lib/checks/event-loop-check');
+const AlertEngine = require('../lib/alert-engine');
+const MaintenanceManager = require('../lib/maintenance');
+
+// Mock adapter with instances as published by js-controller
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.config = { enableEventLoopMonitoring: true };
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+        this.foreignObjects = {
+            'system.adapter.zigbee.0': { type: 'instance', common: { host: 'pi4' } },
+            'system.adapter.legacy.0': { type: 'instance', common: { host: 'pi4' } },
+        };
+        this.foreignStates = {};
+        this.setInstance('zigbee.0', { alive: true, eventLoopLag: 5, cpu: 2, memRss: 80 });
+        this.setInstance('legacy.0', { alive: true, cpu: 1 });
+    }
+
+    setInstance(instance, values) {
+        for (const [name, val] of Object.entries(values)) {
+            this.foreignStates[`system.adapter.${instance}.${name}`] = { val };
+        }
+    }
+
+    async getForeignObjectsAsync() {
+        return this.foreignObjects;
+    }
+
+    async getForeignStateAsync(id) {
+        return this.foreignStates[id] || null;
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+}
+
+const info = { id: 'system.adapter.zigbee.0', instance: 'zigbee.0', key: 'zigbee_0', host: 'pi4' };
+
+describe('EventLoopMonitor', () => {
+    it('should compute nearest-rank percentiles', () => {
+        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+        assert.strictEqual(EventLoopMonitor.percentile(values, 50), 5);
+        assert.strictEqual(EventLoopMonitor.percentile(values, 95), 10);
+        assert.strictEqual(EventLoopMonitor.percentile([7], 99), 7);
+        assert.strictEqual(EventLoopMonitor.percentile([], 50), null);
+    });
+
+    it('should correlate two series and skip missing values', () => {
+        assert.strictEqual(EventLoopMonitor.correlation([1, 2, 3, 4], [10, 20, 30, 40]), 1);
+        assert.strictEqual(EventLoopMonitor.correlation([1, 2, 3, 4], [40, 30, 20, 10]), -1);
+        assert.strictEqual(EventLoopMonitor.correlation([1, 2, 3, 4], [null, null, 5, 6]), null);
+        assert.strictEqual(EventLoopMonitor.correlation([1, 2, 3], [5, 5, 5]), null);
+    });
+
+    it('should only flag lag that is sustained over the sample count', () => {
+        const monitor = new EventLoopMonitor(new MockAdapter(), { sampleCount: 3 });
+
+        monitor.evaluate(info, { lagMs: 500, cpu: 10, memRssMB: 80 });
+        monitor.evaluate(info, { lagMs: 20, cpu: 10, memRssMB: 80 });
+        assert.strictEqual(monitor.evaluate(info, { lagMs: 600, cpu: 10, memRssMB: 80 }).status, 'ok');
+
+        monitor.evaluate(info, { lagMs: 300, cpu: 10, memRssMB: 80 });
+        const result = monitor.evaluate(info, { lagMs: 200, cpu: 10, memRssMB: 80 });
+
+        assert.strictEqual(result.sustainedLagMs, 200);
+        assert.strictEqual(result.status, 'warning');
+        assert.strictEqual(result.p50, 300);
+        assert.strictEqual(result.max, 600);
+    });
+
+    it('should attribute sustained lag to CPU or memory from the same cycle', () => {
+        const monitor = new EventLoopMonitor(new MockAdapter(), { sampleCount: 3 });
+
+        let result;
+        for (const [lagMs, cpu] of [[150, 40], [300, 70], [450, 95]]) {
+            result = monitor.evaluate(info, { lagMs, cpu, memRssMB: 80 });
+        }
+        assert.strictEqual(result.likelyCause, 'cpu');
+        assert.match(result.warnings[0], /CPU 95%, RSS 80 MB, likely cause: cpu/);
+
+        const gc = new EventLoopMonitor(new MockAdapter(), { sampleCount: 3 });
+        for (const [lagMs, memRssMB] of [[150, 300], [300, 200], [450, 400]]) {
+            result = gc.evaluate(info, { lagMs, cpu: null, memRssMB });
+        }
+        assert.strictEqual(result.likelyCause, 'unknown');
+
+        for (const [lagMs, memRssMB] of [[500, 500], [600, 600], [700, 700]]) {
+            result = gc.evaluate(info, { lagMs, cpu: null, memRssMB });
+        }
+        assert.strictEqual(result.likelyCause, 'memory');
+    });
+
+    it('should debounce through the alert engine', () => {
+        const adapter = new MockAdapter();
+        const engine = new AlertEngine(adapter);
+        const monitor = new EventLoopMonitor(adapter, { sampleCount: 2, alertEngine: engine });
+
+        monitor.evaluate(info, { lagMs: 2000, cpu: 5, memRssMB: 80 });
+        monitor.evaluate(info, { lagMs: 1500, cpu: 5, memRssMB: 80 });
+
+        assert.strictEqual(engine.getLevel('eventLoop.zigbee_0.lagMs'), 'critical');
+    });
+
+    it('should not raise alerts of instances in maintenance', () => {
+        const adapter = new MockAdapter();
+        const maintenance = new MaintenanceManager(adapter);
+        maintenance.adhoc.push({ start: Date.now() - 1000, end: Date.now() + 60 * 60 * 1000, instances: ['zigbee.0'], reason: 'test' });
+        const engine = new AlertEngine(adapter, { maintenance });
+        const raised = mock.fn();
+        engine.on('raised', raised);
+        const monitor = new EventLoopMonitor(adapter, { sampleCount: 2, alertEngine: engine });
+
+        monitor.evaluate(info, { lagMs: 2000, cpu: 5, memRssMB: 80 });
+        monitor.evaluate(info, { lagMs: 1500, cpu: 5, memRssMB: 80 });
+
+        assert.strictEqual(engine.getLevel('eventLoop.zigbee_0.lagMs'), 'critical');
+        assert.strictEqual(raised.mock.calls.length, 0);
+    });
+
+    it('should skip instances without event loop lag', async () => {
+        const adapter = new MockAdapter();
+        const monitor = new EventLoopMonitor(adapter);
+
+        const result = await monitor.check();
+
+        assert.deepStrictEqual(result.instances.map(i => i.instance), ['zigbee.0']);
+        assert.strictEqual(adapter.states['eventLoop.zigbee_0.p95'].val, 5);
+        assert.strictEqual(adapter.objects['eventLoop.legacy_0'], undefined);
+    });
+
+    it('should use CPU and memory of an instance check that ran since the last check', async () => {
+        const adapter = new MockAdapter();
+        const read = [];
+        const getForeignStateAsync = adapter.getForeignStateAsync.bind(adapter);
+        adapter.getForeignStateAsync = async id => {
+            read.push(id);
+            return getForeignStateAsync(id);
+        };
+        const monitor = new EventLoopMonitor(adapter);
+        const instanceResult = { instances: [{ instance: 'zigbee.0', cpu: 7, memRssMB: 90 }], timestamp: Date.now() };
+
+        let result = await monitor.check(instanceResult);
+        assert.deepStrictEqual(read.filter(id => id.startsWith('system.adapter.zigbee.0')),
+            ['system.adapter.zigbee.0.alive', 'system.adapter.zigbee.0.eventLoopLag']);
+        assert.strictEqual(result.instances[0].cpu, 7);
+        assert.strictEqual(result.instances[0].memRssMB, 90);
+
+        // The same result again is from the previous cycle
+        result = await monitor.check(instanceResult);
+        assert.strictEqual(result.instances[0].cpu, 2);
+        assert.strictEqual(result.instances[0].memRssMB, 80);
+    });
+
+    it('should clear the alerts of a stopped instance', async () => {
+        const adapter = new MockAdapter();
+        const engine = new AlertEngine(adapter);
+        const monitor = new EventLoopMonitor(adapter, { sampleCount: 1, alertEngine: engine });
+        adapter.setInstance('zigbee.0', { eventLoopLag: 2000 });
+
+        await monitor.check();
+        assert.deepStrictEqual(engine.getAlerts().map(alert => alert.key), ['eventLoop.zigbee_0.lagMs']);
+
+        adapter.setInstance('zigbee.0', { alive: false });
+        await monitor.check();
+
+        assert.deepStrictEqual(engine.getAlerts(), []);
+        assert.strictEqual(monitor.history.has('zigbee.0'), false);
+    });
+});
+
+describe('EventLoopCheck', () => {
+    it('should seed percentiles from the metric history', async () => {
+        const adapter = new MockAdapter();
+        adapter.metricStore = {
+            getRecent: metric => (metric === 'eventLoop.zigbee_0.lagMs'
+                ? [400, 300, 250, 200].map((value, ts) => ({ ts, value }))
+                : []),
+        };
+        const check = new EventLoopCheck(adapter);
+        await check.init();
+        adapter.setInstance('zigbee.0', { eventLoopLag: 220 });
+
+        const result = await check.run();
+
+        assert.strictEqual(result.status, 'warning');
+        assert.strictEqual(adapter.states['eventLoop.sustained'].val, 'zigbee.0');
+        assert.deepStrictEqual(check.getMetrics(result), { 'eventLoop.zigbee_0.lagMs': 220 });
+    });
+});
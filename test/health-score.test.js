@@ -0,0 +1,172 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const HealthScore = require('../lib/health-checks/health-score');
+
+// Mock adapter
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        const fullId = id.startsWith(this.namespace) ? id : `${this.namespace}.${id}`;
+        this.states[fullId] = { val, ack };
+    }
+}
+
+describe('HealthScore', () => {
+    describe('initialization', () => {
+        it('should create all health states', async () => {
+            const adapter = new MockAdapter();
+            const healthScore = new HealthScore(adapter);
+
+            await healthScore.init();
+
+            assert.ok(adapter.objects['system-health.0.health.score']);
+            assert.ok(adapter.objects['system-health.0.health.status']);
+            assert.ok(adapter.objects['system-health.0.health.breakdown']);
+            assert.ok(adapter.objects['system-health.0.health.timestamp']);
+        });
+
+        it('should merge custom weights with defaults', () => {
+            const healthScore = new HealthScore(new MockAdapter(), { memory: 5, cpu: 'invalid', disk: -1 });
+
+            assert.strictEqual(healthScore.weights.memory, 5);
+            assert.strictEqual(healthScore.weights.cpu, HealthScore.DEFAULT_WEIGHTS.cpu);
+            assert.strictEqual(healthScore.weights.disk, HealthScore.DEFAULT_WEIGHTS.disk);
+        });
+    });
+
+    describe('calculate', () => {
+        it('should return 100 when all checks are ok', () => {
+            const healthScore = new HealthScore(new MockAdapter());
+            const result = healthScore.calculate({
+                memory: { status: 'ok' },
+                cpu: { status: 'ok' },
+                disk: { status: 'ok' },
+            });
+
+            assert.strictEqual(result.score, 100);
+            assert.strictEqual(result.status, 'ok');
+            assert.strictEqual(result.worstCheck, null);
+        });
+
+        it('should return 100 when no checks ran', () => {
+            const healthScore = new HealthScore(new MockAdapter());
+            const result = healthScore.calculate({});
+
+            assert.strictEqual(result.score, 100);
+            assert.strictEqual(result.status, 'ok');
+            assert.deepStrictEqual(result.checks, []);
+        });
+
+        it('should weight checks by their configured weight', () => {
+            const healthScore = new HealthScore(new MockAdapter(), { memory: 3, duplicates: 1 });
+            const result = healthScore.calculate({
+                memory: { status: 'ok' },
+                duplicates: { status: 'warning' },
+            });
+
+            // (100 * 3 + 50 * 1) / 4 = 87.5
+            assert.strictEqual(result.score, 88);
+            assert.strictEqual(result.status, 'ok');
+            assert.strictEqual(result.worstCheck, 'duplicates');
+        });
+
+        it('should report warning when score drops below 80', () => {
+            const healthScore = new HealthScore(new MockAdapter(), { memory: 1, disk: 1 });
+            const result = healthScore.calculate({
+                memory: { status: 'ok' },
+                disk: { status: 'warning' },
+            });
+
+            assert.strictEqual(result.score, 75);
+            assert.strictEqual(result.status, 'warning');
+        });
+
+        it('should report critical when any check is critical', () => {
+            const healthScore = new HealthScore(new MockAdapter(), { memory: 10, duplicates: 0.5 });
+            const result = healthScore.calculate({
+                memory: { status: 'ok' },
+                duplicates: { status: 'critical' },
+            });
+
+            assert.ok(result.score >= 80);
+            assert.strictEqual(result.status, 'critical');
+            assert.strictEqual(result.worstCheck, 'duplicates');
+        });
+
+        it('should treat error status like critical', () => {
+            const healthScore = new HealthScore(new MockAdapter());
+            const result = healthScore.calculate({ redis: { status: 'error' } });
+
+            assert.strictEqual(result.score, 0);
+            assert.strictEqual(result.status, 'critical');
+        });
+
+        it('should exclude skipped checks', () => {
+            const healthScore = new HealthScore(new MockAdapter());
+            const result = healthScore.calculate({
+                memory: { status: 'ok' },
+                redis: { status: 'skipped' },
+            });
+
+            assert.strictEqual(result.score, 100);
+            assert.strictEqual(result.checks.length, 1);
+            assert.strictEqual(result.checks[0].check, 'memory');
+        });
+
+        it('should exclude checks with weight 0', () => {
+            const healthScore = new HealthScore(new MockAdapter(), { disk: 0 });
+            const result = healthScore.calculate({
+                memory: { status: 'ok' },
+                disk: { status: 'critical' },
+            });
+
+            assert.strictEqual(result.score, 100);
+            assert.strictEqual(result.status, 'ok');
+        });
+
+        it('should sort breakdown by impact', () => {
+            const healthScore = new HealthScore(new MockAdapter(), { memory: 3, cpu: 2, logs: 1 });
+            const result = healthScore.calculate({
+                logs: { status: 'warning' },
+                memory: { status: 'ok' },
+                cpu: { status: 'critical' },
+            });
+
+            assert.deepStrictEqual(result.checks.map(c => c.check), ['cpu', 'logs', 'memory']);
+            assert.strictEqual(result.checks[2].impact, 0);
+        });
+    });
+
+    describe('update', () => {
+        it('should write score, status, breakdown and timestamp', async () => {
+            const adapter = new MockAdapter();
+            const healthScore = new HealthScore(adapter);
+
+            const result = await healthScore.update({ memory: { status: 'warning' } });
+
+            assert.strictEqual(adapter.states['system-health.0.health.score'].val, 50);
+            assert.strictEqual(adapter.states['system-health.0.health.status'].val, 'warning');
+            assert.strictEqual(adapter.states['system-health.0.health.score'].ack, true);
+            assert.strictEqual(JSON.parse(adapter.states['system-health.0.health.breakdown'].val).worstCheck, 'memory');
+            assert.ok(adapter.states['system-health.0.health.timestamp'].val > 0);
+            assert.strictEqual(healthScore.lastResult, result);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const HostMonitor = require('../lib/health-checks/host-monitor');
+const HostCheck = require('../lib/checks/host-check');
+const AlertEngine = require('../lib/alert-engine');
+
+const MB = 1024 * 1024;
+
+// Mock adapter with two hosts as published by js-controller
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.config = { enableHostMonitoring: true };
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+        this.foreignObjects = {
+            'system.host.pi4': { type: 'host', native: { hardware: { totalmem: 4000 * MB, cpus: [{}, {}, {}, {}] }, os: { platform: 'linux' } } },
+            'system.host.nas.local': { type: 'host', native: { hardware: { totalmem: 8000 * MB, cpus: [{}, {}] } } },
+        };
+        this.foreignStates = {
+            'system.host.pi4.alive': { val: true },
+            'system.host.pi4.freemem': { val: 500 },
+            'system.host.pi4.memAvailable': { val: 1000 },
+            'system.host.pi4.memRss': { val: 120 },
+            'system.host.pi4.load': { val: 2 },
+            'system.host.pi4.diskFree': { val: 5000 },
+            'system.host.pi4.diskSize': { val: 50000 },
+            'system.host.pi4.uptime': { val: 3600 },
+            'system.host.nas.local.alive': null,
+            'system.host.nas.local.freemem': { val: 200 },
+        };
+    }
+
+    async getForeignObjectsAsync(pattern, type) {
+        assert.deepStrictEqual([pattern, type], ['system.host.*', 'host']);
+        return this.foreignObjects;
+    }
+
+    async getForeignStateAsync(id) {
+        return this.foreignStates[id] || null;
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+}
+
+describe('HostMonitor', () => {
+    it('should discover all hosts with their hardware', async () => {
+        const monitor = new HostMonitor(new MockAdapter());
+
+        const hosts = await monitor.discoverHosts();
+
+        assert.deepStrictEqual(hosts.map(h => [h.name, h.key, h.totalMemMB, h.cores]), [
+            ['nas.local', 'nas_local', 8000, 2],
+            ['pi4', 'pi4', 4000, 4],
+        ]);
+    });
+
+    it('should compute memory, load and disk usage from the host states', async () => {
+        const monitor = new HostMonitor(new MockAdapter());
+        const [, pi4] = await monitor.discoverHosts();
+
+        const result = monitor.evaluate(pi4, await monitor.readValues(pi4.id));
+
+        assert.strictEqual(result.alive, true);
+        assert.strictEqual(result.freeMemoryMB, 1000);
+        assert.strictEqual(result.memoryUsedPercent, 75);
+        assert.strictEqual(result.loadPerCore, 0.5);
+        assert.strictEqual(result.diskUsedPercent, 90);
+        assert.strictEqual(result.controllerMemRssMB, 120);
+        assert.strictEqual(result.status, 'critical');
+        assert.deepStrictEqual(result.warnings, ['Disk usage on pi4 critical (90%)']);
+    });
+
+    it('should fall back to freemem without memAvailable', () => {
+        const monitor = new HostMonitor(new MockAdapter());
+
+        const result = monitor.evaluate(
+            { name: 'pi3', key: 'pi3', totalMemMB: 1000, cores: 4 },
+            { alive: true, freemem: 100, load: 7 },
+        );
+
+        assert.strictEqual(result.memoryUsedPercent, 90);
+        assert.strictEqual(result.loadPerCore, 1.75);
+        assert.strictEqual(result.diskUsedPercent, null);
+        assert.strictEqual(result.status, 'warning');
+    });
+
+    it('should report offline hosts as critical without evaluating stale values', async () => {
+        const adapter = new MockAdapter();
+        const engine = new AlertEngine(adapter);
+        const monitor = new HostMonitor(adapter, { alertEngine: engine });
+
+        const result = await monitor.check();
+
+        assert.strictEqual(result.total, 2);
+        assert.strictEqual(result.online, 1);
+        assert.deepStrictEqual(result.offline, ['nas.local']);
+        assert.strictEqual(result.status, 'critical');
+        assert.strictEqual(engine.getLevel('hosts.pi4.diskUsedPercent'), 'critical');
+        assert.strictEqual(engine.getLevel('hosts.nas_local.memoryUsedPercent'), 'ok');
+    });
+
+    it('should clear the alerts of a host that goes offline', async () => {
+        const adapter = new MockAdapter();
+        const engine = new AlertEngine(adapter);
+        const cleared = [];
+        engine.on('cleared', alert => cleared.push(alert.key));
+        const monitor = new HostMonitor(adapter, { alertEngine: engine });
+
+        await monitor.check();
+        assert.deepStrictEqual(engine.getAlerts().map(alert => alert.key), ['hosts.pi4.diskUsedPercent']);
+
+        adapter.foreignStates['system.host.pi4.alive'] = { val: false };
+        await monitor.check();
+
+        assert.deepStrictEqual(cleared, ['hosts.pi4.diskUsedPercent']);
+        assert.deepStrictEqual(engine.getAlerts(), []);
+    });
+
+    it('should create a state tree per host', async () => {
+        const adapter = new MockAdapter();
+        const monitor = new HostMonitor(adapter);
+
+        await monitor.check();
+
+        assert.strictEqual(adapter.objects['hosts.pi4'].type, 'channel');
+        assert.strictEqual(adapter.states['hosts.pi4.memoryUsedPercent'].val, 75);
+        assert.strictEqual(adapter.states['hosts.pi4.uptime'].val, 3600);
+        assert.strictEqual(adapter.states['hosts.nas_local.alive'].val, false);
+        assert.strictEqual(adapter.states['hosts.nas_local.freeMemoryMB'].val, 200);
+        assert.strictEqual(adapter.states['hosts.nas_local.diskFreeMB'], undefined);
+    });
+});
+
+describe('HostCheck', () => {
+    it('should write the summary and report offline hosts and metrics', async () => {
+        const adapter = new MockAdapter();
+        const check = new HostCheck(adapter);
+        await check.init();
+
+        const result = await check.run();
+
+        assert.strictEqual(adapter.states['hosts.count'].val, 2);
+        assert.strictEqual(adapter.states['hosts.offline'].val, 'nas.local');
+        assert.deepStrictEqual(check.getNotifications(result), [
+            { category: 'hostOffline', key: 'nas.local', active: true, message: 'Host nas.local is offline' },
+            { category: 'hostOffline', key: 'pi4', active: false, message: 'Host pi4 is offline' },
+        ]);
+        assert.deepStrictEqual(check.getMetrics(result), {
+            'hosts.pi4.memoryUsedPercent': 75,
+            'hosts.pi4.loadPerCore': 0.5,
+            'hosts.pi4.diskUsedPercent': 90,
+        });
+    });
+
+    it('should be disabled unless enabled in the config', () => {
+        const adapter = new MockAdapter();
+        adapter.config = {};
+
+        assert.strictEqual(new HostCheck(adapter).enabled, false);
+    });
+});
@@ -0,0 +1,184 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const InstanceMonitor = require('../lib/health-checks/instance-monitor');
+const InstanceCheck = require('../lib/checks/instance-check');
+const MemoryMonitor = require('../lib/health-checks/memory-monitor');
+const AlertEngine = require('../lib/alert-engine');
+const MaintenanceManager = require('../lib/maintenance');
+
+// Mock adapter with instances as published by js-controller
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.config = { enableInstanceMonitoring: true };
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+        this.foreignObjects = {
+            'system.adapter.zigbee.0': { type: 'instance', common: { host: 'pi4' } },
+            'system.adapter.javascript.0': { type: 'instance', common: { host: 'pi4' } },
+            'system.adapter.backitup.0': { type: 'instance', common: { host: 'pi4' } },
+        };
+        this.foreignStates = {};
+        this.setInstance('zigbee.0', { alive: true, memRss: 80, memHeapUsed: 40, memHeapTotal: 60, cpu: 2 });
+        this.setInstance('javascript.0', { alive: true, memRss: 150, memHeapUsed: 90, memHeapTotal: 120, cpu: 95 });
+        this.setInstance('backitup.0', { alive: false, memRss: 300 });
+    }
+
+    setInstance(instance, values) {
+        for (const [name, val] of Object.entries(values)) {
+            this.foreignStates[`system.adapter.${instance}.${name}`] = { val };
+        }
+    }
+
+    async getForeignObjectsAsync(pattern, type) {
+        assert.deepStrictEqual([pattern, type], ['system.adapter.*', 'instance']);
+        return this.foreignObjects;
+    }
+
+    async getForeignStateAsync(id) {
+        return this.foreignStates[id] || null;
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+}
+
+describe('InstanceMonitor', () => {
+    it('should measure running instances only', async () => {
+        const adapter = new MockAdapter();
+        const monitor = new InstanceMonitor(adapter);
+
+        const result = await monitor.check();
+
+        assert.deepStrictEqual(result.instances.map(i => i.instance), ['javascript.0', 'zigbee.0']);
+        assert.strictEqual(result.totalMemRssMB, 230);
+        assert.strictEqual(adapter.states['instances.zigbee_0.heapUsedMB'].val, 40);
+        assert.strictEqual(adapter.objects['instances.zigbee_0'].type, 'channel');
+        assert.strictEqual(adapter.objects['instances.backitup_0'], undefined);
+    });
+
+    it('should rank the heaviest instances', async () => {
+        const monitor = new InstanceMonitor(new MockAdapter(), { rankingSize: 1 });
+
+        const result = await monitor.check();
+
+        assert.deepStrictEqual(result.ranking.memory, [{ instance: 'javascript.0', memRssMB: 150, heapUsedMB: 90, cpu: 95 }]);
+        assert.deepStrictEqual(result.ranking.cpu.map(i => i.instance), ['javascript.0']);
+    });
+
+    it('should warn about instances above the thresholds', async () => {
+        const monitor = new InstanceMonitor(new MockAdapter(), { memoryWarningMB: 100 });
+
+        const result = await monitor.check();
+        const javascript = result.instances.find(i => i.instance === 'javascript.0');
+
+        assert.strictEqual(result.status, 'warning');
+        assert.deepStrictEqual(javascript.warnings, ['Memory of javascript.0 warning (150 MB)', 'CPU usage of javascript.0 warning (95%)']);
+    });
+
+    it('should not raise alerts of instances in maintenance', async () => {
+        const adapter = new MockAdapter();
+        const maintenance = new MaintenanceManager(adapter);
+        maintenance.adhoc.push({ start: Date.now() - 1000, end: Date.now() + 60 * 60 * 1000, instances: ['javascript.0'], reason: 'test' });
+        const alertEngine = new AlertEngine(adapter, { maintenance });
+        const raised = mock.fn();
+        alertEngine.on('raised', raised);
+        const monitor = new InstanceMonitor(adapter, { memoryWarningMB: 100, alertEngine });
+
+        await monitor.check();
+
+        assert.strictEqual(raised.mock.calls.length, 0);
+        assert.strictEqual(alertEngine.getAlerts().every(alert => alert.duringMaintenance), true);
+        assert.strictEqual(alertEngine.getAlerts().length, 2);
+    });
+
+    it('should detect a leak per instance with the memory monitor logic', async () => {
+        const adapter = new MockAdapter();
+        const monitor = new InstanceMonitor(adapter, { leakDetectionWindow: 5, leakGrowthThresholdMB: 5 });
+
+        let result;
+        for (let i = 0; i < 5; i++) {
+            adapter.setInstance('zigbee.0', { memRss: 80 + i * 10 });
+            result = await monitor.check();
+        }
+
+        assert.deepStrictEqual(result.leaks, ['zigbee.0']);
+        const zigbee = result.instances.find(i => i.instance === 'zigbee.0');
+        assert.deepStrictEqual(zigbee.leak, MemoryMonitor.analyzeLeak(monitor.history.get('zigbee.0'), 5, 5));
+        assert.strictEqual(zigbee.leak.avgGrowthMB, 10);
+        assert.strictEqual(adapter.states['instances.zigbee_0.leakDetected'].val, true);
+        assert.strictEqual(adapter.states['instances.javascript_0.leakDetected'].val, false);
+    });
+
+    it('should forget the history of a stopped instance', async () => {
+        const adapter = new MockAdapter();
+        const monitor = new InstanceMonitor(adapter);
+
+        await monitor.check();
+        adapter.setInstance('zigbee.0', { alive: false });
+        await monitor.check();
+
+        assert.strictEqual(monitor.history.has('zigbee.0'), false);
+        assert.strictEqual(monitor.history.get('javascript.0').length, 2);
+    });
+
+    it('should clear the alerts of stopped and removed instances', async () => {
+        const adapter = new MockAdapter();
+        const alertEngine = new AlertEngine(adapter);
+        const cleared = [];
+        alertEngine.on('cleared', alert => cleared.push(alert.key));
+        const monitor = new InstanceMonitor(adapter, { memoryWarningMB: 50, alertEngine });
+
+        await monitor.check();
+        assert.strictEqual(alertEngine.getAlerts().length, 3);
+
+        adapter.setInstance('javascript.0', { alive: false });
+        delete adapter.foreignObjects['system.adapter.zigbee.0'];
+        await monitor.check();
+
+        assert.deepStrictEqual(cleared, ['instances.javascript_0.memRssMB', 'instances.javascript_0.cpu', 'instances.zigbee_0.memRssMB']);
+        assert.deepStrictEqual(alertEngine.getAlerts(), []);
+        assert.strictEqual(monitor.history.has('zigbee.0'), false);
+    });
+});
+
+describe('InstanceCheck', () => {
+    it('should continue leak detection from the metric history', async () => {
+        const adapter = new MockAdapter();
+        adapter.metricStore = {
+            getRecent: (metric, count) => (metric === 'instances.zigbee_0.memRssMB'
+                ? [0, 8, 16, 24, 32, 40, 48, 56, 64].slice(-count).map((value, i) => ({ ts: i, value }))
+                : []),
+        };
+        const check = new InstanceCheck(adapter);
+        await check.init();
+
+        const result = await check.run();
+
+        assert.strictEqual(adapter.states['instances.leaks'].val, 'zigbee.0');
+        assert.deepStrictEqual(check.getNotifications(result).map(n => [n.category, n.key, n.active]), [
+            ['memoryLeak', 'javascript.0', false],
+            ['memoryLeak', 'zigbee.0', true],
+        ]);
+        assert.deepStrictEqual(check.getMetrics(result), {
+            'instances.totalMemRssMB': 230,
+            'instances.javascript_0.memRssMB': 150,
+            'instances.javascript_0.cpu': 95,
+            'instances.zigbee_0.memRssMB': 80,
+            'instances.zigbee_0.cpu': 2,
+        });
+    });
+});
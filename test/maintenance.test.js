@@ -0,0 +1,287 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const MaintenanceManager = require('../lib/maintenance');
+const Notifier = require('../lib/notifier');
+const AlertEngine = require('../lib/alert-engine');
+const CrashDetection = require('../lib/health-checks/crash-detection');
+const { BUILTIN_CHECKS } = require('../lib/checks');
+
+// Mock adapter
+class MockAdapter {
+    constructor(config = {}) {
+        this.namespace = 'system-health.0';
+        this.config = config;
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+        this.registerNotification = mock.fn(async () => {});
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+
+    async getStateAsync(id) {
+        return this.states[id] || null;
+    }
+}
+
+/** Maintenance stub that covers all checks or the given instances. */
+function activeMaintenance(instances = []) {
+    const manager = new MaintenanceManager(new MockAdapter());
+    const now = Date.now();
+    manager.adhoc.push({ start: now - 1000, end: now + 60 * 60 * 1000, instances, reason: 'test' });
+    return manager;
+}
+
+describe('MaintenanceManager', () => {
+    describe('parseWindows', () => {
+        it('should parse cron, duration and instances', () => {
+            const [window] = MaintenanceManager.parseWindows([
+                { cron: '0 3 * * 0', duration: '90', instances: 'zigbee.0, system.adapter.hm-rpc.0' },
+            ], new MockAdapter().log);
+
+            assert.strictEqual(window.durationMinutes, 90);
+            assert.deepStrictEqual(window.instances, ['zigbee.0', 'hm-rpc.0']);
+            assert.deepStrictEqual([...window.fields.hour], [3]);
+        });
+
+        it('should skip invalid windows with a warning', () => {
+            const adapter = new MockAdapter();
+            const windows = MaintenanceManager.parseWindows([
+                { cron: 'every sunday', duration: 60 },
+                { cron: '0 3 * * 0', duration: 0 },
+                { cron: '', duration: 60 },
+            ], adapter.log);
+
+            assert.deepStrictEqual(windows, []);
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 2);
+        });
+    });
+
+    describe('recurring windows', () => {
+        it('should be active for the configured duration after the cron time', () => {
+            const manager = new MaintenanceManager(new MockAdapter(), {
+                windows: [{ cron: '0 3 * * *', duration: 60 }],
+            });
+
+            assert.strictEqual(manager.isActive(null, new Date(2024, 0, 10, 2, 59).getTime()), false);
+            assert.strictEqual(manager.isActive(null, new Date(2024, 0, 10, 3, 0).getTime()), true);
+            assert.strictEqual(manager.isActive(null, new Date(2024, 0, 10, 3, 59).getTime()), true);
+            assert.strictEqual(manager.isActive(null, new Date(2024, 0, 10, 4, 0).getTime()), false);
+
+            const [window] = manager.getActiveWindows(new Date(2024, 0, 10, 3, 30).getTime());
+            assert.strictEqual(window.type, 'recurring');
+            assert.strictEqual(window.start, new Date(2024, 0, 10, 3, 0).getTime());
+            assert.strictEqual(window.end, new Date(2024, 0, 10, 4, 0).getTime());
+        });
+
+        it('should only cover the listed instances and their states', () => {
+            const manager = new MaintenanceManager(new MockAdapter(), {
+                windows: [{ cron: '0 3 * * *', duration: 60, instances: 'zigbee.0' }],
+            });
+            const time = new Date(2024, 0, 10, 3, 15).getTime();
+
+            assert.strictEqual(manager.isActive(null, time), false);
+            assert.strictEqual(manager.isActive('zigbee.0', time), true);
+            assert.strictEqual(manager.isActive('system.adapter.zigbee.0', time), true);
+            assert.strictEqual(manager.isActive('zigbee.0.lamp.state', time), true);
+            assert.strictEqual(manager.isActive('zigbee.1', time), false);
+            assert.strictEqual(manager.isActive('zigbee.01.lamp', time), false);
+        });
+    });
+
+    describe('ad-hoc windows', () => {
+        it('should start, persist and stop ad-hoc windows', async () => {
+            const adapter = new MockAdapter();
+            const manager = new MaintenanceManager(adapter);
+            await manager.createStates();
+
+            const window = await manager.start(30, 'hm-rpc.0', 'Firmware update');
+
+            assert.deepStrictEqual(window.instances, ['hm-rpc.0']);
+            assert.strictEqual(window.end - window.start, 30 * 60 * 1000);
+            assert.strictEqual(manager.isActive('hm-rpc.0'), true);
+            assert.strictEqual(adapter.states['maintenance.active'].val, false);
+            assert.strictEqual(JSON.parse(adapter.states['maintenance.adhoc'].val).length, 1);
+
+            assert.strictEqual(await manager.stop(), 1);
+            assert.strictEqual(manager.isActive('hm-rpc.0'), false);
+            assert.strictEqual(adapter.states['maintenance.adhoc'].val, '[]');
+        });
+
+        it('should reject invalid durations', async () => {
+            const manager = new MaintenanceManager(new MockAdapter());
+
+            await assert.rejects(() => manager.start(0), /Invalid maintenance duration/);
+            await assert.rejects(() => manager.start('abc'), /Invalid maintenance duration/);
+            await assert.rejects(() => manager.start(MaintenanceManager.MAX_ADHOC_MINUTES + 1), /Invalid maintenance duration/);
+        });
+
+        it('should restore unexpired windows on init', async () => {
+            const adapter = new MockAdapter();
+            const now = Date.now();
+            adapter.states['maintenance.adhoc'] = {
+                val: JSON.stringify([
+                    { start: now - 1000, end: now + 60000, instances: [], reason: 'Reboot' },
+                    { start: now - 120000, end: now - 60000, instances: [], reason: 'Expired' },
+                ]),
+            };
+            const manager = new MaintenanceManager(adapter);
+
+            await manager.init();
+            manager.cleanup();
+
+            assert.strictEqual(manager.adhoc.length, 1);
+            assert.strictEqual(manager.adhoc[0].reason, 'Reboot');
+            assert.strictEqual(adapter.states['maintenance.active'].val, true);
+        });
+    });
+
+    describe('alert suppression', () => {
+        it('should suppress notifications and raise them after maintenance', async () => {
+            const adapter = new MockAdapter();
+            const maintenance = activeMaintenance(['zigbee.0']);
+            const notifier = new Notifier(adapter, { maintenance });
+
+            assert.strictEqual(await notifier.update('crashLoop', 'zigbee.0', true, 'zigbee.0 crashed'), false);
+            assert.strictEqual(await notifier.update('crashLoop', 'shelly.0', true, 'shelly.0 crashed'), true);
+
+            await maintenance.stop();
+            assert.strictEqual(await notifier.update('crashLoop', 'zigbee.0', true, 'zigbee.0 crashed'), true);
+        });
+
+        it('should record alerts during maintenance without emitting them', () => {
+            const adapter = new MockAdapter();
+            const engine = new AlertEngine(adapter, { maintenance: activeMaintenance() });
+            const raised = mock.fn();
+            engine.on('raised', raised);
+
+            engine.evaluate('cpu.usage', 95, { warning: 70, critical: 90 });
+
+            const [alert] = engine.getAlerts();
+            assert.strictEqual(alert.duringMaintenance, true);
+            assert.strictEqual(raised.mock.calls.length, 0);
+            assert.strictEqual(adapter.log.error.mock.calls.length, 0);
+        });
+
+        it('should only suppress alerts of the instances in maintenance', () => {
+            const engine = new AlertEngine(new MockAdapter(), { maintenance: activeMaintenance(['zigbee.0']) });
+            const raised = mock.fn();
+            engine.on('raised', raised);
+
+            engine.evaluate('instances.zigbee_0.memoryMB', 600, { warning: 500, target: 'system.adapter.zigbee.0' });
+            engine.evaluate('instances.shelly_0.memoryMB', 600, { warning: 500, target: 'system.adapter.shelly.0' });
+            engine.evaluate('cpu.usage', 95, { warning: 70 });
+
+            assert.deepStrictEqual(raised.mock.calls.map(call => call.arguments[0].key), ['instances.shelly_0.memoryMB', 'cpu.usage']);
+            assert.strictEqual(engine.conditions.get('instances.zigbee_0.memoryMB').alert.duringMaintenance, true);
+        });
+
+        it('should raise alerts that are still active after maintenance', async () => {
+            const adapter = new MockAdapter();
+            const maintenance = activeMaintenance();
+            const engine = new AlertEngine(adapter, { maintenance });
+            const events = [];
+            for (const event of ['raised', 'cleared']) {
+                engine.on(event, alert => events.push(`${event}:${alert.key}`));
+            }
+            const rule = { warning: 70, critical: 90 };
+
+            engine.evaluate('cpu.usage', 95, rule);
+            engine.evaluate('cpu.usage', 95, rule);
+            assert.deepStrictEqual(events, []);
+
+            await maintenance.stop();
+            engine.evaluate('cpu.usage', 95, rule);
+            engine.evaluate('cpu.usage', 95, rule);
+
+            const [alert] = engine.getAlerts();
+            assert.strictEqual(alert.duringMaintenance, false);
+            assert.deepStrictEqual(events, ['raised:cpu.usage']);
+            assert.strictEqual(adapter.log.error.mock.calls.length, 1);
+
+            engine.evaluate('cpu.usage', 10, rule);
+            assert.deepStrictEqual(events, ['raised:cpu.usage', 'cleared:cpu.usage']);
+        });
+
+        it('should not raise alerts cleared during maintenance', async () => {
+            const maintenance = activeMaintenance();
+            const engine = new AlertEngine(new MockAdapter(), { maintenance });
+            const events = [];
+            for (const event of ['raised', 'cleared']) {
+                engine.on(event, alert => events.push(`${event}:${alert.key}`));
+            }
+
+            engine.evaluate('cpu.usage', 95, { warning: 70 });
+            engine.evaluate('cpu.usage', 10, { warning: 70 });
+            await maintenance.stop();
+            engine.evaluate('cpu.usage', 10, { warning: 70 });
+
+            assert.deepStrictEqual(events, []);
+        });
+
+        it('should not clear alerts acknowledged during maintenance that were never raised', async () => {
+            const maintenance = activeMaintenance();
+            const engine = new AlertEngine(new MockAdapter(), { maintenance });
+            const events = [];
+            for (const event of ['raised', 'acknowledged', 'cleared']) {
+                engine.on(event, alert => events.push(`${event}:${alert.key}`));
+            }
+            const rule = { warning: 70 };
+
+            engine.evaluate('cpu.usage', 95, rule);
+            engine.acknowledge('cpu.usage');
+            await maintenance.stop();
+            engine.evaluate('cpu.usage', 95, rule);
+            engine.evaluate('cpu.usage', 10, rule);
+
+            assert.deepStrictEqual(events, ['acknowledged:cpu.usage']);
+            assert.strictEqual(engine.conditions.get('cpu.usage').alert.state, 'cleared');
+        });
+
+        it('should not count crashes during maintenance', async () => {
+            const adapter = new MockAdapter();
+            const crashDetection = new CrashDetection(adapter, 30, null, activeMaintenance(['test.0']));
+            crashDetection.saveCrashHistory = async () => {};
+            crashDetection.updateCrashReport = async () => {};
+
+            await crashDetection.recordCrash('test.0', 'test', '0', ['Error: terminated']);
+
+            assert.strictEqual(crashDetection.crashHistory['test.0'][0].duringMaintenance, true);
+            assert.strictEqual(crashDetection.getCrashCounts('test.0').count24h, 0);
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 0);
+        });
+
+        it('should not raise the stale check status for instances in maintenance', async () => {
+            const adapter = new MockAdapter({});
+            adapter.maintenance = activeMaintenance(['zigbee.0']);
+            const check = new (BUILTIN_CHECKS.find(C => new C(adapter).name === 'staleStates'))(adapter);
+            check.inspector = {
+                inspect: async () => ({
+                    totalStale: 2,
+                    staleStates: [{ id: 'zigbee.0.lamp.state' }, { id: 'zigbee.0.plug.state' }],
+                }),
+            };
+
+            const result = await check.run();
+
+            assert.strictEqual(result.status, 'ok');
+            assert.strictEqual(result.count, 2);
+            assert.strictEqual(result.maintenanceCount, 2);
+            assert.strictEqual(result.report.staleStates[0].duringMaintenance, true);
+            assert.strictEqual(check.getNotifications(result)[0].active, false);
+        });
+    });
+});
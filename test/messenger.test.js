@@ -0,0 +1,136 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const MessengerDelivery = require('../lib/messenger');
+const AlertEngine = require('../lib/alert-engine');
+const Notifier = require('../lib/notifier');
+const { createEvent } = require('../lib/alert-events');
+
+// Mock adapter
+class MockAdapter {
+    constructor(running = ['telegram.0', 'pushover.0', 'email.0']) {
+        this.namespace = 'system-health.0';
+        this.host = 'pi4';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.running = running;
+        this.sendTo = mock.fn();
+    }
+
+    async getForeignStateAsync(id) {
+        const instance = id.replace(/^system\.adapter\./, '').replace(/\.alive$/, '');
+        return { val: this.running.includes(instance) };
+    }
+}
+
+/** Alert event as created by the alert engine or notifier. */
+function alertEvent(adapter, severity, event = 'raised') {
+    return createEvent(adapter, { event, check: 'cpu', severity, message: `CPU usage ${severity} (95%)`, values: {} });
+}
+
+describe('MessengerDelivery', () => {
+    describe('parseChannels', () => {
+        it('should apply defaults and skip invalid instances', () => {
+            const adapter = new MockAdapter();
+            const channels = MessengerDelivery.parseChannels([
+                { instance: 'system.adapter.telegram.0' },
+                { instance: 'email.0', severity: 'critical', sendCleared: false, maxPerHour: 0 },
+                { instance: 'telegram' },
+                { instance: '' },
+            ], adapter.log);
+
+            assert.deepStrictEqual(channels.map(c => [c.instance, c.severity, c.sendCleared, c.maxPerHour]), [
+                ['telegram.0', 'warning', true, 10],
+                ['email.0', 'critical', false, 0],
+            ]);
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 1);
+        });
+    });
+
+    describe('routing', () => {
+        it('should route by severity and cleared setting', async () => {
+            const adapter = new MockAdapter();
+            const delivery = new MessengerDelivery(adapter, {
+                channels: [
+                    { instance: 'telegram.0', severity: 'critical', sendCleared: false },
+                    { instance: 'email.0', severity: 'warning' },
+                ],
+            });
+
+            assert.deepStrictEqual(await delivery.deliver(alertEvent(adapter, 'warning')), ['email.0']);
+            assert.deepStrictEqual(await delivery.deliver(alertEvent(adapter, 'critical')), ['telegram.0', 'email.0']);
+            assert.deepStrictEqual(await delivery.deliver(alertEvent(adapter, 'critical', 'cleared')), ['email.0']);
+        });
+
+        it('should format messages per messenger adapter', async () => {
+            const adapter = new MockAdapter();
+            const delivery = new MessengerDelivery(adapter, {
+                channels: [{ instance: 'telegram.0' }, { instance: 'pushover.0' }, { instance: 'email.0' }],
+            });
+
+            await delivery.deliver(alertEvent(adapter, 'critical'));
+
+            const calls = adapter.sendTo.mock.calls.map(call => call.arguments);
+            assert.deepStrictEqual(calls[0], ['telegram.0', 'send', { text: 'CPU usage critical (95%) (pi4)' }]);
+            assert.deepStrictEqual(calls[1][2], { message: 'CPU usage critical (95%) (pi4)', title: 'system-health: cpu critical', priority: 1 });
+            assert.deepStrictEqual(calls[2][2], { subject: 'system-health: cpu critical', text: 'CPU usage critical (95%) (pi4)' });
+        });
+
+        it('should skip instances that are not running', async () => {
+            const adapter = new MockAdapter(['email.0']);
+            const delivery = new MessengerDelivery(adapter, { channels: [{ instance: 'telegram.0' }, { instance: 'email.0' }] });
+
+            assert.deepStrictEqual(await delivery.deliver(alertEvent(adapter, 'warning')), ['email.0']);
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 1);
+        });
+    });
+
+    describe('rate limit', () => {
+        it('should drop messages above the hourly limit and report them later', async () => {
+            const adapter = new MockAdapter();
+            const delivery = new MessengerDelivery(adapter, { channels: [{ instance: 'telegram.0', maxPerHour: 2 }] });
+            const start = Date.now();
+
+            await delivery.deliver(alertEvent(adapter, 'warning'), start);
+            await delivery.deliver(alertEvent(adapter, 'warning'), start + 1000);
+            assert.deepStrictEqual(await delivery.deliver(alertEvent(adapter, 'critical'), start + 2000), []);
+            assert.deepStrictEqual(await delivery.deliver(alertEvent(adapter, 'critical'), start + 60 * 60 * 1000 + 1), ['telegram.0']);
+
+            assert.strictEqual(adapter.sendTo.mock.calls.length, 3);
+            assert.match(adapter.sendTo.mock.calls[2].arguments[2].text, /1 further message\(s\) were dropped/);
+            assert.strictEqual(delivery.channels[0].suppressed, 0);
+        });
+    });
+
+    describe('test', () => {
+        it('should send test messages to the given channels', async () => {
+            const adapter = new MockAdapter(['telegram.0']);
+            const delivery = new MessengerDelivery(adapter, { channels: [] });
+
+            const result = await delivery.test([{ instance: 'telegram.0', severity: 'critical' }, { instance: 'email.0' }]);
+
+            assert.deepStrictEqual(result, { sent: ['telegram.0'], failed: ['email.0'] });
+            assert.match(adapter.sendTo.mock.calls[0].arguments[2].text, /^Test message from system-health/);
+        });
+    });
+
+    describe('events', () => {
+        it('should forward alert engine and notifier events', async () => {
+            const adapter = new MockAdapter();
+            const delivery = new MessengerDelivery(adapter, { channels: [{ instance: 'telegram.0' }] });
+            const engine = new AlertEngine(adapter);
+            const notifier = new Notifier(adapter, { enabled: false });
+            delivery.attach({ alertEngine: engine, notifier });
+
+            engine.evaluate('memory.usedPercent', 95, { warning: 80, critical: 90, label: 'Memory usage', unit: '%' });
+            await notifier.update('staleStates', 'staleStates', true, '3 stale state(s) found');
+            await new Promise(resolve => setImmediate(resolve));
+
+            const texts = adapter.sendTo.mock.calls.map(call => call.arguments[2].text);
+            assert.deepStrictEqual(texts, ['Memory usage critical (95%) (pi4)', '3 stale state(s) found (pi4)']);
+        });
+    });
+});
@@ -0,0 +1,251 @@
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const MetricStore = require('../lib/metric-store');
+const { BUILTIN_CHECKS } = require('../lib/checks');
+
+// Mock adapter
+class MockAdapter {
+    constructor(config = {}) {
+        this.namespace = 'system-health.0';
+        this.config = config;
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+    }
+}
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('MetricStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'system-health-metrics-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('record', () => {
+        it('should keep raw samples and aggregate them per hour and day', () => {
+            const store = new MetricStore(new MockAdapter(), { directory: dir });
+            const start = new Date(2024, 0, 10, 10, 0).getTime();
+
+            store.record('cpu.usage', 10, start);
+            store.record('cpu.usage', 30, start + 30 * 60 * 1000);
+            store.record('cpu.usage', 50, start + HOUR);
+
+            const series = store.series.get('cpu.usage');
+            assert.strictEqual(series.raw.length, 3);
+            assert.deepStrictEqual(series.hourly, [[start, 10, 30, 40, 2]]);
+            assert.deepStrictEqual(series.openHour, [start + HOUR, 50, 50, 50, 1]);
+            assert.deepStrictEqual(series.openDay, [new Date(2024, 0, 10).getTime(), 10, 50, 90, 3]);
+        });
+
+        it('should drop raw samples after the retention period', () => {
+            const store = new MetricStore(new MockAdapter(), { directory: dir, rawRetentionHours: 2 });
+            const start = new Date(2024, 0, 10, 10, 0).getTime();
+
+            store.record('cpu.usage', 10, start);
+            store.record('cpu.usage', 20, start + HOUR);
+            store.record('cpu.usage', 30, start + 3 * HOUR);
+
+            assert.deepStrictEqual(store.series.get('cpu.usage').raw.map(s => s[1]), [20, 30]);
+            assert.strictEqual(store.series.get('cpu.usage').hourly.length, 2);
+        });
+
+        it('should drop aggregates after the retention period', () => {
+            const store = new MetricStore(new MockAdapter(), { directory: dir, aggregateRetentionDays: 2 });
+            const start = new Date(2024, 0, 10, 10, 0).getTime();
+
+            for (let day = 0; day < 5; day++) {
+                store.record('cpu.usage', day, start + day * DAY);
+            }
+
+            const series = store.series.get('cpu.usage');
+            assert.deepStrictEqual(series.hourly.map(bucket => bucket[0]), [start + 2 * DAY, start + 3 * DAY]);
+            assert.deepStrictEqual(series.daily.map(bucket => bucket[3]), [3]);
+        });
+
+        it('should ignore non-numeric values', () => {
+            const store = new MetricStore(new MockAdapter(), { directory: dir });
+
+            store.recordAll({ 'redis.keys': null, 'cpu.usage': NaN, 'memory.usedMB': 512 });
+
+            assert.deepStrictEqual(store.getMetrics(), ['memory.usedMB']);
+        });
+    });
+
+    describe('query', () => {
+        it('should return raw samples for recent ranges', () => {
+            const store = new MetricStore(new MockAdapter(), { directory: dir });
+            const now = Date.now();
+            store.record('memory.usedPercent', 40, now - 2 * HOUR);
+            store.record('memory.usedPercent', 45, now - HOUR);
+
+            const result = store.query('memory.usedPercent', { range: '90m' });
+
+            assert.strictEqual(result.resolution, 'raw');
+            assert.deepStrictEqual(result.points, [{ ts: now - HOUR, value: 45 }]);
+        });
+
+        it('should answer longer ranges with aggregates', () => {
+            const store = new MetricStore(new MockAdapter(), { directory: dir });
+            const now = Date.now();
+            store.record('disk./.usedPercent', 60, now - 3 * DAY);
+            store.record('disk./.usedPercent', 70, now - 3 * DAY + 60 * 1000);
+
+            const hourly = store.query('disk./.usedPercent', { range: '7d' });
+            assert.strictEqual(hourly.resolution, '1h');
+            assert.strictEqual(hourly.points.length, 1);
+            assert.deepStrictEqual(
+                { min: hourly.points[0].min, avg: hourly.points[0].avg, max: hourly.points[0].max, count: hourly.points[0].count },
+                { min: 60, avg: 65, max: 70, count: 2 }
+            );
+
+            assert.strictEqual(store.query('disk./.usedPercent', { range: '90d' }).resolution, '1d');
+            assert.strictEqual(store.query('disk./.usedPercent', { range: '7d', resolution: '1d' }).points.length, 1);
+        });
+
+        it('should reject unknown metrics and invalid options', () => {
+            const store = new MetricStore(new MockAdapter(), { directory: dir });
+            store.record('cpu.usage', 10);
+
+            assert.throws(() => store.query('nope'), /Unknown metric: nope/);
+            assert.throws(() => store.query('cpu.usage', { resolution: '5m' }), /Invalid resolution/);
+            assert.throws(() => store.query('cpu.usage', { range: 'last week' }), /Invalid duration/);
+            assert.throws(() => store.query('cpu.usage', { from: 2000, to: 1000 }), /Invalid time range/);
+        });
+
+        it('should summarize a period from the hourly aggregates', () => {
+            const store = new MetricStore(new MockAdapter(), { directory: dir });
+            const now = Math.floor(Date.now() / HOUR) * HOUR;
+            store.record('cpu.usage', 10, now - 5 * HOUR);
+            store.record('cpu.usage', 30, now - 5 * HOUR + 60 * 1000);
+            store.record('cpu.usage', 80, now - HOUR);
+
+            assert.deepStrictEqual(store.summarize('cpu.usage', now - 6 * HOUR, now), {
+                min: 10, avg: 40, max: 80, count: 3, first: 20, last: 80,
+            });
+            assert.strictEqual(store.summarize('cpu.usage', now - 30 * HOUR, now - 20 * HOUR), null);
+            assert.strictEqual(store.summarize('nope', 0, now), null);
+        });
+
+        it('should parse durations', () => {
+            assert.strictEqual(MetricStore.parseDuration('30m'), 30 * 60 * 1000);
+            assert.strictEqual(MetricStore.parseDuration('24h'), DAY);
+            assert.strictEqual(MetricStore.parseDuration('2w'), 14 * DAY);
+            assert.strictEqual(MetricStore.parseDuration(15), 15 * 60 * 1000);
+        });
+    });
+
+    describe('persistence', () => {
+        it('should restore all tiers after a restart', async () => {
+            const start = Date.now() - 2 * HOUR;
+            const store = new MetricStore(new MockAdapter(), { directory: dir });
+            store.record('disk./var.freeMB', 1000, start);
+            store.record('disk./var.freeMB', 900, start + HOUR);
+            await store.flush();
+
+            const files = fs.readdirSync(dir).sort();
+            assert.ok(files.includes('disk.%2Fvar.freeMB.json'));
+            assert.ok(files.includes('disk.%2Fvar.freeMB.1h.json'));
+
+            const restored = new MetricStore(new MockAdapter(), { directory: dir });
+            await restored.init();
+            await restored.cleanup();
+
+            assert.deepStrictEqual(restored.getMetrics(), ['disk./var.freeMB']);
+            assert.deepStrictEqual(restored.series.get('disk./var.freeMB').raw, store.series.get('disk./var.freeMB').raw);
+            assert.deepStrictEqual(restored.series.get('disk./var.freeMB').hourly, store.series.get('disk./var.freeMB').hourly);
+            assert.deepStrictEqual(restored.getRecent('disk./var.freeMB', 1), [{ ts: start + HOUR, value: 900 }]);
+        });
+
+        it('should only rewrite changed tiers', async () => {
+            const store = new MetricStore(new MockAdapter(), { directory: dir });
+            const start = new Date(2024, 0, 10, 10, 0).getTime();
+            store.record('cpu.usage', 10, start);
+            store.record('cpu.usage', 20, start + HOUR);
+            await store.flush();
+
+            store.record('cpu.usage', 30, start + HOUR + 60 * 1000);
+            assert.deepStrictEqual([...store.series.get('cpu.usage').dirty], ['']);
+        });
+
+        it('should keep unwritten tiers dirty if a write fails', async () => {
+            const store = new MetricStore(new MockAdapter(), { directory: dir });
+            const start = new Date(2024, 0, 10, 10, 0).getTime();
+            store.record('cpu.usage', 10, start);
+            store.record('cpu.usage', 20, start + DAY);
+            const series = store.series.get('cpu.usage');
+            assert.deepStrictEqual([...series.dirty].sort(), ['', '.1d', '.1h']);
+
+            const written = [];
+            const writeAtomic = mock.method(MetricStore, '_writeAtomic', async file => {
+                if (file.endsWith('.1h.json')) {
+                    throw new Error('disk full');
+                }
+                written.push(path.basename(file));
+            });
+            try {
+                await assert.rejects(store.flush(), /disk full/);
+            } finally {
+                writeAtomic.mock.restore();
+            }
+
+            assert.deepStrictEqual(written, ['cpu.usage.json']);
+            assert.deepStrictEqual([...series.dirty].sort(), ['.1d', '.1h']);
+        });
+
+        it('should skip unreadable files', async () => {
+            fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+            const adapter = new MockAdapter();
+            const store = new MetricStore(adapter, { directory: dir });
+
+            await store.init();
+            await store.cleanup();
+
+            assert.deepStrictEqual(store.getMetrics(), []);
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 1);
+        });
+    });
+
+    describe('check metrics', () => {
+        it('should map check results to metrics', () => {
+            const adapter = new MockAdapter({});
+            const checks = Object.fromEntries(BUILTIN_CHECKS.map(C => new C(adapter)).map(c => [c.name, c]));
+
+            assert.deepStrictEqual(checks.cpu.getMetrics({ status: 'ok', usage: 12 }), { 'cpu.usage': 12 });
+            assert.deepStrictEqual(checks.cpu.getMetrics({ status: 'skipped' }), {});
+            assert.deepStrictEqual(
+                checks.disk.getMetrics({ partitions: [{ mountPoint: '/', usedPercent: 50, freeMB: 1000 }] }),
+                { 'disk./.usedPercent': 50, 'disk./.freeMB': 1000 }
+            );
+            assert.deepStrictEqual(checks.redis.getMetrics({ status: 'skipped' }), {});
+            assert.deepStrictEqual(checks.duplicates.getMetrics({ status: 'warning', count: 4 }), { 'duplicates.count': 4 });
+        });
+
+        it('should seed the memory leak window from the history', async () => {
+            const adapter = new MockAdapter({});
+            adapter.metricStore = new MetricStore(adapter, { directory: dir });
+            const now = Date.now();
+            for (let i = 0; i < 12; i++) {
+                adapter.metricStore.record('memory.usedMB', 1000 + i * 100, now - (12 - i) * 60 * 1000);
+            }
+            const check = new (BUILTIN_CHECKS.find(C => new C(adapter).name === 'memory'))(adapter);
+
+            await check.init();
+
+            assert.strictEqual(check.monitor.history.length, 10);
+            assert.strictEqual(check.monitor.history[9].usedMB, 2100);
+        });
+    });
+});
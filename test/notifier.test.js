@@ -0,0 +1,110 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const Notifier = require('../lib/notifier');
+
+// Mock adapter
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.registerNotification = mock.fn(async () => {});
+    }
+}
+
+describe('Notifier', () => {
+    it('should register a host notification in the adapter scope', async () => {
+        const adapter = new MockAdapter();
+        const notifier = new Notifier(adapter);
+
+        const raised = await notifier.notify('diskCritical', 'Disk full');
+
+        assert.strictEqual(raised, true);
+        assert.deepStrictEqual(adapter.registerNotification.mock.calls[0].arguments, ['system-health', 'diskCritical', 'Disk full']);
+    });
+
+    it('should raise a persisting condition only once', async () => {
+        const adapter = new MockAdapter();
+        const notifier = new Notifier(adapter);
+
+        await notifier.update('memoryCritical', 'memory', true, 'Memory critical');
+        await notifier.update('memoryCritical', 'memory', true, 'Memory critical');
+
+        assert.strictEqual(adapter.registerNotification.mock.calls.length, 1);
+    });
+
+    it('should raise again after the condition has cleared', async () => {
+        const adapter = new MockAdapter();
+        const notifier = new Notifier(adapter);
+
+        await notifier.update('memoryCritical', 'memory', true, 'Memory critical');
+        await notifier.update('memoryCritical', 'memory', false, '');
+        await notifier.update('memoryCritical', 'memory', true, 'Memory critical again');
+
+        assert.strictEqual(adapter.registerNotification.mock.calls.length, 2);
+        assert.strictEqual(adapter.registerNotification.mock.calls[1].arguments[2], 'Memory critical again');
+    });
+
+    it('should track conditions per key', async () => {
+        const adapter = new MockAdapter();
+        const notifier = new Notifier(adapter);
+
+        await notifier.updateAll([
+            { category: 'crashLoop', key: 'zigbee.0', active: true, message: 'zigbee.0 crashed' },
+            { category: 'crashLoop', key: 'shelly.0', active: true, message: 'shelly.0 crashed' },
+            { category: 'redisError', active: false, message: '' },
+        ]);
+
+        assert.strictEqual(adapter.registerNotification.mock.calls.length, 2);
+    });
+
+    it('should not raise notifications when disabled', async () => {
+        const adapter = new MockAdapter();
+        const notifier = new Notifier(adapter, { enabled: false });
+
+        await notifier.update('diskCritical', 'disk', true, 'Disk full');
+
+        assert.strictEqual(adapter.registerNotification.mock.calls.length, 0);
+    });
+
+    it('should reject categories not declared in io-package.json', async () => {
+        const adapter = new MockAdapter();
+        const notifier = new Notifier(adapter);
+
+        const raised = await notifier.notify('somethingElse', 'text');
+
+        assert.strictEqual(raised, false);
+        assert.strictEqual(adapter.log.warn.mock.calls.length, 1);
+    });
+
+    it('should cope with js-controller versions without registerNotification', async () => {
+        const adapter = new MockAdapter();
+        delete adapter.registerNotification;
+        const notifier = new Notifier(adapter);
+
+        assert.strictEqual(await notifier.notify('diskCritical', 'Disk full'), false);
+    });
+
+    it('should log failures instead of throwing', async () => {
+        const adapter = new MockAdapter();
+        adapter.registerNotification = mock.fn(async () => { throw new Error('not allowed'); });
+        const notifier = new Notifier(adapter);
+
+        assert.strictEqual(await notifier.notify('diskCritical', 'Disk full'), false);
+        assert.strictEqual(adapter.log.warn.mock.calls.length, 1);
+    });
+
+    it('should only use categories declared in io-package.json', () => {
+        const ioPackage = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'io-package.json'), 'utf8'));
+        const scope = ioPackage.notifications.find(n => n.scope === Notifier.SCOPE);
+
+        assert.ok(scope, 'Notification scope must be declared');
+        assert.deepStrictEqual(scope.categories.map(c => c.category).sort(), [...Notifier.CATEGORIES].sort());
+    });
+});
@@ -0,0 +1,401 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('node:events');
+const ObjectChangeTracker = require('../lib/state-inspector/object-change-tracker');
+const OrphanedStateInspector = require('../lib/state-inspector/orphaned-states');
+const OrphanedCheck = require('../lib/checks/orphaned-check');
+const StaleStateInspector = require('../lib/state-inspector/stale-detection');
+const StaleCheck = require('../lib/checks/stale-check');
+const DuplicateStateInspector = require('../lib/state-inspector/duplicate-detection');
+const DuplicateCheck = require('../lib/checks/duplicate-check');
+
+const OLD = Date.now() - 60 * 24 * 60 * 60 * 1000;
+
+// Mock adapter with an objects DB that emits object changes like js-controller
+class MockAdapter extends EventEmitter {
+    constructor() {
+        super();
+        this.namespace = 'system-health.0';
+        this.config = { enableOrphanDetection: true, enableStaleDetection: true, enableDuplicateDetection: true };
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+        this.foreignObjects = {
+            'system.adapter.zigbee.0': { type: 'instance', common: { enabled: true } },
+            'zigbee.0.lamp.power': { type: 'state', common: { name: 'Lamp', type: 'boolean', role: 'switch', read: true, write: true } },
+            'zigbee.0.sensor.temp': { type: 'state', common: { name: 'Temperature', type: 'number', role: 'value.temperature', read: true, write: false } },
+            'script.js.lights': { type: 'script', common: { source: "on('zigbee.0.lamp.power', () => {});" } },
+        };
+        this.foreignStates = {
+            'zigbee.0.lamp.power': { val: true, ts: OLD, lc: OLD },
+            'zigbee.0.sensor.temp': { val: 20, ts: OLD, lc: OLD },
+        };
+        this.subscriptions = [];
+        this.reads = 0;
+    }
+
+    async subscribeForeignObjectsAsync(pattern) {
+        this.subscriptions.push(pattern);
+    }
+
+    async unsubscribeForeignObjectsAsync(pattern) {
+        this.subscriptions = this.subscriptions.filter(p => p !== pattern);
+    }
+
+    /** Change an object in the DB and emit the event */
+    change(id, obj) {
+        if (obj) {
+            this.foreignObjects[id] = obj;
+        } else {
+            delete this.foreignObjects[id];
+            delete this.foreignStates[id];
+        }
+        this.emit('objectChange', id, obj);
+    }
+
+    async getForeignObjectsAsync(pattern, type) {
+        this.reads++;
+        const prefix = pattern.replace(/\*$/, '');
+        return Object.fromEntries(Object.entries(this.foreignObjects)
+            .filter(([id, obj]) => (pattern === '*' || id.startsWith(prefix)) && (!type || obj.type === type)));
+    }
+
+    async getForeignObjectAsync(id) {
+        return this.foreignObjects[id] || null;
+    }
+
+    async getForeignStatesAsync(pattern) {
+        if (Array.isArray(pattern)) {
+            return Object.fromEntries(pattern.filter(id => this.foreignStates[id]).map(id => [id, this.foreignStates[id]]));
+        }
+        this.reads++;
+        return { ...this.foreignStates };
+    }
+
+    async getForeignStateAsync(id) {
+        return this.foreignStates[id] || null;
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+}
+
+describe('ObjectChangeTracker', () => {
+    it('should collect the latest change per object for each consumer', async () => {
+        const adapter = new MockAdapter();
+        const tracker = new ObjectChangeTracker(adapter);
+        await tracker.start();
+        tracker.register('orphanedStates');
+        tracker.register('other');
+
+        adapter.emit('objectChange', 'zigbee.0.a', { type: 'state' });
+        adapter.emit('objectChange', 'zigbee.0.a', null);
+        adapter.emit('objectChange', 'zigbee.0.b', { type: 'state' });
+
+        const { changes, overflow } = tracker.take('orphanedStates');
+        assert.strictEqual(overflow, false);
+        assert.deepStrictEqual([...changes], [['zigbee.0.a', null], ['zigbee.0.b', { type: 'state' }]]);
+        assert.strictEqual(tracker.take('orphanedStates').changes.size, 0);
+        assert.strictEqual(tracker.take('other').changes.size, 2);
+        assert.strictEqual(tracker.take('unknown'), null);
+        assert.deepStrictEqual(adapter.subscriptions, ['*']);
+    });
+
+    it('should overflow instead of growing without limit', async () => {
+        const adapter = new MockAdapter();
+        const tracker = new ObjectChangeTracker(adapter, { maxPending: 2 });
+        await tracker.start();
+        tracker.register('orphanedStates');
+
+        for (const id of ['a.0.x', 'a.0.y', 'a.0.z']) {
+            adapter.emit('objectChange', id, { type: 'state' });
+        }
+
+        const pending = tracker.take('orphanedStates');
+        assert.strictEqual(pending.overflow, true);
+        assert.strictEqual(pending.changes.size, 0);
+        assert.strictEqual(tracker.take('orphanedStates').overflow, false);
+    });
+
+    it('should unsubscribe and stop listening on stop', async () => {
+        const adapter = new MockAdapter();
+        const tracker = new ObjectChangeTracker(adapter);
+        await tracker.start();
+        tracker.register('orphanedStates');
+
+        await tracker.stop();
+        adapter.emit('objectChange', 'a.0.x', { type: 'state' });
+
+        assert.strictEqual(adapter.listenerCount('objectChange'), 0);
+        assert.deepStrictEqual(adapter.subscriptions, []);
+        assert.strictEqual(tracker.take('orphanedStates').changes.size, 0);
+    });
+});
+
+describe('Incremental orphaned state inspection', () => {
+    it('should need a full scan without a baseline or after instance changes', async () => {
+        const adapter = new MockAdapter();
+        const inspector = new OrphanedStateInspector(adapter, []);
+        await inspector.init();
+
+        assert.strictEqual(await inspector.inspectChanges(new Map()), null);
+
+        await inspector.inspect();
+        const changes = new Map([['system.adapter.zigbee.0', { type: 'instance', common: { enabled: false } }]]);
+        assert.strictEqual(await inspector.inspectChanges(changes), null);
+    });
+
+    it('should re-evaluate states whose references changed', async () => {
+        const adapter = new MockAdapter();
+        const inspector = new OrphanedStateInspector(adapter, []);
+        await inspector.init();
+
+        await inspector.inspect();
+        assert.deepStrictEqual(inspector.orphanedStates.map(o => o.id), ['zigbee.0.sensor.temp']);
+
+        // The script now uses the sensor instead of the lamp
+        const report = await inspector.inspectChanges(new Map([
+            ['script.js.lights', { type: 'script', common: { source: "getState('zigbee.0.sensor.temp');" } }],
+        ]));
+
+        assert.deepStrictEqual(report.orphanedStates.map(o => o.id), ['zigbee.0.lamp.power']);
+        assert.deepStrictEqual(inspector.referenceMap.get('zigbee.0.sensor.temp'), ['script:script.js.lights']);
+        assert.strictEqual(inspector.referenceMap.has('zigbee.0.lamp.power'), false);
+        assert.strictEqual(adapter.states['inspector.orphanedStates.count'].val, 1);
+    });
+
+    it('should add created and drop deleted states', async () => {
+        const adapter = new MockAdapter();
+        const inspector = new OrphanedStateInspector(adapter, []);
+        await inspector.init();
+        await inspector.inspect();
+
+        adapter.foreignStates['zigbee.0.new'] = { val: 1, ts: OLD, lc: OLD };
+        const report = await inspector.inspectChanges(new Map([
+            ['zigbee.0.new', { type: 'state', common: { type: 'number' } }],
+            ['zigbee.0.sensor.temp', null],
+        ]));
+
+        assert.deepStrictEqual(report.orphanedStates.map(o => o.id), ['zigbee.0.new']);
+    });
+
+    it('should match a full scan after the same changes', async () => {
+        const adapter = new MockAdapter();
+        const incremental = new OrphanedStateInspector(adapter, []);
+        await incremental.init();
+        await incremental.inspect();
+
+        const changes = new Map([
+            ['script.js.lights', null],
+            ['alias.0.temp', { type: 'state', common: { alias: { id: 'zigbee.0.sensor.temp' } } }],
+        ]);
+        adapter.change('script.js.lights', null);
+        adapter.change('alias.0.temp', changes.get('alias.0.temp'));
+        await incremental.inspectChanges(changes);
+
+        const full = new OrphanedStateInspector(adapter, []);
+        await full.init();
+        await full.inspect();
+
+        assert.deepStrictEqual(incremental.orphanedStates.map(o => o.id).sort(), full.orphanedStates.map(o => o.id).sort());
+    });
+});
+
+describe('OrphanedCheck with object change tracking', () => {
+    it('should scan fully first, then incrementally, and fully again after the interval', async () => {
+        const adapter = new MockAdapter();
+        adapter.objectChanges = new ObjectChangeTracker(adapter);
+        await adapter.objectChanges.start();
+        const check = new OrphanedCheck(adapter);
+        await check.init();
+
+        const first = await check.execute();
+        assert.strictEqual(first.incremental, false);
+
+        adapter.change('script.js.lights', null);
+        const readsBefore = adapter.reads;
+        const second = await check.execute();
+        assert.strictEqual(second.incremental, true);
+        assert.strictEqual(second.count, 2);
+        assert.strictEqual(adapter.reads, readsBefore);
+
+        check.lastFullScan = Date.now() - check.fullScanIntervalMs - 1;
+        const third = await check.execute();
+        assert.strictEqual(third.incremental, false);
+        assert.strictEqual(third.count, 2);
+        await adapter.objectChanges.stop();
+    });
+});
+
+describe('Incremental stale state inspection', () => {
+    it('should need a full scan without a baseline or after instance changes', async () => {
+        const inspector = new StaleStateInspector(new MockAdapter(), 24);
+        await inspector.init();
+
+        assert.strictEqual(await inspector.inspectChanges(new Map()), null);
+
+        await inspector.inspect();
+        const changes = new Map([['system.adapter.zigbee.0', { type: 'instance', common: { enabled: false } }]]);
+        assert.strictEqual(await inspector.inspectChanges(changes), null);
+    });
+
+    it('should age tracked states and re-read stale ones', async () => {
+        const adapter = new MockAdapter();
+        adapter.foreignStates['zigbee.0.lamp.power'].ts = Date.now();
+        const inspector = new StaleStateInspector(adapter, 24);
+        await inspector.init();
+        await inspector.inspect();
+        assert.deepStrictEqual(inspector.staleStates.map(s => s.id), ['zigbee.0.sensor.temp']);
+
+        // The sensor reported again, the lamp did not for longer than the threshold
+        adapter.foreignStates['zigbee.0.sensor.temp'] = { val: 21, ts: Date.now(), lc: Date.now() };
+        inspector.tracked.get('zigbee.0.lamp.power').ts = OLD;
+        adapter.foreignStates['zigbee.0.lamp.power'] = { val: false, ts: OLD, lc: OLD };
+        const report = await inspector.inspectChanges(new Map());
+
+        assert.deepStrictEqual(report.staleStates.map(s => s.id), ['zigbee.0.lamp.power']);
+        assert.strictEqual(inspector.staleStates[0].value, false);
+        assert.strictEqual(adapter.states['inspector.staleStates.count'].val, 1);
+    });
+
+    it('should match a full scan after the same changes', async () => {
+        const adapter = new MockAdapter();
+        const incremental = new StaleStateInspector(adapter, 24);
+        await incremental.init();
+        await incremental.inspect();
+
+        const changes = new Map([
+            ['zigbee.0.new', { type: 'state', common: { type: 'number', read: true } }],
+            ['zigbee.0.ignored', { type: 'state', common: { type: 'number', read: false, write: false } }],
+            ['zigbee.0.lamp.power', null],
+        ]);
+        adapter.foreignStates['zigbee.0.new'] = { val: 1, ts: OLD, lc: OLD };
+        adapter.foreignStates['zigbee.0.ignored'] = { val: 1, ts: OLD, lc: OLD };
+        for (const [id, obj] of changes) {
+            adapter.change(id, obj);
+        }
+        const readsBefore = adapter.reads;
+        await incremental.inspectChanges(changes);
+        assert.strictEqual(adapter.reads, readsBefore);
+
+        const full = new StaleStateInspector(adapter, 24);
+        await full.init();
+        await full.inspect();
+
+        assert.deepStrictEqual(incremental.staleStates.map(s => s.id).sort(), full.staleStates.map(s => s.id).sort());
+        assert.deepStrictEqual(incremental.staleStates.map(s => s.id).sort(), ['zigbee.0.new', 'zigbee.0.sensor.temp']);
+    });
+});
+
+describe('Incremental duplicate state inspection', () => {
+    /**
+     * Adapter with a second temperature sensor of another adapter.
+     */
+    function duplicateAdapter() {
+        const adapter = new MockAdapter();
+        adapter.foreignObjects['system.adapter.deconz.0'] = { type: 'instance', common: { enabled: true } };
+        adapter.foreignObjects['deconz.0.sensor.temp'] = { type: 'state', common: { name: 'Temperature', type: 'number', role: 'value.temperature' } };
+        adapter.foreignObjects['zigbee.0.other.humidity'] = { type: 'state', common: { name: 'Humidity', type: 'number', role: 'value.humidity' } };
+        adapter.foreignStates['deconz.0.sensor.temp'] = { val: 20, ts: OLD, lc: OLD };
+        adapter.foreignStates['zigbee.0.other.humidity'] = { val: 50, ts: OLD, lc: OLD };
+        return adapter;
+    }
+
+    /**
+     * Inspector comparing in this thread.
+     */
+    async function inspector(adapter) {
+        const duplicates = new DuplicateStateInspector(adapter, 0.7);
+        duplicates.useWorker = false;
+        await duplicates.init();
+        return duplicates;
+    }
+
+    it('should need a full scan without a baseline', async () => {
+        assert.strictEqual(await (await inspector(duplicateAdapter())).inspectChanges(new Map()), null);
+    });
+
+    it('should regroup changed states and keep the other groups', async () => {
+        const adapter = duplicateAdapter();
+        const incremental = await inspector(adapter);
+        const groups = await incremental.scan();
+        assert.deepStrictEqual(groups.map(g => g.states.map(s => s.id)), [['zigbee.0.sensor.temp', 'deconz.0.sensor.temp']]);
+
+        // The humidity sensor is renamed into another temperature sensor, the deconz one is removed
+        const changes = new Map([
+            ['zigbee.0.other.humidity', { type: 'state', common: { name: 'Temperature', type: 'number', role: 'value.temperature' } }],
+            ['deconz.0.sensor.temp', null],
+        ]);
+        for (const [id, obj] of changes) {
+            adapter.change(id, obj);
+        }
+        adapter.foreignStates['zigbee.0.sensor.temp'].val = 22;
+        const readsBefore = adapter.reads;
+        const result = await incremental.inspectChanges(changes);
+        assert.strictEqual(adapter.reads, readsBefore);
+
+        const full = await inspector(adapter);
+        const expected = await full.scan();
+        assert.deepStrictEqual(result.map(g => g.states.map(s => s.id).sort()), expected.map(g => g.states.map(s => s.id).sort()));
+        assert.deepStrictEqual(result[0].states.map(s => s.id).sort(), ['zigbee.0.other.humidity', 'zigbee.0.sensor.temp']);
+        assert.strictEqual(result[0].states.find(s => s.id === 'zigbee.0.sensor.temp').value, 22);
+    });
+
+    it('should not regroup anything if only other objects changed', async () => {
+        const adapter = duplicateAdapter();
+        const incremental = await inspector(adapter);
+        await incremental.scan();
+        incremental.groupByNaming = mock.fn(incremental.groupByNaming);
+
+        const result = await incremental.inspectChanges(new Map([
+            ['script.js.lights', null],
+            ['zigbee.0.sensor.temp', adapter.foreignObjects['zigbee.0.sensor.temp']],
+        ]));
+
+        assert.strictEqual(incremental.groupByNaming.mock.calls.length, 0);
+        assert.strictEqual(result.length, 1);
+    });
+});
+
+describe('Stale and duplicate checks with object change tracking', () => {
+    for (const [Check, name] of [[StaleCheck, 'stale'], [DuplicateCheck, 'duplicate']]) {
+        it(`should run the ${name} check incrementally between full scans`, async () => {
+            const adapter = new MockAdapter();
+            adapter.objectChanges = new ObjectChangeTracker(adapter);
+            await adapter.objectChanges.start();
+            const check = new Check(adapter);
+            await check.init();
+            if (check.inspector.useWorker) {
+                check.inspector.useWorker = false;
+            }
+
+            const first = await check.execute();
+            assert.strictEqual(first.incremental, false);
+
+            adapter.change('zigbee.0.lamp.power', null);
+            const readsBefore = adapter.reads;
+            const second = await check.execute();
+            assert.strictEqual(second.incremental, true);
+            assert.strictEqual(adapter.reads, readsBefore);
+
+            check.lastFullScan = Date.now() - check.fullScanIntervalMs - 1;
+            const third = await check.execute();
+            assert.strictEqual(third.incremental, false);
+            assert.strictEqual(third.count, second.count);
+            await check.cleanup();
+            await adapter.objectChanges.stop();
+        });
+    }
+});
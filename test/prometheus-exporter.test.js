@@ -0,0 +1,146 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const PrometheusExporter = require('../lib/prometheus-exporter');
+const { CheckRegistry, BUILTIN_CHECKS } = require('../lib/checks');
+
+// Mock adapter
+class MockAdapter {
+    constructor(config = {}) {
+        this.namespace = 'system-health.0';
+        this.host = 'pi4';
+        this.config = config;
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.checks = new CheckRegistry(this);
+        for (const CheckClass of BUILTIN_CHECKS) {
+            this.checks.register(new CheckClass(this));
+        }
+    }
+
+    /** Set the last result of a check. */
+    setResult(name, result) {
+        this.checks.get(name).lastResult = { timestamp: Date.now(), ...result };
+    }
+}
+
+/** GET a path from the exporter. */
+function request(port, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path, headers }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('PrometheusExporter', () => {
+    let exporter;
+
+    afterEach(async () => {
+        if (exporter) {
+            await exporter.stop();
+            exporter = null;
+        }
+    });
+
+    describe('collect', () => {
+        it('should export monitor results with labels', () => {
+            const adapter = new MockAdapter();
+            adapter.setResult('memory', { status: 'ok', stats: { totalMB: 4096, usedMB: 1024, freeMB: 3072, usedPercent: 25 } });
+            adapter.setResult('cpu', { status: 'ok', usage: 12.5, sustainedHighLoad: false });
+            adapter.setResult('disk', { status: 'warning', partitions: [
+                { mountPoint: '/', totalMB: 1000, usedMB: 900, freeMB: 100, usedPercent: 90 },
+                { mountPoint: '/boot', totalMB: 200, usedMB: 50, freeMB: 150, usedPercent: 25 },
+            ] });
+            adapter.setResult('redis', { status: 'skipped' });
+            const text = PrometheusExporter.render(new PrometheusExporter(adapter).collect(), { host: 'pi4' });
+
+            assert.match(text, /^system_health_memory_used_bytes\{host="pi4"\} 1073741824$/m);
+            assert.match(text, /^system_health_memory_used_ratio\{host="pi4"\} 0.25$/m);
+            assert.match(text, /^system_health_cpu_usage_ratio\{host="pi4"\} 0.125$/m);
+            assert.match(text, /^system_health_disk_used_ratio\{host="pi4",mountpoint="\/"\} 0.9$/m);
+            assert.match(text, /^system_health_disk_free_bytes\{host="pi4",mountpoint="\/boot"\} 157286400$/m);
+            assert.match(text, /^system_health_check_status\{host="pi4",check="disk",status="warning"\} 1$/m);
+            assert.doesNotMatch(text, /system_health_redis_/);
+        });
+
+        it('should export log, crash, inspector and alert counters', () => {
+            const adapter = new MockAdapter();
+            adapter.setResult('logs', {
+                status: 'warning',
+                summary: { totalErrors: 3, totalWarnings: 5, instanceCount: 1 },
+                instances: [{ instance: 'zigbee.0', totalErrors: 3, totalWarnings: 5 }],
+            });
+            adapter.setResult('duplicates', { status: 'warning', count: 4 });
+            adapter.crashDetection = {
+                crashHistory: { 'zigbee.0': [] },
+                getCrashCounts: () => ({ count24h: 1, count7d: 2, count30d: 3 }),
+            };
+            adapter.alertEngine = { getAlerts: () => [{ state: 'raised' }, { state: 'acknowledged' }] };
+            adapter.healthScore = { lastResult: { score: 87 } };
+
+            const families = new PrometheusExporter(adapter).collect();
+            const find = name => families.find(f => f.name === name);
+
+            assert.deepStrictEqual(find('system_health_log_errors').samples, [{ labels: { instance: 'zigbee.0' }, value: 3 }]);
+            assert.deepStrictEqual(find('system_health_adapter_crashes').samples.map(s => s.value), [1, 2, 3]);
+            assert.deepStrictEqual(find('system_health_adapter_crashes').samples[1].labels, { instance: 'zigbee.0', period: '7d' });
+            assert.deepStrictEqual(find('system_health_inspector_issues').samples, [{ labels: { inspector: 'duplicates' }, value: 4 }]);
+            assert.strictEqual(find('system_health_alerts_active').samples[0].value, 2);
+            assert.strictEqual(find('system_health_alerts_unacknowledged').samples[0].value, 1);
+            assert.strictEqual(find('system_health_score').samples[0].value, 87);
+        });
+    });
+
+    describe('render', () => {
+        it('should escape label values and end with EOF', () => {
+            const text = PrometheusExporter.render([
+                { name: 'test_metric', type: 'gauge', help: 'Test', samples: [{ labels: { path: 'C:\\data "x"\n' }, value: 1 }] },
+            ]);
+
+            assert.strictEqual(text, [
+                '# TYPE test_metric gauge',
+                '# HELP test_metric Test',
+                'test_metric{path="C:\\\\data \\"x\\"\\n"} 1',
+                '# EOF',
+                '',
+            ].join('\n'));
+        });
+    });
+
+    describe('http', () => {
+        it('should serve metrics with content negotiation', async () => {
+            const adapter = new MockAdapter();
+            adapter.setResult('cpu', { status: 'ok', usage: 50 });
+            exporter = new PrometheusExporter(adapter, { port: 0, bind: '127.0.0.1' });
+            await exporter.start();
+
+            const plain = await request(exporter.getPort(), '/metrics');
+            assert.strictEqual(plain.status, 200);
+            assert.match(plain.headers['content-type'], /^text\/plain; version=0.0.4/);
+            assert.match(plain.body, /^system_health_cpu_usage_ratio\{host="pi4"\} 0.5$/m);
+            assert.ok(plain.body.endsWith('# EOF\n'));
+
+            const openMetrics = await request(exporter.getPort(), '/metrics', { Accept: 'application/openmetrics-text; version=1.0.0' });
+            assert.match(openMetrics.headers['content-type'], /^application\/openmetrics-text/);
+
+            assert.strictEqual((await request(exporter.getPort(), '/')).status, 404);
+        });
+
+        it('should reject when the port is in use', async () => {
+            const adapter = new MockAdapter();
+            exporter = new PrometheusExporter(adapter, { port: 0, bind: '127.0.0.1' });
+            await exporter.start();
+
+            const second = new PrometheusExporter(adapter, { port: exporter.getPort(), bind: '127.0.0.1' });
+            await assert.rejects(() => second.start(), /EADDRINUSE/);
+        });
+    });
+});
@@ -0,0 +1,236 @@
+const { describe, it, mock, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const OrphanedStateInspector = require('../lib/state-inspector/orphaned-states');
+const { ReferenceProvider, BUILTIN_PROVIDERS } = require('../lib/state-inspector/references');
+const NodeRedReferences = require('../lib/state-inspector/references/node-red-references');
+
+const OLD = Date.now() - 60 * 24 * 60 * 60 * 1000;
+
+// Mock adapter with objects, states and files of several reference sources
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+        this.foreignObjects = {
+            'system.adapter.zigbee.0': { type: 'instance', common: { enabled: true }, native: {} },
+            'system.adapter.vis-2.0': { type: 'instance', common: { enabled: true }, native: {} },
+            'system.adapter.iqontrol.0': { type: 'instance', common: { enabled: true }, native: { views: [{ devices: [{ states: [{ state: 'zigbee.0.iq.level' }] }] }] } },
+            'scene.0.evening': { type: 'state', common: { type: 'boolean' }, native: { members: [{ id: 'zigbee.0.scene.lamp' }, { id: 'zigbee.0.scene.blind' }] } },
+            'enum.rooms.living': { type: 'enum', common: { members: ['zigbee.0.enumdevice'] } },
+            'enum.functions.light': { type: 'enum', common: { members: [] } },
+            'lovelace.0.configuration': { type: 'config', common: {}, native: { views: [{ cards: [{ entity: 'zigbee.0.lovelace.temp' }] }] } },
+            'alias.0.lamp': { type: 'state', common: { type: 'boolean', alias: { id: { read: 'zigbee.0.alias.read', write: 'zigbee.0.alias.write' } } } },
+        };
+        for (const id of [
+            'zigbee.0.unused', 'zigbee.0.iq.level', 'zigbee.0.scene.lamp', 'zigbee.0.scene.blind',
+            'zigbee.0.enumdevice.on', 'zigbee.0.lovelace.temp', 'zigbee.0.alias.read', 'zigbee.0.alias.write',
+            'zigbee.0.vis2.temp', 'zigbee.0.nodered.in', 'zigbee.0.nodered.func',
+        ]) {
+            this.foreignObjects[id] = { type: 'state', common: { type: 'number' } };
+        }
+        this.foreignObjects['zigbee.0.history'] = { type: 'state', common: { type: 'number', custom: { 'history.0': { enabled: true }, 'telegram.0': { enabled: false } } } };
+        this.foreignStates = Object.fromEntries(Object.entries(this.foreignObjects)
+            .filter(([id, obj]) => obj.type === 'state' && id.startsWith('zigbee.'))
+            .map(([id]) => [id, { val: 1, ts: OLD, lc: OLD }]));
+        this.files = {
+            'vis-2.0': {
+                'main/vis-views.json': JSON.stringify({ default: { widgets: { w1: { data: { oid: 'zigbee.0.vis2.temp' } } } } }),
+            },
+        };
+    }
+
+    async getForeignObjectsAsync(pattern, type) {
+        const prefix = pattern.replace(/\*$/, '');
+        return Object.fromEntries(Object.entries(this.foreignObjects)
+            .filter(([id, obj]) => (pattern === '*' || id.startsWith(prefix)) && (!type || obj.type === type)));
+    }
+
+    async getForeignObjectAsync(id) {
+        return this.foreignObjects[id] || null;
+    }
+
+    async getForeignStatesAsync() {
+        return this.foreignStates;
+    }
+
+    async getForeignStateAsync(id) {
+        return this.foreignStates[id] || null;
+    }
+
+    async readDirAsync(namespace) {
+        const dirs = new Set(Object.keys(this.files[namespace] || {}).map(file => file.split('/')[0]));
+        return [...dirs].map(file => ({ file, isDir: true }));
+    }
+
+    async readFileAsync(namespace, file) {
+        const content = (this.files[namespace] || {})[file];
+        if (content === undefined) {
+            throw new Error('Not exists');
+        }
+        return { file: Buffer.from(content) };
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+}
+
+describe('Reference providers', () => {
+    let dataDir;
+
+    before(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'references-'));
+        fs.mkdirSync(path.join(dataDir, 'node-red'));
+        fs.writeFileSync(path.join(dataDir, 'node-red', 'flows.json'), JSON.stringify([
+            { id: 'tab1', type: 'tab', label: 'Heating' },
+            { id: 'n1', type: 'ioBroker in', z: 'tab1', topic: 'zigbee.0.nodered.in' },
+            { id: 'n2', type: 'function', z: 'tab1', func: "msg.payload = global.get('x'); node.send({ topic: 'zigbee.0.nodered.func' });" },
+            { id: 'n3', type: 'debug', z: 'tab1' },
+        ]));
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('should register all built-in providers with unique names', () => {
+        const adapter = new MockAdapter();
+        const names = BUILTIN_PROVIDERS.map(Provider => new Provider(adapter).name);
+
+        assert.deepStrictEqual(names, ['script', 'vis', 'alias', 'scene', 'node-red', 'ui', 'custom', 'enum']);
+    });
+
+    it('should label the references of every source', async () => {
+        const inspector = new OrphanedStateInspector(new MockAdapter(), [], { dataDir });
+
+        const referenceMap = await inspector.buildReferenceMap();
+
+        assert.deepStrictEqual(Object.fromEntries([...referenceMap].filter(([id]) => id.startsWith('zigbee.'))), {
+            'zigbee.0.iq.level': ['iqontrol:iqontrol.0'],
+            'zigbee.0.scene.lamp': ['scene:scene.0.evening'],
+            'zigbee.0.scene.blind': ['scene:scene.0.evening'],
+            'zigbee.0.enumdevice': ['enum:enum.rooms.living'],
+            'zigbee.0.lovelace.temp': ['lovelace:lovelace.0'],
+            'zigbee.0.alias.read': ['alias:alias.0.lamp'],
+            'zigbee.0.alias.write': ['alias:alias.0.lamp'],
+            'zigbee.0.vis2.temp': ['vis-2:vis-2.0/main'],
+            'zigbee.0.nodered.in': ['node-red:Heating'],
+            'zigbee.0.nodered.func': ['node-red:Heating'],
+            'zigbee.0.history': ['custom:history.0'],
+        });
+    });
+
+    it('should only report unreferenced states as orphaned', async () => {
+        const inspector = new OrphanedStateInspector(new MockAdapter(), [], { dataDir });
+        await inspector.init();
+
+        const report = await inspector.inspect();
+
+        assert.deepStrictEqual(report.orphanedStates.map(o => o.id), ['zigbee.0.unused']);
+    });
+
+    it('should use references of devices and channels for their states', () => {
+        const inspector = new OrphanedStateInspector(new MockAdapter(), [], { dataDir });
+        const referenceMap = new Map([['zigbee.0.dev', ['enum:enum.rooms.living']], ['zigbee.0.dev.on', ['script:script.js.x']]]);
+
+        assert.deepStrictEqual(inspector.referencesFor('zigbee.0.dev.on', referenceMap), ['script:script.js.x', 'enum:enum.rooms.living']);
+        assert.deepStrictEqual(inspector.referencesFor('zigbee.0.other', referenceMap), []);
+    });
+
+    it('should accept additional providers', async () => {
+        class WidgetReferences extends ReferenceProvider {
+            constructor(adapter) {
+                super(adapter, { name: 'widgets' });
+            }
+
+            async collect() {
+                return new Map([['dashboard', [{ source: 'widgets:dashboard', stateIds: ['zigbee.0.unused'] }]]]);
+            }
+        }
+        const adapter = new MockAdapter();
+        const inspector = new OrphanedStateInspector(adapter, [], { dataDir });
+        inspector.addReferenceProvider(new WidgetReferences(adapter));
+        await inspector.init();
+
+        const report = await inspector.inspect();
+
+        assert.strictEqual(report.totalOrphaned, 0);
+    });
+
+    it('should keep scanning when a provider fails', async () => {
+        const adapter = new MockAdapter();
+        adapter.readDirAsync = async () => {
+            throw new Error('files DB not reachable');
+        };
+        adapter.getForeignObjectsAsync = (original => async (pattern, type) => {
+            if (pattern === 'scene.*') {
+                throw new Error('timeout');
+            }
+            return original.call(adapter, pattern, type);
+        })(adapter.getForeignObjectsAsync);
+        const inspector = new OrphanedStateInspector(adapter, [], { dataDir });
+
+        const referenceMap = await inspector.buildReferenceMap();
+
+        assert.strictEqual(referenceMap.has('zigbee.0.scene.lamp'), false);
+        assert.deepStrictEqual(referenceMap.get('zigbee.0.alias.read'), ['alias:alias.0.lamp']);
+        assert.match(adapter.log.error.mock.calls[0].arguments[0], /from scene: timeout/);
+    });
+
+    it('should apply scene and custom setting changes incrementally', async () => {
+        const adapter = new MockAdapter();
+        const inspector = new OrphanedStateInspector(adapter, [], { dataDir });
+        await inspector.init();
+        await inspector.inspect();
+
+        const report = await inspector.inspectChanges(new Map([
+            ['scene.0.evening', { type: 'state', common: {}, native: { members: [{ id: 'zigbee.0.unused' }] } }],
+            ['zigbee.0.history', { type: 'state', common: { type: 'number' } }],
+        ]));
+
+        assert.deepStrictEqual(report.orphanedStates.map(o => o.id).sort(), ['zigbee.0.history', 'zigbee.0.scene.blind', 'zigbee.0.scene.lamp']);
+    });
+
+    it('should need a full scan when an enum member is a device', async () => {
+        const adapter = new MockAdapter();
+        adapter.foreignObjects['zigbee.0.enumdevice'] = { type: 'device', common: {} };
+        const inspector = new OrphanedStateInspector(adapter, [], { dataDir });
+        await inspector.init();
+        await inspector.inspect();
+
+        const changes = new Map([['enum.rooms.living', { type: 'enum', common: { members: [] } }]]);
+
+        assert.strictEqual(await inspector.inspectChanges(changes), null);
+    });
+
+    it('should read node-red flows from the ioBroker data directory only', async () => {
+        assert.strictEqual((await new NodeRedReferences(new MockAdapter()).collect()).size, 0);
+
+        const result = await new NodeRedReferences(new MockAdapter(), { dataDir }).collect();
+
+        assert.deepStrictEqual([...result.keys()], ['file:node-red/flows.json']);
+    });
+
+    it('should group node-red references by flow', () => {
+        assert.deepStrictEqual(NodeRedReferences.fromFlows([
+            { id: 'n1', type: 'ioBroker out', z: 'missing', topic: 'a.0.b' },
+            { id: 'n2', type: 'ioBroker get', topic: '' },
+        ]), [{ source: 'node-red:missing', stateIds: ['a.0.b'] }]);
+    });
+});
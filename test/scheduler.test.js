@@ -0,0 +1,178 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const Scheduler = require('../lib/scheduler');
+
+// Mock adapter
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+    }
+}
+
+describe('Scheduler', () => {
+    describe('parse', () => {
+        it('should use the default interval for empty values', () => {
+            assert.deepStrictEqual(Scheduler.parse('', 5), { type: 'interval', minutes: 5 });
+            assert.deepStrictEqual(Scheduler.parse(undefined, 360), { type: 'interval', minutes: 360 });
+            assert.deepStrictEqual(Scheduler.parse('  ', 5), { type: 'interval', minutes: 5 });
+        });
+
+        it('should parse numbers as minutes', () => {
+            assert.deepStrictEqual(Scheduler.parse(1, 5), { type: 'interval', minutes: 1 });
+            assert.deepStrictEqual(Scheduler.parse('30', 5), { type: 'interval', minutes: 30 });
+            assert.deepStrictEqual(Scheduler.parse('1.5', 5), { type: 'interval', minutes: 1.5 });
+        });
+
+        it('should reject intervals below 1 minute', () => {
+            assert.throws(() => Scheduler.parse('0', 5), /at least 1 minute/);
+            assert.throws(() => Scheduler.parse('0.5', 5), /at least 1 minute/);
+            assert.throws(() => Scheduler.parse('0.001', 5), /at least 1 minute/);
+        });
+
+        it('should reject intervals that overflow the timer', () => {
+            assert.deepStrictEqual(Scheduler.parse('35791', 5), { type: 'interval', minutes: 35791 });
+            assert.throws(() => Scheduler.parse('35792', 5), /at most 35791 minutes/);
+            assert.throws(() => Scheduler.parse('100000', 5), /at most 35791 minutes/);
+        });
+
+        it('should parse cron expressions', () => {
+            const schedule = Scheduler.parse('0 3 * * *', 5);
+
+            assert.strictEqual(schedule.type, 'cron');
+            assert.strictEqual(schedule.expression, '0 3 * * *');
+            assert.deepStrictEqual([...schedule.fields.hour], [3]);
+        });
+    });
+
+    describe('parseCron', () => {
+        it('should expand steps, ranges and lists', () => {
+            const fields = Scheduler.parseCron('*/15 8-10 1,15 * 1-5');
+
+            assert.deepStrictEqual([...fields.minute], [0, 15, 30, 45]);
+            assert.deepStrictEqual([...fields.hour], [8, 9, 10]);
+            assert.deepStrictEqual([...fields.dayOfMonth], [1, 15]);
+            assert.strictEqual(fields.month.size, 12);
+            assert.deepStrictEqual([...fields.dayOfWeek], [1, 2, 3, 4, 5]);
+        });
+
+        it('should treat day of week 7 as Sunday', () => {
+            const fields = Scheduler.parseCron('0 0 * * 7');
+            assert.deepStrictEqual([...fields.dayOfWeek], [0]);
+        });
+
+        it('should reject invalid expressions', () => {
+            assert.throws(() => Scheduler.parseCron('* * *'), /expected 5 fields/);
+            assert.throws(() => Scheduler.parseCron('60 * * * *'), /out of range/);
+            assert.throws(() => Scheduler.parseCron('* 5-2 * * *'), /out of range/);
+            assert.throws(() => Scheduler.parseCron('abc * * * *'), /cannot parse/);
+            assert.throws(() => Scheduler.parseCron('*/0 * * * *'), /out of range/);
+        });
+    });
+
+    describe('nextCronRun', () => {
+        it('should find the next nightly run', () => {
+            const fields = Scheduler.parseCron('0 3 * * *');
+            const next = Scheduler.nextCronRun(fields, new Date(2024, 0, 10, 12, 30));
+
+            assert.deepStrictEqual(next, new Date(2024, 0, 11, 3, 0));
+        });
+
+        it('should always return a time after the reference', () => {
+            const fields = Scheduler.parseCron('30 12 * * *');
+            const next = Scheduler.nextCronRun(fields, new Date(2024, 0, 10, 12, 30, 15));
+
+            assert.deepStrictEqual(next, new Date(2024, 0, 11, 12, 30));
+        });
+
+        it('should handle minute steps', () => {
+            const fields = Scheduler.parseCron('*/15 * * * *');
+            const next = Scheduler.nextCronRun(fields, new Date(2024, 0, 10, 12, 31));
+
+            assert.deepStrictEqual(next, new Date(2024, 0, 10, 12, 45));
+        });
+
+        it('should match day of month OR day of week when both are restricted', () => {
+            // 1st of the month or any Monday; 2024-01-10 is a Wednesday
+            const fields = Scheduler.parseCron('0 0 1 * 1');
+            const next = Scheduler.nextCronRun(fields, new Date(2024, 0, 10, 0, 0));
+
+            assert.deepStrictEqual(next, new Date(2024, 0, 15, 0, 0));
+        });
+
+        it('should skip to the matching month', () => {
+            const fields = Scheduler.parseCron('0 0 1 6 *');
+            const next = Scheduler.nextCronRun(fields, new Date(2024, 0, 10, 0, 0));
+
+            assert.deepStrictEqual(next, new Date(2024, 5, 1, 0, 0));
+        });
+
+        it('should return null if the expression never matches', () => {
+            const fields = Scheduler.parseCron('0 0 31 2 *');
+            assert.strictEqual(Scheduler.nextCronRun(fields, new Date(2024, 0, 1)), null);
+        });
+    });
+
+    describe('jobs', () => {
+        it('should run interval jobs and stop them', async (t) => {
+            t.mock.timers.enable({ apis: ['setInterval'] });
+            const scheduler = new Scheduler(new MockAdapter());
+            const task = mock.fn(async () => {});
+
+            scheduler.add('memory', Scheduler.parse(1, 5), task);
+            t.mock.timers.tick(60 * 1000);
+            await new Promise(resolve => setImmediate(resolve));
+            t.mock.timers.tick(60 * 1000);
+            assert.strictEqual(task.mock.calls.length, 2);
+
+            scheduler.stopAll();
+            t.mock.timers.tick(60 * 1000);
+            assert.strictEqual(task.mock.calls.length, 2);
+            assert.strictEqual(scheduler.jobs.size, 0);
+        });
+
+        it('should not start a job while its previous run is in progress', async () => {
+            const adapter = new MockAdapter();
+            const scheduler = new Scheduler(adapter);
+            let finish;
+            const task = mock.fn(() => new Promise(resolve => { finish = resolve; }));
+            const job = { name: 'duplicates', task, running: false };
+
+            const first = scheduler._execute(job);
+            await scheduler._execute(job);
+            assert.strictEqual(task.mock.calls.length, 1);
+
+            finish();
+            await first;
+            assert.strictEqual(job.running, false);
+        });
+
+        it('should log errors thrown by a job', async () => {
+            const adapter = new MockAdapter();
+            const scheduler = new Scheduler(adapter);
+            const job = { name: 'disk', task: async () => { throw new Error('boom'); }, running: false };
+
+            await scheduler._execute(job);
+
+            assert.strictEqual(adapter.log.error.mock.calls.length, 1);
+            assert.match(adapter.log.error.mock.calls[0].arguments[0], /disk failed: boom/);
+        });
+
+        it('should arm cron jobs for the next matching time', () => {
+            const scheduler = new Scheduler(new MockAdapter());
+            scheduler.add('orphanedStates', Scheduler.parse('0 3 * * *', 360), async () => {});
+
+            const [job] = scheduler.getJobs();
+            assert.strictEqual(job.schedule, 'cron "0 3 * * *"');
+            assert.ok(job.nextRun > Date.now());
+            assert.strictEqual(new Date(job.nextRun).getHours(), 3);
+
+            scheduler.stopAll();
+        });
+    });
+});
@@ -0,0 +1,222 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const { extractScriptReferences, blocklyXml } = require('../lib/state-inspector/references/script-parser');
+const ScriptReferences = require('../lib/state-inspector/references/script-references');
+const OrphanedStateInspector = require('../lib/state-inspector/orphaned-states');
+
+/**
+ * Patterns of a result as strings, for comparison.
+ */
+function patterns(result) {
+    return result.patterns.map(String);
+}
+
+/**
+ * Blockly script: generated code followed by the encoded block XML.
+ */
+function blocklyScript(code, xml) {
+    return `${code}\n//${Buffer.from(encodeURIComponent(xml)).toString('base64')}`;
+}
+
+describe('Script reference extraction', () => {
+    describe('JavaScript', () => {
+        it('should extract IDs of the script API', () => {
+            const result = extractScriptReferences(`
+                on({ id: 'zigbee.0.button.pressed', change: 'ne' }, async () => {
+                    const power = await getStateAsync('sonoff.0.plug.POWER');
+                    setStateDelayed('hue.0.lamp.on', true, 1000);
+                });
+                subscribe(['mqtt.0.a', 'mqtt.0.b'], () => {});
+            `);
+
+            assert.deepStrictEqual([...result.stateIds].sort(), [
+                'hue.0.lamp.on', 'mqtt.0.a', 'mqtt.0.b', 'sonoff.0.plug.POWER', 'zigbee.0.button.pressed',
+            ]);
+            assert.deepStrictEqual(result.patterns, []);
+        });
+
+        it('should resolve constants, concatenation and template literals', () => {
+            const result = extractScriptReferences(`
+                const PREFIX = 'zigbee.0.';
+                const DEVICE = 'livingroom';
+                const IDS = ['shelly.0.relay1.Switch'];
+                on(PREFIX + DEVICE + '.temperature', () => {});
+                on(IDS, () => {});
+                setState(\`knx.0.\${DEVICE}.light\`, true);
+            `);
+
+            assert.deepStrictEqual([...result.stateIds].sort(), [
+                'knx.0.livingroom.light', 'shelly.0.relay1.Switch', 'zigbee.0.livingroom.temperature',
+            ]);
+        });
+
+        it('should turn parts only known at runtime into patterns', () => {
+            const result = extractScriptReferences(`
+                for (const room of rooms) {
+                    setState(\`hm-rpc.0.\${room}.LEVEL\`, 0);
+                    const id = 'zigbee.0.' + room + '.battery';
+                    log(getState(prefix + '.STATE').val);
+                }
+            `);
+
+            assert.deepStrictEqual(patterns(result), [
+                '/^hm-rpc\\.0\\..*\\.LEVEL$/',
+                '/^zigbee\\.0\\..*\\.battery$/',
+                '/^.*\\.STATE$/',
+            ]);
+            assert.deepStrictEqual([...result.stateIds], []);
+        });
+
+        it('should not treat unknown strings outside of the API as references', () => {
+            const result = extractScriptReferences(`
+                const label = name + '.txt';
+                const version = '1.2.3';
+                const url = 'https://example.com/api/v1.0/data';
+            `);
+
+            assert.deepStrictEqual(result.patterns, []);
+            assert.deepStrictEqual([...result.stateIds], []);
+        });
+
+        it('should extract RegExp and wildcard subscriptions', () => {
+            const result = extractScriptReferences(`
+                const DOORS = /^zigbee\\.0\\..*\\.contact$/;
+                on({ id: /^hm-rpc\\.0\\..*\\.LOWBAT$/i, val: true }, () => {});
+                on(DOORS, () => {});
+                on(new RegExp('^shelly\\\\.0\\\\.'), () => {});
+                on('mqtt.0.tele.*.SENSOR', () => {});
+            `);
+
+            assert.deepStrictEqual(patterns(result), [
+                '/^hm-rpc\\.0\\..*\\.LOWBAT$/i',
+                '/^zigbee\\.0\\..*\\.contact$/',
+                '/^shelly\\.0\\./',
+                '/^mqtt\\.0\\.tele\\..*\\.SENSOR$/',
+            ]);
+            assert.ok(result.patterns[0].test('hm-rpc.0.abc.lowbat'));
+        });
+
+        it('should extract selectors and names', () => {
+            const result = extractScriptReferences(`
+                $('state[id=*.STATE](functions=light)').setState(false);
+                $('channel[state.id=hue.0.*.on]').each(id => {});
+                $('state[role=switch](rooms=kitchen)');
+                const id = getIdByName('Living room temperature');
+                on({ name: 'Front door' }, () => {});
+            `);
+
+            assert.deepStrictEqual(patterns(result), ['/^.*\\.STATE$/', '/^hue\\.0\\..*\\.on$/']);
+            assert.deepStrictEqual([...result.names], ['Living room temperature', 'Front door']);
+        });
+    });
+
+    describe('TypeScript and syntax errors', () => {
+        it('should extract literals, subscriptions and selectors from tokens', () => {
+            const result = extractScriptReferences(`
+                interface Reading { value: number }
+                const threshold: number = 5;
+                on({ id: /^deconz\\.0\\.sensors\\./ }, (obj: iobJS.ChangedStateObject) => {
+                    setState('zigbee.0.alarm', \`\${obj.id} is \${threshold}\`);
+                    setState(\`mqtt.0.\${obj.id}\`, 1);
+                });
+                const id = getIdByName('Kitchen');
+                $('state[id=tuya.0.*]');
+            `, 'TypeScript/ts');
+
+            assert.deepStrictEqual([...result.stateIds], ['zigbee.0.alarm']);
+            assert.deepStrictEqual(patterns(result), ['/^deconz\\.0\\.sensors\\./', '/^mqtt\\.0\\..*$/', '/^tuya\\.0\\..*$/']);
+            assert.deepStrictEqual([...result.names], ['Kitchen']);
+        });
+
+        it('should fall back to quoted IDs if the source cannot be tokenized', () => {
+            const result = extractScriptReferences(`
+                @Component
+                class X {}
+                setState('zigbee.0.x', 1);
+            `, 'TypeScript/ts');
+
+            assert.deepStrictEqual([...result.stateIds], ['zigbee.0.x']);
+        });
+    });
+
+    describe('Blockly', () => {
+        const xml = '<xml xmlns="https://developers.google.com/blockly/xml">' +
+            '<block type="on_ext"><field name="CONDITION">ne</field><value name="OID0"><shadow type="field_oid"><field name="oid">zigbee.0.button.pressed</field></shadow></value></block>' +
+            '<block type="control" disabled="true"><field name="OID">hue.0.lamp.on</field></block>' +
+            '<block type="selector"><field name="TEXT">state[id=sonoff.0.*.POWER]</field></block>' +
+            '<block type="text"><field name="TEXT">Hello &amp; welcome</field></block>' +
+            '</xml>';
+
+        it('should decode the block XML', () => {
+            assert.strictEqual(blocklyXml(blocklyScript('', xml)), xml);
+            assert.strictEqual(blocklyXml('// no blocks'), null);
+        });
+
+        it('should extract IDs of fields and generated code', () => {
+            const result = extractScriptReferences(
+                blocklyScript("on({ id: 'zigbee.0.button.pressed', change: 'ne' }, async function (obj) {});", xml),
+                'Blockly'
+            );
+
+            assert.deepStrictEqual([...result.stateIds], ['zigbee.0.button.pressed', 'hue.0.lamp.on']);
+            assert.deepStrictEqual(patterns(result), ['/^sonoff\\.0\\..*\\.POWER$/']);
+        });
+    });
+});
+
+describe('ScriptReferences', () => {
+    const scripts = {
+        'script.js.windows': {
+            type: 'script',
+            common: { engineType: 'Javascript/js', source: "on(/^zigbee\\.0\\..*\\.contact$/, () => {}); getIdByName('Hallway');" },
+        },
+    };
+    const stateObjects = {
+        'zigbee.0.door.contact': { type: 'state', common: { name: 'Door' } },
+        'zigbee.0.door.battery': { type: 'state', common: { name: 'Door battery' } },
+        'hue.0.hall.on': { type: 'state', common: { name: { en: 'Hallway', de: 'Flur' } } },
+    };
+
+    /**
+     * Adapter returning the script objects.
+     */
+    function mockAdapter() {
+        return {
+            namespace: 'system-health.0',
+            log: { info: mock.fn(), warn: mock.fn(), error: mock.fn(), debug: mock.fn() },
+            getForeignObjectsAsync: async pattern => (pattern === 'script.js.*' ? scripts : {}),
+            readDirAsync: async () => [],
+        };
+    }
+
+    it('should resolve names against the state objects', async () => {
+        const provider = new ScriptReferences(mockAdapter());
+
+        const result = await provider.collect({ getStateObjects: async () => stateObjects });
+        const [reference] = result.get('script.js.windows');
+
+        assert.deepStrictEqual(reference.stateIds, ['hue.0.hall.on']);
+        assert.deepStrictEqual(reference.names, ['Hallway']);
+        assert.strictEqual(reference.patterns.length, 1);
+    });
+
+    it('should reference states matching a pattern in the inspector', async () => {
+        const inspector = new OrphanedStateInspector(mockAdapter());
+
+        const referenceMap = await inspector.buildReferenceMap(stateObjects);
+
+        assert.deepStrictEqual(inspector.referencesFor('zigbee.0.door.contact', referenceMap), ['script:script.js.windows']);
+        assert.deepStrictEqual(inspector.referencesFor('zigbee.0.door.battery', referenceMap), []);
+        assert.deepStrictEqual(inspector.referencesFor('hue.0.hall.on', referenceMap), ['script:script.js.windows']);
+    });
+
+    it('should need a full scan when a script with patterns changes', async () => {
+        const inspector = new OrphanedStateInspector(mockAdapter());
+        inspector.referenceMap = await inspector.buildReferenceMap(stateObjects);
+        inspector.adapterInstances = new Map();
+
+        const changes = new Map([['script.js.windows', { type: 'script', common: { source: "on('zigbee.0.door.contact', () => {});" } }]]);
+
+        assert.strictEqual(await inspector.inspectChanges(changes), null);
+    });
+});
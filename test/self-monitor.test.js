@@ -0,0 +1,209 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const SelfMonitor = require('../lib/self-monitor');
+const CheckRegistry = require('../lib/checks/check-registry');
+const BaseCheck = require('../lib/checks/base-check');
+
+// Mock adapter with a few objects and states to read
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.config = {};
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+    }
+
+    async getForeignObjectsAsync() {
+        return { 'a.0.x': {}, 'a.0.y': {}, 'a.0.z': {} };
+    }
+
+    async getForeignObjectAsync(id) {
+        return id === 'missing' ? null : {};
+    }
+
+    async getForeignStatesAsync() {
+        return { 'a.0.x': { val: 1 }, 'a.0.y': { val: 2 } };
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+}
+
+describe('SelfMonitor', () => {
+    it('should count the objects and states read by a run', async () => {
+        const adapter = new MockAdapter();
+        const monitor = new SelfMonitor(adapter);
+        await monitor.init();
+
+        const result = await monitor.measure('duplicates', async () => {
+            await adapter.getForeignObjectsAsync('*', 'state');
+            await adapter.getForeignObjectAsync('a.0.x');
+            await adapter.getForeignObjectAsync('missing');
+            await adapter.getForeignStatesAsync('*');
+            return { status: 'ok' };
+        });
+
+        assert.deepStrictEqual(result, { status: 'ok' });
+        const run = monitor.lastRuns.get('duplicates');
+        assert.strictEqual(run.objectsRead, 4);
+        assert.strictEqual(run.statesRead, 2);
+        assert.ok(run.peakHeapMB > 0);
+        assert.strictEqual(run.overBudget, false);
+        assert.strictEqual(adapter.states['selfMonitoring.duplicates.objectsRead'].val, 4);
+        assert.strictEqual(adapter.states['selfMonitoring.duplicates.statesRead'].val, 2);
+        assert.ok(adapter.objects['selfMonitoring.duplicates.durationMs']);
+        assert.ok(JSON.parse(adapter.states['selfMonitoring.details'].val).duplicates);
+    });
+
+    it('should attribute reads to the run that made them', async () => {
+        const adapter = new MockAdapter();
+        const monitor = new SelfMonitor(adapter);
+        await monitor.init();
+        const tick = () => new Promise(resolve => setImmediate(resolve));
+
+        await Promise.all([
+            monitor.measure('orphanedStates', async () => {
+                await tick();
+                await adapter.getForeignObjectsAsync('*');
+                await tick();
+                await adapter.getForeignObjectsAsync('*');
+            }),
+            monitor.measure('staleStates', async () => {
+                await adapter.getForeignStatesAsync('*');
+                await tick();
+            }),
+        ]);
+        // Reads outside of a run are not counted
+        await adapter.getForeignObjectsAsync('*');
+
+        assert.strictEqual(monitor.lastRuns.get('orphanedStates').objectsRead, 6);
+        assert.strictEqual(monitor.lastRuns.get('orphanedStates').statesRead, 0);
+        assert.strictEqual(monitor.lastRuns.get('staleStates').objectsRead, 0);
+        assert.strictEqual(monitor.lastRuns.get('staleStates').statesRead, 2);
+    });
+
+    it('should measure event loop blocking', async () => {
+        const adapter = new MockAdapter();
+        const monitor = new SelfMonitor(adapter);
+        await monitor.init();
+
+        await monitor.measure('performance', async () => {
+            await new Promise(resolve => setTimeout(resolve, 30));
+            const start = Date.now();
+            while (Date.now() - start < 100) {
+                // Block the event loop
+            }
+        });
+
+        const run = monitor.lastRuns.get('performance');
+        assert.ok(run.longestBlockMs >= 50, `longest block ${run.longestBlockMs} ms`);
+        assert.ok(run.eventLoopBlockedMs >= run.longestBlockMs);
+        assert.ok(run.durationMs >= 130);
+    });
+
+    it('should compute blocking from the histogram excess over its resolution', () => {
+        assert.deepStrictEqual(SelfMonitor.blocking({ count: 0, mean: NaN, max: 0 }), { eventLoopBlockedMs: 0, longestBlockMs: 0 });
+        assert.deepStrictEqual(SelfMonitor.blocking({ count: 10, mean: 30e6, max: 210e6 }, 10), { eventLoopBlockedMs: 200, longestBlockMs: 200 });
+        assert.deepStrictEqual(SelfMonitor.blocking({ count: 5, mean: 10.2e6, max: 10.4e6 }, 10), { eventLoopBlockedMs: 1, longestBlockMs: 0 });
+    });
+
+    it('should warn and flag runs over the time budget and raise an alert', async () => {
+        const adapter = new MockAdapter();
+        const alertEngine = { evaluate: mock.fn(() => 'warning') };
+        const monitor = new SelfMonitor(adapter, { budgetSeconds: 10, alertEngine });
+        await monitor.init();
+
+        await monitor.record('duplicates', {
+            durationMs: 15000, peakHeapMB: 80, objectsRead: 5000, statesRead: 5000, eventLoopBlockedMs: 300, longestBlockMs: 120, timestamp: 1,
+        });
+        await monitor.record('memory', {
+            durationMs: 20, peakHeapMB: 60, objectsRead: 0, statesRead: 3, eventLoopBlockedMs: 0, longestBlockMs: 0, timestamp: 1,
+        });
+
+        assert.strictEqual(adapter.states['selfMonitoring.duplicates.overBudget'].val, true);
+        assert.strictEqual(adapter.states['selfMonitoring.memory.overBudget'].val, false);
+        assert.strictEqual(adapter.states['selfMonitoring.overBudget'].val, 'duplicates');
+        assert.strictEqual(adapter.log.warn.mock.callCount(), 1);
+        assert.match(adapter.log.warn.mock.calls[0].arguments[0], /duplicates took 15 s, more than its budget of 10 s/);
+        assert.deepStrictEqual(alertEngine.evaluate.mock.calls[0].arguments.slice(0, 2), ['selfMonitoring.duplicates.durationMs', 15000]);
+        assert.strictEqual(alertEngine.evaluate.mock.calls[0].arguments[2].warning, 10000);
+    });
+
+    it('should record the cost of failing runs and rethrow the error', async () => {
+        const adapter = new MockAdapter();
+        const monitor = new SelfMonitor(adapter);
+        await monitor.init();
+
+        await assert.rejects(monitor.measure('redis', async () => {
+            await adapter.getForeignStatesAsync('*');
+            throw new Error('connection refused');
+        }), /connection refused/);
+
+        assert.strictEqual(monitor.lastRuns.get('redis').statesRead, 2);
+    });
+
+    it('should provide metrics of the last run', async () => {
+        const monitor = new SelfMonitor(new MockAdapter());
+        await monitor.record('cpu', {
+            durationMs: 12, peakHeapMB: 50, objectsRead: 0, statesRead: 0, eventLoopBlockedMs: 3, longestBlockMs: 3, timestamp: 1,
+        });
+
+        assert.deepStrictEqual(monitor.getMetrics('cpu'), {
+            'selfMonitoring.cpu.durationMs': 12,
+            'selfMonitoring.cpu.peakHeapMB': 50,
+            'selfMonitoring.cpu.eventLoopBlockedMs': 3,
+        });
+        assert.deepStrictEqual(monitor.getMetrics('disk'), {});
+    });
+
+    it('should restore the adapter methods on uninstall', async () => {
+        const adapter = new MockAdapter();
+        const original = adapter.getForeignObjectsAsync;
+        const monitor = new SelfMonitor(adapter);
+        await monitor.init();
+
+        assert.notStrictEqual(adapter.getForeignObjectsAsync, original);
+        monitor.uninstall();
+        assert.strictEqual(adapter.getForeignObjectsAsync, original);
+    });
+});
+
+describe('CheckRegistry with self-monitoring', () => {
+    it('should measure every run of a check', async () => {
+        const adapter = new MockAdapter();
+        const selfMonitor = new SelfMonitor(adapter);
+        await selfMonitor.init();
+        const registry = new CheckRegistry(adapter, { selfMonitor });
+
+        class ReadingCheck extends BaseCheck {
+            constructor(adapter) {
+                super(adapter, { name: 'reading' });
+            }
+
+            async execute() {
+                await this.adapter.getForeignObjectsAsync('*');
+                return { status: 'ok' };
+            }
+        }
+        registry.register(new ReadingCheck(adapter));
+
+        const result = await registry.run('reading');
+
+        assert.strictEqual(result.status, 'ok');
+        assert.strictEqual(selfMonitor.lastRuns.get('reading').objectsRead, 3);
+        assert.strictEqual(adapter.states['selfMonitoring.reading.objectsRead'].val, 3);
+    });
+});
@@ -0,0 +1,250 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const StateSnapshot = require('../lib/state-inspector/state-snapshot');
+const DuplicateStateInspector = require('../lib/state-inspector/duplicate-detection');
+const StaleStateInspector = require('../lib/state-inspector/stale-detection');
+const OrphanedStateInspector = require('../lib/state-inspector/orphaned-states');
+const PerformanceAnalysisInspector = require('../lib/state-inspector/performance-analysis');
+
+const OLD = Date.now() - 48 * 60 * 60 * 1000;
+
+// Mock adapter with an objects DB that answers key range views like js-controller (unsorted, inclusive end key)
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+        this.foreignObjects = {
+            '0_userdata.0.flag': { type: 'state', common: { name: 'Flag', type: 'boolean', read: true, write: true } },
+            'a': { type: 'state', common: { name: 'Boundary', type: 'number', read: true, write: true } },
+            'alias.0.livingroom.temp': { type: 'state', common: { name: 'Alias', type: 'number', read: true, write: true, alias: { id: 'mqtt.0.livingroom.temp' } } },
+            'mqtt.0.livingroom.temp': { type: 'state', common: { name: 'Temperature', type: 'number', role: 'value.temperature', unit: '°C', read: true, write: true } },
+            'mqtt.0.kitchen.temp': { type: 'state', common: { name: 'Temperature', type: 'number', role: 'value.temperature', unit: '°C', read: true, write: true } },
+            'zigbee.0.sensor.temp': { type: 'state', common: { name: 'Temp', type: 'number', read: true, write: true } },
+            'Zwave.0.node.level': { type: 'state', common: { name: 'Level', type: 'number', read: true, write: true } },
+        };
+        this.foreignStates = {
+            '0_userdata.0.flag': { val: true, ts: OLD, lc: OLD },
+            'a': { val: 1, ts: OLD, lc: OLD },
+            'alias.0.livingroom.temp': { val: 21.5, ts: Date.now(), lc: Date.now() },
+            'mqtt.0.livingroom.temp': { val: 21.5, ts: OLD, lc: OLD },
+            'mqtt.0.kitchen.temp': { val: 21.5, ts: Date.now(), lc: Date.now() },
+            'zigbee.0.sensor.temp': { val: 19, ts: Date.now(), lc: Date.now() },
+            'Zwave.0.node.level': { val: 3, ts: OLD, lc: OLD },
+        };
+        this.instances = {
+            'system.adapter.mqtt.0': { common: { enabled: true } },
+            'system.adapter.zigbee.0': { common: { enabled: true } },
+        };
+        this.calls = { view: 0, states: 0, statesAll: 0 };
+    }
+
+    async getObjectViewAsync(design, view, options) {
+        assert.deepStrictEqual([design, view], ['system', 'state']);
+        this.calls.view++;
+        const rows = Object.keys(this.foreignObjects)
+            .filter(id => id >= options.startkey && id <= options.endkey)
+            .map(id => ({ id, value: this.foreignObjects[id] }));
+        return { rows };
+    }
+
+    async getForeignStatesAsync(pattern) {
+        if (Array.isArray(pattern)) {
+            this.calls.states++;
+            // IDs without a state are returned as null
+            return Object.fromEntries(pattern.map(id => [id, this.foreignStates[id] || null]));
+        }
+        this.calls.statesAll++;
+        return this.foreignStates;
+    }
+
+    async getForeignObjectsAsync(pattern, type) {
+        if (pattern === 'system.adapter.*' && type === 'instance') {
+            return this.instances;
+        }
+        if (pattern === '*' && type === 'state') {
+            return this.foreignObjects;
+        }
+        return {};
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+
+    async getStateAsync(id) {
+        return this.states[id] || null;
+    }
+}
+
+describe('StateSnapshot', () => {
+    it('should load all objects and their states page by page without overlaps', async () => {
+        const adapter = new MockAdapter();
+        const snapshot = new StateSnapshot(adapter);
+
+        const view = await snapshot.get();
+
+        assert.deepStrictEqual(Object.keys(view.objects).sort(), Object.keys(adapter.foreignObjects).sort());
+        assert.deepStrictEqual(Object.keys(view.states).sort(), Object.keys(adapter.foreignStates).sort());
+        assert.strictEqual(adapter.calls.view, StateSnapshot.PAGE_BOUNDARIES.length - 1);
+        assert.strictEqual(adapter.calls.statesAll, 0);
+        assert.deepStrictEqual([...view.idsByInstance.get('mqtt.0')].sort(), ['mqtt.0.kitchen.temp', 'mqtt.0.livingroom.temp']);
+        assert.ok(view.instances['system.adapter.zigbee.0']);
+        snapshot.cleanup();
+    });
+
+    it('should read the states of a page in chunks without missing states', async () => {
+        const adapter = new MockAdapter();
+        for (let i = 0; i < 1200; i++) {
+            adapter.foreignObjects[`mqtt.0.bulk.s${i}`] = { type: 'state', common: { type: 'number' } };
+            adapter.foreignStates[`mqtt.0.bulk.s${i}`] = { val: i, ts: OLD, lc: OLD };
+        }
+        adapter.foreignObjects['mqtt.0.bulk.empty'] = { type: 'state', common: { type: 'number' } };
+        const snapshot = new StateSnapshot(adapter);
+
+        const view = await snapshot.get();
+
+        // mqtt.0.* has 1203 objects: 3 chunks, every other page 1
+        assert.strictEqual(adapter.calls.states, 3 + 4);
+        assert.strictEqual(Object.keys(view.states).length, 1207);
+        assert.strictEqual('mqtt.0.bulk.empty' in view.states, false);
+        assert.ok(view.objects['mqtt.0.bulk.empty']);
+        snapshot.cleanup();
+    });
+
+    it('should hand out a frozen view', async () => {
+        const snapshot = new StateSnapshot(new MockAdapter());
+
+        const view = await snapshot.get();
+
+        assert.ok(Object.isFrozen(view));
+        assert.ok(Object.isFrozen(view.objects));
+        assert.ok(Object.isFrozen(view.states));
+        assert.throws(() => {
+            'use strict';
+            view.states['mqtt.0.new'] = { val: 1 };
+        }, TypeError);
+        assert.ok(Object.isFrozen(view.objects['mqtt.0.kitchen.temp'].common));
+        assert.ok(Object.isFrozen(view.instances['system.adapter.mqtt.0'].common));
+        assert.ok(Object.isFrozen(view.idsByInstance.get('mqtt.0')));
+        assert.throws(() => {
+            'use strict';
+            view.states['mqtt.0.kitchen.temp'].val = 0;
+        }, TypeError);
+        assert.throws(() => {
+            'use strict';
+            view.objects['mqtt.0.kitchen.temp'].common.name = 'Changed';
+        }, TypeError);
+        snapshot.cleanup();
+    });
+
+    it('should share one load between concurrent and later requests', async () => {
+        const adapter = new MockAdapter();
+        const snapshot = new StateSnapshot(adapter);
+
+        const [first, second] = await Promise.all([snapshot.get(), snapshot.get()]);
+        const third = await snapshot.get();
+
+        assert.strictEqual(first, second);
+        assert.strictEqual(first, third);
+        assert.strictEqual(snapshot.loads, 1);
+        snapshot.cleanup();
+    });
+
+    it('should load a new view once the old one is too old or invalidated', async () => {
+        const snapshot = new StateSnapshot(new MockAdapter(), { maxAgeMs: 60000 });
+
+        const first = await snapshot.get();
+        snapshot.invalidate();
+        const second = await snapshot.get();
+
+        assert.notStrictEqual(first, second);
+        assert.strictEqual(snapshot.loads, 2);
+
+        // Expire by age
+        snapshot.view = Object.freeze({ ...second, timestamp: Date.now() - 120000 });
+        await snapshot.get();
+        assert.strictEqual(snapshot.loads, 3);
+        snapshot.cleanup();
+    });
+
+    it('should read directly without a snapshot', async () => {
+        const adapter = new MockAdapter();
+
+        const { states, objects } = await StateSnapshot.read(adapter, null);
+
+        assert.strictEqual(states, adapter.foreignStates);
+        assert.strictEqual(objects, adapter.foreignObjects);
+        assert.strictEqual(await StateSnapshot.readInstances(adapter, null), adapter.instances);
+    });
+});
+
+describe('Inspectors with a shared snapshot', () => {
+    it('should load objects and states once for all inspectors of a cycle', async () => {
+        const adapter = new MockAdapter();
+        const snapshot = new StateSnapshot(adapter);
+
+        const duplicates = new DuplicateStateInspector(adapter);
+        const stale = new StaleStateInspector(adapter, 24, []);
+        const orphaned = new OrphanedStateInspector(adapter, []);
+        for (const inspector of [duplicates, stale, orphaned]) {
+            inspector.snapshot = snapshot;
+            await inspector.init();
+        }
+
+        await duplicates.scan();
+        await stale.inspect();
+        await orphaned.inspect();
+
+        assert.strictEqual(snapshot.loads, 1);
+        assert.strictEqual(adapter.calls.statesAll, 0);
+        assert.ok(stale.staleStates.some(s => s.id === 'mqtt.0.livingroom.temp'));
+        snapshot.cleanup();
+    });
+
+    it('should give the same results as reading directly', async () => {
+        const withSnapshot = new MockAdapter();
+        const direct = new MockAdapter();
+        const snapshot = new StateSnapshot(withSnapshot);
+
+        const shared = new StaleStateInspector(withSnapshot, 24, []);
+        shared.snapshot = snapshot;
+        const own = new StaleStateInspector(direct, 24, []);
+        await shared.init();
+        await own.init();
+
+        await shared.inspect();
+        await own.inspect();
+
+        assert.deepStrictEqual(shared.staleStates.map(s => s.id), own.staleStates.map(s => s.id));
+        snapshot.cleanup();
+    });
+
+    it('should count namespaces from the snapshot in the performance analysis', async () => {
+        const adapter = new MockAdapter();
+        const snapshot = new StateSnapshot(adapter);
+        const inspector = new PerformanceAnalysisInspector(adapter, { largeTreeThreshold: 1 });
+        inspector.snapshot = snapshot;
+
+        const trees = await inspector.analyzeLargeObjectTrees();
+
+        assert.deepStrictEqual(trees.map(t => [t.adapter, t.stateCount]), [['mqtt.0', 2]]);
+        assert.deepStrictEqual((await inspector.readNamespace('zigbee.0', true)).states, {
+            'zigbee.0.sensor.temp': adapter.foreignStates['zigbee.0.sensor.temp'],
+        });
+        assert.strictEqual(snapshot.loads, 1);
+        snapshot.cleanup();
+    });
+});
@@ -0,0 +1,185 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('node:events');
+const ValueCorrelation = require('../lib/state-inspector/value-correlation');
+const DuplicateStateInspector = require('../lib/state-inspector/duplicate-detection');
+const DuplicateCheck = require('../lib/checks/duplicate-check');
+
+const MINUTE = 60 * 1000;
+
+// Mock adapter emitting state changes
+class MockAdapter extends EventEmitter {
+    constructor() {
+        super();
+        this.namespace = 'system-health.0';
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+        this.subscriptions = [];
+    }
+
+    async subscribeForeignStatesAsync(pattern) {
+        this.subscriptions.push(pattern);
+    }
+
+    async unsubscribeForeignStatesAsync(pattern) {
+        this.subscriptions = this.subscriptions.filter(p => p !== pattern);
+    }
+
+    async getForeignStatesAsync() {
+        return {};
+    }
+
+    async getForeignObjectsAsync() {
+        return {};
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, state) {
+        this.states[id] = state;
+    }
+}
+
+/**
+ * Feed a temperature sensor seen by two adapters (°C and °F, 300-800 ms apart)
+ * and an unrelated state changing at other times.
+ */
+function feedSensor(correlation, start) {
+    const celsius = [20.1, 20.4, 20.9, 21.3, 21.0, 20.6, 20.2, 19.8];
+    celsius.forEach((value, i) => {
+        const t = start + i * MINUTE;
+        correlation.record('zigbee.0.sensor.temperature', { val: value }, t);
+        correlation.record('mqtt.0.tele.living_DS18B20_F', { val: value * 1.8 + 32 }, t + 300 + i * 50);
+        correlation.record('hue.0.lamp.level', { val: i * 7 % 5 }, t + 30000);
+    });
+}
+
+describe('ValueCorrelation', () => {
+    it('should group states whose changes co-occur and whose values correlate', () => {
+        const correlation = new ValueCorrelation(new MockAdapter());
+        const start = Date.now() - 30 * MINUTE;
+        feedSensor(correlation, start);
+
+        const groups = correlation.analyze(start + 10 * MINUTE);
+
+        assert.strictEqual(groups.length, 1);
+        assert.strictEqual(groups[0].type, 'value');
+        assert.deepStrictEqual(groups[0].states.map(s => s.id), ['mqtt.0.tele.living_DS18B20_F', 'zigbee.0.sensor.temperature']);
+        assert.ok(groups[0].correlation > 0.99);
+        assert.strictEqual(groups[0].coOccurrence, 1);
+        assert.strictEqual(groups[0].confidence, 'high');
+    });
+
+    it('should not group states that change together but do not correlate', () => {
+        const correlation = new ValueCorrelation(new MockAdapter());
+        const start = Date.now() - 30 * MINUTE;
+        [1, 5, 2, 8, 3, 9].forEach((value, i) => {
+            correlation.record('a.0.x', { val: i }, start + i * MINUTE);
+            correlation.record('b.0.y', { val: value }, start + i * MINUTE + 100);
+        });
+
+        assert.deepStrictEqual(correlation.analyze(start + 10 * MINUTE), []);
+    });
+
+    it('should only record changed numeric and boolean values of foreign states', () => {
+        const correlation = new ValueCorrelation(new MockAdapter(), { shouldIgnore: id => id.startsWith('system.') });
+
+        correlation.record('a.0.x', { val: 1 }, 1);
+        correlation.record('a.0.x', { val: 1 }, 2);
+        correlation.record('a.0.x', { val: 2 }, 3);
+        correlation.record('a.0.flag', { val: true }, 1);
+        correlation.record('a.0.text', { val: 'on' }, 1);
+        correlation.record('system.host.x.load', { val: 1 }, 1);
+        correlation.record('system-health.0.memory.used', { val: 1 }, 1);
+        correlation.record('a.0.deleted', null, 1);
+
+        assert.deepStrictEqual([...correlation.changes.keys()], ['a.0.x', 'a.0.flag']);
+        assert.deepStrictEqual(correlation.changes.get('a.0.x'), [{ t: 1, v: 1 }, { t: 3, v: 2 }]);
+        assert.deepStrictEqual(correlation.changes.get('a.0.flag'), [{ t: 1, v: 1 }]);
+    });
+
+    it('should drop changes outside of the window', () => {
+        const correlation = new ValueCorrelation(new MockAdapter(), { windowMs: 10 * MINUTE });
+        const start = Date.now() - 60 * MINUTE;
+        feedSensor(correlation, start);
+
+        assert.deepStrictEqual(correlation.analyze(start + 60 * MINUTE), []);
+        assert.strictEqual(correlation.changes.size, 0);
+    });
+
+    it('should ignore mass updates as evidence', () => {
+        const correlation = new ValueCorrelation(new MockAdapter(), { maxStatesPerSlot: 3 });
+        const start = Date.now() - 30 * MINUTE;
+        for (let i = 0; i < 6; i++) {
+            for (let s = 0; s < 4; s++) {
+                correlation.record(`a.0.s${s}`, { val: i * (s + 1) }, start + i * MINUTE);
+            }
+        }
+
+        assert.deepStrictEqual(correlation.analyze(start + 10 * MINUTE), []);
+    });
+
+    it('should compute the Pearson correlation', () => {
+        assert.strictEqual(ValueCorrelation.pearson([[1, 2], [2, 4], [3, 6]]), 1);
+        assert.strictEqual(ValueCorrelation.pearson([[1, 3], [2, 2], [3, 1]]), -1);
+        assert.strictEqual(ValueCorrelation.pearson([[1, 1], [2, 1], [3, 1]]), null);
+        assert.strictEqual(ValueCorrelation.pearson([[1, 1], [2, 2]]), null);
+    });
+
+    it('should subscribe while monitoring and record emitted changes', async () => {
+        const adapter = new MockAdapter();
+        const correlation = new ValueCorrelation(adapter);
+
+        await correlation.startMonitoring();
+        adapter.emit('stateChange', 'a.0.x', { val: 5 });
+        assert.deepStrictEqual(adapter.subscriptions, ['*']);
+        assert.strictEqual(correlation.changes.get('a.0.x').length, 1);
+
+        await correlation.stopMonitoring();
+        adapter.emit('stateChange', 'a.0.x', { val: 6 });
+        assert.deepStrictEqual(adapter.subscriptions, []);
+        assert.strictEqual(correlation.changes.size, 0);
+    });
+});
+
+describe('DuplicateStateInspector with value correlation', () => {
+    it('should report value groups with the naming groups', async () => {
+        const adapter = new MockAdapter();
+        const inspector = new DuplicateStateInspector(adapter);
+        await inspector.init();
+        await inspector.startValueMonitoring();
+        feedSensor(inspector.valueCorrelation, Date.now() - 20 * MINUTE);
+
+        const duplicates = await inspector.scan();
+        await inspector.stop();
+
+        assert.deepStrictEqual(duplicates.map(d => d.type), ['value']);
+        assert.strictEqual(adapter.states['system-health.0.inspector.duplicates.count'].val, 1);
+        assert.strictEqual(inspector.valueCorrelation, null);
+        assert.strictEqual(adapter.listenerCount('stateChange'), 0);
+    });
+});
+
+describe('DuplicateCheck with value correlation', () => {
+    it('should only record state changes if the value correlation is enabled', async () => {
+        for (const [enableValueCorrelation, subscriptions] of [[undefined, []], [false, []], [true, ['*']]]) {
+            const adapter = new MockAdapter();
+            adapter.config = { enableDuplicateDetection: true, enableAdapterCrashDetection: true, enableValueCorrelation };
+            const check = new DuplicateCheck(adapter);
+
+            await check.init();
+            assert.deepStrictEqual(adapter.subscriptions, subscriptions);
+            await check.cleanup();
+        }
+    });
+});
@@ -0,0 +1,220 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const VersionReport = require('../lib/health-checks/version-report');
+const VersionCheck = require('../lib/checks/version-check');
+
+// Mock adapter with two hosts, a cached repository and a few instances
+class MockAdapter {
+    constructor() {
+        this.namespace = 'system-health.0';
+        this.config = { enableVersionCheck: true };
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+        this.foreignObjects = {
+            'system.config': { common: { activeRepo: ['stable'] } },
+            'system.repositories': {
+                native: {
+                    repositories: {
+                        stable: {
+                            json: {
+                                _repoInfo: { version: '9.9.9' },
+                                admin: { version: '7.0.0' },
+                                hue: { version: '3.10.0' },
+                                oldweather: { version: '1.0.0', deprecated: true },
+                            },
+                        },
+                        beta: { json: { hue: { version: '4.0.0-beta.1' } } },
+                    },
+                },
+            },
+        };
+        this.hosts = {
+            'system.host.pi4': { common: { installedVersion: '5.0.19' }, native: { process: { versions: { node: '18.19.0' } } } },
+            'system.host.nas': { common: { installedVersion: '6.0.11' }, native: { process: { versions: { node: '20.11.0' } } } },
+        };
+        this.adapters = {
+            'system.adapter.admin': { common: { version: '7.0.0' } },
+            'system.adapter.hue': { common: { version: '3.8.0' } },
+            'system.adapter.oldweather': { common: { version: '1.0.0' } },
+            'system.adapter.modern': { common: { version: '1.0.0' } },
+        };
+        this.instances = {
+            'system.adapter.admin.0': { common: { host: 'nas', version: '7.0.0', globalDependencies: [{ 'js-controller': '>=5.0.0' }] } },
+            'system.adapter.hue.0': { common: { host: 'pi4', version: '3.8.0', dependencies: [{ 'js-controller': '>=6.0.0' }, 'admin'] } },
+            'system.adapter.oldweather.0': { common: { host: 'pi4', version: '1.0.0', globalDependencies: [{ admin: '>=6.0.0' }] } },
+            'system.adapter.modern.0': { common: { host: 'nas', version: '1.0.0', engines: { node: '>=20' } } },
+        };
+    }
+
+    async getForeignObjectAsync(id) {
+        return this.foreignObjects[id] || null;
+    }
+
+    async getForeignObjectsAsync(pattern, type) {
+        return { host: this.hosts, adapter: this.adapters, instance: this.instances }[type];
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+}
+
+describe('VersionReport', () => {
+    it('should compare full, partial, prefixed and prerelease versions', () => {
+        assert.strictEqual(VersionReport.isNewer('1.10.0', '1.9.9'), true);
+        assert.strictEqual(VersionReport.isNewer('2.0.0', '2.0.0-beta.2'), true);
+        assert.strictEqual(VersionReport.isNewer('2.0.0-beta.10', '2.0.0-beta.2'), true);
+        assert.strictEqual(VersionReport.isNewer('v3.1.0', '3.1.0'), false);
+        assert.strictEqual(VersionReport.isNewer('1.3', '1.2.9'), true);
+        assert.strictEqual(VersionReport.isNewer('latest-ish', '1.0.0'), false);
+    });
+
+    it('should match the range operators used in io-package dependencies', () => {
+        const cases = [
+            ['5.0.19', '>=5.0.19', true],
+            ['5.0.18', '>=5.0.19', false],
+            ['6.2.1', '^6.0.0', true],
+            ['7.0.0', '^6.0.0', false],
+            ['0.3.9', '^0.3.1', true],
+            ['0.4.0', '^0.3.1', false],
+            ['1.2.9', '~1.2.3', true],
+            ['1.3.0', '~1.2.3', false],
+            ['1.9.0', '1.x', true],
+            ['2.0.0', '1.x', false],
+            ['18.19.0', '>=18 <21', true],
+            ['22.1.0', '>=18 <21', false],
+            ['1.5.0', '1.0.0 - 2.0.0', true],
+            ['16.0.0', '>=18 || ^16.0.0', true],
+            ['4.0.0', '>= 4', true],
+            ['3.0.0', '*', true],
+            ['1.2.1', '>1.2', false],
+            ['1.3.0', '>1.2', true],
+            ['1.2.5', '<=1.2', true],
+            ['v20.11.0', '>=20', true],
+            ['6.0.0-beta.1', '>=5.0.19', true],
+        ];
+        for (const [version, range, expected] of cases) {
+            assert.strictEqual(VersionReport.satisfies(version, range), expected, `${version} ${range}`);
+        }
+    });
+
+    it('should not decide unparsable versions or ranges', () => {
+        assert.strictEqual(VersionReport.satisfies('unknown', '>=1.0.0'), null);
+        assert.strictEqual(VersionReport.satisfies('1.0.0', '>=foo'), null);
+    });
+
+    it('should take the latest versions from the active repositories only', () => {
+        const adapter = new MockAdapter();
+
+        const latest = VersionReport.latestVersions(adapter.foreignObjects['system.repositories'], ['stable']);
+
+        assert.deepStrictEqual(latest.get('hue'), { version: '3.10.0', deprecated: false });
+        assert.deepStrictEqual(latest.get('oldweather'), { version: '1.0.0', deprecated: true });
+        assert.strictEqual(latest.has('_repoInfo'), false);
+    });
+
+    it('should use all cached repositories without an active one', () => {
+        const adapter = new MockAdapter();
+
+        const latest = VersionReport.latestVersions(adapter.foreignObjects['system.repositories'], null);
+
+        assert.strictEqual(latest.get('hue').version, '4.0.0-beta.1');
+    });
+
+    it('should normalize array and object dependencies', () => {
+        assert.deepStrictEqual(VersionReport.normalizeDependencies([{ 'js-controller': '>=5' }, 'admin']), [
+            { name: 'js-controller', range: '>=5' },
+            { name: 'admin', range: '*' },
+        ]);
+        assert.deepStrictEqual(VersionReport.normalizeDependencies({ admin: ' >=6 ' }), [{ name: 'admin', range: '>=6' }]);
+        assert.deepStrictEqual(VersionReport.normalizeDependencies(undefined), []);
+    });
+
+    it('should flag outdated, deprecated and incompatible instances', async () => {
+        const report = await new VersionReport(new MockAdapter()).inspect();
+        const byInstance = Object.fromEntries(report.instances.map(i => [i.instance, i]));
+
+        assert.strictEqual(report.repositoryAvailable, true);
+        assert.strictEqual(byInstance['hue.0'].outdated, true);
+        assert.strictEqual(byInstance['hue.0'].available, '3.10.0');
+        assert.strictEqual(byInstance['admin.0'].outdated, false);
+        assert.strictEqual(byInstance['oldweather.0'].deprecated, true);
+        assert.strictEqual(byInstance['modern.0'].unsatisfied.length, 0);
+
+        // js-controller of pi4 is too old, admin is not installed on pi4
+        assert.deepStrictEqual(byInstance['hue.0'].unsatisfied, [
+            { dependency: 'js-controller', range: '>=6.0.0', found: '5.0.19', global: false },
+            { dependency: 'admin', range: '*', found: null, global: false },
+        ]);
+        // Global dependency is satisfied by admin on the other host
+        assert.deepStrictEqual(byInstance['oldweather.0'].unsatisfied, []);
+
+        assert.deepStrictEqual([report.outdated, report.deprecated, report.incompatible], [1, 1, 1]);
+    });
+
+    it('should check the Node.js engine against the host of the instance', async () => {
+        const adapter = new MockAdapter();
+        adapter.instances['system.adapter.modern.0'].common.host = 'pi4';
+
+        const report = await new VersionReport(adapter).inspect();
+        const modern = report.instances.find(i => i.instance === 'modern.0');
+
+        assert.deepStrictEqual(modern.unsatisfied, [{ dependency: 'node', range: '>=20', found: '18.19.0', global: false }]);
+    });
+
+    it('should not report host dependencies with unknown versions or unparsable ranges', () => {
+        const report = new VersionReport(new MockAdapter());
+        const hosts = { pi4: { controller: null, node: '18.19.0' } };
+
+        assert.strictEqual(report.checkDependency({ name: 'js-controller', range: '>=6', global: false }, 'pi4', hosts, {}), null);
+        assert.strictEqual(report.checkDependency({ name: 'node', range: 'lts', global: false }, 'pi4', hosts, {}), null);
+    });
+
+    it('should report nothing outdated without a cached repository', async () => {
+        const adapter = new MockAdapter();
+        delete adapter.foreignObjects['system.repositories'];
+
+        const report = await new VersionReport(adapter).inspect();
+
+        assert.strictEqual(report.repositoryAvailable, false);
+        assert.strictEqual(report.outdated, 0);
+        assert.ok(report.instances.every(i => i.available === null));
+    });
+});
+
+describe('VersionCheck', () => {
+    it('should write the counts and details and return a warning', async () => {
+        const adapter = new MockAdapter();
+        const check = new VersionCheck(adapter);
+        await check.init();
+
+        const result = await check.execute();
+
+        assert.strictEqual(result.status, 'warning');
+        assert.strictEqual(result.count, 2);
+        assert.strictEqual(adapter.states['versions.outdated'].val, 1);
+        assert.strictEqual(adapter.states['versions.deprecated'].val, 1);
+        assert.strictEqual(adapter.states['versions.incompatible'].val, 1);
+        assert.strictEqual(JSON.parse(adapter.states['versions.details'].val).length, 4);
+        assert.ok(adapter.objects['versions.details']);
+    });
+
+    it('should be disabled unless enabled in the config', () => {
+        const adapter = new MockAdapter();
+        adapter.config = {};
+
+        assert.strictEqual(new VersionCheck(adapter).enabled, false);
+    });
+});
@@ -0,0 +1,231 @@
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const WebhookDispatcher = require('../lib/webhooks');
+const { createEvent } = require('../lib/alert-events');
+const AlertEngine = require('../lib/alert-engine');
+const Notifier = require('../lib/notifier');
+
+// Mock adapter
+class MockAdapter {
+    constructor(config = {}) {
+        this.namespace = 'system-health.0';
+        this.host = 'pi4';
+        this.config = config;
+        this.log = {
+            info: mock.fn(),
+            warn: mock.fn(),
+            error: mock.fn(),
+            debug: mock.fn()
+        };
+        this.states = {};
+        this.objects = {};
+    }
+
+    async setObjectNotExistsAsync(id, obj) {
+        if (!this.objects[id]) {
+            this.objects[id] = obj;
+        }
+    }
+
+    async setStateAsync(id, val, ack) {
+        this.states[id] = { val, ack };
+    }
+
+    async getStateAsync(id) {
+        return this.states[id] || null;
+    }
+}
+
+/**
+ * Local webhook receiver answering with the given status codes in turn
+ * (the last one is repeated).
+ */
+function createReceiver(statusCodes = [200]) {
+    const receiver = { requests: [] };
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            res.writeHead(statusCodes[Math.min(receiver.requests.length, statusCodes.length) - 1]);
+            res.end();
+        });
+    });
+    receiver.start = () => new Promise(resolve => receiver.server.listen(0, '127.0.0.1', () => {
+        receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook?token=secret`;
+        resolve();
+    }));
+    receiver.stop = () => new Promise(resolve => receiver.server.close(() => resolve()));
+    return receiver;
+}
+
+describe('WebhookDispatcher', () => {
+    let receiver;
+
+    afterEach(async () => {
+        if (receiver) {
+            await receiver.stop();
+            receiver = null;
+        }
+    });
+
+    describe('parseTargets', () => {
+        it('should skip empty and invalid URLs', () => {
+            const adapter = new MockAdapter();
+            const targets = WebhookDispatcher.parseTargets([
+                { url: 'https://example.com/hook', method: 'put' },
+                { url: '' },
+                { url: 'ftp://example.com' },
+                { url: 'not a url' },
+            ], adapter.log);
+
+            assert.strictEqual(targets.length, 1);
+            assert.strictEqual(targets[0].method, 'PUT');
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 2);
+        });
+    });
+
+    describe('render', () => {
+        it('should substitute and JSON-escape placeholders', () => {
+            const body = WebhookDispatcher.render('{"text": "{{severity}}: {{message}} ({{values.value}}{{missing}})"}', {
+                severity: 'critical',
+                message: 'Disk "/" full',
+                values: { value: 98 },
+            });
+
+            assert.deepStrictEqual(JSON.parse(body), { text: 'critical: Disk "/" full (98)' });
+            assert.deepStrictEqual(JSON.parse(WebhookDispatcher.render('{{payload}}', { a: 1 })), { a: 1 });
+        });
+    });
+
+    describe('delivery', () => {
+        beforeEach(async () => {
+            receiver = createReceiver();
+        });
+
+        it('should post the default JSON payload', async () => {
+            await receiver.start();
+            const adapter = new MockAdapter();
+            const dispatcher = new WebhookDispatcher(adapter, { targets: [{ url: receiver.url }] });
+            await dispatcher.createStates();
+
+            const [entry] = await dispatcher.dispatch(createEvent(adapter, {
+                event: 'raised', check: 'cpu', severity: 'critical', message: 'CPU critical', values: { key: 'cpu.usage', value: 95 },
+            }));
+
+            assert.strictEqual(entry.status, 'delivered');
+            assert.strictEqual(entry.target, new URL(receiver.url).host);
+            const [request] = receiver.requests;
+            assert.strictEqual(request.method, 'POST');
+            assert.strictEqual(request.url, '/hook?token=secret');
+            assert.strictEqual(request.headers['content-type'], 'application/json');
+            const payload = JSON.parse(request.body);
+            assert.strictEqual(payload.host, 'pi4');
+            assert.strictEqual(payload.adapter, 'system-health.0');
+            assert.deepStrictEqual(payload.values, { key: 'cpu.usage', value: 95 });
+
+            const log = JSON.parse(adapter.states['webhooks.deliveryLog'].val);
+            assert.strictEqual(log.length, 1);
+            assert.ok(!JSON.stringify(log).includes('secret'));
+        });
+
+        it('should send non-JSON templates as text', async () => {
+            await receiver.start();
+            const dispatcher = new WebhookDispatcher(new MockAdapter(), {
+                targets: [{ url: receiver.url, method: 'PUT', template: '{{severity}}: {{message}}' }],
+            });
+
+            await dispatcher.test();
+
+            assert.strictEqual(receiver.requests[0].method, 'PUT');
+            assert.strictEqual(receiver.requests[0].body, 'warning: Test message from system-health');
+            assert.match(receiver.requests[0].headers['content-type'], /^text\/plain/);
+        });
+
+        it('should retry server errors with backoff', async () => {
+            receiver = createReceiver([503, 500, 200]);
+            await receiver.start();
+            const dispatcher = new WebhookDispatcher(new MockAdapter(), {
+                targets: [{ url: receiver.url }],
+                retryDelaySeconds: 0.01,
+            });
+
+            const [entry] = await dispatcher.test();
+
+            assert.strictEqual(entry.status, 'delivered');
+            assert.strictEqual(entry.attempts, 3);
+            assert.strictEqual(receiver.requests.length, 3);
+        });
+
+        it('should not retry client errors', async () => {
+            receiver = createReceiver([404]);
+            await receiver.start();
+            const adapter = new MockAdapter();
+            const dispatcher = new WebhookDispatcher(adapter, { targets: [{ url: receiver.url }], retryDelaySeconds: 0.01 });
+
+            const [entry] = await dispatcher.test();
+
+            assert.strictEqual(entry.status, 'failed');
+            assert.strictEqual(entry.attempts, 1);
+            assert.strictEqual(entry.error, 'HTTP 404');
+            assert.strictEqual(adapter.log.warn.mock.calls.length, 1);
+        });
+
+        it('should give up after the configured retries on network errors', async () => {
+            await receiver.start();
+            const url = receiver.url;
+            await receiver.stop();
+            receiver = null;
+            const dispatcher = new WebhookDispatcher(new MockAdapter(), { targets: [{ url }], retries: 2, retryDelaySeconds: 0.01 });
+
+            const [entry] = await dispatcher.test();
+
+            assert.strictEqual(entry.status, 'failed');
+            assert.strictEqual(entry.attempts, 3);
+            assert.match(entry.error, /ECONNREFUSED/);
+        });
+
+        it('should abort pending retries on cleanup', async () => {
+            receiver = createReceiver([500]);
+            await receiver.start();
+            const dispatcher = new WebhookDispatcher(new MockAdapter(), { targets: [{ url: receiver.url }], retryDelaySeconds: 60 });
+
+            const delivery = dispatcher.test();
+            await new Promise(resolve => setTimeout(resolve, 50));
+            dispatcher.cleanup();
+            const [entry] = await delivery;
+
+            assert.strictEqual(entry.status, 'failed');
+            assert.strictEqual(entry.attempts, 1);
+        });
+    });
+
+    describe('events', () => {
+        it('should forward alert engine and notifier events', async () => {
+            const adapter = new MockAdapter();
+            const engine = new AlertEngine(adapter);
+            const notifier = new Notifier(adapter, { enabled: false });
+            const dispatcher = new WebhookDispatcher(adapter);
+            const payloads = [];
+            dispatcher.dispatch = async payload => { payloads.push(payload); return []; };
+            dispatcher.attach({ alertEngine: engine, notifier });
+
+            engine.evaluate('cpu.usage', 95, { warning: 70, critical: 90, label: 'CPU usage', unit: '%' });
+            engine.evaluate('cpu.usage', 10, { warning: 70, critical: 90, label: 'CPU usage', unit: '%' });
+            await notifier.update('crashLoop', 'zigbee.0', true, 'zigbee.0 crashed');
+            await notifier.update('crashLoop', 'zigbee.0', false, '');
+            await notifier.update('memoryCritical', 'memory', true, 'Memory critical');
+
+            assert.deepStrictEqual(payloads.map(p => [p.event, p.check, p.severity]), [
+                ['raised', 'cpu', 'critical'],
+                ['cleared', 'cpu', 'critical'],
+                ['raised', 'crashDetection', 'critical'],
+                ['cleared', 'crashDetection', 'critical'],
+            ]);
+            assert.strictEqual(payloads[0].message, 'CPU usage critical (95%)');
+            assert.strictEqual(payloads[3].message, 'Cleared: zigbee.0 crashed');
+            assert.deepStrictEqual(payloads[1].values, { key: 'cpu.usage', value: 10 });
+        });
+    });
+});